@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+/**
+ * Static import check for plugins and shared modules (no dependencies needed).
+ *
+ * `node --check` only parses a file, so a plugin importing a missing
+ * `../../shared/…` module, or a name the module does not export, would pass
+ * CI and fail at load time. For every plugins/<name>/index.js and
+ * shared/*.js this script:
+ *  - resolves each relative `import … from "…"` and fails if the file is missing
+ *  - checks that every named import is exported by the target
+ *  - checks that the plugin's manifest.json `shared` list names exactly the
+ *    shared modules the plugin loads, directly or through other shared modules
+ */
+
+import { readFileSync, readdirSync, existsSync } from "node:fs";
+import { dirname, join, relative, resolve } from "node:path";
+
+const root = resolve(dirname(new URL(import.meta.url).pathname), "../..");
+const sharedDir = join(root, "shared");
+const errors = [];
+
+function parseImports(source) {
+  const imports = [];
+  const re = /^\s*(?:import|export)\s+([\s\S]*?)\s*from\s*["']([^"']+)["']/gm;
+  for (const m of source.matchAll(re)) {
+    const names = [];
+    const braces = m[1].match(/\{([\s\S]*)\}/);
+    if (braces) {
+      for (const part of braces[1].split(",")) {
+        const name = part.trim().split(/\s+as\s+/)[0];
+        if (name) names.push(name);
+      }
+    }
+    if (/^[A-Za-z_$][\w$]*\s*(,|$)/.test(m[1].trim()) && !m[1].trim().startsWith("*")) names.push("default");
+    imports.push({ specifier: m[2], names });
+  }
+  return imports;
+}
+
+function parseExports(source) {
+  const names = new Set();
+  for (const m of source.matchAll(/^export\s+(?:async\s+)?(?:function\*?|const|let|var|class)\s+([A-Za-z_$][\w$]*)/gm)) {
+    names.add(m[1]);
+  }
+  for (const m of source.matchAll(/^export\s*\{([^}]*)\}/gm)) {
+    for (const part of m[1].split(",")) {
+      const name = part.trim().split(/\s+as\s+/).pop();
+      if (name) names.add(name);
+    }
+  }
+  if (/^export\s+default\b/m.test(source)) names.add("default");
+  return names;
+}
+
+const exportCache = new Map();
+function exportsOf(file) {
+  if (!exportCache.has(file)) exportCache.set(file, parseExports(readFileSync(file, "utf8")));
+  return exportCache.get(file);
+}
+
+// Relative imports of `file`, checked; returns the resolved paths.
+const importCache = new Map();
+function checkFile(file) {
+  if (importCache.has(file)) return importCache.get(file);
+  const resolved = [];
+  importCache.set(file, resolved);
+  for (const { specifier, names } of parseImports(readFileSync(file, "utf8"))) {
+    if (!specifier.startsWith(".")) continue;
+    const target = resolve(dirname(file), specifier);
+    const where = relative(root, file);
+    if (!existsSync(target)) {
+      errors.push(`${where}: cannot resolve "${specifier}"`);
+      continue;
+    }
+    resolved.push(target);
+    const exported = exportsOf(target);
+    for (const name of names) {
+      if (!exported.has(name)) errors.push(`${where}: "${specifier}" does not export ${name}`);
+    }
+  }
+  return resolved;
+}
+
+function sharedClosure(file, seen = new Set()) {
+  for (const target of checkFile(file)) {
+    if (seen.has(target)) continue;
+    seen.add(target);
+    sharedClosure(target, seen);
+  }
+  return seen;
+}
+
+for (const name of readdirSync(sharedDir).filter((f) => f.endsWith(".js"))) {
+  checkFile(join(sharedDir, name));
+}
+
+for (const plugin of readdirSync(join(root, "plugins"))) {
+  const entry = join(root, "plugins", plugin, "index.js");
+  if (!existsSync(entry)) continue;
+  const used = [...sharedClosure(entry)]
+    .filter((f) => dirname(f) === sharedDir)
+    .map((f) => relative(sharedDir, f))
+    .sort();
+
+  const manifest = JSON.parse(readFileSync(join(root, "plugins", plugin, "manifest.json"), "utf8"));
+  const declared = [...(manifest.shared ?? [])].sort();
+  const missing = used.filter((f) => !declared.includes(f));
+  const extra = declared.filter((f) => !used.includes(f));
+  if (missing.length) errors.push(`plugins/${plugin}/manifest.json: "shared" is missing ${missing.join(", ")}`);
+  if (extra.length) errors.push(`plugins/${plugin}/manifest.json: "shared" lists unused ${extra.join(", ")}`);
+}
+
+if (errors.length) {
+  for (const e of errors) console.error(`✗ ${e}`);
+  process.exit(1);
+}
+console.log("✓ all relative imports resolve and manifests declare their shared modules");
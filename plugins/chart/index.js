@@ -2,11 +2,19 @@
  * Chart plugin — generate price chart images via QuickChart.io
  *
  * Creates line charts from TonAPI price data and sends them
- * as photos to Telegram chats/channels.
+ * as photos to Telegram chats/channels. When QuickChart is down the
+ * same configs are rendered locally (shared/chart-renderer.js).
  */
 
 import { createRequire } from "node:module";
-import { realpathSync } from "node:fs";
+import { realpathSync, readFileSync, writeFileSync, mkdirSync, existsSync } from "node:fs";
+import { join, resolve as resolvePath, sep } from "node:path";
+import { homedir } from "node:os";
+import { sourceFetch } from "../../shared/source-health.js";
+import { renderChartPng, renderPanelPng, measurePanel } from "../../shared/chart-renderer.js";
+import { sma, ema, bollinger, vwap, rsi, macd, parseIndicator, lastValue } from "../../shared/indicators.js";
+import { resolveGiftCollection, normalizeCollectionKey } from "../../shared/collection-registry.js";
+import { syncSales, querySales, salesCoverage, salesCollections, salesWarehouseDb } from "../../shared/sales-warehouse.js";
 
 const _require = createRequire(realpathSync(process.argv[1]));
 const { Api } = _require("telegram");
@@ -20,45 +28,83 @@ export const manifest = {
 const QUICKCHART_URL = "https://quickchart.io/chart";
 const QUICKCHART_CREATE_URL = "https://quickchart.io/chart/create";
 
-async function getChartShortUrl(chartConfig, width = 800, height = 400, bkg = "#0f172a") {
-  try {
-    const res = await fetch(QUICKCHART_CREATE_URL, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        chart: chartConfig,
-        width: Number(width),
-        height: Number(height),
-        backgroundColor: bkg,
-        format: "png",
-        devicePixelRatio: 2,
-      }),
-      signal: AbortSignal.timeout(15000),
-    });
-    if (!res.ok) throw new Error(`QuickChart POST ${res.status}`);
-    const json = await res.json();
-    if (!json.success || !json.url) throw new Error("QuickChart POST: no url in response");
-    return json.url;
-  } catch (err) {
-    console.warn(`⚠️ QuickChart POST failed (${err.message}), falling back to GET URL`);
-    const params = new URLSearchParams({
-      c: JSON.stringify(chartConfig),
-      w: String(width),
-      h: String(height),
-      bkg,
-      f: "png",
-    });
-    const getUrl = `${QUICKCHART_URL}?${params.toString()}`;
-    if (getUrl.length > 8000) {
-      throw new Error(`Chart URL too long (${getUrl.length} chars) and POST API failed: ${err.message}`);
+// ---------------------------------------------------------------------------
+// Rendering backend — QuickChart with the local SVG renderer as fallback
+// ---------------------------------------------------------------------------
+
+// "auto" renders through QuickChart and falls back to the local renderer when
+// it errors; "quickchart" and "local" force one backend. Set via
+// `chart.renderer` in config.yaml or CHART_RENDERER.
+const RENDERERS = ["auto", "quickchart", "local"];
+let _renderer = RENDERERS.includes(process.env.CHART_RENDERER) ? process.env.CHART_RENDERER : "auto";
+
+function configureRenderer(context) {
+  const configured = context?.config?.chart?.renderer ?? process.env.CHART_RENDERER;
+  _renderer = RENDERERS.includes(configured) ? configured : "auto";
+}
+
+// Configs behind recently created QuickChart short URLs, so a chart whose
+// image download fails can still be rendered locally.
+const _chartSpecs = new Map();
+const CHART_SPECS_MAX = 100;
+
+function rememberChartSpec(url, spec) {
+  _chartSpecs.set(url, spec);
+  if (_chartSpecs.size > CHART_SPECS_MAX) _chartSpecs.delete(_chartSpecs.keys().next().value);
+}
+
+function chartTempDir() {
+  const dir = join(process.env.TELETON_HOME || join(homedir(), ".teleton"), "workspace", "temp");
+  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+/** Locally rendered charts are files in the temp dir; their "URL" is the path. */
+function isLocalChart(url) {
+  return typeof url === "string" && !/^https?:\/\//i.test(url);
+}
+
+function readLocalChart(path) {
+  const file = resolvePath(String(path).replace(/^file:\/\//, ""));
+  if (!file.startsWith(chartTempDir() + sep)) throw new Error(`Not a chart image: ${path}`);
+  return readFileSync(file);
+}
+
+async function renderLocalChart(chartConfig, width, height, bkg) {
+  const png = await renderChartPng(chartConfig, { width: Number(width), height: Number(height), backgroundColor: bkg });
+  const filePath = join(chartTempDir(), `chart_${Date.now()}_${Math.random().toString(36).slice(2, 8)}.png`);
+  writeFileSync(filePath, png);
+  return filePath;
+}
+
+/** Render a chart locally from a remembered spec or a QuickChart GET URL; null when impossible. */
+async function renderFallbackImage(url) {
+  if (_renderer !== "auto") return null;
+  let spec = _chartSpecs.get(url);
+  if (!spec && url.includes("quickchart.io/chart?")) {
+    try {
+      const parsed = new URL(url);
+      spec = {
+        chart: JSON.parse(parsed.searchParams.get("c")),
+        width: Number(parsed.searchParams.get("w")) || 800,
+        height: Number(parsed.searchParams.get("h")) || 400,
+        bkg: parsed.searchParams.get("bkg") || "#0f172a",
+      };
+    } catch {
+      return null;
     }
-    return getUrl;
   }
+  if (!spec) return null;
+  console.warn("⚠️ QuickChart image unavailable, rendering chart locally");
+  return renderChartPng(spec.chart, { width: spec.width, height: spec.height, backgroundColor: spec.bkg });
 }
 
-async function getChartShortUrlV3(chartConfig, width = 800, height = 400, bkg = "#0f172a") {
+async function createChartUrl(chartConfig, width, height, bkg, version) {
+  if (_renderer === "local") return renderLocalChart(chartConfig, width, height, bkg);
+
+  const label = version ? `QuickChart v${version}` : "QuickChart";
   try {
-    const res = await fetch(QUICKCHART_CREATE_URL, {
+    const res = await sourceFetch(QUICKCHART_CREATE_URL, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify({
@@ -68,23 +114,33 @@ async function getChartShortUrlV3(chartConfig, width = 800, height = 400, bkg =
         backgroundColor: bkg,
         format: "png",
         devicePixelRatio: 2,
-        version: "3",
+        ...(version ? { version } : {}),
       }),
       signal: AbortSignal.timeout(15000),
     });
     if (!res.ok) throw new Error(`QuickChart POST ${res.status}`);
     const json = await res.json();
     if (!json.success || !json.url) throw new Error("QuickChart POST: no url in response");
+    rememberChartSpec(json.url, { chart: chartConfig, width: Number(width), height: Number(height), bkg });
     return json.url;
   } catch (err) {
-    console.warn(`⚠️ QuickChart v3 POST failed (${err.message}), falling back to GET URL`);
+    if (_renderer === "auto") {
+      try {
+        const filePath = await renderLocalChart(chartConfig, width, height, bkg);
+        console.warn(`⚠️ ${label} POST failed (${err.message}), rendered locally`);
+        return filePath;
+      } catch (localErr) {
+        console.warn(`⚠️ ${label} POST failed (${err.message}) and local rendering failed (${localErr.message})`);
+      }
+    }
+    console.warn(`⚠️ ${label} POST failed (${err.message}), falling back to GET URL`);
     const params = new URLSearchParams({
       c: JSON.stringify(chartConfig),
       w: String(width),
       h: String(height),
       bkg,
       f: "png",
-      version: "3",
+      ...(version ? { version } : {}),
     });
     const getUrl = `${QUICKCHART_URL}?${params.toString()}`;
     if (getUrl.length > 8000) {
@@ -94,6 +150,14 @@ async function getChartShortUrlV3(chartConfig, width = 800, height = 400, bkg =
   }
 }
 
+async function getChartShortUrl(chartConfig, width = 800, height = 400, bkg = "#0f172a") {
+  return createChartUrl(chartConfig, width, height, bkg, null);
+}
+
+async function getChartShortUrlV3(chartConfig, width = 800, height = 400, bkg = "#0f172a") {
+  return createChartUrl(chartConfig, width, height, bkg, "3");
+}
+
 const PERIOD_CONFIG = {
   "1h": { seconds: 3600, points: 60 },
   "24h": { seconds: 86400, points: 96 },
@@ -114,7 +178,7 @@ async function fetchPriceData(token, period, tonapiKey) {
   const headers = { Accept: "application/json" };
   if (tonapiKey) headers["Authorization"] = `Bearer ${tonapiKey}`;
 
-  const res = await fetch(url, { headers, signal: AbortSignal.timeout(15000) });
+  const res = await sourceFetch(url, { headers, signal: AbortSignal.timeout(15000) });
   if (!res.ok) return null;
 
   const data = await res.json();
@@ -125,7 +189,199 @@ async function fetchPriceData(token, period, tonapiKey) {
     .map(([ts, price]) => ({ timestamp: ts, price }));
 }
 
-async function buildChartUrl(points, label, period) {
+// ---------------------------------------------------------------------------
+// Technical indicators — overlays on the price axis and stacked lower panes
+// ---------------------------------------------------------------------------
+
+const OVERLAY_COLORS = {
+  sma: ["#f59e0b", "#eab308", "#fb923c"],
+  ema: ["#a855f7", "#ec4899", "#06b6d4"],
+  bb: "#60a5fa",
+  vwap: "#facc15",
+};
+const PANE_HEIGHT = 140;
+
+const roundIndicator = (v) => (v === null || v === undefined ? null : Math.round(v * 10000) / 10000);
+
+function paneAxis(title, extra = {}) {
+  return {
+    position: "left",
+    stack: "panes",
+    stackWeight: 1,
+    title: { display: true, text: title, color: "#94a3b8", font: { size: 10 } },
+    ticks: { color: "#94a3b8", font: { size: 10 }, maxTicksLimit: 3 },
+    grid: { color: "rgba(148,163,184,0.1)" },
+    ...extra,
+  };
+}
+
+/**
+ * Datasets and axes for the requested indicators. `series` holds closes plus
+ * optional highs/lows/volumes aligned with the chart labels; `overlays` and
+ * `panes` are specs such as "sma:20", "bb:20:2", "rsi:14", "macd", "volume".
+ * Pane axes share the "panes" stack with the price axis `priceAxisId`; they
+ * are listed bottom-up because Chart.js puts the last left-side axis on top.
+ */
+function buildIndicatorLayers(series, overlays = [], panes = [], priceAxisId = "y") {
+  const { closes, highs, lows, volumes } = series;
+  const hasVolume = Array.isArray(volumes) && volumes.length === closes.length && volumes.some((v) => v > 0);
+  const datasets = [];
+  const paneScales = [];
+  const latest = {};
+  const skipped = [];
+  const line = (label, data, color, extra = {}) => ({
+    label,
+    data: data.map(roundIndicator),
+    type: "line",
+    borderColor: color,
+    borderWidth: 1.5,
+    pointRadius: 0,
+    fill: false,
+    tension: 0,
+    yAxisID: priceAxisId,
+    order: 0,
+    ...extra,
+  });
+  const used = { sma: 0, ema: 0 };
+
+  for (const spec of overlays) {
+    const ind = parseIndicator(spec);
+    if (!ind || !["sma", "ema", "bb", "vwap"].includes(ind.type)) {
+      skipped.push({ indicator: spec, reason: 'unknown overlay (use "sma:20" or "sma20", "ema:50", "bb:20:2", "vwap")' });
+      continue;
+    }
+    const [n, k] = ind.params;
+    if (ind.type === "sma" || ind.type === "ema") {
+      const values = ind.type === "sma" ? sma(closes, n) : ema(closes, n);
+      const color = OVERLAY_COLORS[ind.type][used[ind.type]++ % OVERLAY_COLORS[ind.type].length];
+      datasets.push(line(`${ind.type.toUpperCase()} ${n}`, values, color));
+      latest[`${ind.type}_${n}`] = roundIndicator(lastValue(values));
+    } else if (ind.type === "bb") {
+      const bands = bollinger(closes, n, k);
+      const color = OVERLAY_COLORS.bb;
+      datasets.push(line(`BB ${n},${k}`, bands.upper, color, { borderWidth: 1, fill: "+1", backgroundColor: "rgba(96,165,250,0.08)" }));
+      datasets.push(line("", bands.lower, color, { borderWidth: 1 }));
+      datasets.push(line("", bands.middle, color, { borderWidth: 1, borderDash: [4, 4] }));
+      const upper = lastValue(bands.upper);
+      const lower = lastValue(bands.lower);
+      const close = lastValue(closes);
+      latest[`bb_${n}_${k}`] = upper === null ? null : {
+        upper: roundIndicator(upper),
+        middle: roundIndicator(lastValue(bands.middle)),
+        lower: roundIndicator(lower),
+        percent_b: upper > lower ? Math.round(((close - lower) / (upper - lower)) * 100) / 100 : null,
+      };
+    } else if (!hasVolume) {
+      skipped.push({ indicator: spec, reason: "VWAP needs volume data" });
+    } else {
+      const typical = closes.map((c, i) => (highs && lows ? (highs[i] + lows[i] + c) / 3 : c));
+      const values = vwap(typical, volumes);
+      datasets.push(line("VWAP", values, OVERLAY_COLORS.vwap, { borderDash: [6, 3] }));
+      latest.vwap = roundIndicator(lastValue(values));
+    }
+  }
+
+  for (const spec of panes) {
+    const ind = parseIndicator(spec);
+    if (!ind || !["rsi", "macd", "volume"].includes(ind.type)) {
+      skipped.push({ indicator: spec, reason: 'unknown pane (use "rsi:14" or "rsi14", "macd:12:26:9", "volume")' });
+      continue;
+    }
+    if (ind.type === "rsi") {
+      const [n] = ind.params;
+      const values = rsi(closes, n);
+      const id = `rsi${paneScales.length}`;
+      paneScales.push([id, paneAxis(`RSI ${n}`, { min: 0, max: 100, ticks: { color: "#94a3b8", font: { size: 10 }, stepSize: 50 } })]);
+      datasets.push(line(`RSI ${n}`, values, "#a855f7", { yAxisID: id }));
+      datasets.push(line("", closes.map(() => 70), "rgba(239,68,68,0.6)", { yAxisID: id, borderWidth: 1, borderDash: [4, 4] }));
+      datasets.push(line("", closes.map(() => 30), "rgba(34,197,94,0.6)", { yAxisID: id, borderWidth: 1, borderDash: [4, 4] }));
+      const value = roundIndicator(lastValue(values));
+      latest[`rsi_${n}`] = value === null ? null : {
+        value: Math.round(value * 10) / 10,
+        state: value <= 30 ? "oversold" : value >= 70 ? "overbought" : "neutral",
+      };
+    } else if (ind.type === "macd") {
+      const [fast, slow, signalPeriod] = ind.params;
+      const m = macd(closes, fast, slow, signalPeriod);
+      const id = `macd${paneScales.length}`;
+      paneScales.push([id, paneAxis(`MACD ${fast},${slow},${signalPeriod}`)]);
+      datasets.push({
+        label: "",
+        data: m.histogram.map(roundIndicator),
+        type: "bar",
+        backgroundColor: m.histogram.map((v) => (v !== null && v < 0 ? "rgba(239,68,68,0.6)" : "rgba(34,197,94,0.6)")),
+        yAxisID: id,
+        grouped: false,
+        order: 5,
+      });
+      datasets.push(line("MACD", m.macd, "#3b82f6", { yAxisID: id }));
+      datasets.push(line("Signal", m.signal, "#f97316", { yAxisID: id }));
+      const hist = lastValue(m.histogram);
+      latest[`macd_${fast}_${slow}_${signalPeriod}`] = hist === null ? null : {
+        macd: roundIndicator(lastValue(m.macd)),
+        signal: roundIndicator(lastValue(m.signal)),
+        histogram: roundIndicator(hist),
+        trend: hist >= 0 ? "bullish" : "bearish",
+      };
+    } else if (!hasVolume) {
+      skipped.push({ indicator: spec, reason: "no volume data" });
+    } else {
+      const id = `vol${paneScales.length}`;
+      paneScales.push([id, paneAxis("Объём", { beginAtZero: true })]);
+      datasets.push({
+        label: "",
+        data: volumes,
+        type: "bar",
+        backgroundColor: "rgba(99,102,241,0.5)",
+        yAxisID: id,
+        grouped: false,
+        order: 5,
+      });
+    }
+  }
+
+  return {
+    datasets,
+    // Bottom pane first — see the note above.
+    paneScales: Object.fromEntries([...paneScales].reverse()),
+    paneCount: paneScales.length,
+    latest,
+    skipped,
+  };
+}
+
+/**
+ * Put the price axis on the shared stack above the indicator panes. Base
+ * datasets must name their yAxisID — without one Chart.js binds them to the
+ * first y scale, which is now a pane.
+ */
+function stackPriceAxis(scales, layers, priceAxisId = "y") {
+  if (!layers || layers.paneCount === 0) return scales;
+  return {
+    ...layers.paneScales,
+    ...scales,
+    [priceAxisId]: { ...scales[priceAxisId], stack: "panes", stackWeight: Math.max(2, layers.paneCount + 1) },
+  };
+}
+
+const INDICATOR_PARAMS = {
+  overlays: {
+    type: "array",
+    items: { type: "string" },
+    description:
+      'Indicator overlays on the price: "sma:20", "ema:50", "bb:20:2" (Bollinger Bands, period:std-devs), "vwap" (needs volumes); "sma20" style also works. ' +
+      "Computed server-side; latest values are returned in `indicators`.",
+  },
+  panes: {
+    type: "array",
+    items: { type: "string" },
+    description:
+      'Lower indicator panes under the price: "rsi:14", "macd:12:26:9", "volume" (needs volumes); "rsi14" style also works. ' +
+      "RSI ≤ 30 is reported as oversold, ≥ 70 as overbought.",
+  },
+};
+
+async function buildChartUrl(points, label, period, layers = null) {
   const labels = points.map((p) => {
     const d = new Date(p.timestamp * 1000);
     if (period === "1h" || period === "24h") {
@@ -156,7 +412,9 @@ async function buildChartUrl(points, label, period) {
           pointRadius: 0,
           fill: true,
           tension: 0.3,
+          yAxisID: "y",
         },
+        ...(layers ? layers.datasets : []),
       ],
     },
     options: {
@@ -167,9 +425,11 @@ async function buildChartUrl(points, label, period) {
           font: { size: 16, weight: "bold" },
           color: "#e2e8f0",
         },
-        legend: { display: false },
+        legend: layers?.datasets.length
+          ? { display: true, position: "bottom", labels: { color: "#f1f5f9", boxWidth: 12, font: { size: 11 } } }
+          : { display: false },
       },
-      scales: {
+      scales: stackPriceAxis({
         x: {
           ticks: { color: "#94a3b8", maxRotation: 0, font: { size: 10 } },
           grid: { color: "rgba(148,163,184,0.15)" },
@@ -181,11 +441,13 @@ async function buildChartUrl(points, label, period) {
           },
           grid: { color: "rgba(148,163,184,0.15)" },
         },
-      },
+      }, layers),
       layout: { padding: { top: 5, right: 15, bottom: 5, left: 5 } },
     },
   };
 
+  // Stacked panes are a Chart.js v3 feature.
+  if (layers?.paneCount) return getChartShortUrlV3(chartConfig, 800, 400 + layers.paneCount * PANE_HEIGHT, "#0f172a");
   return getChartShortUrl(chartConfig, 800, 400, "#0f172a");
 }
 
@@ -194,7 +456,8 @@ const marketChart = {
   category: "data-bearing",
   description:
     "Generate a price chart image for TON or any jetton and send it as a photo to the current chat/channel. " +
-    "Uses QuickChart.io to render a professional chart from TonAPI price data.",
+    "Uses QuickChart.io to render a professional chart from TonAPI price data. " +
+    "Optional technical indicators: overlays (SMA/EMA/Bollinger) and lower panes (RSI/MACD), with latest values returned.",
 
   parameters: {
     type: "object",
@@ -220,6 +483,7 @@ const marketChart = {
         type: "boolean",
         description: "If true, return chart URL without sending to chat. Use with telegram_send_album to combine multiple charts in one post.",
       },
+      ...INDICATOR_PARAMS,
     },
   },
 
@@ -240,7 +504,13 @@ const marketChart = {
       const changePct = ((endPrice - startPrice) / startPrice * 100).toFixed(2);
       const tokenLabel = token === "ton" ? "TON/USD" : token.slice(0, 12) + "...";
 
-      const chartUrl = await buildChartUrl(points, tokenLabel, period);
+      const layers = params.overlays?.length || params.panes?.length
+        ? buildIndicatorLayers({ closes: points.map((p) => p.price) }, params.overlays, params.panes)
+        : null;
+      const chartUrl = await buildChartUrl(points, tokenLabel, period, layers);
+      const indicatorData = layers
+        ? { indicators: layers.latest, ...(layers.skipped.length ? { indicators_skipped: layers.skipped } : {}) }
+        : {};
 
       if (params.return_url_only) {
         return {
@@ -253,6 +523,7 @@ const marketChart = {
             end_price: endPrice,
             change_percent: parseFloat(changePct),
             points_count: points.length,
+            ...indicatorData,
           },
         };
       }
@@ -284,6 +555,7 @@ const marketChart = {
           end_price: endPrice,
           change_percent: parseFloat(changePct),
           points_count: points.length,
+          ...indicatorData,
         },
       };
     } catch (err) {
@@ -294,6 +566,15 @@ const marketChart = {
 
 const GIFTSTAT_API = "https://api.giftstat.app";
 
+// Marketplace credentials for the sales warehouse and collection registry.
+function getMarketAppToken(context) {
+  return context?.config?.marketapp_api_token || process.env.MARKETAPP_API_TOKEN || null;
+}
+
+function getGetGemsKey(context) {
+  return context?.config?.getgems_api_key || process.env.GETGEMS_API_KEY || null;
+}
+
 const COLLECTION_COLORS = [
   "#FF6B6B", "#00FF88", "#00D4FF", "#FFD700", "#FF00FF",
   "#FF8C00", "#00FFFF", "#FF4081", "#76FF03", "#E040FB",
@@ -306,7 +587,7 @@ async function fetchGiftFloorHistory(collections, days, marketplace) {
   url.searchParams.set("days", String(days));
   url.searchParams.set("limit", "10000");
 
-  const res = await fetch(url, { signal: AbortSignal.timeout(15000) });
+  const res = await sourceFetch(url, { signal: AbortSignal.timeout(15000) });
   if (!res.ok) throw new Error(`Giftstat API error: ${res.status}`);
   const json = await res.json();
   if (!Array.isArray(json.data) || json.data.length === 0) return null;
@@ -342,7 +623,7 @@ async function fetchTopCollections(marketplace, limit) {
   url.searchParams.set("marketplace", marketplace);
   url.searchParams.set("limit", String(limit));
 
-  const res = await fetch(url, { signal: AbortSignal.timeout(15000) });
+  const res = await sourceFetch(url, { signal: AbortSignal.timeout(15000) });
   if (!res.ok) return [];
   const json = await res.json();
   if (!Array.isArray(json.data)) return [];
@@ -722,7 +1003,7 @@ async function fetchAllCollections(marketplace) {
   url.searchParams.set("marketplace", marketplace);
   url.searchParams.set("limit", "200");
 
-  const res = await fetch(url, { signal: AbortSignal.timeout(15000) });
+  const res = await sourceFetch(url, { signal: AbortSignal.timeout(15000) });
   if (!res.ok) return [];
   const json = await res.json();
   if (!Array.isArray(json.data)) return [];
@@ -1223,19 +1504,39 @@ const barChart = {
 };
 
 async function downloadChartImage(url, timeoutMs = 15000) {
+  if (isLocalChart(url)) {
+    const buf = readLocalChart(url);
+    return new CustomFile("chart.png", buf.length, "", buf);
+  }
   const controller = new AbortController();
   const timer = setTimeout(() => controller.abort(), timeoutMs);
   try {
-    const res = await fetch(url, { signal: controller.signal });
+    const res = await sourceFetch(url, { signal: controller.signal });
     if (!res.ok) throw new Error(`HTTP ${res.status} downloading chart`);
     const buf = Buffer.from(await res.arrayBuffer());
     return new CustomFile("chart.png", buf.length, "", buf);
+  } catch (err) {
+    const buf = await renderFallbackImage(url);
+    if (!buf) throw err;
+    return new CustomFile("chart.png", buf.length, "", buf);
   } finally {
     clearTimeout(timer);
   }
 }
 
 async function downloadImage(url, timeoutMs = 15000) {
+  if (isLocalChart(url)) return readLocalChart(url);
+
+  try {
+    return await fetchRemoteImage(url, timeoutMs);
+  } catch (err) {
+    const buf = await renderFallbackImage(url);
+    if (!buf) throw err;
+    return buf;
+  }
+}
+
+async function fetchRemoteImage(url, timeoutMs) {
   console.log(`📥 downloadImage: ${url.length} chars, url=${url.substring(0, 120)}${url.length > 120 ? "..." : ""}`);
 
   if (url.includes("quickchart.io/chart?") && url.length > 2000) {
@@ -1256,7 +1557,7 @@ async function downloadImage(url, timeoutMs = 15000) {
         };
         if (version) body.version = version;
 
-        const postRes = await fetch(QUICKCHART_CREATE_URL, {
+        const postRes = await sourceFetch(QUICKCHART_CREATE_URL, {
           method: "POST",
           headers: { "Content-Type": "application/json" },
           body: JSON.stringify(body),
@@ -1278,7 +1579,7 @@ async function downloadImage(url, timeoutMs = 15000) {
   const controller = new AbortController();
   const timer = setTimeout(() => controller.abort(), timeoutMs);
   try {
-    const res = await fetch(url, { signal: controller.signal });
+    const res = await sourceFetch(url, { signal: controller.signal });
     if (!res.ok) {
       const body = await res.text().catch(() => "");
       throw new Error(`HTTP ${res.status} (url=${url.substring(0, 200)}, body=${body.substring(0, 200)})`);
@@ -1397,6 +1698,117 @@ async function composeDashboard(chartUrls, options = {}) {
   return dashboard;
 }
 
+// ---------------------------------------------------------------------------
+// Tile dashboards — charts, KPIs, tables, text and headers on an explicit grid
+// ---------------------------------------------------------------------------
+
+const TILE_TYPES = ["chart", "kpi", "table", "text", "header"];
+
+/** Default column span per tile type on a `columns`-wide grid. */
+function defaultTileSpan(type, columns) {
+  if (type === "kpi") return 1;
+  if (type === "table" || type === "text") return Math.ceil(columns / 2);
+  return columns;
+}
+
+/**
+ * Lay tiles out left to right on a `columns`-wide grid: each tile takes
+ * `span` columns and a row wraps when the next tile does not fit (or the
+ * tile sets `new_row`). A row is as tall as its tallest tile; KPI, table and
+ * text cards stretch to the row height, charts keep their aspect ratio.
+ * `height` on a tile overrides its natural height.
+ */
+async function composeTileDashboard(tiles, options = {}) {
+  let sharp;
+  try {
+    sharp = (await import("sharp")).default;
+  } catch {
+    throw new Error("sharp library not available for dashboard composition");
+  }
+
+  const DARK_BG = { r: 15, g: 23, b: 42, alpha: 255 };
+  const PADDING = 20;
+  const GAP = 16;
+  const DASHBOARD_WIDTH = options.width || 1200;
+  const columns = Math.min(Math.max(Math.round(options.columns) || 4, 1), 6);
+  const contentWidth = DASHBOARD_WIDTH - PADDING * 2;
+  const columnWidth = (contentWidth - (columns - 1) * GAP) / columns;
+
+  const cells = await Promise.all(tiles.map(async (tile) => {
+    const span = Math.min(Math.max(Math.round(tile.span) || defaultTileSpan(tile.type, columns), 1), columns);
+    const width = Math.round(span * columnWidth + (span - 1) * GAP);
+    const fixed = Number(tile.height) > 0 ? Math.min(Math.round(tile.height), 1600) : null;
+    if (tile.type === "chart") {
+      const buf = await downloadImage(tile.url);
+      const meta = await sharp(buf).metadata();
+      const height = fixed || Math.round(width * (meta.height || 400) / (meta.width || 800));
+      return { tile, span, width, height, buf };
+    }
+    return { tile, span, width, height: fixed || Math.round(measurePanel(tile, width)) };
+  }));
+
+  const rows = [];
+  let used = columns;
+  for (const cell of cells) {
+    if (used + cell.span > columns || cell.tile.new_row) {
+      rows.push([]);
+      used = 0;
+    }
+    rows[rows.length - 1].push(cell);
+    used += cell.span;
+  }
+
+  const composites = [];
+  let currentY = PADDING;
+
+  for (const row of rows) {
+    const rowHeight = Math.max(...row.map((c) => c.height));
+    let left = PADDING;
+    for (const cell of row) {
+      let input;
+      if (cell.tile.type === "chart") {
+        input = await sharp(cell.buf)
+          .resize(cell.width, cell.height, { fit: "contain", background: DARK_BG })
+          .toBuffer();
+      } else {
+        input = await renderPanelPng(cell.tile, { width: cell.width, height: rowHeight });
+      }
+      composites.push({ input, left, top: currentY });
+      left += cell.width + GAP;
+    }
+    currentY += rowHeight + GAP;
+  }
+
+  const totalHeight = currentY - GAP + PADDING;
+  if (totalHeight > 12000) throw new Error(`Dashboard too tall (${totalHeight}px) — split it into several images`);
+
+  return sharp({
+    create: {
+      width: DASHBOARD_WIDTH,
+      height: totalHeight,
+      channels: 4,
+      background: DARK_BG,
+    },
+  })
+    .composite(composites)
+    .png({ quality: 90 })
+    .toBuffer();
+}
+
+/** Validate tiles, returning an error message or null. */
+function validateTiles(tiles) {
+  if (tiles.length > 24) return "Maximum 24 tiles per dashboard";
+  for (const [i, tile] of tiles.entries()) {
+    if (!tile || !TILE_TYPES.includes(tile.type)) return `tiles[${i}]: type must be one of ${TILE_TYPES.join(", ")}`;
+    if (tile.type === "chart" && !tile.url) return `tiles[${i}]: chart tile needs url`;
+    if (tile.type === "kpi" && (tile.value === undefined || tile.value === null)) return `tiles[${i}]: kpi tile needs value`;
+    if (tile.type === "table" && !Array.isArray(tile.rows)) return `tiles[${i}]: table tile needs rows`;
+    if ((tile.type === "text" || tile.type === "header") && !tile.text) return `tiles[${i}]: ${tile.type} tile needs text`;
+  }
+  if (tiles.filter((t) => t.type === "chart").length > 8) return "Maximum 8 charts per dashboard";
+  return null;
+}
+
 const dashboardTool = {
   name: "chart_dashboard",
   category: "data-bearing",
@@ -1408,6 +1820,8 @@ const dashboardTool = {
     "then pass their chart_url values here. The result is a single tall image with all charts arranged professionally — " +
     "like a Bloomberg terminal dashboard. Send via telegram_send_photo. " +
     "Layout modes: 'auto' (smart 1-2 column), 'grid' (force 2 columns), 'stack' (all full-width). " +
+    "For reports pass tiles instead: charts plus KPI numbers with deltas (floor index, 24h volume, TON rate), " +
+    "small tables, text blocks and section headers on an explicit grid of `columns` (each tile spans 1..columns). " +
     "Dashboard modes: 'trading' (candlestick+volume+heatmap), 'whale' (whale_activity+dominance), 'distribution' (histogram+floor+turnover).",
 
   parameters: {
@@ -1416,12 +1830,47 @@ const dashboardTool = {
       chart_urls: {
         type: "array",
         items: { type: "string" },
-        description: "Array of chart image URLs from other chart tools (use return_url_only=true). 2-6 charts recommended.",
+        description: "Array of chart_url values from other chart tools (use return_url_only=true) — QuickChart URLs or locally rendered file paths. 2-6 charts recommended.",
+      },
+      tiles: {
+        type: "array",
+        description:
+          "Grid tiles, placed left to right and wrapped into rows (replaces chart_urls + layout). Types: " +
+          "chart {url}; kpi {label, value, unit, delta (percent change), delta_label, note}; " +
+          "table {title, columns, rows (array of arrays, max 20)}; text {title, text}; header {text, subtitle}. " +
+          "Every tile accepts span (columns, default: kpi 1, table/text half, chart/header full), " +
+          "height (px, default: natural height) and new_row (start a new row).",
+        items: {
+          type: "object",
+          properties: {
+            type: { type: "string", enum: TILE_TYPES },
+            url: { type: "string" },
+            label: { type: "string" },
+            value: { type: ["number", "string"] },
+            unit: { type: "string" },
+            delta: { type: "number" },
+            delta_label: { type: "string" },
+            note: { type: "string" },
+            title: { type: "string" },
+            text: { type: "string" },
+            subtitle: { type: "string" },
+            columns: { type: "array", items: { type: "string" } },
+            rows: { type: "array", items: { type: "array" } },
+            span: { type: "integer" },
+            height: { type: "integer" },
+            new_row: { type: "boolean" },
+          },
+          required: ["type"],
+        },
+      },
+      columns: {
+        type: "integer",
+        description: "Grid columns for tiles (1-6, default: 4).",
       },
       mode: {
         type: "string",
         enum: ["default", "trading", "whale", "distribution"],
-        description: "Dashboard preset mode. 'default' = bar+line+pie, 'trading' = candlestick+volume+heatmap, 'whale' = whale_activity+dominance, 'distribution' = histogram+floor+turnover. Only affects the description hint for LLM — chart_urls still required.",
+        description: "Dashboard preset mode. 'default' = bar+line+pie, 'trading' = candlestick+volume+heatmap, 'whale' = whale_activity+dominance, 'distribution' = histogram+floor+turnover. Only affects the description hint for LLM — chart_urls or tiles still required.",
       },
       layout: {
         type: "string",
@@ -1445,31 +1894,31 @@ const dashboardTool = {
         description: "If true, save to temp file and return the file path instead of sending. Use to pass to telegram_send_album.",
       },
     },
-    required: ["chart_urls"],
   },
 
   execute: async (params, context) => {
     try {
-      const { chart_urls, layout, width, caption } = params;
-
-      if (!chart_urls || chart_urls.length === 0) {
-        return { success: false, error: "No chart_urls provided" };
-      }
-      if (chart_urls.length > 8) {
+      const { chart_urls, tiles, layout, width, caption } = params;
+      const useTiles = Array.isArray(tiles) && tiles.length > 0;
+
+      if (useTiles) {
+        const invalid = validateTiles(tiles);
+        if (invalid) return { success: false, error: invalid };
+      } else if (!chart_urls || chart_urls.length === 0) {
+        return { success: false, error: "No chart_urls or tiles provided" };
+      } else if (chart_urls.length > 8) {
         return { success: false, error: "Maximum 8 charts per dashboard" };
       }
 
-      console.log(`🎨 Composing dashboard: ${chart_urls.length} charts, layout=${layout || "auto"}`);
+      const chartsCount = useTiles ? tiles.filter((t) => t.type === "chart").length : chart_urls.length;
+      const layoutName = useTiles ? `tiles:${params.columns || 4}` : layout || "auto";
+      console.log(`🎨 Composing dashboard: ${useTiles ? `${tiles.length} tiles, ` : ""}${chartsCount} charts, layout=${layoutName}`);
 
-      const dashboardBuffer = await composeDashboard(chart_urls, { layout, width });
+      const dashboardBuffer = useTiles
+        ? await composeTileDashboard(tiles, { columns: params.columns, width })
+        : await composeDashboard(chart_urls, { layout, width });
 
-      const { writeFileSync, mkdirSync, existsSync } = await import("node:fs");
-      const { join } = await import("node:path");
-      const { homedir } = await import("node:os");
-      const teletoneHome = process.env.TELETON_HOME || join(homedir(), ".teleton");
-      const tmpDir = join(teletoneHome, "workspace", "temp");
-      if (!existsSync(tmpDir)) mkdirSync(tmpDir, { recursive: true });
-      const filePath = join(tmpDir, `dashboard_${Date.now()}.png`);
+      const filePath = join(chartTempDir(), `dashboard_${Date.now()}.png`);
       writeFileSync(filePath, dashboardBuffer);
 
       console.log(`📊 Dashboard saved: ${filePath} (${(dashboardBuffer.length / 1024).toFixed(0)} KB)`);
@@ -1480,8 +1929,9 @@ const dashboardTool = {
           data: {
             file_path: filePath,
             size_kb: Math.round(dashboardBuffer.length / 1024),
-            charts_count: chart_urls.length,
-            layout: layout || "auto",
+            charts_count: chartsCount,
+            ...(useTiles ? { tiles_count: tiles.length } : {}),
+            layout: layoutName,
           },
         };
       }
@@ -1503,7 +1953,8 @@ const dashboardTool = {
         data: {
           file_path: filePath,
           size_kb: Math.round(dashboardBuffer.length / 1024),
-          charts_count: chart_urls.length,
+          charts_count: chartsCount,
+          ...(useTiles ? { tiles_count: tiles.length } : {}),
           sent_to: params.chat_id,
         },
       };
@@ -1998,6 +2449,287 @@ const giftDominance = {
   },
 };
 
+// ---------------------------------------------------------------------------
+// Market map — finviz-style treemap of gift collections
+// ---------------------------------------------------------------------------
+
+// Red → grey → green, reached at ±cap % change.
+const MARKET_MAP_STOPS = [
+  [-1, "#f63538"], [-0.5, "#bf4045"], [-0.15, "#8b444e"], [0, "#414554"],
+  [0.15, "#35764e"], [0.5, "#2f9e4f"], [1, "#30cc5a"],
+];
+const MARKET_MAP_CAP = { "24h": 10, "7d": 25 };
+const MARKET_MAP_VOLUME_PAGES = 5;
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+function changeColor(pct, cap) {
+  const t = Math.max(-1, Math.min(1, (pct || 0) / cap));
+  for (let i = 1; i < MARKET_MAP_STOPS.length; i++) {
+    const [t1, c1] = MARKET_MAP_STOPS[i];
+    if (t > t1) continue;
+    const [t0, c0] = MARKET_MAP_STOPS[i - 1];
+    const f = (t - t0) / (t1 - t0);
+    const a = hexToRgb(c0);
+    const b = hexToRgb(c1);
+    return `rgb(${a.map((v, k) => Math.round(v + (b[k] - v) * f)).join(",")})`;
+  }
+  return MARKET_MAP_STOPS[MARKET_MAP_STOPS.length - 1][1];
+}
+
+function compactTon(v) {
+  if (v >= 1e6) return `${(v / 1e6).toFixed(1)}M`;
+  if (v >= 1e3) return `${(v / 1e3).toFixed(1)}K`;
+  return String(Math.round(v));
+}
+
+/**
+ * Collection key → thematic name from Giftstat `current/thematics/lines`.
+ * The rows are either a thematic with its lines or one line per row with its
+ * thematic; both are read.
+ */
+async function fetchThematicLines() {
+  const url = new URL("/current/thematics/lines", GIFTSTAT_API);
+  url.searchParams.set("limit", "1000");
+  const res = await sourceFetch(url, { signal: AbortSignal.timeout(15000) });
+  if (!res.ok) throw new Error(`Giftstat API error: ${res.status}`);
+  const json = await res.json();
+  const rows = Array.isArray(json) ? json : json.data || json.items || [];
+
+  const themes = new Map();
+  const add = (collection, theme) => {
+    const key = normalizeCollectionKey(collection);
+    if (key && theme && !themes.has(key)) themes.set(key, String(theme));
+  };
+  for (const row of rows) {
+    if (!row || typeof row !== "object") continue;
+    const members = row.collections || row.lines || row.items || row.gifts;
+    if (Array.isArray(members)) {
+      const theme = row.thematic || row.thematic_name || row.theme || row.name || row.title;
+      for (const m of members) {
+        if (typeof m === "string") add(m, theme);
+        else if (m) for (const k of [m.collection, m.slug, m.collection_slug, m.name, m.line]) add(k, theme);
+      }
+    } else {
+      const theme = row.thematic || row.thematic_name || row.theme || row.category;
+      for (const k of [row.collection, row.slug, row.collection_slug, row.line, row.line_name]) add(k, theme);
+    }
+  }
+  return themes;
+}
+
+/**
+ * TON volume per collection key since `since` from the sales warehouse, after
+ * a budgeted sync of the global GetGems gift feed.
+ */
+async function loadCollectionVolumes(db, since, context) {
+  const results = await syncSales(db, [], { getgemsKey: getGetGemsKey(context), maxPages: MARKET_MAP_VOLUME_PAGES });
+  const volumes = new Map();
+  for (const c of salesCollections(db, since)) {
+    const key = normalizeCollectionKey(c.collection_name);
+    if (key) volumes.set(key, (volumes.get(key) || 0) + c.volume_ton);
+  }
+  const feed = salesCoverage(db).feeds.find((f) => f.source === "getgems_gifts");
+  return {
+    volumes,
+    incomplete: !feed || (!feed.backfill_done && (feed.oldest_time === null || feed.oldest_time > since)),
+    errors: results.filter((r) => r.error).map((r) => r.error),
+  };
+}
+
+const giftMarketMap = {
+  name: "gift_market_map",
+  category: "data-bearing",
+  description:
+    "Generate a finviz-style market map (treemap) of gift collections: each rectangle is sized by market cap (floor × supply) " +
+    "or sales volume and colored by 24h or 7d floor change (red = down, green = up). " +
+    "Optionally grouped by Giftstat thematic lines. One image; use return_url_only to put it in chart_dashboard.",
+
+  parameters: {
+    type: "object",
+    properties: {
+      size_by: {
+        type: "string",
+        enum: ["market_cap", "volume"],
+        description: "Rectangle size: 'market_cap' = floor × supply (default), 'volume' = TON sales volume over the period (GetGems sales).",
+      },
+      period: {
+        type: "string",
+        enum: ["24h", "7d"],
+        description: "Floor change used for the color, and the volume window (default: 24h).",
+      },
+      group_by_theme: {
+        type: "boolean",
+        description: "Group collections by Giftstat thematic lines (default: false).",
+      },
+      top_count: {
+        type: "integer",
+        description: "Number of collections, largest first (default: 40, max: 80).",
+      },
+      min_floor: {
+        type: "number",
+        description: "Minimum floor price in TON to include (default: 1).",
+      },
+      marketplace: {
+        type: "string",
+        enum: ["portals", "tonnel", "getgems"],
+        description: "Marketplace for floor data (default: portals).",
+      },
+      caption: { type: "string", description: "Optional caption." },
+      chat_id: { type: "string", description: "Target chat/channel." },
+      return_url_only: { type: "boolean", description: "Return URL only for dashboard composition." },
+    },
+  },
+
+  execute: async (params, context) => {
+    try {
+      const sizeBy = params.size_by === "volume" ? "volume" : "market_cap";
+      const period = params.period === "7d" ? "7d" : "24h";
+      const topCount = Math.min(params.top_count || 40, 80);
+      const minFloor = params.min_floor ?? 1;
+      const marketplace = params.marketplace || "portals";
+      const chatId = params.chat_id || context.chatId;
+
+      const allCollections = await fetchAllCollections(marketplace);
+      if (allCollections.length === 0) return { success: false, error: "No collections data" };
+
+      const notes = {};
+      let volumes = null;
+      if (sizeBy === "volume") {
+        const warehouse = salesWarehouseDb(context.db);
+        if (!warehouse) return { success: false, error: "Database not available — volume sizing needs the sales warehouse" };
+        const since = Math.floor(Date.now() / 1000) - (period === "7d" ? 7 : 1) * 86400;
+        const loaded = await loadCollectionVolumes(warehouse, since, context);
+        if (loaded.volumes.size === 0) {
+          return { success: false, error: `No sales volume stored for the last ${period}${loaded.errors.length ? `: ${loaded.errors[0]}` : " — GetGems API key needed"}` };
+        }
+        volumes = loaded.volumes;
+        if (loaded.incomplete) notes.volume_incomplete = true;
+        if (loaded.errors.length) notes.sync_errors = loaded.errors;
+      }
+
+      let themes = null;
+      if (params.group_by_theme) {
+        try {
+          themes = await fetchThematicLines();
+          if (themes.size === 0) throw new Error("no thematic lines returned");
+        } catch (err) {
+          themes = null;
+          notes.grouping_unavailable = String(err.message || err).slice(0, 200);
+        }
+      }
+
+      const prevField = period === "7d" ? "floor_price_prev7day" : "floor_price_prev1day";
+      const items = allCollections
+        .filter((c) => c.floor_price >= minFloor && (c.collection || c.slug))
+        .map((c) => {
+          const name = c.collection || c.slug;
+          const keys = [normalizeCollectionKey(c.collection), normalizeCollectionKey(c.slug)].filter(Boolean);
+          const supply = c.total_supply || c.supply || 0;
+          const size = sizeBy === "volume"
+            ? keys.reduce((v, k) => v || volumes.get(k) || 0, 0)
+            : c.floor_price * supply;
+          const prev = c[prevField];
+          const theme = themes ? keys.map((k) => themes.get(k)).find(Boolean) || "Другое" : undefined;
+          return {
+            name,
+            size: Math.round(size),
+            floor: c.floor_price,
+            change: prev > 0 ? Math.round(((c.floor_price - prev) / prev) * 1000) / 10 : 0,
+            ...(theme ? { theme } : {}),
+          };
+        })
+        .filter((c) => c.size > 0)
+        .sort((a, b) => b.size - a.size)
+        .slice(0, topCount);
+
+      if (items.length === 0) {
+        return { success: false, error: sizeBy === "market_cap" ? "No collections with floor and supply data" : "No collections with sales in the period" };
+      }
+
+      const cap = MARKET_MAP_CAP[period];
+      const sizeLabel = sizeBy === "volume" ? `объём ${period}` : "капитализация";
+      const title = `Карта рынка подарков — ${marketplace}`;
+      const chartConfig = {
+        type: "treemap",
+        data: {
+          datasets: [{
+            tree: items,
+            key: "size",
+            ...(themes ? { groups: ["theme"] } : {}),
+            spacing: 1,
+            borderWidth: 0,
+            backgroundColor: (ctx) => (ctx.raw.l === 0 && themes ? "#1e293b" : changeColor(ctx.raw._data.change, cap)),
+            captions: { display: true, color: "#cbd5e1", font: { size: 12, weight: "bold" }, padding: 4 },
+            labels: {
+              display: true,
+              color: "#ffffff",
+              font: (ctx) => {
+                const size = Math.max(9, Math.min(28, Math.round(Math.sqrt(ctx.raw.w * ctx.raw.h) / 7)));
+                return [{ size, weight: "bold" }, { size: Math.max(9, Math.round(size * 0.75)) }, { size: Math.max(8, Math.round(size * 0.6)) }];
+              },
+              formatter: (ctx) => {
+                const d = ctx.raw._data;
+                return [d.name, `${d.change >= 0 ? "+" : ""}${d.change.toFixed(1)}%`, `${compactTon(d.size)} TON`];
+              },
+            },
+          }],
+        },
+        options: {
+          plugins: {
+            title: {
+              display: true,
+              text: [title, `Размер — ${sizeLabel} · цвет — изменение флора ${period} (шкала ±${cap}%)`],
+              font: { size: 18, weight: "bold" },
+              color: "#e2e8f0",
+            },
+            legend: { display: false },
+          },
+          layout: { padding: { top: 5, right: 10, bottom: 10, left: 10 } },
+        },
+      };
+
+      // Always local: the per-rectangle colors and labels are functions.
+      const chartUrl = await renderLocalChart(chartConfig, 1200, 800, "#0f172a");
+
+      const total = items.reduce((n, c) => n + c.size, 0);
+      const byChange = [...items].sort((a, b) => b.change - a.change);
+      const data = {
+        size_by: sizeBy,
+        period,
+        marketplace,
+        collections: items.length,
+        total_ton: total,
+        top: items.slice(0, 10).map((c) => ({ name: c.name, size_ton: c.size, share: Math.round((c.size / total) * 1000) / 10, change_pct: c.change, ...(c.theme ? { theme: c.theme } : {}) })),
+        gainers: byChange.slice(0, 3).filter((c) => c.change > 0).map((c) => ({ name: c.name, change_pct: c.change })),
+        losers: byChange.slice(-3).reverse().filter((c) => c.change < 0).map((c) => ({ name: c.name, change_pct: c.change })),
+        ...(themes ? { themes: [...new Set(items.map((c) => c.theme))].length } : {}),
+        ...notes,
+      };
+
+      if (params.return_url_only) {
+        return { success: true, data: { chart_url: chartUrl, ...data } };
+      }
+
+      const client = context.bridge.getClient().getClient();
+      let peer;
+      try { peer = await client.getInputEntity(chatId); }
+      catch { return { success: false, error: `Cannot resolve chat: ${chatId}` }; }
+
+      const caption = params.caption || `🗺 ${title}\nРазмер — ${sizeLabel}, цвет — изменение ${period}`;
+      const imgBuf = await downloadChartImage(chartUrl);
+      await client.sendFile(peer, { file: imgBuf, caption: caption.slice(0, 1024), parseMode: "md", forceDocument: false });
+
+      return { success: true, data };
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
 // ---------------------------------------------------------------------------
 // Distribution histogram — price distribution
 // ---------------------------------------------------------------------------
@@ -2636,14 +3368,165 @@ const chartListingDistribution = {
   },
 };
 
+// ---------------------------------------------------------------------------
+// Candles from raw sales — MarketApp + GetGems history via the sales warehouse
+// ---------------------------------------------------------------------------
+
+const CANDLE_TIMEFRAMES = { "1h": 3600, "6h": 6 * 3600, "1d": 86400 };
+const CANDLE_DEFAULT_DAYS = { "1h": 3, "6h": 14, "1d": 30 };
+const CANDLE_MAX = 120;
+// Pages per feed per sync; older history fills in over later calls.
+const CANDLE_SYNC_PAGES = 5;
+// Sales compared against the median of their neighbours for trimming.
+const OUTLIER_WINDOW = 10;
+
+/**
+ * Drop sales priced more than `factor`× above or below the median of the
+ * surrounding sales (by time) — rare models and misclicks that would
+ * otherwise turn into huge wicks. `sales` must be oldest first.
+ */
+function trimOutliers(sales, factor) {
+  const kept = [];
+  const dropped = [];
+  sales.forEach((s, i) => {
+    const window = sales
+      .slice(Math.max(0, i - OUTLIER_WINDOW), i + OUTLIER_WINDOW + 1)
+      .map((x) => x.price_ton)
+      .sort((a, b) => a - b);
+    if (window.length < 5) {
+      kept.push(s);
+      return;
+    }
+    const median = window[Math.floor(window.length / 2)];
+    if (s.price_ton > median * factor || s.price_ton < median / factor) dropped.push(s);
+    else kept.push(s);
+  });
+  return { kept, dropped };
+}
+
+function candleLabel(ts, timeframe) {
+  const d = new Date(ts * 1000);
+  const day = d.toLocaleDateString("ru-RU", { month: "short", day: "numeric", timeZone: "UTC" });
+  if (timeframe === "1d") return day;
+  return `${day} ${String(d.getUTCHours()).padStart(2, "0")}:00`;
+}
+
+/**
+ * OHLC candles (UTC buckets of `timeframe`) from sales, oldest first. Periods
+ * without trades after the first one become flat candles at the previous
+ * close with zero volume, so the time axis stays even.
+ */
+function buildSaleCandles(sales, timeframe, since, until) {
+  const step = CANDLE_TIMEFRAMES[timeframe];
+  const buckets = new Map();
+  for (const s of sales) {
+    const start = Math.floor(s.time / step) * step;
+    let b = buckets.get(start);
+    if (!b) {
+      b = { start, open: s.price_ton, high: s.price_ton, low: s.price_ton, close: s.price_ton, trades: 0, volume_ton: 0 };
+      buckets.set(start, b);
+    }
+    b.high = Math.max(b.high, s.price_ton);
+    b.low = Math.min(b.low, s.price_ton);
+    b.close = s.price_ton;
+    b.trades++;
+    b.volume_ton += s.price_ton;
+  }
+
+  const candles = [];
+  let prev = null;
+  for (let start = Math.floor(since / step) * step; start < until; start += step) {
+    const b = buckets.get(start);
+    if (b) prev = b;
+    else if (prev) prev = { start, open: prev.close, high: prev.close, low: prev.close, close: prev.close, trades: 0, volume_ton: 0 };
+    else continue;
+    candles.push(prev);
+  }
+  const round = (v) => Math.round(v * 100) / 100;
+  return candles.map((c) => ({
+    date: candleLabel(c.start, timeframe),
+    open: round(c.open),
+    high: round(c.high),
+    low: round(c.low),
+    close: round(c.close),
+    trades: c.trades,
+    volume_ton: Math.round(c.volume_ton * 100) / 100,
+  }));
+}
+
+/**
+ * Sync the collection's MarketApp and GetGems feeds into the warehouse (within
+ * a page budget), then aggregate the stored sales into candles. Sync errors
+ * are reported, not fatal — whatever is already stored is still charted.
+ */
+async function loadSaleCandles(params, context) {
+  // whale-analytics owns the warehouse when it is loaded; share its sales.
+  const db = salesWarehouseDb(context.db);
+  const registryOpts = { db: context.db, marketappToken: getMarketAppToken(context), getgemsKey: getGetGemsKey(context) };
+  const match = await resolveGiftCollection(params.collection, registryOpts);
+  if (!match) throw new Error(`Collection "${params.collection}" not found in the collection registry`);
+
+  const timeframe = CANDLE_TIMEFRAMES[params.timeframe] ? params.timeframe : "1d";
+  const step = CANDLE_TIMEFRAMES[timeframe];
+  const maxDays = Math.floor((CANDLE_MAX * step) / 86400);
+  const days = Math.max(1, Math.min(params.days || CANDLE_DEFAULT_DAYS[timeframe], maxDays));
+  const until = Math.floor(Date.now() / 1000);
+  const since = until - days * 86400;
+
+  const results = await syncSales(db, [match.address], {
+    getgemsKey: registryOpts.getgemsKey,
+    marketappToken: registryOpts.marketappToken,
+    maxPages: CANDLE_SYNC_PAGES,
+    giftsFeed: false,
+  });
+  const syncErrors = results.filter((r) => r.error).map((r) => ({ source: r.source, error: r.error }));
+
+  let sales = querySales(db, { collectionAddress: match.address, since });
+  let model = params.model ? String(params.model).trim() : null;
+  if (model) {
+    const key = model.toLowerCase();
+    sales = sales.filter((s) => s.model && s.model.toLowerCase() === key);
+    model = sales[0]?.model ?? model;
+  }
+  sales.reverse();
+
+  const factor = Math.max(1.5, params.outlier_factor || 3);
+  const { kept, dropped } = trimOutliers(sales, factor);
+  const candles = buildSaleCandles(kept, timeframe, since, until);
+
+  const coverage = salesCoverage(db, match.address);
+  const marketplaces = {};
+  for (const s of kept) marketplaces[s.source] = (marketplaces[s.source] || 0) + 1;
+
+  return {
+    candles,
+    name: [match.name || match.slug || params.collection, model].filter(Boolean).join(" · "),
+    meta: {
+      collection_address: match.address,
+      ...(model ? { model } : {}),
+      timeframe,
+      days,
+      sales_used: kept.length,
+      outliers_removed: dropped.length,
+      outlier_prices: dropped.slice(0, 10).map((s) => s.price_ton),
+      marketplaces,
+      ...(coverage.oldest === null || (coverage.oldest > since && !coverage.complete) ? { history_incomplete: true } : {}),
+      ...(syncErrors.length ? { sync_errors: syncErrors } : {}),
+      ...(results.length === 0 ? { note: "No MarketApp/GetGems credentials — charted stored sales only" } : {}),
+    },
+  };
+}
+
 const chartCandlestick = {
   name: "chart_candlestick",
   category: "data-bearing",
   description:
     "Generate a candlestick (OHLC) chart for gift collection price history. " +
-    "First call marketapp_gift_history with limit=100 to get sales data, then group by day and compute open/high/low/close, then pass here. " +
+    "Pass `collection` (optionally `model`) and `timeframe` (1h/6h/1d): candles are built from MarketApp + GetGems sales, " +
+    "with outlier sales trimmed and trade counts as volume bars. Precomputed `candles` are still accepted. " +
     "Best for liquid collections: CookieHeart, InstantRamen, LolPop, JesterHat, HomemadeCake. " +
     "Low-liquidity collections may not have enough data for meaningful candles. " +
+    "Optional indicators: overlays (SMA/EMA/Bollinger/VWAP) and lower panes (RSI/MACD/volume) — e.g. panes=[\"rsi:14\"] to answer \"is it oversold\". " +
     "RULE: When creating 2+ charts, ALWAYS use return_url_only=true and combine via chart_dashboard.",
 
   parameters: {
@@ -2662,32 +3545,67 @@ const chartCandlestick = {
           },
           required: ["date", "open", "high", "low", "close"],
         },
-        description: "Array of OHLC candle objects, one per period (day/6h)",
+        description: "Array of OHLC candle objects, one per period (day/6h). Not needed when `collection` is given.",
       },
       volumes: {
         type: "array",
         items: { type: "number" },
         description: "Optional volume (number of trades) per candle period. Same length as candles.",
       },
+      collection: {
+        type: "string",
+        description: "Gift collection (name, slug, Russian name or address) to build candles from its sales instead of passing `candles`.",
+      },
+      model: {
+        type: "string",
+        description: "Only sales of this model (e.g. 'Cozy Galaxy'). Used with `collection`.",
+      },
+      timeframe: {
+        type: "string",
+        enum: ["1h", "6h", "1d"],
+        description: "Candle size when building from sales (default: 1d).",
+      },
+      days: {
+        type: "integer",
+        description: `Lookback in days when building from sales (default: 3 for 1h, 14 for 6h, 30 for 1d; at most ${CANDLE_MAX} candles).`,
+      },
+      outlier_factor: {
+        type: "number",
+        description: "Sales more than this many times above/below the median of neighbouring sales are dropped (default: 3, min 1.5).",
+      },
       collection_name: {
         type: "string",
-        description: "Collection name for chart title",
+        description: "Collection name for chart title (defaults to the resolved collection name).",
       },
       caption: { type: "string", description: "Optional caption." },
       chat_id: { type: "string", description: "Target chat/channel." },
       return_url_only: { type: "boolean", description: "Return URL only for dashboard composition." },
+      ...INDICATOR_PARAMS,
     },
-    required: ["candles", "collection_name"],
   },
 
   execute: async (params, context) => {
     try {
-      const { candles, collection_name, volumes } = params;
       const chatId = params.chat_id || context.chatId;
+      let { candles, volumes, collection_name } = params;
+      let salesMeta = null;
+
+      if (params.collection && !candles?.length) {
+        if (!salesWarehouseDb(context.db)) return { success: false, error: "Database not available — pass precomputed candles instead" };
+        const built = await loadSaleCandles(params, context);
+        if (built.candles.length === 0) {
+          return { success: false, error: `No sales found for ${built.name} in the last ${built.meta.days}d`, data: built.meta };
+        }
+        candles = built.candles;
+        volumes = candles.map((c) => c.trades);
+        collection_name = collection_name || built.name;
+        salesMeta = built.meta;
+      }
 
       if (!candles || candles.length === 0) {
-        return { success: false, error: "No candle data provided" };
+        return { success: false, error: "No candle data provided — pass `candles` or `collection`" };
       }
+      collection_name = collection_name || "Gift";
 
       const ohlcData = candles.map((c) => ({
         x: c.date,
@@ -2710,6 +3628,7 @@ const chartCandlestick = {
           down: "#ef4444",
           unchanged: "#94a3b8",
         },
+        yAxisID: "y",
       }];
 
       const scales = {
@@ -2729,7 +3648,17 @@ const chartCandlestick = {
         },
       };
 
-      if (volumes && volumes.length === candles.length) {
+      const layers = params.overlays?.length || params.panes?.length
+        ? buildIndicatorLayers({
+          closes: candles.map((c) => c.close),
+          highs: candles.map((c) => c.high),
+          lows: candles.map((c) => c.low),
+          volumes: volumes && volumes.length === candles.length ? volumes : null,
+        }, params.overlays, params.panes)
+        : null;
+      const volumePane = layers && layers.datasets.some((ds) => String(ds.yAxisID).startsWith("vol"));
+
+      if (volumes && volumes.length === candles.length && !volumePane) {
         datasets.push({
           label: "Объём",
           data: volumes,
@@ -2749,6 +3678,8 @@ const chartCandlestick = {
         };
       }
 
+      if (layers) datasets.push(...layers.datasets);
+
       const title = `Свечной график — ${collection_name}`;
       const chartConfig = {
         type: "candlestick",
@@ -2756,14 +3687,14 @@ const chartCandlestick = {
         options: {
           plugins: {
             title: { display: true, text: title, font: { size: 18, weight: "bold" }, color: "#e2e8f0" },
-            legend: { display: volumes && volumes.length > 0, position: "bottom", labels: { color: "#f1f5f9", font: { size: 12 } } },
+            legend: { display: (volumes && volumes.length > 0) || !!layers?.datasets.length, position: "bottom", labels: { color: "#f1f5f9", font: { size: 12 } } },
           },
-          scales,
+          scales: stackPriceAxis(scales, layers),
           layout: { padding: { top: 5, right: 15, bottom: 5, left: 5 } },
         },
       };
 
-      const chartUrl = await getChartShortUrlV3(chartConfig, 1000, 500, "#0f172a");
+      const chartUrl = await getChartShortUrlV3(chartConfig, 1000, 500 + (layers?.paneCount || 0) * PANE_HEIGHT, "#0f172a");
 
       const lastCandle = candles[candles.length - 1];
       const firstCandle = candles[0];
@@ -2777,6 +3708,9 @@ const chartCandlestick = {
         period_high: Math.max(...candles.map((c) => c.high)),
         period_low: Math.min(...candles.map((c) => c.low)),
         change_pct: parseFloat(changePct),
+        ...(layers ? { indicators: layers.latest } : {}),
+        ...(layers?.skipped.length ? { indicators_skipped: layers.skipped } : {}),
+        ...(salesMeta ? { ...salesMeta, trades: volumes.reduce((a, b) => a + b, 0) } : {}),
       };
 
       if (params.return_url_only) {
@@ -2801,6 +3735,12 @@ const chartCandlestick = {
 
 export const tools = [
   marketChart, giftFloorChart, giftTopMovers, pieChart, barChart, dashboardTool, chartGenerate,
-  giftHeatmap, giftDominance, giftDistribution, giftVolatility, giftTurnover,
+  giftHeatmap, giftDominance, giftMarketMap, giftDistribution, giftVolatility, giftTurnover,
   chartWhaleActivity, chartListingDistribution, chartCandlestick,
-];
+].map((tool) => ({
+  ...tool,
+  execute: (params, context) => {
+    configureRenderer(context);
+    return tool.execute(params, context);
+  },
+}));
@@ -7,6 +7,8 @@
  * (no auth required).
  */
 
+import { sourceFetch } from "../../shared/source-health.js";
+
 export const manifest = {
   name: "dyor",
   version: "1.0.0",
@@ -35,7 +37,7 @@ async function dyorFetch(path, params = {}) {
       url.searchParams.set(key, String(value));
     }
   }
-  const res = await fetch(url, { signal: AbortSignal.timeout(15000) });
+  const res = await sourceFetch(url);
   if (!res.ok) {
     throw new Error(`DYOR API error: ${res.status} ${res.statusText}`);
   }
@@ -6,6 +6,8 @@
  * lookups. All data comes from the public GeckoTerminal API (no auth required).
  */
 
+import { sourceFetch } from "../../shared/source-health.js";
+
 export const manifest = {
   name: "geckoterminal",
   version: "1.0.0",
@@ -22,9 +24,8 @@ async function geckoFetch(path, params = {}) {
       url.searchParams.set(key, String(value));
     }
   }
-  const res = await fetch(url, {
+  const res = await sourceFetch(url, {
     headers: { Accept: "application/json" },
-    signal: AbortSignal.timeout(15000),
   });
   if (!res.ok) {
     throw new Error(`GeckoTerminal API error: ${res.status} ${res.statusText}`);
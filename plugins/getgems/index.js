@@ -11,15 +11,26 @@ import { readFileSync, realpathSync } from "node:fs";
 import { join } from "node:path";
 import { homedir } from "node:os";
 
+import {
+  toInternalMessages,
+  decodeTxMessages,
+  estimateTransfer,
+} from "../../shared/ton-tx.js";
+import { loadAgentWallet, withAgentWallet, sendTransfer } from "../../shared/ton-wallet.js";
+import { getTradingConfig } from "../../shared/trading-config.js";
+import { gateTradeAction, priceWithinTolerance, createApprovalTools } from "../../shared/trade-approval.js";
+import { guardedSend, lastPurchasePriceTon } from "../../shared/spending-policy.js";
+import { trackTransfer, createTradeStatusTool } from "../../shared/trade-tracker.js";
+import { sourceFetch } from "../../shared/source-health.js";
+import { labelAddresses, labelsObject } from "../../shared/wallet-labels.js";
+
 // ---------------------------------------------------------------------------
 // CJS dependencies (resolve from teleton runtime)
 // ---------------------------------------------------------------------------
 
 const _require = createRequire(realpathSync(process.argv[1]));
 
-const { Address, SendMode, Cell } = _require("@ton/core");
-const { WalletContractV5R1, TonClient, internal } = _require("@ton/ton");
-const { mnemonicToPrivateKey } = _require("@ton/crypto");
+const { Address } = _require("@ton/core");
 
 export const manifest = {
   name: "getgems",
@@ -32,7 +43,6 @@ export const manifest = {
 
 const API_BASE = "https://api.getgems.io/public-api/v1/";
 const _TELETON_DIR = process.env.TELETON_HOME || join(homedir(), ".teleton");
-const WALLET_FILE = join(_TELETON_DIR, "wallet.json");
 
 function toRawAddr(addr) {
   try {
@@ -147,9 +157,8 @@ async function gemsApi(path, context, params = {}, _retries = 3) {
       }
     }
   }
-  const res = await fetch(url, {
+  const res = await sourceFetch(url, {
     headers: { Authorization: apiKey },
-    signal: AbortSignal.timeout(15000),
   });
   if (res.status === 429 && _retries > 0) {
     const retryAfter = Math.min(Number(res.headers.get("retry-after") || 5), 30);
@@ -173,14 +182,13 @@ async function gemsPost(path, context, body = {}, _retries = 3) {
 
   const apiKey = getApiKey(context);
   const url = new URL(path, API_BASE);
-  const res = await fetch(url, {
+  const res = await sourceFetch(url, {
     method: "POST",
     headers: {
       Authorization: apiKey,
       "Content-Type": "application/json",
     },
     body: JSON.stringify(body),
-    signal: AbortSignal.timeout(15000),
   });
   if (res.status === 429 && _retries > 0) {
     const retryAfter = Math.min(Number(res.headers.get("retry-after") || 5), 30);
@@ -207,66 +215,62 @@ function fromNano(nano) {
 }
 
 // ---------------------------------------------------------------------------
-// Wallet helper
+// Wallet labels
 // ---------------------------------------------------------------------------
 
-async function getWalletAndClient() {
-  let walletData;
-  try {
-    walletData = JSON.parse(readFileSync(WALLET_FILE, "utf-8"));
-  } catch {
-    throw new Error("Agent wallet not found at " + WALLET_FILE);
-  }
-  if (!walletData.mnemonic || !Array.isArray(walletData.mnemonic)) {
-    throw new Error("Invalid wallet file: missing mnemonic array");
-  }
+const OWNER_FIELDS = { newOwner: "new_owner", oldOwner: "old_owner", owner: "owner" };
 
-  const keyPair = await mnemonicToPrivateKey(walletData.mnemonic);
-  const wallet = WalletContractV5R1.create({
-    workchain: 0,
-    publicKey: keyPair.publicKey,
-  });
-
-  let endpoint;
+/** Labels (marketplace contracts, exchanges, team labels…) for the owners in history items. */
+async function historyLabels(items, context) {
+  if (!context?.db) return new Map();
   try {
-    const { getHttpEndpoint } = _require("@orbs-network/ton-access");
-    endpoint = await getHttpEndpoint({ network: "mainnet" });
+    return await labelAddresses(context.db, items.flatMap((item) => Object.keys(OWNER_FIELDS).map((f) => item.typeData?.[f])));
   } catch {
-    endpoint = "https://toncenter.com/api/v2/jsonRPC";
+    return new Map();
   }
+}
 
-  const client = new TonClient({ endpoint });
-  const contract = client.open(wallet);
-  return { wallet, keyPair, client, contract };
+/** Add new_owner_label / old_owner_label / owner_label to a formatted event. */
+function addOwnerLabels(e, item, labels) {
+  for (const [key, field] of Object.entries(OWNER_FIELDS)) {
+    const l = labels.get(item.typeData?.[key]);
+    if (l) e[`${field}_label`] = l.label;
+  }
+  return e;
 }
 
-async function sendGetgemsTransaction(txResponse) {
-  const { wallet, keyPair, contract } = await getWalletAndClient();
-  const seqno = await contract.getSeqno();
+// ---------------------------------------------------------------------------
+// Wallet helper
+// ---------------------------------------------------------------------------
 
-  const messages = txResponse.list.map((item) => {
-    const msg = {
-      to: Address.parse(item.to),
-      value: BigInt(item.amount),
-      bounce: true,
-    };
-    if (item.payload) {
-      msg.body = Cell.fromBoc(Buffer.from(item.payload, "base64"))[0];
-    }
-    if (item.stateInit) {
-      msg.init = Cell.fromBoc(Buffer.from(item.stateInit, "base64"))[0];
-    }
-    return internal(msg);
-  });
+// `spend` ({ action, nft_address, collection_address }) is checked against
+// the shared spending limits before anything is signed. The wallet send queue
+// resolves once the transfer has landed; bounces and NFT ownership are then
+// followed by the tracker (see *_trade_status).
+async function sendGetgemsTransaction(txResponse, context, spend) {
+  const messages = toInternalMessages(txResponse.list);
 
-  await contract.sendTransfer({
-    seqno,
-    secretKey: keyPair.secretKey,
-    sendMode: SendMode.PAY_GAS_SEPARATELY + SendMode.IGNORE_ERRORS,
-    messages,
-  });
+  const sent = await guardedSend(context, { marketplace: "getgems", ...spend }, messages, () =>
+    sendTransfer(context, messages, `getgems:${spend.action}`)
+  );
+  const trackingId = trackTransfer(context, { marketplace: "getgems", ...spend }, sent);
+
+  return { wallet_address: sent.wallet_address, seqno: sent.seqno, tracking_id: trackingId, queue: sent.queue };
+}
 
-  return { wallet_address: wallet.address.toString(), seqno };
+// Result message for a sent transaction. An unconfirmed send may still land,
+// so the agent must check its status instead of trying again.
+function sentMessage(what, result) {
+  if (result.queue?.unconfirmed) {
+    return `${what} transaction was broadcast but is not confirmed on-chain yet — do NOT retry it. Use getgems_trade_status with tracking_id to see whether it landed.`;
+  }
+  return `${what} transaction landed on-chain. Use getgems_trade_status with tracking_id to check for bounces and NFT ownership.`;
+}
+
+async function previewGetgemsTransaction(txResponse, context) {
+  const messages = toInternalMessages(txResponse.list);
+  const plan = await withAgentWallet(context, (walletCtx) => estimateTransfer(walletCtx, messages));
+  return { ...plan, messages: decodeTxMessages(txResponse.list) };
 }
 
 // ---------------------------------------------------------------------------
@@ -502,6 +506,7 @@ const collectionHistory = {
         context,
         queryParams
       );
+      const labels = await historyLabels(data.items ?? [], context);
       const items = (data.items ?? []).map((item) => {
         const e = {
           nft_name: item.name ?? null,
@@ -515,7 +520,7 @@ const collectionHistory = {
         if (item.typeData?.newOwner) e.new_owner = item.typeData.newOwner;
         if (item.typeData?.oldOwner) e.old_owner = item.typeData.oldOwner;
         if (item.typeData?.owner) e.owner = item.typeData.owner;
-        return e;
+        return addOwnerLabels(e, item, labels);
       });
       return { success: true, data: { items, cursor: data.cursor ?? null, count: items.length } };
     } catch (err) {
@@ -658,7 +663,8 @@ const nftHistory = {
         context,
         queryParams
       );
-      return { success: true, data };
+      const labels = await historyLabels(data.items ?? [], context);
+      return { success: true, data: labels.size ? { ...data, address_labels: labelsObject(labels) } : data };
     } catch (err) {
       return { success: false, error: String(err.message || err).slice(0, 500) };
     }
@@ -899,7 +905,9 @@ const buyNft = {
   name: "getgems_buy_nft",
   category: "action",
   description:
-    "Buy an NFT listed for fixed-price sale on Getgems. Signs and sends the purchase transaction from the agent wallet. The NFT must currently be listed for sale.",
+    "Buy an NFT listed for fixed-price sale on Getgems. Signs and sends the purchase transaction from the agent wallet. The NFT must currently be listed for sale. " +
+    "Use dry_run=true to quote the purchase first: decodes the transaction, estimates fees and checks the wallet balance without signing anything. " +
+    "Trades at or above the approval threshold are parked for a human approver and return status pending_approval with an action_id.",
 
   parameters: {
     type: "object",
@@ -908,66 +916,121 @@ const buyNft = {
         type: "string",
         description: "NFT item contract address to buy",
       },
+      dry_run: {
+        type: "boolean",
+        description: "If true, return the full purchase plan (messages, fees, balance check) without signing or sending (default: false)",
+      },
     },
     required: ["address"],
   },
 
-  execute: async (params, context) => {
-    const steps = [];
-    try {
-      // Step 1: Get NFT info and sale version
-      const nft = await gemsApi(
-        `nft/${encodeURIComponent(params.address)}`,
-        context
-      );
-      steps.push("fetched NFT info");
+  execute: (params, context) => runBuyNft(params, context),
+};
 
-      if (!nft.sale || !nft.sale.fullPrice) {
-        throw new Error("NFT is not listed for fixed-price sale");
-      }
+// Also used by gift-price-compare's gift_buy_cheapest, which passes
+// opts.maxPriceTon so a listing repriced since the scan is not bought.
+export async function runBuyNft(params, context, opts = {}) {
+  const steps = [];
+  try {
+    // Step 1: Get NFT info and sale version
+    const nft = await gemsApi(
+      `nft/${encodeURIComponent(params.address)}`,
+      context
+    );
+    steps.push("fetched NFT info");
+
+    if (!nft.sale || !nft.sale.fullPrice) {
+      throw new Error("NFT is not listed for fixed-price sale");
+    }
 
-      const version = nft.sale.version;
-      if (!version) {
-        throw new Error("Sale version not found on NFT sale object");
-      }
+    const version = nft.sale.version;
+    if (!version) {
+      throw new Error("Sale version not found on NFT sale object");
+    }
 
-      const priceTon = fromNano(nft.sale.fullPrice);
-      steps.push(`sale price: ${priceTon} TON, version: ${version}`);
+    const priceTon = fromNano(nft.sale.fullPrice);
+    steps.push(`sale price: ${priceTon} TON, version: ${version}`);
 
-      // Step 2: Get buy transaction from Getgems
-      const tx = await gemsPost(
-        `nfts/buy-fix-price/${encodeURIComponent(params.address)}`,
-        context,
-        { version }
-      );
-      steps.push(`got transaction: ${tx.list?.length ?? 0} messages`);
+    if (opts.maxPriceTon !== undefined && Number(priceTon) > opts.maxPriceTon) {
+      throw new Error(`Sale price ${priceTon} TON is above the allowed ${opts.maxPriceTon} TON`);
+    }
 
-      if (!tx.list || tx.list.length === 0) {
-        throw new Error("Getgems returned empty transaction list");
+    if (opts.approvedActionId) {
+      const { approvalPriceTolerancePct } = getTradingConfig(context);
+      if (!priceWithinTolerance(priceTon, opts.approvedPriceTon, approvalPriceTolerancePct)) {
+        throw new Error(`Price changed since approval request: approved ${opts.approvedPriceTon} TON, now ${priceTon} TON`);
       }
+      steps.push(`price re-validated (approved ${opts.approvedPriceTon} TON)`);
+    } else if (!params.dry_run) {
+      const parked = await gateTradeAction(context, {
+        marketplace: "getgems",
+        action: "buy",
+        nft_address: params.address,
+        price_ton: priceTon,
+        params: { address: params.address },
+        summary: `Buy ${nft.name ?? "NFT"} for ${priceTon} TON`,
+      });
+      if (parked) return parked;
+    }
+
+    // Step 2: Get buy transaction from Getgems
+    const tx = await gemsPost(
+      `nfts/buy-fix-price/${encodeURIComponent(params.address)}`,
+      context,
+      { version }
+    );
+    steps.push(`got transaction: ${tx.list?.length ?? 0} messages`);
 
-      // Step 3: Sign and send
-      const result = await sendGetgemsTransaction(tx);
-      steps.push("transaction sent");
+    if (!tx.list || tx.list.length === 0) {
+      throw new Error("Getgems returned empty transaction list");
+    }
 
+    if (params.dry_run) {
+      const plan = await previewGetgemsTransaction(tx, context);
+      steps.push("dry run: transaction decoded, not signed");
       return {
         success: true,
         data: {
+          dry_run: true,
           nft_address: params.address,
           nft_name: nft.name ?? null,
           price_ton: priceTon,
-          wallet_address: result.wallet_address,
-          seqno: result.seqno,
-          messages_sent: tx.list.length,
+          ...plan,
           steps,
-          message: "Buy transaction sent. Allow ~30 seconds for on-chain confirmation.",
+          message: plan.sufficient_balance
+            ? "Dry run only — nothing was signed or sent. Call again without dry_run to buy."
+            : `Dry run only — wallet balance is short by ${plan.shortfall_ton} TON.`,
         },
       };
-    } catch (err) {
-      return { success: false, error: String(err.message || err).slice(0, 500), steps };
     }
-  },
-};
+
+    // Step 3: Sign and send
+    const result = await sendGetgemsTransaction(tx, context, {
+      action: "buy",
+      nft_address: params.address,
+      collection_address: nft.collectionAddress ?? null,
+    });
+    steps.push("transaction sent");
+
+    return {
+      success: true,
+      data: {
+        nft_address: params.address,
+        nft_name: nft.name ?? null,
+        price_ton: priceTon,
+        wallet_address: result.wallet_address,
+        seqno: result.seqno,
+        tracking_id: result.tracking_id,
+        queue: result.queue,
+        messages_sent: tx.list.length,
+        steps,
+        message: sentMessage("Buy", result),
+      },
+    };
+  } catch (err) {
+    return { success: false, error: String(err.message || err).slice(0, 500), steps };
+  }
+}
 
 // ---------------------------------------------------------------------------
 // Tool 14: getgems_list_nft
@@ -977,7 +1040,8 @@ const listNft = {
   name: "getgems_list_nft",
   category: "action",
   description:
-    "List an NFT for fixed-price sale on Getgems. Sets the sale price and signs the listing transaction from the agent wallet. The agent must own the NFT.",
+    "List an NFT for fixed-price sale on Getgems. Sets the sale price and signs the listing transaction from the agent wallet. The agent must own the NFT. " +
+    "Listings whose price or item value (collection floor, purchase price) reaches the approval threshold are parked for a human approver and return status pending_approval with an action_id.",
 
   parameters: {
     type: "object",
@@ -998,61 +1062,97 @@ const listNft = {
     required: ["address", "price"],
   },
 
-  execute: async (params, context) => {
-    const steps = [];
-    try {
-      const priceTon = Number(params.price);
-      if (isNaN(priceTon) || priceTon <= 0) {
-        throw new Error("price must be a positive number in TON");
-      }
+  execute: (params, context) => runListNft(params, context),
+};
 
-      // Get wallet address for ownerAddress field
-      const { wallet } = await getWalletAndClient();
-      const ownerAddress = wallet.address.toString();
-      steps.push("resolved wallet: " + ownerAddress);
+// What an NFT the agent lists is worth: the larger of its collection floor and
+// what the agent paid for it. Approval gates on this, not on the asking price,
+// so a 0.01 TON listing of a valuable NFT is still parked.
+async function fetchItemValue(nftAddress, context) {
+  const nft = await gemsApi(`nft/${encodeURIComponent(nftAddress)}`, context);
+  let floorTon = null;
+  if (nft.collectionAddress) {
+    const stats = await gemsApi(`collection/stats/${toRawAddr(nft.collectionAddress)}`, context);
+    floorTon = fromNano(stats.floorPriceNano ?? stats.floorPrice);
+  }
+  const paidTon = lastPurchasePriceTon(context.db, nftAddress);
+  return Math.max(floorTon ?? 0, paidTon ?? 0);
+}
 
-      // Convert to nanoTON string
-      const fullPrice = BigInt(Math.round(priceTon * 1e9)).toString();
-      steps.push(`price: ${params.price} TON = ${fullPrice} nanoTON`);
+async function runListNft(params, context, opts = {}) {
+  const steps = [];
+  try {
+    const priceTon = Number(params.price);
+    if (isNaN(priceTon) || priceTon <= 0) {
+      throw new Error("price must be a positive number in TON");
+    }
 
-      // POST to put-on-sale
-      const tx = await gemsPost(
-        `nfts/put-on-sale-fix-price/${encodeURIComponent(params.address)}`,
-        context,
-        {
-          ownerAddress,
-          fullPrice,
-          currency: params.currency ?? "TON",
-        }
-      );
-      steps.push(`got transaction: ${tx.list?.length ?? 0} messages`);
+    if (!opts.approvedActionId) {
+      const valueTon = await fetchItemValue(params.address, context);
+      steps.push(`item value: ${valueTon} TON`);
+      const parked = await gateTradeAction(context, {
+        marketplace: "getgems",
+        action: "list",
+        nft_address: params.address,
+        price_ton: priceTon,
+        value_ton: valueTon,
+        params: { address: params.address, price: params.price, currency: params.currency },
+        summary: `List NFT for ${priceTon} ${params.currency ?? "TON"}`,
+      });
+      if (parked) return parked;
+    }
 
-      if (!tx.list || tx.list.length === 0) {
-        throw new Error("Getgems returned empty transaction list");
+    // Get wallet address for ownerAddress field
+    const { wallet } = await loadAgentWallet(context);
+    const ownerAddress = wallet.address.toString();
+    steps.push("resolved wallet: " + ownerAddress);
+
+    // Convert to nanoTON string
+    const fullPrice = BigInt(Math.round(priceTon * 1e9)).toString();
+    steps.push(`price: ${params.price} TON = ${fullPrice} nanoTON`);
+
+    // POST to put-on-sale
+    const tx = await gemsPost(
+      `nfts/put-on-sale-fix-price/${encodeURIComponent(params.address)}`,
+      context,
+      {
+        ownerAddress,
+        fullPrice,
+        currency: params.currency ?? "TON",
       }
+    );
+    steps.push(`got transaction: ${tx.list?.length ?? 0} messages`);
 
-      // Sign and send
-      const result = await sendGetgemsTransaction(tx);
-      steps.push("transaction sent");
-
-      return {
-        success: true,
-        data: {
-          nft_address: params.address,
-          price_ton: params.price,
-          currency: params.currency ?? "TON",
-          wallet_address: result.wallet_address,
-          seqno: result.seqno,
-          messages_sent: tx.list.length,
-          steps,
-          message: "Listing transaction sent. Allow ~30 seconds for on-chain confirmation.",
-        },
-      };
-    } catch (err) {
-      return { success: false, error: String(err.message || err).slice(0, 500), steps };
+    if (!tx.list || tx.list.length === 0) {
+      throw new Error("Getgems returned empty transaction list");
     }
-  },
-};
+
+    // Sign and send
+    const result = await sendGetgemsTransaction(tx, context, {
+      action: "list",
+      nft_address: params.address,
+    });
+    steps.push("transaction sent");
+
+    return {
+      success: true,
+      data: {
+        nft_address: params.address,
+        price_ton: params.price,
+        currency: params.currency ?? "TON",
+        wallet_address: result.wallet_address,
+        seqno: result.seqno,
+        tracking_id: result.tracking_id,
+        queue: result.queue,
+        messages_sent: tx.list.length,
+        steps,
+        message: sentMessage("Listing", result),
+      },
+    };
+  } catch (err) {
+    return { success: false, error: String(err.message || err).slice(0, 500), steps };
+  }
+}
 
 // ---------------------------------------------------------------------------
 // Tool 15: getgems_collection_nfts
@@ -1463,6 +1563,7 @@ const giftHistory = {
       }
       const data = await gemsApi("nfts/history/gifts", context, queryParams);
       const rawItems = Array.isArray(data) ? data : (data.items ?? []);
+      const labels = await historyLabels(rawItems, context);
 
       const items = rawItems.map((item) => {
         const e = {
@@ -1479,7 +1580,7 @@ const giftHistory = {
         if (item.typeData?.newOwner) e.new_owner = item.typeData.newOwner;
         if (item.typeData?.oldOwner) e.old_owner = item.typeData.oldOwner;
         if (item.typeData?.owner) e.owner = item.typeData.owner;
-        return e;
+        return addOwnerLabels(e, item, labels);
       });
 
       return { success: true, data: { items, count: items.length, cursor: data.cursor ?? null } };
@@ -1607,6 +1708,11 @@ const collectionTopOwners = {
 // Export
 // ---------------------------------------------------------------------------
 
+const approvalTools = createApprovalTools("getgems", {
+  buy: runBuyNft,
+  list: runListNft,
+});
+
 export const tools = [
   topCollections,
   collectionInfo,
@@ -1629,4 +1735,6 @@ export const tools = [
   giftHistory,
   offchainGiftsOnSale,
   collectionTopOwners,
+  ...approvalTools,
+  createTradeStatusTool("getgems"),
 ];
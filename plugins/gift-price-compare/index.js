@@ -3,40 +3,73 @@
  *
  * Queries MarketApp, Giftstat, GetGems, and Fragment for the same gift
  * collection/model and returns a unified comparison table with arbitrage
- * opportunities.
+ * opportunities. gift_arbitrage_scan runs the same net-of-fees comparison over
+ * every Giftstat collection. gift_buy_cheapest acts on it by routing a
+ * purchase through the getgems or marketapp plugin (which must be installed
+ * alongside).
  */
 
+import { resolveGiftCollection } from "../../shared/collection-registry.js";
+import { sourceFetch } from "../../shared/source-health.js";
+
 const GIFTSTAT_API = "https://api.giftstat.app";
 const MARKETAPP_API = "https://api.marketapp.ws/v1";
 const GETGEMS_API = "https://api.getgems.io/graphql";
 const FRAGMENT_URL = "https://fragment.com";
 const UA = "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36";
 
-const COLLECTION_ALIASES = {
-  "EQDLM65t0shS7gZAg0lMltGHYhsU94PzsMJHhYibmRV7kdUs": ["CandyCane", "Candy Cane", "Candy-Cane", "candycane"],
-  "EQAoJw7BpOcBD3y9voMuEQ-qhS3K4gtM-6EePLxkzk8iSifX": ["SnoopDogg", "Snoop Dogg", "Snoop-Dogg", "snoopdog", "snoop"],
-  "EQDz_VecErEBTLOTiR1tq0VS3lZuHHqhYmhZbthcrbFk7ztK": ["XmasStocking", "Xmas Stocking", "Xmas-Stocking", "xmasstocking"],
-  "EQCwEFfUbbR-22fn3VgxUpBil7bwBQqEHm7wgQYbWY9c08YJ": ["BDayCandle", "B-Day Candle", "BDay Candle", "bdaycandle"],
-  "EQBMcfMAZlMUr1W3X8kdEw3fJMUAaWH4-XcmE5R5RfFIY0E2": ["DeskCalendar", "Desk Calendar", "Desk-Calendar", "deskcalendar"],
-  "EQCefrjhCD2_7HRIr2lmwt9ZaqeG_tdseBvADC66833kBS3y": ["HomemadeCake", "Homemade Cake", "Homemade-Cake", "homemadecake"],
-  "EQBIj0uF-qIASqv6qIvcTif2wKSdt4WQc4mcoBywNp5GntuG": ["InstantRamen", "Instant Ramen", "Instant-Ramen", "instantramen"],
-  "EQC6zjid8vJNEWqcXk10XjsdDLRKbcPZzbHusuEW6FokOWIm": ["LolPop", "Lol Pop", "Lol-Pop", "lolpop", "lollipop"],
-  "EQBT9PbZBR6FGcZBSnwgo-DLpc0r7_X_8dlhG5UA6v9l9uJM": ["CookieHeart", "Cookie Heart", "Cookie-Heart", "cookieheart"],
-  "EQCBK_JBASAA5XVz1D17Pn--kQaMWm0b9wReVtsEdRO4Tgy9": ["JesterHat", "Jester Hat", "Jester-Hat", "jesterhat"],
-  "EQBG-g6ahkAUGWpefWbx-D_9sQ8oWbvy6puuq78U2c4NUDFS": ["PlushPepe", "Plush Pepe", "Plush-Pepe", "plushpepe"],
+// Fee schedule per marketplace (estimates — check each market's current terms
+// before acting on a thin spread). Listed prices are what the buyer pays; the
+// seller receives the price minus the commission and, on on-chain markets, the
+// collection royalty. buyGasTon/listGasTon are wallet transfer costs; off-chain
+// markets are funded by a TON deposit and list for free.
+const MARKETPLACE_FEES = {
+  getgems: { onChain: true, sellerFeePct: 5, buyGasTon: 0.1, listGasTon: 0.1 },
+  marketapp: { onChain: true, sellerFeePct: 5, buyGasTon: 0.1, listGasTon: 0.1 },
+  fragment: { onChain: true, sellerFeePct: 5, buyGasTon: 0.1, listGasTon: 0.1 },
+  portals: { onChain: false, sellerFeePct: 5, buyGasTon: 0.01, listGasTon: 0 },
+  tonnel: { onChain: false, sellerFeePct: 6, buyGasTon: 0.01, listGasTon: 0 },
+  mrkt: { onChain: false, sellerFeePct: 8, buyGasTon: 0.01, listGasTon: 0 },
 };
 
-function resolveCollectionByAlias(nameOrSlug) {
-  const query = (nameOrSlug || "").toLowerCase().replace(/[\s_-]/g, "");
-  for (const [address, aliases] of Object.entries(COLLECTION_ALIASES)) {
-    for (const alias of aliases) {
-      if (alias.toLowerCase().replace(/[\s_-]/g, "") === query) {
-        return address;
-      }
-    }
-  }
-  return null;
-}
+// Royalty paid to the collection owner on on-chain sales of Telegram gifts.
+// Off-chain markets trade the Telegram-side gift and pay no on-chain royalty.
+const DEFAULT_ROYALTY_PCT = 5;
+
+// Moving a gift between venues. Off-chain markets only release gifts to the
+// holder's Telegram account; from there a gift can be sent to another Mini
+// App for a Stars fee, or exported to the TON blockchain once Telegram's
+// post-acquisition hold has passed.
+const NFT_TRANSFER_GAS_TON = 0.05;
+const GIFT_TRANSFER_STARS = 25;
+const GIFT_EXPORT_HOLD_DAYS = 21;
+const STAR_USD = 0.015;
+
+// Market-wide scan: parallel collections, result cache lifetime.
+const SCAN_CONCURRENCY = 4;
+const SCAN_CACHE_MS = 10 * 60 * 1000;
+
+const ARBITRAGE_ASSUMPTIONS =
+  "Fee, gas and transfer figures are estimates; floors are the cheapest listing, not guaranteed fill prices.";
+
+// Buyer-side costs of the marketplaces we can buy on directly. Listed prices
+// already include the seller commission and royalty; the buyer additionally
+// pays the forward amount/gas of the wallet transfer. Fragment is on-chain too
+// but has no buy API, so it is never routed to.
+const BUY_ROUTES = {
+  getgems: {
+    module: "../getgems/index.js",
+    buyerFeePct: 0,
+    networkFeeTon: MARKETPLACE_FEES.getgems.buyGasTon,
+    toParams: (listing, dryRun) => ({ address: listing.address, dry_run: dryRun }),
+  },
+  marketapp: {
+    module: "../marketapp/index.js",
+    buyerFeePct: 0,
+    networkFeeTon: MARKETPLACE_FEES.marketapp.buyGasTon,
+    toParams: (listing, dryRun) => ({ nft_address: listing.address, price: listing.priceTon, dry_run: dryRun }),
+  },
+};
 
 function getMarketAppToken(context) {
   if (context?.config?.marketapp_api_token) return context.config.marketapp_api_token;
@@ -50,49 +83,56 @@ function getGetGemsKey(context) {
   return null;
 }
 
+// Sources with an open circuit throw immediately; every caller already treats
+// a failed source as missing and compares the rest.
 async function fetchWithTimeout(url, options = {}, ms = 12000) {
-  return fetch(url, { ...options, signal: AbortSignal.timeout(ms) });
+  return sourceFetch(url, { ...options, timeoutMs: ms });
 }
 
-async function fetchGiftstatFloors(collectionSlug) {
-  try {
-    const [floorRes, modelRes] = await Promise.all([
-      fetchWithTimeout(`${GIFTSTAT_API}/current/collections/floor?marketplace=all&limit=300`),
-      fetchWithTimeout(`${GIFTSTAT_API}/current/collections/models/floor?limit=5000`),
-    ]);
+function normalizeSlug(value) {
+  return (value || "").toLowerCase().replace(/[\s''-]/g, "");
+}
 
-    let collectionFloor = null;
-    let marketplaceFloors = {};
-
-    if (floorRes.ok) {
-      const data = await floorRes.json();
-      const slug = collectionSlug.toLowerCase().replace(/[\s''-]/g, "");
-      for (const item of data.data || []) {
-        const itemSlug = (item.slug || "").toLowerCase().replace(/[\s''-]/g, "");
-        const itemName = (item.collection || "").toLowerCase().replace(/[\s''-]/g, "");
-        if (itemSlug === slug || itemName === slug) {
-          const mp = (item.marketplace || "unknown").toLowerCase();
-          marketplaceFloors[mp] = item.floor_price;
-          if (!collectionFloor || item.floor_price < collectionFloor) {
-            collectionFloor = item.floor_price;
-          }
-        }
+// Giftstat returns every collection in one response, so a market-wide scan
+// fetches these tables once and picks rows per collection.
+async function fetchGiftstatTables() {
+  const [floorRes, modelRes] = await Promise.all([
+    fetchWithTimeout(`${GIFTSTAT_API}/current/collections/floor?marketplace=all&limit=300`),
+    fetchWithTimeout(`${GIFTSTAT_API}/current/collections/models/floor?limit=5000`),
+  ]);
+  return {
+    floors: floorRes.ok ? (await floorRes.json()).data || [] : [],
+    models: modelRes.ok ? (await modelRes.json()).data || [] : [],
+  };
+}
+
+function pickGiftstatFloors(tables, collectionSlug) {
+  const slug = normalizeSlug(collectionSlug);
+  let collectionFloor = null;
+  const marketplaceFloors = {};
+  for (const item of tables.floors) {
+    if (normalizeSlug(item.slug) === slug || normalizeSlug(item.collection) === slug) {
+      const mp = (item.marketplace || "unknown").toLowerCase();
+      marketplaceFloors[mp] = item.floor_price;
+      if (!collectionFloor || item.floor_price < collectionFloor) {
+        collectionFloor = item.floor_price;
       }
     }
+  }
 
-    const modelFloors = {};
-    if (modelRes.ok) {
-      const data = await modelRes.json();
-      const slug = collectionSlug.toLowerCase().replace(/[\s''-]/g, "");
-      for (const item of data.data || []) {
-        const mSlug = (item.collection_slug || "").toLowerCase().replace(/[\s''-]/g, "");
-        if (mSlug === slug && item.model && item.floor_price > 0) {
-          modelFloors[item.model] = item.floor_price;
-        }
-      }
+  const modelFloors = {};
+  for (const item of tables.models) {
+    if (normalizeSlug(item.collection_slug) === slug && item.model && item.floor_price > 0) {
+      modelFloors[item.model] = item.floor_price;
     }
+  }
 
-    return { collectionFloor, marketplaceFloors, modelFloors, source: "giftstat" };
+  return { collectionFloor, marketplaceFloors, modelFloors, source: "giftstat" };
+}
+
+async function fetchGiftstatFloors(collectionSlug) {
+  try {
+    return pickGiftstatFloors(await fetchGiftstatTables(), collectionSlug);
   } catch {
     return null;
   }
@@ -137,7 +177,9 @@ async function fetchMarketAppData(collectionAddress, model, context) {
 
       return {
         name: item.name || item.metadata?.name || null,
+        address: item.address || null,
         price: price ? +price.toFixed(2) : null,
+        priceTon: price,
         model: attrs.Model || attrs.model || null,
         backdrop: attrs.Backdrop || attrs.backdrop || null,
         symbol: attrs.Symbol || attrs.symbol || null,
@@ -151,21 +193,6 @@ async function fetchMarketAppData(collectionAddress, model, context) {
   }
 }
 
-async function fetchMarketAppCollections(context) {
-  const token = getMarketAppToken(context);
-  if (!token) return [];
-
-  try {
-    const res = await fetchWithTimeout(`${MARKETAPP_API}/collections/gifts/`, {
-      headers: { Authorization: token, Accept: "application/json" },
-    });
-    if (!res.ok) return [];
-    return await res.json();
-  } catch {
-    return [];
-  }
-}
-
 async function fetchGetGemsFloor(collectionAddress, model, context) {
   const key = getGetGemsKey(context);
   if (!collectionAddress) return null;
@@ -216,6 +243,7 @@ async function fetchGetGemsFloor(collectionAddress, model, context) {
       return {
         name: item.name,
         price: price ? +price.toFixed(2) : null,
+        priceTon: price,
         model: attrs.Model || null,
         backdrop: attrs.Backdrop || null,
         address: item.address,
@@ -343,16 +371,346 @@ async function fetchFragmentData(collectionSlug) {
   }
 }
 
-function findCollectionAddress(collections, slug) {
-  if (!slug) return null;
-  const normalized = slug.toLowerCase().replace(/[\s'-]/g, "");
-  for (const c of collections) {
-    const name = (c.name || "").toLowerCase().replace(/[\s'-]/g, "");
-    if (name === normalized || name.includes(normalized) || normalized.includes(name)) {
-      return c.address;
+function registryOptions(context) {
+  return { db: context?.db, marketappToken: getMarketAppToken(context), getgemsKey: getGetGemsKey(context) };
+}
+
+async function resolveCollectionAddress(params, context) {
+  if (params.collection_address) return params.collection_address;
+  const match = await resolveGiftCollection(params.collection, registryOptions(context));
+  return match?.address ?? null;
+}
+
+function buyCost(marketplace, priceTon) {
+  const route = BUY_ROUTES[marketplace];
+  const fee = priceTon * (route.buyerFeePct / 100);
+  return {
+    fee_ton: +fee.toFixed(4),
+    network_fee_ton: route.networkFeeTon,
+    total_cost_ton: +(priceTon + fee + route.networkFeeTon).toFixed(4),
+  };
+}
+
+async function fetchTonUsd() {
+  try {
+    const res = await fetchWithTimeout("https://tonapi.io/v2/rates?tokens=ton&currencies=usd", {
+      headers: { Accept: "application/json" },
+    });
+    if (!res.ok) return null;
+    const data = await res.json();
+    const price = Number(data?.rates?.TON?.prices?.USD);
+    return price > 0 ? price : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * How a gift bought on one venue reaches another. Stars fees are converted
+ * to TON only when a TON/USD rate is available.
+ */
+function transferPlan(buyAt, sellAt, tonUsd) {
+  const from = MARKETPLACE_FEES[buyAt];
+  const to = MARKETPLACE_FEES[sellAt];
+  const starsToTon = (stars) => (tonUsd ? +((stars * STAR_USD) / tonUsd).toFixed(4) : null);
+
+  if (from.onChain && to.onChain) {
+    return { route: "onchain_to_onchain", feasible: true, cost_ton: 0, stars: 0, hold_days: 0,
+      steps: [`List the NFT on ${sellAt} from the same wallet`] };
+  }
+  if (from.onChain) {
+    return { route: "onchain_to_offchain", feasible: true, cost_ton: NFT_TRANSFER_GAS_TON, stars: 0, hold_days: 0,
+      steps: [`Transfer the NFT to the ${sellAt} deposit address`, `List it inside ${sellAt}`] };
+  }
+  if (!to.onChain) {
+    return { route: "offchain_to_offchain", feasible: true, cost_ton: starsToTon(GIFT_TRANSFER_STARS),
+      stars: GIFT_TRANSFER_STARS, hold_days: 0,
+      steps: [`Withdraw the gift from ${buyAt} to your Telegram account`, `Send it to ${sellAt} (${GIFT_TRANSFER_STARS} Stars)`] };
+  }
+  return {
+    route: "offchain_to_onchain",
+    feasible: false,
+    cost_ton: starsToTon(GIFT_TRANSFER_STARS),
+    stars: GIFT_TRANSFER_STARS,
+    hold_days: GIFT_EXPORT_HOLD_DAYS,
+    steps: [
+      `Withdraw the gift from ${buyAt} to your Telegram account`,
+      `Export it to the TON blockchain via Fragment after the ${GIFT_EXPORT_HOLD_DAYS}-day hold (${GIFT_TRANSFER_STARS} Stars)`,
+      `List the NFT on ${sellAt}`,
+    ],
+    warning: `Not executable as an instant arbitrage: off-chain gifts cannot be exported on-chain for ~${GIFT_EXPORT_HOLD_DAYS} days, and the ${sellAt} floor may move meanwhile`,
+  };
+}
+
+/**
+ * Net result of buying at one marketplace's floor and reselling at another's,
+ * after seller commission, royalty, gas on both legs and the transfer between
+ * venues. Amounts are in TON; USD fields are null without a TON/USD rate.
+ */
+function computeArbitrageRoute(buy, sell, { royaltyPct, tonUsd }) {
+  const buyFees = MARKETPLACE_FEES[buy.marketplace];
+  const sellFees = MARKETPLACE_FEES[sell.marketplace];
+  const transfer = transferPlan(buy.marketplace, sell.marketplace, tonUsd);
+
+  const commission = sell.floor * (sellFees.sellerFeePct / 100);
+  const royalty = sellFees.onChain ? sell.floor * (royaltyPct / 100) : 0;
+  const costs = {
+    buy_gas_ton: buyFees.buyGasTon,
+    seller_commission_ton: +commission.toFixed(4),
+    seller_commission_pct: sellFees.sellerFeePct,
+    royalty_ton: +royalty.toFixed(4),
+    royalty_pct: sellFees.onChain ? royaltyPct : 0,
+    list_gas_ton: sellFees.listGasTon,
+    transfer_ton: transfer.cost_ton,
+  };
+  const totalCost =
+    buyFees.buyGasTon + commission + royalty + sellFees.listGasTon + (transfer.cost_ton ?? 0);
+  const grossSpread = sell.floor - buy.floor;
+  const net = grossSpread - totalCost;
+
+  return {
+    buyAt: buy.marketplace,
+    buyPrice: buy.floor,
+    sellAt: sell.marketplace,
+    sellPrice: sell.floor,
+    spread: +grossSpread.toFixed(2),
+    spreadPercent: +((grossSpread / buy.floor) * 100).toFixed(1),
+    costs: { ...costs, total_ton: +totalCost.toFixed(4) },
+    netProfitTon: +net.toFixed(2),
+    netProfitUsd: tonUsd ? +(net * tonUsd).toFixed(2) : null,
+    netMarginPercent: +((net / (buy.floor + buyFees.buyGasTon)) * 100).toFixed(1),
+    transfer,
+  };
+}
+
+/**
+ * Every buy-low/sell-high pair across `floors` ({marketplace, floor}),
+ * executable routes first, then by net profit.
+ */
+function findArbitrageRoutes(floors, opts) {
+  const routes = [];
+  for (const buy of floors) {
+    for (const sell of floors) {
+      if (sell.floor > buy.floor) routes.push(computeArbitrageRoute(buy, sell, opts));
     }
   }
-  return null;
+  return routes.sort(
+    (a, b) => b.transfer.feasible - a.transfer.feasible || b.netProfitTon - a.netProfitTon
+  );
+}
+
+function arbitrageNote(route) {
+  if (route.netProfitTon <= 0) {
+    return `Gross spread ${route.spreadPercent}% is eaten by fees (net ${route.netProfitTon} TON)`;
+  }
+  if (!route.transfer.feasible) {
+    return `Net ${route.netProfitTon} TON on paper. ${route.transfer.warning}`;
+  }
+  const stars = route.transfer.cost_ton === null && route.transfer.stars
+    ? ` (excludes ${route.transfer.stars} Stars transfer fee)`
+    : "";
+  return `Net ${route.netProfitTon} TON (${route.netMarginPercent}%) after fees${stars}`;
+}
+
+// ---------------------------------------------------------------------------
+// Market-wide scan
+// ---------------------------------------------------------------------------
+
+const scanCache = new Map();
+
+function scanCacheKey(opts) {
+  return JSON.stringify([opts.topModels, opts.royaltyPct, opts.maxCollections, opts.minFloor]);
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+async function fetchGiftstatCollections() {
+  try {
+    const res = await fetchWithTimeout(`${GIFTSTAT_API}/current/collections?limit=500`);
+    if (!res.ok) return [];
+    const data = await res.json();
+    return data.data || [];
+  } catch {
+    return [];
+  }
+}
+
+// 0..1: half from how many markets quote the collection, half from supply
+// (10k+ items counts as fully liquid).
+function liquidityScore(marketsQuoted, supply) {
+  const markets = Math.min(1, marketsQuoted / 4);
+  const depth = supply > 0 ? Math.min(1, Math.log10(1 + supply) / 4) : 0;
+  return +(0.5 * markets + 0.5 * depth).toFixed(2);
+}
+
+// One opportunity per route, so a collection whose best route is infeasible
+// or eaten by fees still surfaces its viable second-best route.
+function toOpportunities(collection, model, floors, routes, supply, listingCounts) {
+  return routes.map((route) => {
+    const liquidity = {
+      supply: supply || null,
+      markets_quoted: floors.length,
+      sell_side_listings: listingCounts[route.sellAt] ?? null,
+      score: liquidityScore(floors.length, supply),
+    };
+    return {
+      collection: collection.name,
+      slug: collection.slug,
+      model,
+      collectionAddress: collection.address,
+      ...route,
+      note: arbitrageNote(route),
+      liquidity,
+      score: +(route.netProfitTon * liquidity.score).toFixed(2),
+    };
+  });
+}
+
+async function scanCollection(collection, tables, opts, context) {
+  const gs = pickGiftstatFloors(tables, collection.slug || collection.name);
+  const address =
+    collection.address ??
+    (await resolveGiftCollection(collection.slug || collection.name, registryOptions(context)))?.address ??
+    null;
+  const entry = { ...collection, address };
+
+  const [marketappData, getgemsData] = await Promise.all([
+    fetchMarketAppData(address, null, context),
+    fetchGetGemsFloor(address, null, context),
+  ]);
+
+  const floorMap = {};
+  for (const [mp, floor] of Object.entries(gs.marketplaceFloors)) {
+    if (MARKETPLACE_FEES[mp] && floor > 0) floorMap[mp] = floor;
+  }
+  const listingCounts = {};
+  for (const [mp, data] of [["marketapp", marketappData], ["getgems", getgemsData]]) {
+    if (data?.floor > 0) {
+      floorMap[mp] = data.floor;
+      listingCounts[mp] = data.listings.length;
+    }
+  }
+
+  const opportunities = [];
+  const floors = Object.entries(floorMap).map(([marketplace, floor]) => ({ marketplace, floor }));
+  const routes = floors.length >= 2 ? findArbitrageRoutes(floors, opts) : [];
+  if (routes.length > 0) {
+    opportunities.push(...toOpportunities(entry, null, floors, routes, collection.supply, listingCounts));
+  }
+
+  // Model floors only exist per market on GetGems and MarketApp.
+  if (opts.topModels > 0 && address) {
+    const models = Object.entries(gs.modelFloors)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, opts.topModels)
+      .map(([model]) => model);
+    for (const model of models) {
+      const [ma, gg] = await Promise.all([
+        fetchMarketAppData(address, model, context),
+        fetchGetGemsFloor(address, model, context),
+      ]);
+      const modelFloors = [];
+      const modelCounts = {};
+      for (const [mp, data] of [["marketapp", ma], ["getgems", gg]]) {
+        if (data?.floor > 0) {
+          modelFloors.push({ marketplace: mp, floor: data.floor });
+          modelCounts[mp] = data.listings.length;
+        }
+      }
+      const modelRoutes = modelFloors.length >= 2 ? findArbitrageRoutes(modelFloors, opts) : [];
+      if (modelRoutes.length > 0) {
+        opportunities.push(...toOpportunities(entry, model, modelFloors, modelRoutes, collection.supply, modelCounts));
+      }
+    }
+  }
+
+  return { quoted: floors.length, opportunities };
+}
+
+/**
+ * Scan every Giftstat collection (optionally its top models) and return all
+ * arbitrage routes found. Concurrent callers with the same options share one
+ * in-flight scan; results are reused for SCAN_CACHE_MS.
+ */
+async function runMarketScan(opts, context) {
+  const key = scanCacheKey(opts);
+  const cached = scanCache.get(key);
+  if (cached && Date.now() - cached.at < SCAN_CACHE_MS) {
+    return { ...(await cached.promise), cached: true, cacheAgeSeconds: Math.round((Date.now() - cached.at) / 1000) };
+  }
+
+  const promise = (async () => {
+    const [tables, giftstatCollections, tonUsd] = await Promise.all([
+      fetchGiftstatTables(),
+      fetchGiftstatCollections(),
+      fetchTonUsd(),
+    ]);
+
+    const bySlug = new Map();
+    for (const c of giftstatCollections) {
+      const name = c.collection || c.name;
+      const slug = c.collection_slug || c.slug || null;
+      if (!name && !slug) continue;
+      bySlug.set(normalizeSlug(slug || name), {
+        name: name || slug,
+        slug,
+        address: c.blockchain_address || c.address || null,
+        supply: c.total_amount || c.total_supply || c.supply || 0,
+        floor: c.floor_price || 0,
+      });
+    }
+    // Collections missing from the list but present in the floor table.
+    for (const row of tables.floors) {
+      const slugKey = normalizeSlug(row.slug || row.collection);
+      if (slugKey && !bySlug.has(slugKey)) {
+        bySlug.set(slugKey, { name: row.collection || row.slug, slug: row.slug || null, address: null, supply: 0, floor: row.floor_price || 0 });
+      }
+    }
+
+    let collections = [...bySlug.values()].filter((c) => !c.floor || c.floor >= opts.minFloor);
+    collections.sort((a, b) => b.floor - a.floor);
+    if (opts.maxCollections) collections = collections.slice(0, opts.maxCollections);
+
+    const routeOpts = { royaltyPct: opts.royaltyPct, tonUsd };
+    let failed = 0;
+    const results = await mapWithConcurrency(collections, SCAN_CONCURRENCY, async (c) => {
+      try {
+        return await scanCollection(c, tables, { ...routeOpts, topModels: opts.topModels }, context);
+      } catch {
+        failed++;
+        return { quoted: 0, opportunities: [] };
+      }
+    });
+
+    return {
+      scannedAt: new Date().toISOString(),
+      collectionsScanned: collections.length,
+      collectionsQuoted: results.filter((r) => r.quoted >= 2).length,
+      collectionsFailed: failed,
+      tonUsd,
+      opportunities: results.flatMap((r) => r.opportunities),
+    };
+  })();
+
+  const entry = { at: Date.now(), promise };
+  scanCache.set(key, entry);
+  try {
+    return { ...(await promise), cached: false, cacheAgeSeconds: 0 };
+  } catch (err) {
+    if (scanCache.get(key) === entry) scanCache.delete(key);
+    throw err;
+  }
 }
 
 export const manifest = {
@@ -368,7 +726,7 @@ const tools = [
     name: "gift_price_compare",
     category: "data-bearing",
     description:
-      "Compare gift prices across marketplaces. On-chain: MarketApp (marketapp.ws), GetGems, Fragment. Off-chain (Telegram Mini Apps): Portals, Tonnel, MRKT. Giftstat is NOT a marketplace — it is a data aggregator that collects floor prices from off-chain markets. MarketApp ≠ MRKT (MarketApp = on-chain at marketapp.ws, MRKT = off-chain Telegram Mini App with 8% commission). Results show actual marketplace names. Provide a collection name/slug and optionally a model name.",
+      "Compare gift prices across marketplaces. On-chain: MarketApp (marketapp.ws), GetGems, Fragment. Off-chain (Telegram Mini Apps): Portals, Tonnel, MRKT. Giftstat is NOT a marketplace — it is a data aggregator that collects floor prices from off-chain markets. MarketApp ≠ MRKT (MarketApp = on-chain at marketapp.ws, MRKT = off-chain Telegram Mini App with 8% commission). Arbitrage is computed net of seller commissions, on-chain royalty, gas and the cost of moving the gift between venues, in TON and USD; off-chain → on-chain routes are flagged as not instantly executable. Results show actual marketplace names. Provide a collection name/slug and optionally a model name.",
     parameters: {
       type: "object",
       properties: {
@@ -384,7 +742,11 @@ const tools = [
         collection_address: {
           type: "string",
           description:
-            "Optional on-chain collection address. If not provided, will attempt to resolve from collection name via MarketApp.",
+            "Optional on-chain collection address. If not provided, resolved from the collection name via the collection registry (Giftstat, GetGems, MarketApp; typos and Russian names accepted).",
+        },
+        royalty_pct: {
+          type: "number",
+          description: `Collection royalty in percent charged on on-chain sales (default: ${DEFAULT_ROYALTY_PCT})`,
         },
       },
       required: ["collection"],
@@ -393,17 +755,7 @@ const tools = [
       try {
         const collectionSlug = params.collection;
         const model = params.model || null;
-        let collectionAddress = params.collection_address || null;
-
-        const maCollections = await fetchMarketAppCollections(context);
-
-        if (!collectionAddress && maCollections.length > 0) {
-          collectionAddress = findCollectionAddress(maCollections, collectionSlug);
-        }
-
-        if (!collectionAddress) {
-          collectionAddress = resolveCollectionByAlias(collectionSlug);
-        }
+        const collectionAddress = await resolveCollectionAddress(params, context);
 
         const [giftstatData, marketappData, getgemsData, fragmentData] = await Promise.all([
           fetchGiftstatFloors(collectionSlug),
@@ -488,28 +840,29 @@ const tools = [
         comparison.cheapestListings = comparison.cheapestListings.slice(0, 15);
 
         const floors = Object.entries(comparison.marketplaces)
-          .filter(([, v]) => v.floor > 0)
+          .filter(([mp, v]) => v.floor > 0 && MARKETPLACE_FEES[mp])
           .map(([mp, v]) => ({ marketplace: mp, floor: v.floor }))
           .sort((a, b) => a.floor - b.floor);
 
         if (floors.length >= 2) {
-          const cheapest = floors[0];
-          const mostExpensive = floors[floors.length - 1];
-          const spread = mostExpensive.floor - cheapest.floor;
-          const spreadPct = ((spread / cheapest.floor) * 100).toFixed(1);
-
-          if (spread > 0) {
+          const tonUsd = await fetchTonUsd();
+          const routes = findArbitrageRoutes(floors, {
+            royaltyPct: params.royalty_pct ?? DEFAULT_ROYALTY_PCT,
+            tonUsd,
+          });
+          if (routes.length > 0) {
             comparison.arbitrage = {
-              buyAt: cheapest.marketplace,
-              buyPrice: cheapest.floor,
-              sellAt: mostExpensive.marketplace,
-              sellPrice: mostExpensive.floor,
-              spread: +spread.toFixed(2),
-              spreadPercent: +spreadPct,
-              note:
-                +spreadPct > 5
-                  ? `Potential ${spreadPct}% arbitrage opportunity!`
-                  : `Spread is only ${spreadPct}% — likely not worth after fees`,
+              ...routes[0],
+              note: arbitrageNote(routes[0]),
+              alternatives: routes.slice(1, 4).map((r) => ({
+                buyAt: r.buyAt,
+                sellAt: r.sellAt,
+                netProfitTon: r.netProfitTon,
+                feasible: r.transfer.feasible,
+                note: arbitrageNote(r),
+              })),
+              tonUsd,
+              assumptions: ARBITRAGE_ASSUMPTIONS,
             };
           }
         }
@@ -526,6 +879,223 @@ const tools = [
       }
     },
   },
+
+  {
+    name: "gift_arbitrage_scan",
+    category: "data-bearing",
+    description:
+      "Scan ALL gift collections from Giftstat (and optionally each collection's top models) for cross-marketplace arbitrage. " +
+      "Compares floors on Portals, Tonnel, MRKT and Fragment (via Giftstat) with live GetGems and MarketApp floors, computes net profit after commissions, royalty, gas and transfers, " +
+      "and ranks opportunities by net profit weighted by liquidity. Results are cached for 10 minutes — repeat questions reuse the last scan unless refresh=true. " +
+      "Use gift_price_compare to drill into a single collection.",
+    parameters: {
+      type: "object",
+      properties: {
+        min_net_profit: {
+          type: "number",
+          description: "Only return opportunities with at least this net profit in TON (default: 0)",
+        },
+        top_models: {
+          type: "integer",
+          description: "Also scan this many most valuable models per collection on GetGems/MarketApp (0-5, default: 0). Slower.",
+          minimum: 0,
+          maximum: 5,
+        },
+        limit: {
+          type: "integer",
+          description: "Number of opportunities to return (1-50, default: 10)",
+          minimum: 1,
+          maximum: 50,
+        },
+        max_collections: {
+          type: "integer",
+          description: "Scan only the N highest-floor collections (default: all)",
+          minimum: 1,
+        },
+        min_floor: {
+          type: "number",
+          description: "Skip collections whose Giftstat floor is below this many TON (default: 1)",
+        },
+        include_infeasible: {
+          type: "boolean",
+          description: "Include off-chain → on-chain routes that cannot be executed instantly (default: false)",
+        },
+        royalty_pct: {
+          type: "number",
+          description: `Collection royalty in percent charged on on-chain sales (default: ${DEFAULT_ROYALTY_PCT})`,
+        },
+        refresh: {
+          type: "boolean",
+          description: "Ignore the cached scan and re-query all marketplaces (default: false)",
+        },
+      },
+    },
+    execute: async (params, context) => {
+      try {
+        const opts = {
+          topModels: Math.max(0, Math.min(params.top_models ?? 0, 5)),
+          royaltyPct: params.royalty_pct ?? DEFAULT_ROYALTY_PCT,
+          maxCollections: params.max_collections ?? null,
+          minFloor: params.min_floor ?? 1,
+        };
+        if (params.refresh) scanCache.delete(scanCacheKey(opts));
+
+        const scan = await runMarketScan(opts, context);
+        const minNet = params.min_net_profit ?? 0;
+        // Best qualifying route per collection/model.
+        const seen = new Set();
+        const opportunities = scan.opportunities
+          .filter((o) => o.netProfitTon > minNet && (params.include_infeasible || o.transfer.feasible))
+          .sort((a, b) => b.score - a.score || b.netProfitTon - a.netProfitTon)
+          .filter((o) => {
+            const key = `${o.slug ?? o.collection}|${o.model ?? ""}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+          })
+          .slice(0, Math.min(params.limit ?? 10, 50));
+
+        const summary = opportunities.length
+          ? opportunities
+              .slice(0, 5)
+              .map((o) => `${o.collection}${o.model ? ` (${o.model})` : ""}: ${o.buyAt} → ${o.sellAt} net ${o.netProfitTon} TON`)
+              .join(" | ")
+          : `No opportunities above ${minNet} TON net across ${scan.collectionsScanned} collections`;
+
+        return {
+          success: true,
+          summary,
+          data: {
+            opportunities,
+            count: opportunities.length,
+            collectionsScanned: scan.collectionsScanned,
+            collectionsQuoted: scan.collectionsQuoted,
+            collectionsFailed: scan.collectionsFailed,
+            tonUsd: scan.tonUsd,
+            scannedAt: scan.scannedAt,
+            cached: scan.cached,
+            cacheAgeSeconds: scan.cacheAgeSeconds,
+            assumptions: ARBITRAGE_ASSUMPTIONS,
+          },
+        };
+      } catch (e) {
+        return { success: false, error: e.message };
+      }
+    },
+  },
+
+  {
+    name: "gift_buy_cheapest",
+    category: "action",
+    description:
+      "Buy the cheapest executable listing of a gift collection (optionally a specific model) across the on-chain marketplaces with a buy API: GetGems and MarketApp. " +
+      "Re-queries live listings, adds buyer fees and network gas, skips anything above max_price, and routes the purchase to getgems_buy_nft or marketapp_buy_nft (approval queue and spending limits apply). " +
+      "Fragment and off-chain markets (Portals, Tonnel, MRKT) are never bought from. Use dry_run=true first to see the chosen listing, the full cost and the decoded transaction without signing.",
+    parameters: {
+      type: "object",
+      properties: {
+        collection: {
+          type: "string",
+          description: "Collection name or slug (e.g. 'Plush Pepe', 'SnoopDogg')",
+        },
+        model: {
+          type: "string",
+          description: "Optional model name to restrict the search to",
+        },
+        max_price: {
+          type: "number",
+          description: "Maximum all-in cost in TON (listing price + buyer fees + gas)",
+        },
+        collection_address: {
+          type: "string",
+          description: "Optional on-chain collection address (skips name resolution)",
+        },
+        dry_run: {
+          type: "boolean",
+          description: "If true, pick the listing and return the purchase plan without signing (default: false)",
+        },
+      },
+      required: ["collection", "max_price"],
+    },
+    execute: async (params, context) => {
+      try {
+        const maxPrice = Number(params.max_price);
+        if (!(maxPrice > 0)) throw new Error("max_price must be a positive number in TON");
+
+        const collectionAddress = await resolveCollectionAddress(params, context);
+        if (!collectionAddress) {
+          return { success: false, error: `Could not resolve collection address for "${params.collection}". Pass collection_address.` };
+        }
+
+        const model = params.model || null;
+        const [marketappData, getgemsData] = await Promise.all([
+          fetchMarketAppData(collectionAddress, model, context),
+          fetchGetGemsFloor(collectionAddress, model, context),
+        ]);
+
+        const candidates = [];
+        for (const [marketplace, data] of [["marketapp", marketappData], ["getgems", getgemsData]]) {
+          for (const l of data?.listings ?? []) {
+            if (!l.address || !l.priceTon) continue;
+            candidates.push({ marketplace, ...l, ...buyCost(marketplace, l.priceTon) });
+          }
+        }
+        candidates.sort((a, b) => a.total_cost_ton - b.total_cost_ton);
+
+        const affordable = candidates.filter((c) => c.total_cost_ton <= maxPrice);
+        if (affordable.length === 0) {
+          return {
+            success: false,
+            error: candidates.length
+              ? `Cheapest executable listing costs ${candidates[0].total_cost_ton} TON all-in, above max_price ${maxPrice} TON`
+              : "No executable listings found on GetGems or MarketApp",
+            data: { cheapest: candidates[0] ?? null, checked: { marketapp: !!marketappData, getgems: !!getgemsData } },
+          };
+        }
+
+        const pick = affordable[0];
+        const route = BUY_ROUTES[pick.marketplace];
+        let plugin;
+        try {
+          plugin = await import(new URL(route.module, import.meta.url));
+        } catch {
+          return { success: false, error: `The ${pick.marketplace} plugin is not installed next to gift-price-compare` };
+        }
+
+        const maxListingPrice = maxPrice - route.networkFeeTon;
+        const result = await plugin.runBuyNft(route.toParams(pick, !!params.dry_run), context, {
+          maxPriceTon: maxListingPrice / (1 + route.buyerFeePct / 100),
+        });
+
+        const data = {
+          marketplace: pick.marketplace,
+          listing: {
+            name: pick.name,
+            address: pick.address,
+            model: pick.model,
+            backdrop: pick.backdrop,
+            price_ton: pick.priceTon,
+            fee_ton: pick.fee_ton,
+            network_fee_ton: pick.network_fee_ton,
+            total_cost_ton: pick.total_cost_ton,
+          },
+          alternatives: affordable.slice(1, 4).map((c) => ({
+            marketplace: c.marketplace,
+            name: c.name,
+            address: c.address,
+            total_cost_ton: c.total_cost_ton,
+          })),
+          buy: result.data ?? null,
+          steps: result.steps,
+        };
+
+        if (!result.success) return { success: false, error: result.error, data };
+        return { success: true, data };
+      } catch (e) {
+        return { success: false, error: e.message };
+      }
+    },
+  },
 ];
 
 export { tools };
@@ -10,6 +10,8 @@
  * All data comes from the public Giftstat API (no auth required).
  */
 
+import { sourceFetch } from "../../shared/source-health.js";
+
 export const manifest = {
   id: "giftstat",
   name: "giftstat",
@@ -30,7 +32,7 @@ async function giftstatFetch(path, params = {}, base = API_BASE) {
       url.searchParams.set(key, String(value));
     }
   }
-  const res = await fetch(url, { signal: AbortSignal.timeout(15000) });
+  const res = await sourceFetch(url);
   if (!res.ok) {
     throw new Error(`Giftstat API error: ${res.status} ${res.statusText}`);
   }
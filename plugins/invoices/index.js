@@ -15,6 +15,8 @@ import { randomBytes } from "node:crypto";
 import { readFileSync, realpathSync } from "node:fs";
 import { join } from "node:path";
 import { homedir } from "node:os";
+import { sourceFetch } from "../../shared/source-health.js";
+import { getWalletLabels, labelsObject } from "../../shared/wallet-labels.js";
 
 const _require = createRequire(realpathSync(process.argv[1]));
 let Address = null;
@@ -204,7 +206,7 @@ async function tonapiFetch(path, params = {}) {
   const headers = { Accept: "application/json" };
   if (API_KEY) headers.Authorization = `Bearer ${API_KEY}`;
 
-  const res = await fetch(url, { headers, signal: AbortSignal.timeout(15000) });
+  const res = await sourceFetch(url, { headers });
   if (!res.ok) {
     const text = await res.text().catch(() => "");
     const err = new Error(`TONAPI error: ${res.status} ${text.slice(0, 200)}`);
@@ -323,6 +325,17 @@ function buildLinks(recipient, amountNano, comment) {
   };
 }
 
+// Stored labels (own wallet, team, known entities) for the wallets on an
+// invoice. No lookups here — unknown wallets are simply left out.
+function invoiceWalletLabels(db, wallets) {
+  try {
+    const labels = labelsObject(getWalletLabels(db, wallets));
+    return Object.keys(labels).length ? labels : null;
+  } catch {
+    return null;
+  }
+}
+
 function getAgentWalletAddress() {
   let data;
   try {
@@ -1294,6 +1307,7 @@ const invCreate = {
           strict_sender: strictSender,
           identity_level: identityLevel,
           links,
+          wallet_labels: invoiceWalletLabels(context.db, [recipient, expectedSender]),
         },
       };
     } catch (err) {
@@ -1426,6 +1440,7 @@ const invCheck = {
           identity_level: identityLevel,
           strict_sender: strictSender,
           cache_source: result.source,
+          wallet_labels: invoiceWalletLabels(context.db, [invoice.recipient_wallet, invoice.expected_sender_wallet, result.match.sender]),
         },
       };
     } catch (err) {
@@ -1494,6 +1509,11 @@ const invReceipt = {
           tx_amount_ton: invoice.tx_amount_ton,
           description: invoice.description,
           identity_level: identityLevel,
+          wallet_labels: invoiceWalletLabels(context.db, [
+            invoice.recipient_wallet,
+            invoice.expected_sender_wallet,
+            invoice.tx_sender_wallet,
+          ]),
         },
       };
     } catch (err) {
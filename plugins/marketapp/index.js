@@ -7,19 +7,20 @@
  * from the agent wallet at ~/.teleton/wallet.json.
  */
 
-import { createRequire } from "node:module";
-import { readFileSync, realpathSync } from "node:fs";
-import { join } from "node:path";
-import { homedir } from "node:os";
-
-const _require = createRequire(realpathSync(process.argv[1]));
-const { Address, SendMode, Cell } = _require("@ton/core");
-const { WalletContractV5R1, TonClient, internal } = _require("@ton/ton");
-const { mnemonicToPrivateKey } = _require("@ton/crypto");
+import {
+  toInternalMessages,
+  decodeTxMessages,
+  estimateTransfer,
+} from "../../shared/ton-tx.js";
+import { loadAgentWallet, withAgentWallet, sendTransfer } from "../../shared/ton-wallet.js";
+import { getTradingConfig } from "../../shared/trading-config.js";
+import { gateTradeAction, priceWithinTolerance, createApprovalTools } from "../../shared/trade-approval.js";
+import { guardedSend, lastPurchasePriceTon } from "../../shared/spending-policy.js";
+import { trackTransfer, createTradeStatusTool } from "../../shared/trade-tracker.js";
+import { sourceFetch } from "../../shared/source-health.js";
+import { labelAddresses } from "../../shared/wallet-labels.js";
 
 const API_BASE = "https://api.marketapp.ws/v1";
-const _TELETON_DIR = process.env.TELETON_HOME || join(homedir(), ".teleton");
-const WALLET_FILE = join(_TELETON_DIR, "wallet.json");
 
 function getToken(context) {
   if (context?.config?.marketapp_api_token) return context.config.marketapp_api_token;
@@ -38,12 +39,11 @@ async function marketFetch(path, params = {}, context = null) {
     }
   }
 
-  const res = await fetch(url, {
+  const res = await sourceFetch(url, {
     headers: {
       Authorization: token,
       Accept: "application/json",
     },
-    signal: AbortSignal.timeout(15000),
   });
 
   if (!res.ok) {
@@ -58,7 +58,7 @@ async function marketPost(path, body = {}, context = null) {
   if (!token) throw new Error("MARKETAPP_API_TOKEN not configured");
 
   const url = new URL(path, API_BASE + "/");
-  const res = await fetch(url, {
+  const res = await sourceFetch(url, {
     method: "POST",
     headers: {
       Authorization: token,
@@ -66,7 +66,7 @@ async function marketPost(path, body = {}, context = null) {
       Accept: "application/json",
     },
     body: JSON.stringify(body),
-    signal: AbortSignal.timeout(20000),
+    timeoutMs: 20000,
   });
 
   if (!res.ok) {
@@ -76,64 +76,36 @@ async function marketPost(path, body = {}, context = null) {
   return res.json();
 }
 
-async function getWalletAndClient() {
-  let walletData;
-  try {
-    walletData = JSON.parse(readFileSync(WALLET_FILE, "utf-8"));
-  } catch {
-    throw new Error("Agent wallet not found at " + WALLET_FILE);
-  }
-  if (!walletData.mnemonic || !Array.isArray(walletData.mnemonic)) {
-    throw new Error("Invalid wallet file: missing mnemonic array");
-  }
-
-  const keyPair = await mnemonicToPrivateKey(walletData.mnemonic);
-  const wallet = WalletContractV5R1.create({
-    workchain: 0,
-    publicKey: keyPair.publicKey,
-  });
+// `spend` ({ action, nft_address, collection_address }) is checked against
+// the shared spending limits before anything is signed. The wallet send queue
+// resolves once the transfer has landed; bounces and NFT ownership are then
+// followed by the tracker (see *_trade_status).
+async function sendMarketappTransaction(txResponse, context, spend) {
+  const txData = txResponse.transaction || txResponse;
+  const messages = toInternalMessages(txData.messages);
 
-  let endpoint;
-  try {
-    const { getHttpEndpoint } = _require("@orbs-network/ton-access");
-    endpoint = await getHttpEndpoint({ network: "mainnet" });
-  } catch {
-    endpoint = "https://toncenter.com/api/v2/jsonRPC";
-  }
+  const sent = await guardedSend(context, { marketplace: "marketapp", ...spend }, messages, () =>
+    sendTransfer(context, messages, `marketapp:${spend.action}`)
+  );
+  const trackingId = trackTransfer(context, { marketplace: "marketapp", ...spend }, sent);
 
-  const client = new TonClient({ endpoint });
-  const contract = client.open(wallet);
-  return { wallet, keyPair, client, contract };
+  return { wallet_address: sent.wallet_address, seqno: sent.seqno, tracking_id: trackingId, queue: sent.queue };
 }
 
-async function sendMarketappTransaction(txResponse) {
-  const { wallet, keyPair, contract } = await getWalletAndClient();
-  const seqno = await contract.getSeqno();
+// Result message for a sent transaction. An unconfirmed send may still land,
+// so the agent must check its status instead of trying again.
+function sentMessage(what, result) {
+  if (result.queue?.unconfirmed) {
+    return `${what} transaction was broadcast but is not confirmed on-chain yet — do NOT retry it. Use marketapp_trade_status with tracking_id to see whether it landed.`;
+  }
+  return `${what} transaction landed on-chain. Use marketapp_trade_status with tracking_id to check for bounces and NFT ownership.`;
+}
 
+async function previewMarketappTransaction(txResponse, context) {
   const txData = txResponse.transaction || txResponse;
-  const messages = txData.messages.map((item) => {
-    const msg = {
-      to: Address.parse(item.address),
-      value: BigInt(item.amount),
-      bounce: true,
-    };
-    if (item.payload) {
-      msg.body = Cell.fromBoc(Buffer.from(item.payload, "base64"))[0];
-    }
-    if (item.stateInit) {
-      msg.init = Cell.fromBoc(Buffer.from(item.stateInit, "base64"))[0];
-    }
-    return internal(msg);
-  });
-
-  await contract.sendTransfer({
-    seqno,
-    secretKey: keyPair.secretKey,
-    sendMode: SendMode.PAY_GAS_SEPARATELY + SendMode.IGNORE_ERRORS,
-    messages,
-  });
-
-  return { wallet_address: wallet.address.toString(), seqno };
+  const messages = toInternalMessages(txData.messages);
+  const plan = await withAgentWallet(context, (walletCtx) => estimateTransfer(walletCtx, messages));
+  return { ...plan, messages: decodeTxMessages(txData.messages) };
 }
 
 function formatTon(nanoStr) {
@@ -189,6 +161,325 @@ function formatNftItem(item) {
   };
 }
 
+// ---------------------------------------------------------------------------
+// Trading actions
+// ---------------------------------------------------------------------------
+
+// Current listing price in TON (null if the NFT is not on sale) and the
+// collection it belongs to.
+async function fetchListing(nftAddress, context) {
+  const data = await marketFetch(`nfts/${nftAddress}/`, {}, context);
+  const item = data.item || data;
+  const status = item.status || {};
+  const statusData = status[Object.keys(status)[0]] || {};
+  const nano = statusData.price_nano ?? statusData.price;
+  return {
+    priceTon: nano ? Number(nano) / 1e9 : null,
+    collectionAddress: item.collection_address ?? null,
+  };
+}
+
+async function fetchCollectionFloor(collectionAddress, context) {
+  const data = await marketFetch("collections/gifts/", {}, context);
+  const collection = (Array.isArray(data) ? data : []).find((c) => c.address === collectionAddress);
+  const nano = collection?.extra_data?.floor;
+  return nano ? Number(nano) / 1e9 : null;
+}
+
+// What an NFT the agent lists, reprices or delists is worth: the larger of its
+// current listing, its collection floor and what the agent paid for it.
+// Approval gates on this, not on the asking price, so a 0.01 TON listing of a
+// valuable NFT is still parked.
+async function fetchItemValue(nftAddress, context) {
+  const listing = await fetchListing(nftAddress, context);
+  const floorTon = listing.collectionAddress ? await fetchCollectionFloor(listing.collectionAddress, context) : null;
+  const paidTon = lastPurchasePriceTon(context.db, nftAddress);
+  return Math.max(listing.priceTon ?? 0, floorTon ?? 0, paidTon ?? 0);
+}
+
+// Also used by gift-price-compare's gift_buy_cheapest, which passes
+// opts.maxPriceTon so a listing repriced since the scan is not bought.
+export async function runBuyNft(params, context, opts = {}) {
+  const steps = [];
+  try {
+    const listing = await fetchListing(params.nft_address, context);
+    const price = listing.priceTon;
+    if (price === null) throw new Error("NFT is no longer listed for sale");
+    steps.push(`listing price: ${price} TON`);
+
+    if (opts.maxPriceTon !== undefined && price > opts.maxPriceTon) {
+      throw new Error(`Listing price ${price} TON is above the allowed ${opts.maxPriceTon} TON`);
+    }
+
+    if (opts.approvedActionId) {
+      const { approvalPriceTolerancePct } = getTradingConfig(context);
+      if (!priceWithinTolerance(price, opts.approvedPriceTon, approvalPriceTolerancePct)) {
+        throw new Error(`Price changed since approval request: approved ${opts.approvedPriceTon} TON, now ${price} TON`);
+      }
+      steps.push(`price re-validated (approved ${opts.approvedPriceTon} TON)`);
+    } else {
+      if (params.price !== undefined && price > Number(params.price) + 1e-9) {
+        throw new Error(`Listing price is now ${price} TON, above the requested ${params.price} TON`);
+      }
+      if (!params.dry_run) {
+        const parked = await gateTradeAction(context, {
+          marketplace: "marketapp",
+          action: "buy",
+          nft_address: params.nft_address,
+          price_ton: price,
+          params: { nft_address: params.nft_address, price },
+          summary: `Buy NFT for ${price} TON`,
+        });
+        if (parked) return parked;
+      }
+    }
+
+    steps.push("requesting buy transaction from MarketApp API");
+    const txResponse = await marketPost(
+      "nfts/buy/",
+      {
+        data: [
+          {
+            nft_address: params.nft_address,
+            price,
+            currency: "TON",
+          },
+        ],
+      },
+      context
+    );
+    steps.push(`got transaction: ${txResponse.transaction?.messages?.length ?? 0} messages`);
+
+    if (!txResponse.transaction?.messages?.length) {
+      throw new Error("MarketApp returned empty transaction");
+    }
+
+    if (params.dry_run) {
+      const plan = await previewMarketappTransaction(txResponse, context);
+      steps.push("dry run: transaction decoded, not signed");
+      return {
+        success: true,
+        data: {
+          dry_run: true,
+          nft_address: params.nft_address,
+          price_ton: price,
+          ...plan,
+          steps,
+          message: plan.sufficient_balance
+            ? "Dry run only — nothing was signed or sent. Call again without dry_run to buy."
+            : `Dry run only — wallet balance is short by ${plan.shortfall_ton} TON.`,
+        },
+      };
+    }
+
+    const result = await sendMarketappTransaction(txResponse, context, {
+      action: "buy",
+      nft_address: params.nft_address,
+      collection_address: listing.collectionAddress,
+    });
+    steps.push("transaction sent");
+
+    return {
+      success: true,
+      data: {
+        nft_address: params.nft_address,
+        price_ton: price,
+        wallet_address: result.wallet_address,
+        seqno: result.seqno,
+        tracking_id: result.tracking_id,
+        queue: result.queue,
+        messages_sent: txResponse.transaction.messages.length,
+        steps,
+        message: sentMessage("Buy", result),
+      },
+    };
+  } catch (err) {
+    return { success: false, error: String(err.message || err).slice(0, 500), steps };
+  }
+}
+
+async function runListNft(params, context, opts = {}) {
+  const steps = [];
+  try {
+    if (params.price <= 0) throw new Error("Price must be positive");
+
+    if (!opts.approvedActionId) {
+      const valueTon = await fetchItemValue(params.nft_address, context);
+      steps.push(`item value: ${valueTon} TON`);
+      const parked = await gateTradeAction(context, {
+        marketplace: "marketapp",
+        action: "list",
+        nft_address: params.nft_address,
+        price_ton: params.price,
+        value_ton: valueTon,
+        params: { nft_address: params.nft_address, price: params.price },
+        summary: `List NFT for ${params.price} TON`,
+      });
+      if (parked) return parked;
+    }
+
+    const { wallet } = await loadAgentWallet(context);
+    const ownerAddress = wallet.address.toString();
+    steps.push("resolved wallet: " + ownerAddress);
+
+    const txResponse = await marketPost(
+      "nfts/sale/",
+      {
+        owner_address: ownerAddress,
+        data: [
+          {
+            nft_address: params.nft_address,
+            price: params.price,
+            currency: "TON",
+          },
+        ],
+      },
+      context
+    );
+    steps.push(`got transaction: ${txResponse.transaction?.messages?.length ?? 0} messages`);
+
+    if (!txResponse.transaction?.messages?.length) {
+      throw new Error("MarketApp returned empty transaction");
+    }
+
+    const result = await sendMarketappTransaction(txResponse, context, {
+      action: "list",
+      nft_address: params.nft_address,
+    });
+    steps.push("transaction sent");
+
+    return {
+      success: true,
+      data: {
+        nft_address: params.nft_address,
+        price_ton: params.price,
+        wallet_address: result.wallet_address,
+        seqno: result.seqno,
+        tracking_id: result.tracking_id,
+        queue: result.queue,
+        messages_sent: txResponse.transaction.messages.length,
+        steps,
+        message: sentMessage("Listing", result),
+      },
+    };
+  } catch (err) {
+    return { success: false, error: String(err.message || err).slice(0, 500), steps };
+  }
+}
+
+async function runChangePrice(params, context, opts = {}) {
+  try {
+    if (params.price <= 0) throw new Error("Price must be positive");
+
+    if (!opts.approvedActionId) {
+      const parked = await gateTradeAction(context, {
+        marketplace: "marketapp",
+        action: "change_price",
+        nft_address: params.nft_address,
+        price_ton: params.price,
+        value_ton: await fetchItemValue(params.nft_address, context),
+        params: { nft_address: params.nft_address, price: params.price },
+        summary: `Change listing price to ${params.price} TON`,
+      });
+      if (parked) return parked;
+    }
+
+    const { wallet } = await loadAgentWallet(context);
+    const ownerAddress = wallet.address.toString();
+
+    const txResponse = await marketPost(
+      "nfts/change_price/",
+      {
+        owner_address: ownerAddress,
+        data: [
+          {
+            nft_address: params.nft_address,
+            price: params.price,
+            currency: "TON",
+          },
+        ],
+      },
+      context
+    );
+
+    if (!txResponse.transaction?.messages?.length) {
+      throw new Error("MarketApp returned empty transaction");
+    }
+
+    const result = await sendMarketappTransaction(txResponse, context, {
+      action: "change_price",
+      nft_address: params.nft_address,
+    });
+
+    return {
+      success: true,
+      data: {
+        nft_address: params.nft_address,
+        new_price_ton: params.price,
+        wallet_address: result.wallet_address,
+        seqno: result.seqno,
+        tracking_id: result.tracking_id,
+        queue: result.queue,
+        message: sentMessage("Price change", result),
+      },
+    };
+  } catch (err) {
+    return { success: false, error: String(err.message || err).slice(0, 500) };
+  }
+}
+
+async function runCancelSale(params, context, opts = {}) {
+  try {
+    if (!opts.approvedActionId) {
+      const parked = await gateTradeAction(context, {
+        marketplace: "marketapp",
+        action: "cancel",
+        nft_address: params.nft_address,
+        price_ton: 0,
+        value_ton: await fetchItemValue(params.nft_address, context),
+        params: { nft_address: params.nft_address },
+        summary: "Cancel sale",
+      });
+      if (parked) return parked;
+    }
+
+    const { wallet } = await loadAgentWallet(context);
+    const ownerAddress = wallet.address.toString();
+
+    const txResponse = await marketPost(
+      "nfts/cancel_sale/",
+      {
+        owner_address: ownerAddress,
+        nft_addresses: [params.nft_address],
+      },
+      context
+    );
+
+    if (!txResponse.transaction?.messages?.length) {
+      throw new Error("MarketApp returned empty transaction");
+    }
+
+    const result = await sendMarketappTransaction(txResponse, context, {
+      action: "cancel",
+      nft_address: params.nft_address,
+    });
+
+    return {
+      success: true,
+      data: {
+        nft_address: params.nft_address,
+        wallet_address: result.wallet_address,
+        seqno: result.seqno,
+        tracking_id: result.tracking_id,
+        queue: result.queue,
+        message: sentMessage("Cancel sale", result),
+      },
+    };
+  } catch (err) {
+    return { success: false, error: String(err.message || err).slice(0, 500) };
+  }
+}
+
 export const manifest = {
   id: "marketapp",
   name: "marketapp",
@@ -294,13 +585,20 @@ const tools = [
         if (params.cursor) query.cursor = params.cursor;
 
         const data = await marketFetch("gifts/history/", query, context);
-        const events = (data.items || []).map((ev) => {
+        const items = data.items || [];
+        // Label marketplace contracts, exchanges and team wallets; labels are best-effort.
+        const labels = context.db
+          ? await labelAddresses(context.db, items.flatMap((ev) => [ev.details?.src, ev.details?.dst])).catch(() => new Map())
+          : new Map();
+        const events = items.map((ev) => {
           const details = ev.details || {};
           return {
             nftAddress: ev.nft_address,
             eventType: ev.event_type,
             seller: details.src || null,
+            sellerLabel: labels.get(details.src)?.label ?? null,
             buyer: details.dst || null,
+            buyerLabel: labels.get(details.dst)?.label ?? null,
             price: formatTon(details.price_nano),
             currency: details.currency || null,
             marketplace: details.market_name || null,
@@ -387,7 +685,9 @@ const tools = [
     name: "marketapp_buy_nft",
     category: "action",
     description:
-      "Buy an NFT listed for sale on MarketApp. Signs and sends the purchase transaction from the agent wallet. The NFT must be currently listed for sale on MarketApp (on-chain). Use marketapp_gifts_onsale to find NFTs and their addresses.",
+      "Buy an NFT listed for sale on MarketApp. Signs and sends the purchase transaction from the agent wallet. The NFT must be currently listed for sale on MarketApp (on-chain). Use marketapp_gifts_onsale to find NFTs and their addresses. " +
+      "Use dry_run=true to quote the purchase first: decodes the transaction, estimates fees and checks the wallet balance without signing anything. " +
+      "Trades at or above the approval threshold are parked for a human approver and return status pending_approval with an action_id.",
     parameters: {
       type: "object",
       properties: {
@@ -399,58 +699,22 @@ const tools = [
           type: "number",
           description: "Listed price in TON (must match the current listing price)",
         },
+        dry_run: {
+          type: "boolean",
+          description: "If true, return the full purchase plan (messages, fees, balance check) without signing or sending (default: false)",
+        },
       },
       required: ["nft_address", "price"],
     },
-    execute: async (params, context) => {
-      const steps = [];
-      try {
-        steps.push("requesting buy transaction from MarketApp API");
-        const txResponse = await marketPost(
-          "nfts/buy/",
-          {
-            data: [
-              {
-                nft_address: params.nft_address,
-                price: params.price,
-                currency: "TON",
-              },
-            ],
-          },
-          context
-        );
-        steps.push(`got transaction: ${txResponse.transaction?.messages?.length ?? 0} messages`);
-
-        if (!txResponse.transaction?.messages?.length) {
-          throw new Error("MarketApp returned empty transaction");
-        }
-
-        const result = await sendMarketappTransaction(txResponse);
-        steps.push("transaction sent");
-
-        return {
-          success: true,
-          data: {
-            nft_address: params.nft_address,
-            price_ton: params.price,
-            wallet_address: result.wallet_address,
-            seqno: result.seqno,
-            messages_sent: txResponse.transaction.messages.length,
-            steps,
-            message: "Buy transaction sent. Allow ~30 seconds for on-chain confirmation.",
-          },
-        };
-      } catch (err) {
-        return { success: false, error: String(err.message || err).slice(0, 500), steps };
-      }
-    },
+    execute: (params, context) => runBuyNft(params, context),
   },
 
   {
     name: "marketapp_list_nft",
     category: "action",
     description:
-      "List an NFT for sale on MarketApp. Sets the sale price and signs the listing transaction from the agent wallet. The agent must own the NFT on-chain.",
+      "List an NFT for sale on MarketApp. Sets the sale price and signs the listing transaction from the agent wallet. The agent must own the NFT on-chain. " +
+      "Listings whose price or item value (collection floor, purchase price) reaches the approval threshold are parked for a human approver and return status pending_approval with an action_id.",
     parameters: {
       type: "object",
       properties: {
@@ -465,61 +729,15 @@ const tools = [
       },
       required: ["nft_address", "price"],
     },
-    execute: async (params, context) => {
-      const steps = [];
-      try {
-        if (params.price <= 0) throw new Error("Price must be positive");
-
-        const { wallet } = await getWalletAndClient();
-        const ownerAddress = wallet.address.toString();
-        steps.push("resolved wallet: " + ownerAddress);
-
-        const txResponse = await marketPost(
-          "nfts/sale/",
-          {
-            owner_address: ownerAddress,
-            data: [
-              {
-                nft_address: params.nft_address,
-                price: params.price,
-                currency: "TON",
-              },
-            ],
-          },
-          context
-        );
-        steps.push(`got transaction: ${txResponse.transaction?.messages?.length ?? 0} messages`);
-
-        if (!txResponse.transaction?.messages?.length) {
-          throw new Error("MarketApp returned empty transaction");
-        }
-
-        const result = await sendMarketappTransaction(txResponse);
-        steps.push("transaction sent");
-
-        return {
-          success: true,
-          data: {
-            nft_address: params.nft_address,
-            price_ton: params.price,
-            wallet_address: result.wallet_address,
-            seqno: result.seqno,
-            messages_sent: txResponse.transaction.messages.length,
-            steps,
-            message: "Listing transaction sent. Allow ~30 seconds for on-chain confirmation.",
-          },
-        };
-      } catch (err) {
-        return { success: false, error: String(err.message || err).slice(0, 500), steps };
-      }
-    },
+    execute: (params, context) => runListNft(params, context),
   },
 
   {
     name: "marketapp_change_price",
     category: "action",
     description:
-      "Change the sale price of an NFT already listed on MarketApp. The agent must own the NFT.",
+      "Change the sale price of an NFT already listed on MarketApp. The agent must own the NFT. " +
+      "Price changes whose new price or item value (current listing, collection floor, purchase price) reaches the approval threshold are parked for a human approver and return status pending_approval with an action_id.",
     parameters: {
       type: "object",
       properties: {
@@ -534,55 +752,15 @@ const tools = [
       },
       required: ["nft_address", "price"],
     },
-    execute: async (params, context) => {
-      try {
-        if (params.price <= 0) throw new Error("Price must be positive");
-
-        const { wallet } = await getWalletAndClient();
-        const ownerAddress = wallet.address.toString();
-
-        const txResponse = await marketPost(
-          "nfts/change_price/",
-          {
-            owner_address: ownerAddress,
-            data: [
-              {
-                nft_address: params.nft_address,
-                price: params.price,
-                currency: "TON",
-              },
-            ],
-          },
-          context
-        );
-
-        if (!txResponse.transaction?.messages?.length) {
-          throw new Error("MarketApp returned empty transaction");
-        }
-
-        const result = await sendMarketappTransaction(txResponse);
-
-        return {
-          success: true,
-          data: {
-            nft_address: params.nft_address,
-            new_price_ton: params.price,
-            wallet_address: result.wallet_address,
-            seqno: result.seqno,
-            message: "Price change transaction sent. Allow ~30 seconds for on-chain confirmation.",
-          },
-        };
-      } catch (err) {
-        return { success: false, error: String(err.message || err).slice(0, 500) };
-      }
-    },
+    execute: (params, context) => runChangePrice(params, context),
   },
 
   {
     name: "marketapp_cancel_sale",
     category: "action",
     description:
-      "Cancel the sale of an NFT on MarketApp, removing it from the marketplace. The agent must own the NFT.",
+      "Cancel the sale of an NFT on MarketApp, removing it from the marketplace. The agent must own the NFT. " +
+      "Cancels of items worth the approval threshold or more (current listing, collection floor, purchase price) are parked for a human approver and return status pending_approval with an action_id.",
     parameters: {
       type: "object",
       properties: {
@@ -593,40 +771,15 @@ const tools = [
       },
       required: ["nft_address"],
     },
-    execute: async (params, context) => {
-      try {
-        const { wallet } = await getWalletAndClient();
-        const ownerAddress = wallet.address.toString();
-
-        const txResponse = await marketPost(
-          "nfts/cancel_sale/",
-          {
-            owner_address: ownerAddress,
-            nft_addresses: [params.nft_address],
-          },
-          context
-        );
-
-        if (!txResponse.transaction?.messages?.length) {
-          throw new Error("MarketApp returned empty transaction");
-        }
-
-        const result = await sendMarketappTransaction(txResponse);
-
-        return {
-          success: true,
-          data: {
-            nft_address: params.nft_address,
-            wallet_address: result.wallet_address,
-            seqno: result.seqno,
-            message: "Cancel sale transaction sent. Allow ~30 seconds for on-chain confirmation.",
-          },
-        };
-      } catch (err) {
-        return { success: false, error: String(err.message || err).slice(0, 500) };
-      }
-    },
+    execute: (params, context) => runCancelSale(params, context),
   },
+  ...createApprovalTools("marketapp", {
+    buy: runBuyNft,
+    list: runListNft,
+    change_price: runChangePrice,
+    cancel: runCancelSale,
+  }),
+  createTradeStatusTool("marketapp"),
 ];
 
 export { tools };
@@ -7,12 +7,36 @@
  * - GetGems API: collection history (on-chain sales)
  * - Giftstat API: floor prices, price history, collection data
  *
- * Three tools:
- * 1. whale_tracker — top holders, portfolios, activity patterns
+ * Tools:
+ * 1. whale_tracker — top holders (clustered into entities), portfolios, activity patterns
  * 2. anomaly_detector — wash trading, price spikes, volume anomalies (heuristic)
  * 3. whale_snapshots — query historical snapshots + compute deltas between dates
+ * 4. data_sources — source health
+ * 5. sales_warehouse — incremental local store of every synced sale (shared/sales-warehouse.js)
+ * 6. wash_trade_detector — sale-level wash trading: cycling, round-trips, related-wallet trades
+ * 7. whale_alerts — status and watchlist of the background alert watcher (posts to Telegram chats)
+ * 8. holder_snapshots — daily holder distribution (HHI, Gini, top-N share) + holdings deltas
+ * 9. whale_backfill — rebuild past daily whale_snapshots from historical sales (resumable jobs)
+ * 10. scheduled_jobs — status, run history and manual runs of background jobs (shared/job-scheduler.js)
+ * 11. wallet_labels — known-entity directory (marketplaces, Fragment, exchanges, team labels; shared/wallet-labels.js)
  */
 
+import { resolveGiftCollection } from "../../shared/collection-registry.js";
+import { syncSales, querySales, dailySales, salesCollections, salesCoverage, registerSalesWarehouseDb } from "../../shared/sales-warehouse.js";
+import { updateWalletClusters, getEntityMap, getWalletCluster, getLinksBetween, toRawWallet } from "../../shared/wallet-clusters.js";
+import { createScheduler, intervalToCron, schedulerStatus } from "../../shared/job-scheduler.js";
+import { sourceFetch, isSourceAvailable, recordSourceStatus, sourceHealth, initSourceHealthDb, SOURCES } from "../../shared/source-health.js";
+import {
+  initWalletLabelsDb,
+  detectWalletLabels,
+  getWalletLabels,
+  labelAddresses,
+  setWalletLabel,
+  removeWalletLabel,
+  listWalletLabels,
+  LABEL_CATEGORIES,
+} from "../../shared/wallet-labels.js";
+
 const GIFTSTAT_API = "https://api.giftstat.app";
 
 const MARKETAPP_API = "https://api.marketapp.ws/v1";
@@ -26,32 +50,6 @@ async function toRawAddress(addr) {
   }
 }
 
-const COLLECTION_ALIASES = {
-  "EQDLM65t0shS7gZAg0lMltGHYhsU94PzsMJHhYibmRV7kdUs": ["CandyCane", "Candy Cane", "Candy-Cane", "candycane"],
-  "EQAoJw7BpOcBD3y9voMuEQ-qhS3K4gtM-6EePLxkzk8iSifX": ["SnoopDogg", "Snoop Dogg", "Snoop-Dogg", "snoopdog", "snoop"],
-  "EQDz_VecErEBTLOTiR1tq0VS3lZuHHqhYmhZbthcrbFk7ztK": ["XmasStocking", "Xmas Stocking", "Xmas-Stocking", "xmasstocking"],
-  "EQCwEFfUbbR-22fn3VgxUpBil7bwBQqEHm7wgQYbWY9c08YJ": ["BDayCandle", "B-Day Candle", "BDay Candle", "bdaycandle"],
-  "EQBMcfMAZlMUr1W3X8kdEw3fJMUAaWH4-XcmE5R5RfFIY0E2": ["DeskCalendar", "Desk Calendar", "Desk-Calendar", "deskcalendar"],
-  "EQCefrjhCD2_7HRIr2lmwt9ZaqeG_tdseBvADC66833kBS3y": ["HomemadeCake", "Homemade Cake", "Homemade-Cake", "homemadecake"],
-  "EQBIj0uF-qIASqv6qIvcTif2wKSdt4WQc4mcoBywNp5GntuG": ["InstantRamen", "Instant Ramen", "Instant-Ramen", "instantramen"],
-  "EQC6zjid8vJNEWqcXk10XjsdDLRKbcPZzbHusuEW6FokOWIm": ["LolPop", "Lol Pop", "Lol-Pop", "lolpop", "lollipop"],
-  "EQBT9PbZBR6FGcZBSnwgo-DLpc0r7_X_8dlhG5UA6v9l9uJM": ["CookieHeart", "Cookie Heart", "Cookie-Heart", "cookieheart"],
-  "EQCBK_JBASAA5XVz1D17Pn--kQaMWm0b9wReVtsEdRO4Tgy9": ["JesterHat", "Jester Hat", "Jester-Hat", "jesterhat"],
-  "EQBG-g6ahkAUGWpefWbx-D_9sQ8oWbvy6puuq78U2c4NUDFS": ["PlushPepe", "Plush Pepe", "Plush-Pepe", "plushpepe"],
-};
-
-function resolveCollectionByAlias(nameOrSlug) {
-  const query = (nameOrSlug || "").toLowerCase().replace(/[\s_-]/g, "");
-  for (const [address, aliases] of Object.entries(COLLECTION_ALIASES)) {
-    for (const alias of aliases) {
-      if (alias.toLowerCase().replace(/[\s_-]/g, "") === query) {
-        return { address, slug: aliases[0] };
-      }
-    }
-  }
-  return null;
-}
-
 export const manifest = {
   name: "whale-analytics",
   version: "1.2.0",
@@ -60,8 +58,16 @@ export const manifest = {
   defaultConfig: {
     auto_snapshot: true,
     auto_snapshot_interval_hours: 24,
+    auto_snapshot_cron: null,
     auto_snapshot_top_n: 10,
     auto_snapshot_max_collections: 10,
+    whale_alerts: false,
+    whale_alerts_chats: [],
+    whale_alerts_min_ton: 500,
+    whale_alerts_watch_wallets: [],
+    whale_alerts_collections: [],
+    whale_alerts_interval_minutes: 5,
+    whale_alerts_quiet_hours: null,
   },
 };
 
@@ -88,10 +94,72 @@ export function migrate(db) {
     CREATE INDEX IF NOT EXISTS idx_snapshots_collection ON whale_snapshots(collection);
     CREATE INDEX IF NOT EXISTS idx_snapshots_wallet ON whale_snapshots(wallet_address);
   `);
+  const snapshotColumns = new Set(db.prepare("PRAGMA table_info(whale_snapshots)").all().map((c) => c.name));
+  for (const [name, type] of [["realized_pnl_ton", "REAL"], ["unrealized_pnl_ton", "REAL"], ["closed_trades", "INTEGER"], ["win_rate", "REAL"]]) {
+    if (!snapshotColumns.has(name)) db.exec(`ALTER TABLE whale_snapshots ADD COLUMN ${name} ${type}`);
+  }
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS whale_alerts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      sale_key TEXT NOT NULL UNIQUE,
+      reason TEXT NOT NULL,
+      payload_json TEXT NOT NULL,
+      sold_at INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      sent_at INTEGER,
+      error TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_whale_alerts_status ON whale_alerts(status);
+
+    CREATE TABLE IF NOT EXISTS holder_snapshots (
+      snapshot_date TEXT NOT NULL,
+      collection_address TEXT NOT NULL,
+      collection TEXT,
+      holders INTEGER NOT NULL,
+      items INTEGER NOT NULL,
+      owners_listed INTEGER NOT NULL,
+      hhi REAL,
+      gini REAL,
+      top10_share_pct REAL,
+      top100_share_pct REAL,
+      tail_estimated INTEGER NOT NULL DEFAULT 0,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      PRIMARY KEY (snapshot_date, collection_address)
+    );
+
+    CREATE TABLE IF NOT EXISTS holder_positions (
+      snapshot_date TEXT NOT NULL,
+      collection_address TEXT NOT NULL,
+      wallet TEXT NOT NULL,
+      items INTEGER NOT NULL,
+      nfts_json TEXT,
+      PRIMARY KEY (snapshot_date, collection_address, wallet)
+    );
+
+    CREATE TABLE IF NOT EXISTS whale_backfill_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      date_from TEXT NOT NULL,
+      date_to TEXT NOT NULL,
+      top_n INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'running',
+      progress_json TEXT NOT NULL,
+      error TEXT,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      updated_at INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+
+    CREATE TABLE IF NOT EXISTS whale_alert_watchlist (
+      wallet TEXT PRIMARY KEY,
+      address TEXT NOT NULL,
+      label TEXT,
+      added_at INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+  `);
 }
 
 async function fetchWithTimeout(url, options = {}, ms = 15000) {
-  return fetch(url, { ...options, signal: AbortSignal.timeout(ms) });
+  return sourceFetch(url, { ...options, timeoutMs: ms });
 }
 
 async function giftstatFetch(path, params = {}) {
@@ -180,6 +248,26 @@ async function getFloorPrices() {
   }
 }
 
+function floorKey(name) {
+  return String(name || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/** Cheapest Giftstat model floor across marketplaces, keyed `${floorKey(collection)}|${model}`. */
+async function getModelFloors() {
+  try {
+    const data = await giftstatFetch("/current/collections/models/floor", { limit: 5000 });
+    const floors = {};
+    for (const item of data.data || []) {
+      if (!item.model || !(item.floor_price > 0)) continue;
+      const key = `${floorKey(item.collection_slug)}|${item.model.toLowerCase()}`;
+      if (!floors[key] || item.floor_price < floors[key]) floors[key] = item.floor_price;
+    }
+    return floors;
+  } catch {
+    return {};
+  }
+}
+
 async function getCollectionSales(address, maxItems = 300, logger = null) {
   try {
     const rawAddr = await toRawAddress(address);
@@ -308,6 +396,74 @@ async function getPriceHistory(marketplace = "portals", days = 14) {
   }
 }
 
+// Pages per feed per sync; older history fills in over later runs.
+const WAREHOUSE_SYNC_PAGES = 5;
+
+function warehouseSyncOptions(skipGems, maxPages = WAREHOUSE_SYNC_PAGES) {
+  return {
+    getgemsKey: skipGems ? null : process.env.GETGEMS_API_KEY,
+    marketappToken: process.env.MARKETAPP_API_TOKEN,
+    maxPages,
+  };
+}
+
+/**
+ * Sales since `cutoffTime` from the local warehouse after a budgeted sync of
+ * the collection's feeds (or the global GetGems feed when no collection is
+ * given). Returns null when a feed failed or the stored history does not
+ * reach back to the cutoff yet, so callers fall back to live sampling.
+ */
+async function loadWarehouseSales(db, collectionAddress, cutoffTime, skipGems, log) {
+  try {
+    const results = await syncSales(db, collectionAddress ? [collectionAddress] : [], warehouseSyncOptions(skipGems));
+    for (const r of results) {
+      log(`Warehouse sync ${r.source}: +${r.inserted} sales, ${r.pages} pages${r.error ? `, error: ${r.error}` : ""}`);
+    }
+    if (results.length === 0 || results.some((r) => r.error)) return null;
+
+    const synced = new Set(results.map((r) => r.source));
+    const feeds = salesCoverage(db, collectionAddress).feeds.filter((f) => synced.has(f.source));
+    const covered = feeds.length > 0 && feeds.every(
+      (f) => f.open_gaps === 0 && (f.backfill_done || (f.oldest_time !== null && f.oldest_time <= cutoffTime))
+    );
+    if (!covered) return null;
+
+    return querySales(db, { collectionAddress, since: cutoffTime });
+  } catch (err) {
+    log(`Warehouse error: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Daily series in the shape of Giftstat price history, built from stored
+ * sales: floor is the day's lowest sale.
+ */
+async function getWarehouseHistory(db, days, collections) {
+  const since = Math.floor(Date.now() / 1000) - days * 86400;
+  let targets;
+  if (collections && collections.length > 0) {
+    targets = [];
+    for (const name of collections) {
+      const match = await resolveGiftCollection(name, { db });
+      if (match) targets.push({ label: name, address: match.address });
+    }
+  } else {
+    targets = salesCollections(db, since).map((c) => ({
+      label: c.collection_name || c.collection_address,
+      address: c.collection_address,
+    }));
+  }
+
+  const history = [];
+  for (const t of targets) {
+    for (const d of dailySales(db, { collectionAddress: t.address, since })) {
+      history.push({ slug: t.label, date: d.date, floor_price: d.low, volume: d.volume_ton, trades: d.trades, avg_price: d.avg_price });
+    }
+  }
+  return history;
+}
+
 function deduplicateSales(sales) {
   const seen = new Set();
   return sales.filter((s) => {
@@ -320,7 +476,256 @@ function deduplicateSales(sales) {
   });
 }
 
-function analyzeWhales(recentSales, allSales, collectionSlug, collectionAddress, floors, topN) {
+// ---------------------------------------------------------------------------
+// Holder distribution (GetGems top owners + owner NFT lists)
+// ---------------------------------------------------------------------------
+
+const HOLDER_OWNER_PAGES = 5;
+const HOLDER_DETAIL_TOP = 5;
+const HOLDER_DETAIL_PAGES = 3;
+const GETGEMS_PUBLIC_API = "https://api.getgems.io/public-api/v1";
+
+async function getgemsPublic(path, params = {}) {
+  const apiKey = process.env.GETGEMS_API_KEY;
+  if (!apiKey) throw new Error("GETGEMS_API_KEY not set — holder data comes from GetGems");
+  const url = new URL(`${GETGEMS_PUBLIC_API}/${path}`);
+  for (const [k, v] of Object.entries(params)) {
+    if (v !== undefined && v !== null) url.searchParams.set(k, String(v));
+  }
+  const res = await fetchWithTimeout(url.toString(), { headers: { Accept: "application/json", Authorization: apiKey } });
+  if (!res.ok) {
+    const body = await res.text().catch(() => "");
+    throw new Error(`GetGems ${res.status}: ${body.slice(0, 200)}`);
+  }
+  const raw = await res.json();
+  return raw.response !== undefined ? raw.response : raw;
+}
+
+/**
+ * Concentration metrics over item counts per holder. Holders beyond the
+ * fetched top-owner list are assumed to split the remaining items evenly.
+ */
+function concentrationMetrics(counts, totalHolders, totalItems) {
+  const sorted = [...counts].sort((a, b) => b - a);
+  const listed = sorted.reduce((sum, c) => sum + c, 0);
+  const holders = Math.max(totalHolders || 0, sorted.length);
+  const items = Math.max(totalItems || 0, listed);
+  const tailHolders = holders - sorted.length;
+  const tailItems = items - listed;
+  const all = tailHolders > 0 && tailItems > 0
+    ? [...sorted, ...Array(tailHolders).fill(tailItems / tailHolders)]
+    : sorted;
+  if (items === 0 || all.length === 0) return null;
+
+  const hhi = all.reduce((sum, c) => sum + (c / items) ** 2, 0) * 10000;
+  const asc = [...all].sort((a, b) => a - b);
+  const weighted = asc.reduce((sum, c, i) => sum + (i + 1) * c, 0);
+  const gini = (2 * weighted) / (asc.length * items) - (asc.length + 1) / asc.length;
+  const share = (n) => +((sorted.slice(0, n).reduce((sum, c) => sum + c, 0) / items) * 100).toFixed(2);
+
+  return {
+    holders,
+    items,
+    hhi: +hhi.toFixed(1),
+    gini: +Math.max(0, gini).toFixed(4),
+    top10_share_pct: share(10),
+    top100_share_pct: share(100),
+    tail_estimated: tailHolders > 0 && tailItems > 0,
+  };
+}
+
+/** NFT addresses of `collectionRaw` held by `owner` (first HOLDER_DETAIL_PAGES pages). */
+async function getOwnerCollectionNfts(owner, collectionRaw) {
+  const nfts = [];
+  let after;
+  for (let page = 0; page < HOLDER_DETAIL_PAGES; page++) {
+    const data = await getgemsPublic(`nfts/owner/${encodeURIComponent(owner)}`, { limit: 100, after });
+    const items = data.items || (Array.isArray(data) ? data : []);
+    for (const item of items) {
+      const col = item.collectionAddress || item.collection?.address;
+      if (col && (await toRawAddress(col)) === collectionRaw) nfts.push(item.address);
+    }
+    after = data.cursor;
+    if (!after || items.length < 100) break;
+    await new Promise((r) => setTimeout(r, 300));
+  }
+  return nfts;
+}
+
+/**
+ * Fetch the current holder distribution of a collection and store it as
+ * today's holder snapshot (replacing an earlier one from the same day).
+ */
+async function takeHolderSnapshot(db, collectionAddress, collectionName, log, detailTop = HOLDER_DETAIL_TOP) {
+  const raw = await toRawAddress(collectionAddress);
+  const stats = await getgemsPublic(`collection/stats/${raw}`).catch(() => ({}));
+
+  const owners = new Map();
+  let after;
+  for (let page = 0; page < HOLDER_OWNER_PAGES; page++) {
+    const data = await getgemsPublic(`collection/top-owners/${raw}`, { limit: 100, after });
+    const items = Array.isArray(data) ? data : (data.items ?? []);
+    for (const item of items) {
+      const wallet = item.ownerAddress ?? item.address;
+      const count = Number(item.count ?? item.nftsCount ?? 0);
+      if (wallet && count > 0) owners.set(wallet, count);
+    }
+    after = Array.isArray(data) ? null : data.cursor;
+    if (!after || items.length < 100) break;
+    await new Promise((r) => setTimeout(r, 300));
+  }
+  if (owners.size === 0) throw new Error("GetGems returned no owners for this collection");
+
+  const ranked = [...owners.entries()].sort(([, a], [, b]) => b - a);
+  const detail = new Map();
+  for (const [wallet] of ranked.slice(0, detailTop)) {
+    try {
+      detail.set(wallet, await getOwnerCollectionNfts(wallet, raw));
+    } catch (err) {
+      log(`Holder snapshot: NFT list for ${wallet.slice(0, 8)}… failed: ${err.message}`);
+    }
+  }
+
+  const metrics = concentrationMetrics(ranked.map(([, c]) => c), stats.holders, stats.itemsCount);
+  const today = new Date().toISOString().slice(0, 10);
+  db.transaction(() => {
+    db.prepare("DELETE FROM holder_positions WHERE snapshot_date = ? AND collection_address = ?").run(today, raw);
+    db.prepare(`
+      INSERT OR REPLACE INTO holder_snapshots
+        (snapshot_date, collection_address, collection, holders, items, owners_listed,
+         hhi, gini, top10_share_pct, top100_share_pct, tail_estimated)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(today, raw, collectionName || null, metrics.holders, metrics.items, ranked.length,
+      metrics.hhi, metrics.gini, metrics.top10_share_pct, metrics.top100_share_pct, metrics.tail_estimated ? 1 : 0);
+    const insert = db.prepare("INSERT INTO holder_positions (snapshot_date, collection_address, wallet, items, nfts_json) VALUES (?, ?, ?, ?, ?)");
+    for (const [wallet, count] of ranked) {
+      insert.run(today, raw, wallet, count, detail.has(wallet) ? JSON.stringify(detail.get(wallet)) : null);
+    }
+  })();
+
+  log(`Holder snapshot ${collectionName || raw}: ${ranked.length} owners listed, ${metrics.holders} holders, HHI ${metrics.hhi}`);
+  return { snapshot_date: today, collection_address: raw, collection: collectionName || null, owners_listed: ranked.length, ...metrics };
+}
+
+// ---------------------------------------------------------------------------
+// P&L (FIFO cost basis per wallet and NFT)
+// ---------------------------------------------------------------------------
+
+/**
+ * Mark-to-floor valuation for an open position: the Giftstat model floor
+ * when known, else the collection floor. `fallbackCollection` names sales
+ * that carry no collection (single-collection live samples).
+ */
+function floorValuer(floors, modelFloors, fallbackCollection) {
+  const collectionFloors = {};
+  for (const [slug, floor] of Object.entries(floors)) collectionFloors[floorKey(slug)] = floor;
+  return (sale) => {
+    const col = floorKey(sale.collection || fallbackCollection);
+    if (!col) return null;
+    const model = sale.model ? modelFloors[`${col}|${sale.model.toLowerCase()}`] : null;
+    return model ?? collectionFloors[col] ?? null;
+  };
+}
+
+/**
+ * Replay sales oldest first: each buy opens a lot for (buyer, NFT), each sell
+ * closes the buyer's oldest lot of that NFT. Sells with no recorded buy (the
+ * NFT was acquired before the available history, minted or received) are
+ * counted as unmatched and left out of realized P&L. Open lots are valued
+ * with `valueOf(sale)`. Proceeds and valuations are net of `sellFeePct`.
+ * Returns Map wallet → P&L summary.
+ */
+function computeWalletPnl(sales, valueOf, sellFeePct = 0) {
+  const net = 1 - sellFeePct / 100;
+  const lots = new Map();
+  const stats = new Map();
+  const statsFor = (w) => {
+    let st = stats.get(w);
+    if (!st) {
+      st = { realized: 0, closed: 0, wins: 0, unmatched: 0, openCount: 0, openCost: 0, openValue: 0, unrealized: 0, unvalued: 0 };
+      stats.set(w, st);
+    }
+    return st;
+  };
+
+  const ordered = sales.filter((s) => s.nft_address && s.price_ton > 0).sort((a, b) => a.time - b.time);
+  for (const s of ordered) {
+    if (s.seller) {
+      const st = statsFor(s.seller);
+      const lot = lots.get(`${s.seller}|${s.nft_address}`)?.shift();
+      if (lot) {
+        const pnl = s.price_ton * net - lot.cost;
+        st.realized += pnl;
+        st.closed++;
+        if (pnl > 0) st.wins++;
+      } else {
+        st.unmatched++;
+      }
+    }
+    if (s.buyer) {
+      const key = `${s.buyer}|${s.nft_address}`;
+      if (!lots.has(key)) lots.set(key, []);
+      lots.get(key).push({ cost: s.price_ton, sale: s });
+      statsFor(s.buyer);
+    }
+  }
+
+  for (const [key, queue] of lots) {
+    if (queue.length === 0) continue;
+    const st = stats.get(key.slice(0, key.lastIndexOf("|")));
+    for (const lot of queue) {
+      st.openCount++;
+      st.openCost += lot.cost;
+      const value = valueOf(lot.sale);
+      if (value === null || value === undefined) {
+        st.unvalued++;
+        continue;
+      }
+      st.openValue += value * net;
+      st.unrealized += value * net - lot.cost;
+    }
+  }
+
+  const result = new Map();
+  for (const [wallet, st] of stats) {
+    result.set(wallet, {
+      realized_pnl_ton: +st.realized.toFixed(2),
+      unrealized_pnl_ton: +st.unrealized.toFixed(2),
+      total_pnl_ton: +(st.realized + st.unrealized).toFixed(2),
+      closed_trades: st.closed,
+      win_rate: st.closed > 0 ? +((st.wins / st.closed) * 100).toFixed(1) : null,
+      open_positions: st.openCount,
+      open_cost_ton: +st.openCost.toFixed(2),
+      open_value_ton: +st.openValue.toFixed(2),
+      unvalued_positions: st.unvalued,
+      unmatched_sells: st.unmatched,
+    });
+  }
+  return result;
+}
+
+const PNL_RANKINGS = {
+  realized_pnl: (p) => p?.realized_pnl_ton ?? -Infinity,
+  unrealized_pnl: (p) => p?.unrealized_pnl_ton ?? -Infinity,
+  total_pnl: (p) => p?.total_pnl_ton ?? -Infinity,
+  // Ties (and single-trade 100% rates) are broken by the number of closed trades.
+  win_rate: (p) => (p?.win_rate ?? -1) * 1000 + Math.min(p?.closed_trades ?? 0, 999),
+};
+
+function classifyStrategy(boughtCount, soldCount) {
+  if (boughtCount + soldCount < 3) return "insufficient_data";
+  if (boughtCount > soldCount * 3) return "accumulating";
+  if (soldCount > boughtCount * 2) return "distributing";
+  if (Math.abs(boughtCount - soldCount) < boughtCount * 0.3) return "trading";
+  return "mixed";
+}
+
+/**
+ * `opts.pnl` (Map from computeWalletPnl) attaches P&L to each whale;
+ * `opts.rankBy` ("activity" or a PNL_RANKINGS key) picks the ordering. P&L
+ * rankings also consider wallets that only sold in the period.
+ */
+function analyzeWhales(recentSales, allSales, collectionSlug, collectionAddress, floors, topN, opts = {}) {
   const buyerStats = {};
   const sellerStats = {};
 
@@ -342,26 +747,21 @@ function analyzeWhales(recentSales, allSales, collectionSlug, collectionAddress,
     }
   }
 
-  const topBuyers = Object.entries(buyerStats)
-    .sort(([, a], [, b]) => b.count - a.count)
+  const pnlRank = PNL_RANKINGS[opts.rankBy];
+  const candidates = (pnlRank
+    ? [...new Set([...Object.keys(buyerStats), ...Object.keys(sellerStats)])]
+      .map((address) => [address, buyerStats[address] ?? { count: 0, total_ton: 0, collections: {}, names: [] }])
+      .sort(([a], [b]) => pnlRank(opts.pnl?.get(b)) - pnlRank(opts.pnl?.get(a)))
+    : Object.entries(buyerStats).sort(([, a], [, b]) => b.count - a.count)
+  ).filter(([address]) => !opts.exclude?.has(address));
+
+  const topBuyers = candidates
     .slice(0, topN)
     .map(([address, stats]) => {
       const sellCount = sellerStats[address]?.count || 0;
       const sellVolume = sellerStats[address]?.total_ton || 0;
 
-      const totalTrades = stats.count + sellCount;
-      let strategy = "unknown";
-      if (totalTrades < 3) {
-        strategy = "insufficient_data";
-      } else if (stats.count > sellCount * 3) {
-        strategy = "accumulating";
-      } else if (sellCount > stats.count * 2) {
-        strategy = "distributing";
-      } else if (Math.abs(stats.count - sellCount) < stats.count * 0.3) {
-        strategy = "trading";
-      } else {
-        strategy = "mixed";
-      }
+      const strategy = classifyStrategy(stats.count, sellCount);
 
       const topCollections = Object.entries(stats.collections)
         .sort(([, a], [, b]) => b - a)
@@ -382,6 +782,8 @@ function analyzeWhales(recentSales, allSales, collectionSlug, collectionAddress,
         strategy,
         top_collections: topCollections,
         sample_nfts: stats.names,
+        ...(opts.pnl ? { pnl: opts.pnl.get(address) ?? null } : {}),
+        ...(opts.labels?.has(address) ? { label: opts.labels.get(address).label, label_category: opts.labels.get(address).category } : {}),
       };
     });
 
@@ -392,16 +794,17 @@ function analyzeWhales(recentSales, allSales, collectionSlug, collectionAddress,
   return { topBuyers, buyerStats, sellerStats, totalVolume, avgPrice, isSampled };
 }
 
-function saveSnapshot(db, sdk, collectionSlug, topBuyers, floors) {
+function saveSnapshot(db, sdk, collectionSlug, topBuyers, floors, date = null) {
   if (!db) return 0;
-  const today = new Date().toISOString().slice(0, 10);
+  const today = date || new Date().toISOString().slice(0, 10);
   const floor = floors[(collectionSlug || "").toLowerCase()] || null;
 
   const stmt = db.prepare(`
     INSERT OR REPLACE INTO whale_snapshots
       (snapshot_date, collection, wallet_address, bought_count, sold_count,
-       net_accumulation, bought_volume_ton, sold_volume_ton, strategy, floor_ton)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       net_accumulation, bought_volume_ton, sold_volume_ton, strategy, floor_ton,
+       realized_pnl_ton, unrealized_pnl_ton, closed_trades, win_rate)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
   const insertMany = db.transaction((whales) => {
@@ -417,7 +820,11 @@ function saveSnapshot(db, sdk, collectionSlug, topBuyers, floors) {
         w.bought_volume_ton,
         w.sold_volume_ton,
         w.strategy,
-        floor
+        floor,
+        w.pnl?.realized_pnl_ton ?? null,
+        w.pnl?.unrealized_pnl_ton ?? null,
+        w.pnl?.closed_trades ?? null,
+        w.pnl?.win_rate ?? null
       );
       count++;
     }
@@ -434,8 +841,386 @@ function saveSnapshot(db, sdk, collectionSlug, topBuyers, floors) {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Wallet labels (shared/wallet-labels.js)
+// ---------------------------------------------------------------------------
+
+// One TonAPI bulk request covers this many addresses.
+const LABEL_MAX_LOOKUPS = 100;
+
+/**
+ * Label the busiest addresses in `sales` (marketplace sale contracts,
+ * Fragment, exchanges trade with everyone and would top any ranking) and
+ * return the labels plus the set of addresses to keep out of rankings.
+ */
+async function rankingLabels(db, sales, topN, log) {
+  const activity = new Map();
+  for (const s of sales) {
+    for (const w of [s.buyer, s.seller]) {
+      if (w) activity.set(w, (activity.get(w) || 0) + 1);
+    }
+  }
+  const busiest = [...activity.entries()]
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, Math.min(topN * 5, LABEL_MAX_LOOKUPS))
+    .map(([w]) => w);
+  try {
+    await detectWalletLabels(db, busiest, {
+      tonapiKey: process.env.TONAPI_KEY || process.env.TELETON_TONAPI_KEY,
+      maxLookups: LABEL_MAX_LOOKUPS,
+      log,
+    });
+  } catch (err) {
+    log(`Wallet labels: detection failed — ${err.message}`);
+  }
+  const labels = getWalletLabels(db, [...activity.keys()]);
+  const exclude = new Set([...labels].filter(([, l]) => l.exclude_from_rankings).map(([w]) => w));
+  return { labels, exclude, activity };
+}
+
+// ---------------------------------------------------------------------------
+// Entity clustering (shared/wallet-clusters.js)
+// ---------------------------------------------------------------------------
+
+const CLUSTER_MAX_SCANS = 20;
+
+/**
+ * Scan the most active wallets in `sales` for funding / NFT hand-off /
+ * shared-counterparty links, then rewrite buyer and seller to entity ids.
+ * Sales between wallets of the same entity are dropped (they are transfers,
+ * not market activity) and counted in `internal`.
+ */
+async function clusterSaleWallets(db, sales, topN, log, exclude = new Set()) {
+  const activity = new Map();
+  for (const s of sales) {
+    for (const w of [s.buyer, s.seller]) {
+      if (w) activity.set(w, (activity.get(w) || 0) + 1);
+    }
+  }
+  const candidates = [...activity.entries()]
+    .filter(([w]) => !exclude.has(w))
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, Math.min(topN * 2, CLUSTER_MAX_SCANS))
+    .map(([w]) => w);
+
+  const scan = await updateWalletClusters(db, candidates, {
+    tonapiKey: process.env.TONAPI_KEY || process.env.TELETON_TONAPI_KEY,
+    maxScans: CLUSTER_MAX_SCANS,
+    log,
+  });
+
+  const entities = getEntityMap(db, [...activity.keys()]);
+  const members = new Map();
+  for (const [wallet, e] of entities) {
+    if (e.cluster_size < 2) continue;
+    if (!members.has(e.entity_id)) members.set(e.entity_id, []);
+    members.get(e.entity_id).push(wallet);
+  }
+
+  const { sales: entitySales, internal } = toEntitySales(db, sales);
+  return { sales: entitySales, members, internal, scan };
+}
+
+/** Rewrite buyer/seller to entity ids from the persisted clusters, dropping intra-entity sales. */
+function toEntitySales(db, sales) {
+  const entities = getEntityMap(db, [...new Set(sales.flatMap((s) => [s.buyer, s.seller]).filter(Boolean))]);
+  let internal = 0;
+  const entitySales = [];
+  for (const s of sales) {
+    const buyer = s.buyer ? entities.get(s.buyer).entity_id : s.buyer;
+    const seller = s.seller ? entities.get(s.seller).entity_id : s.seller;
+    if (buyer && buyer === seller) {
+      internal++;
+      continue;
+    }
+    entitySales.push({ ...s, buyer, seller });
+  }
+  return { sales: entitySales, internal };
+}
+
+/**
+ * Merge per-wallet snapshot rows into per-entity rows (same date and
+ * collection) using the persisted wallet clusters.
+ */
+function aggregateSnapshotsByEntity(db, rows) {
+  const entities = getEntityMap(db, rows.map((r) => r.wallet_address));
+  const merged = new Map();
+  for (const r of rows) {
+    const entityId = entities.get(r.wallet_address).entity_id;
+    const key = `${r.snapshot_date}|${r.collection}|${entityId}`;
+    let m = merged.get(key);
+    if (!m) {
+      m = { ...r, wallet_address: entityId, wallets: [], bought_count: 0, sold_count: 0, net_accumulation: 0, bought_volume_ton: 0, sold_volume_ton: 0 };
+      merged.set(key, m);
+    }
+    m.wallets.push(r.wallet_address);
+    m.bought_count += r.bought_count;
+    m.sold_count += r.sold_count;
+    m.net_accumulation += r.net_accumulation;
+    m.bought_volume_ton = +(m.bought_volume_ton + r.bought_volume_ton).toFixed(2);
+    m.sold_volume_ton = +(m.sold_volume_ton + r.sold_volume_ton).toFixed(2);
+    if (m.wallets.length > 1) {
+      const sum = (a, b) => (a === null && b === null ? null : +((a || 0) + (b || 0)).toFixed(2));
+      const wins = (m.win_rate || 0) * (m.closed_trades || 0) + (r.win_rate || 0) * (r.closed_trades || 0);
+      m.realized_pnl_ton = sum(m.realized_pnl_ton, r.realized_pnl_ton);
+      m.unrealized_pnl_ton = sum(m.unrealized_pnl_ton, r.unrealized_pnl_ton);
+      m.closed_trades = sum(m.closed_trades, r.closed_trades);
+      m.win_rate = m.closed_trades ? +(wins / m.closed_trades).toFixed(1) : null;
+    }
+  }
+  for (const m of merged.values()) {
+    if (m.wallets.length > 1) m.strategy = classifyStrategy(m.bought_count, m.sold_count);
+  }
+  return [...merged.values()];
+}
+
+// ---------------------------------------------------------------------------
+// Sale-level wash trading
+// ---------------------------------------------------------------------------
+
+// Evidence points; an NFT's or wallet's score is the capped sum (0-100).
+const WASH_POINTS = { cycling: 35, round_trip: 30, common_source: 25, related_above_floor: 20 };
+const WASH_ROUND_TRIP_DAYS = 14;
+const WASH_ABOVE_FLOOR_X = 2;
+const WASH_CYCLE_MIN_TRADES = 3;
+const WASH_CYCLE_MAX_PARTIES = 3;
+const WASH_EVIDENCE_PER_ITEM = 10;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Reference ("floor") price per sale: the median sale price of the same
+ * model in the window when it has at least 5 sales, else of the collection.
+ */
+function washReferencePrices(sales) {
+  const byCollection = new Map();
+  const byModel = new Map();
+  for (const s of sales) {
+    if (!(s.price_ton > 0)) continue;
+    const col = s.collection_address || s.collection || "unknown";
+    if (!byCollection.has(col)) byCollection.set(col, []);
+    byCollection.get(col).push(s.price_ton);
+    if (s.model) {
+      const key = `${col}|${s.model}`;
+      if (!byModel.has(key)) byModel.set(key, []);
+      byModel.get(key).push(s.price_ton);
+    }
+  }
+  return (s) => {
+    const col = s.collection_address || s.collection || "unknown";
+    const model = s.model ? byModel.get(`${col}|${s.model}`) : null;
+    return model && model.length >= 5 ? median(model) : median(byCollection.get(col) ?? []);
+  };
+}
+
+/**
+ * Wallets worth a TonAPI scan, in priority order: parties to trades far above
+ * the reference price, then everyone who traded an NFT more than once (most
+ * active first), then the most active wallets overall.
+ */
+function washScanCandidates(sales, limit) {
+  const refPrice = washReferencePrices(sales);
+  const perNft = new Map();
+  for (const s of sales) perNft.set(s.nft_address, (perNft.get(s.nft_address) || 0) + 1);
+  const priority = new Map();
+  for (const s of sales) {
+    const ref = refPrice(s);
+    const rank = ref && s.price_ton >= ref * WASH_ABOVE_FLOOR_X ? 2 : perNft.get(s.nft_address) > 1 ? 1 : 0;
+    for (const w of [s.buyer, s.seller]) {
+      if (!w) continue;
+      const p = priority.get(w) ?? { rank: 0, trades: 0 };
+      p.rank = Math.max(p.rank, rank);
+      p.trades++;
+      priority.set(w, p);
+    }
+  }
+  return [...priority.entries()]
+    .sort(([, a], [, b]) => b.rank - a.rank || b.trades - a.trades)
+    .slice(0, limit)
+    .map(([w]) => w);
+}
+
+/**
+ * Flag trades that look like wash trading:
+ *  - cycling: an NFT traded WASH_CYCLE_MIN_TRADES+ times among at most
+ *    WASH_CYCLE_MAX_PARTIES entities
+ *  - round_trip: A sells to B and B sells the same NFT back to A within
+ *    WASH_ROUND_TRIP_DAYS
+ *  - common_source: buyer and seller are linked on-chain (one funded the
+ *    other, both funded by or withdrawing to the same private wallet, NFTs
+ *    handed between them) or sit in one wallet cluster
+ *  - related_above_floor: a trade at WASH_ABOVE_FLOOR_X+ the reference price
+ *    between wallets related by any of the above
+ * `entities` maps wallet → { entity_id, cluster_size }; `relation(buyer,
+ * seller)` returns { cluster_id?, linked_by } for linked wallets, else null.
+ */
+function detectWashTrades(sales, entities, relation) {
+  const entityOf = (w) => entities.get(w)?.entity_id ?? w;
+  const refPrice = washReferencePrices(sales);
+  const iso = (t) => new Date(t * 1000).toISOString();
+
+  const byNft = new Map();
+  for (const s of sales) {
+    if (!s.nft_address || !s.buyer || !s.seller) continue;
+    if (!byNft.has(s.nft_address)) byNft.set(s.nft_address, []);
+    byNft.get(s.nft_address).push(s);
+  }
+
+  const nftFindings = new Map();
+  const walletFindings = new Map();
+  const flaggedSales = new Set();
+  const relatedPairs = new Set();
+  const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+  const record = (nftSales, evidence, wallets, flagged) => {
+    const nft = nftSales[0];
+    let f = nftFindings.get(nft.nft_address);
+    if (!f) {
+      f = { nft_address: nft.nft_address, nft_name: nft.nft_name || null, collection: nft.collection || null, points: 0, evidence: [], wallets: new Set() };
+      nftFindings.set(nft.nft_address, f);
+    }
+    f.points += WASH_POINTS[evidence.type];
+    if (f.evidence.length < WASH_EVIDENCE_PER_ITEM) f.evidence.push(evidence);
+    for (const w of wallets) {
+      f.wallets.add(w);
+      let wf = walletFindings.get(w);
+      if (!wf) {
+        wf = { points: 0, evidence: [], nfts: new Set(), counterparties: new Set() };
+        walletFindings.set(w, wf);
+      }
+      wf.points += WASH_POINTS[evidence.type];
+      wf.nfts.add(nft.nft_address);
+      for (const other of wallets) if (other !== w) wf.counterparties.add(other);
+      if (wf.evidence.length < WASH_EVIDENCE_PER_ITEM) wf.evidence.push({ ...evidence, nft_address: nft.nft_address });
+    }
+    for (const s of flagged) flaggedSales.add(s);
+  };
+
+  for (const list of byNft.values()) {
+    list.sort((a, b) => a.time - b.time);
+
+    const parties = new Set(list.flatMap((s) => [entityOf(s.buyer), entityOf(s.seller)]));
+    if (list.length >= WASH_CYCLE_MIN_TRADES && parties.size <= WASH_CYCLE_MAX_PARTIES) {
+      const wallets = [...new Set(list.flatMap((s) => [s.buyer, s.seller]))];
+      for (let i = 0; i < wallets.length; i++) {
+        for (let j = i + 1; j < wallets.length; j++) relatedPairs.add(pairKey(wallets[i], wallets[j]));
+      }
+      record(list, {
+        type: "cycling",
+        trades: list.length,
+        parties: parties.size,
+        from: iso(list[0].time),
+        to: iso(list[list.length - 1].time),
+        volume_ton: +list.reduce((sum, s) => sum + (s.price_ton || 0), 0).toFixed(2),
+      }, wallets, list);
+    }
+
+    for (let i = 0; i < list.length; i++) {
+      const out = list[i];
+      for (let j = i + 1; j < list.length; j++) {
+        const back = list[j];
+        if (back.time - out.time > WASH_ROUND_TRIP_DAYS * 86400) break;
+        if (entityOf(back.seller) !== entityOf(out.buyer) || entityOf(back.buyer) !== entityOf(out.seller)) continue;
+        relatedPairs.add(pairKey(out.seller, out.buyer));
+        record(list, {
+          type: "round_trip",
+          wallet_a: out.seller,
+          wallet_b: out.buyer,
+          out: { time: iso(out.time), price_ton: out.price_ton },
+          back: { time: iso(back.time), price_ton: back.price_ton },
+          hours_between: +((back.time - out.time) / 3600).toFixed(1),
+        }, [out.seller, out.buyer], [out, back]);
+        break;
+      }
+    }
+
+    for (const s of list) {
+      const rel = relation(s.buyer, s.seller);
+      if (!rel) continue;
+      relatedPairs.add(pairKey(s.buyer, s.seller));
+      record(list, {
+        type: "common_source",
+        buyer: s.buyer,
+        seller: s.seller,
+        ...rel,
+        time: iso(s.time),
+        price_ton: s.price_ton,
+      }, [s.buyer, s.seller], [s]);
+    }
+  }
+
+  // Related pairs are only known once every NFT has been walked.
+  for (const list of byNft.values()) {
+    for (const s of list) {
+      const ref = refPrice(s);
+      if (!ref || s.price_ton < ref * WASH_ABOVE_FLOOR_X) continue;
+      if (!relatedPairs.has(pairKey(s.buyer, s.seller))) continue;
+      record(list, {
+        type: "related_above_floor",
+        buyer: s.buyer,
+        seller: s.seller,
+        time: iso(s.time),
+        price_ton: s.price_ton,
+        reference_price_ton: +ref.toFixed(2),
+        multiple: +(s.price_ton / ref).toFixed(2),
+      }, [s.buyer, s.seller], [s]);
+    }
+  }
+
+  const tradesByWallet = new Map();
+  for (const s of sales) {
+    for (const w of [s.buyer, s.seller]) {
+      if (!w) continue;
+      const t = tradesByWallet.get(w) ?? { trades: 0, flagged: 0, volume: 0 };
+      t.trades++;
+      t.volume += s.price_ton || 0;
+      if (flaggedSales.has(s)) t.flagged++;
+      tradesByWallet.set(w, t);
+    }
+  }
+
+  const nfts = [...nftFindings.values()].map((f) => ({
+    nft_address: f.nft_address,
+    nft_name: f.nft_name,
+    collection: f.collection,
+    score: Math.min(100, f.points),
+    trades: byNft.get(f.nft_address).length,
+    wallets: [...f.wallets],
+    evidence: f.evidence,
+  }));
+
+  const wallets = [...walletFindings.entries()].map(([wallet, wf]) => {
+    const t = tradesByWallet.get(wallet);
+    const entity = entityOf(wallet);
+    return {
+      wallet,
+      ...(entity !== wallet ? { entity_id: entity } : {}),
+      score: Math.min(100, wf.points),
+      trades: t.trades,
+      flagged_trades: t.flagged,
+      flagged_share_pct: +((t.flagged / t.trades) * 100).toFixed(1),
+      volume_ton: +t.volume.toFixed(2),
+      nfts_involved: wf.nfts.size,
+      counterparties: [...wf.counterparties],
+      evidence: wf.evidence,
+    };
+  });
+
+  const flaggedVolume = [...flaggedSales].reduce((sum, s) => sum + (s.price_ton || 0), 0);
+  return { nfts, wallets, flaggedCount: flaggedSales.size, flaggedVolume };
+}
+
 export const tools = (sdk) => {
   const db = sdk.db;
+  // The registry is shared by all plugins; this plugin's database keeps it across restarts.
+  if (db) initSourceHealthDb(db, { log: (...a) => sdk.log.info(...a) });
+  // This plugin owns the sales warehouse; chart reads and syncs through it.
+  if (db) registerSalesWarehouseDb(db);
 
   const whaleTracker = {
     name: "whale_tracker",
@@ -444,8 +1229,9 @@ export const tools = (sdk) => {
       "Track top gift holders (whales) for a specific collection or across all collections. " +
       "USE THIS for whale/transaction/wallet questions — NOT for price/floor/collection questions (use Giftstat tools for those). " +
       "Data sources: MarketApp (primary) + GetGems on-chain (secondary) + Giftstat floor prices (for valuation only). " +
-      "Returns: top holders with gift counts, buy/sell volumes, strategy classification (accumulating/distributing/trading). " +
-      "Note: sampled from recent sales (up to 300 per collection per source) — not exhaustive ownership data. " +
+      "Returns: top holders with gift counts, buy/sell volumes, strategy classification (accumulating/distributing/trading), realized/unrealized P&L and win rate (FIFO cost basis, open positions at floor). " +
+      "Reads the local sales warehouse (every synced sale, not a sample) once its history covers the period; until then samples recent sales live (up to 300 per collection per source). Not exhaustive ownership data. " +
+      "Wallets linked on-chain (funding transfers, NFT hand-offs, shared withdrawal/funding wallets) are ranked as one entity with their member wallets listed. " +
       "Automatically saves snapshot to database for delta tracking. " +
       "For complex whale analysis: use chart_dashboard (NOT chart_generate) — create 2-3 charts with return_url_only=true, then compose into dashboard. " +
       "IMPORTANT: Always write analysis text FIRST (in Russian for DM/channel), then send chart. Text before chart, never chart-only.",
@@ -473,6 +1259,23 @@ export const tools = (sdk) => {
           type: "boolean",
           description: "Save results as daily snapshot for delta tracking (default: true)",
         },
+        use_warehouse: {
+          type: "boolean",
+          description: "Sync and read the local sales warehouse instead of sampling live APIs when it covers the period (default: true)",
+        },
+        cluster_wallets: {
+          type: "boolean",
+          description: "Group wallets linked by funding transfers, NFT hand-offs or shared withdrawal/funding wallets (TonAPI) into one entity and rank entities instead of addresses (default: true)",
+        },
+        rank_by: {
+          type: "string",
+          enum: ["activity", "realized_pnl", "unrealized_pnl", "total_pnl", "win_rate"],
+          description: "Ranking: 'activity' = most buys (default); P&L rankings use FIFO cost basis per NFT, open positions valued at the current Giftstat model/collection floor",
+        },
+        sell_fee_pct: {
+          type: "number",
+          description: "Marketplace fee + royalty % deducted from sale proceeds and floor valuations in P&L (default: 0 = gross)",
+        },
       },
     },
 
@@ -486,8 +1289,11 @@ export const tools = (sdk) => {
 
         let collectionAddress = params.collection_address;
         let collectionSlug = params.collection || null;
+        let registrySlug = null;
+        const rankBy = PNL_RANKINGS[params.rank_by] ? params.rank_by : "activity";
+        const sellFeePct = Math.min(Math.max(Number(params.sell_fee_pct) || 0, 0), 50);
 
-        const floors = await getFloorPrices();
+        const [floors, modelFloors] = await Promise.all([getFloorPrices(), getModelFloors()]);
 
         let allSales = [];
         let getgemsBlocked = false;
@@ -498,9 +1304,31 @@ export const tools = (sdk) => {
         if (hasMarketApp) sources.push("marketapp");
 
         const log = (...a) => sdk.log.info(...a);
-        if (skipGems) sdk.log.info(`whale_tracker: GetGems skipped (empty streak: ${_getgemsState.emptyStreak}), using MarketApp-only`);
+        if (skipGems) sdk.log.info(`whale_tracker: GetGems skipped (${getgemsSkipReason()}), using MarketApp-only`);
+
+        if (!collectionAddress && collectionSlug) {
+          const match = await resolveGiftCollection(collectionSlug, {
+            db,
+            marketappToken: process.env.MARKETAPP_API_TOKEN,
+            getgemsKey: process.env.GETGEMS_API_KEY,
+          });
+          if (match) {
+            collectionAddress = match.address;
+            registrySlug = match.slug;
+            sdk.log.info(`whale_tracker: resolved ${collectionSlug} → ${collectionAddress} (registry, ${match.match}: ${match.name || match.slug})`);
+          } else {
+            sdk.log.info(`whale_tracker: collection "${collectionSlug}" not found in the collection registry`);
+          }
+        }
 
-        if (collectionAddress) {
+        const warehouseSales = db && params.use_warehouse !== false
+          ? await loadWarehouseSales(db, collectionAddress, cutoffTime, skipGems, log)
+          : null;
+
+        if (warehouseSales) {
+          allSales = warehouseSales;
+          sources.push("warehouse");
+        } else if (collectionAddress) {
           const [gemsSales, maSales] = await Promise.all([
             skipGems ? Object.assign([], { _blocked: false }) : getCollectionSales(collectionAddress, 300, log),
             hasMarketApp ? getMarketAppSales(collectionAddress, 100, log) : [],
@@ -510,39 +1338,7 @@ export const tools = (sdk) => {
             ...gemsSales.map((s) => ({ ...s, source: "getgems" })),
             ...maSales,
           ]);
-        } else if (collectionSlug) {
-          const collections = await getGiftCollections();
-          const match = collections.find(
-            (c) =>
-              (c.slug || "").toLowerCase() === collectionSlug.toLowerCase() ||
-              (c.name || "").toLowerCase() === collectionSlug.toLowerCase()
-          );
-          if (match && match.address) {
-            collectionAddress = match.address;
-            sdk.log.info(`whale_tracker: resolved ${collectionSlug} → ${collectionAddress} (giftstat)`);
-          } else {
-            const aliasMatch = resolveCollectionByAlias(collectionSlug);
-            if (aliasMatch) {
-              collectionAddress = aliasMatch.address;
-              sdk.log.info(`whale_tracker: resolved ${collectionSlug} → ${collectionAddress} (alias: ${aliasMatch.slug})`);
-            } else {
-              sdk.log.info(`whale_tracker: collection "${collectionSlug}" not found in Giftstat (${collections.length}) or aliases`);
-            }
-          }
-          if (collectionAddress) {
-            const [gemsSales, maSales] = await Promise.all([
-              skipGems ? Object.assign([], { _blocked: false }) : getCollectionSales(collectionAddress, 300, log),
-              hasMarketApp ? getMarketAppSales(collectionAddress, 100, log) : [],
-            ]);
-            if (gemsSales._blocked) getgemsBlocked = true;
-            allSales = deduplicateSales([
-              ...gemsSales.map((s) => ({ ...s, source: "getgems" })),
-              ...maSales,
-            ]);
-          }
-        }
-
-        if (!collectionAddress) {
+        } else {
           const collections = await getGiftCollections();
           const topCollections = collections
             .filter((c) => c.address && c.total_supply > 100)
@@ -571,14 +1367,63 @@ export const tools = (sdk) => {
 
         const recentSales = allSales.filter((s) => s.time >= cutoffTime);
 
+        if (context?.db && context.db !== db) initWalletLabelsDb(context.db);
+        const { labels, exclude, activity } = db
+          ? await rankingLabels(db, recentSales, topN, log)
+          : { labels: new Map(), exclude: new Set(), activity: new Map() };
+
+        // Cost basis needs buys from before the period: use the whole stored
+        // history when the warehouse serves this collection, else everything fetched.
+        const pnlHistory = warehouseSales && collectionAddress
+          ? querySales(db, { collectionAddress })
+          : allSales;
+        const valueOf = floorValuer(floors, modelFloors, registrySlug || collectionSlug);
+        const pnl = computeWalletPnl(pnlHistory, valueOf, sellFeePct);
+
         const analysis = analyzeWhales(
-          recentSales, allSales, collectionSlug, collectionAddress, floors, topN
+          recentSales, allSales, collectionSlug, collectionAddress, floors, topN, { pnl, rankBy, exclude, labels }
         );
-        const { topBuyers, buyerStats, sellerStats, totalVolume, avgPrice, isSampled } = analysis;
+        const { buyerStats, sellerStats, totalVolume, avgPrice } = analysis;
+        const isSampled = warehouseSales ? false : analysis.isSampled;
 
+        // Snapshots stay per address; whale_snapshots groups them by entity on read.
         let snapshotsSaved = 0;
         if (params.save_snapshot !== false && db) {
-          snapshotsSaved = saveSnapshot(db, sdk, collectionSlug, topBuyers, floors);
+          snapshotsSaved = saveSnapshot(db, sdk, collectionSlug, analysis.topBuyers, floors);
+        }
+
+        let topBuyers = analysis.topBuyers;
+        let entityInfo = null;
+        if (db && params.cluster_wallets !== false && recentSales.length > 0) {
+          try {
+            const clustered = await clusterSaleWallets(db, recentSales, topN, log, exclude);
+            const entityPnl = computeWalletPnl(toEntitySales(db, pnlHistory).sales, valueOf, sellFeePct);
+            const entityAnalysis = analyzeWhales(
+              clustered.sales, allSales, collectionSlug, collectionAddress, floors, topN, { pnl: entityPnl, rankBy, exclude, labels }
+            );
+            topBuyers = entityAnalysis.topBuyers.map((w) => {
+              const wallets = clustered.members.get(w.wallet_address);
+              if (!wallets) return w;
+              const cluster = getWalletCluster(db, wallets[0]);
+              const walletLabels = wallets.filter((a) => labels.has(a)).map((a) => ({ address: a, label: labels.get(a).label }));
+              return {
+                ...w,
+                entity_id: w.wallet_address,
+                wallets,
+                ...(walletLabels.length ? { wallet_labels: walletLabels } : {}),
+                linked_by: [...new Set((cluster?.links ?? []).map((l) => l.kind))],
+              };
+            });
+            entityInfo = {
+              entities_with_multiple_wallets: clustered.members.size,
+              unique_buyer_entities: Object.keys(entityAnalysis.buyerStats).length,
+              internal_sales_excluded: clustered.internal,
+              wallets_scanned: clustered.scan.scanned,
+              wallet_scan_failures: clustered.scan.failed,
+            };
+          } catch (err) {
+            sdk.log.error(`whale_tracker: wallet clustering failed, ranking by address: ${err.message}`);
+          }
         }
 
         if (recentSales.length === 0) {
@@ -624,13 +1469,29 @@ export const tools = (sdk) => {
             avg_price_ton: +avgPrice.toFixed(2),
             unique_buyers: Object.keys(buyerStats).length,
             unique_sellers: Object.keys(sellerStats).length,
+            grouped_by: entityInfo ? "entity" : "wallet",
+            ...(entityInfo ? { clustering: entityInfo } : {}),
+            wallet_labels: {
+              labeled: labels.size,
+              excluded_from_ranking: [...exclude]
+                .map((address) => ({ address, label: labels.get(address).label, category: labels.get(address).category, trades: activity.get(address) || 0 }))
+                .sort((a, b) => b.trades - a.trades)
+                .slice(0, 10),
+            },
+            ranked_by: rankBy,
+            pnl_basis: {
+              method: "FIFO per NFT",
+              history_sales: pnlHistory.length,
+              sell_fee_pct: sellFeePct,
+              valuation: "current Giftstat model floor, else collection floor",
+            },
             top_whales: topBuyers,
             getgems_blocked: getgemsBlocked,
             snapshot_saved: snapshotsSaved > 0,
             snapshots_count: snapshotsSaved,
           },
           summary: topBuyers.length > 0
-            ? `Топ-кит: ${topBuyers[0].wallet_address.slice(0, 8)}...${topBuyers[0].wallet_address.slice(-4)} — ${topBuyers[0].bought_count} покупок, ${topBuyers[0].bought_volume_ton} TON, стратегия: ${topBuyers[0].strategy}. Всего ${recentSales.length} сделок за ${periodDays}д.`
+            ? `Топ-кит: ${topBuyers[0].wallet_address.slice(0, 8)}...${topBuyers[0].wallet_address.slice(-4)}${topBuyers[0].label ? ` (${topBuyers[0].label})` : ""}${topBuyers[0].wallets ? ` (кошельков: ${topBuyers[0].wallets.length})` : ""} — ${topBuyers[0].bought_count} покупок, ${topBuyers[0].bought_volume_ton} TON, стратегия: ${topBuyers[0].strategy}${topBuyers[0].pnl ? `, P&L: ${topBuyers[0].pnl.realized_pnl_ton} TON реализовано / ${topBuyers[0].pnl.unrealized_pnl_ton} TON нереализовано` : ""}. Всего ${recentSales.length} сделок за ${periodDays}д.`
             : `Нет whale-активности за ${periodDays} дней.`,
         };
       } catch (err) {
@@ -648,7 +1509,7 @@ export const tools = (sdk) => {
       "to find wash trading, price manipulation, and unusual spikes. " +
       "Classification: volume spike + price spike + revert next day = wash trading (heuristic); " +
       "volume spike + price holds = organic demand; single trade >> avg = whale buy. " +
-      "Data from Giftstat price history. " +
+      "Data from Giftstat price history. For wash trading on individual sales (round-trips, related wallets) use wash_trade_detector. " +
       "Use with chart_dashboard for complex analysis (combine with floor charts and whale data). " +
       "IMPORTANT: Always write analysis in Russian for DM/channel. Text analysis FIRST, then chart.",
 
@@ -673,6 +1534,11 @@ export const tools = (sdk) => {
           enum: ["portals", "tonnel", "getgems"],
           description: "Marketplace for price history (default: portals)",
         },
+        data_source: {
+          type: "string",
+          enum: ["giftstat", "warehouse"],
+          description: "'giftstat' = daily floor history (default); 'warehouse' = daily series built from on-chain sales in the local sales warehouse (GetGems + MarketApp)",
+        },
       },
     },
 
@@ -684,10 +1550,21 @@ export const tools = (sdk) => {
 
         sdk.log.info(`anomaly_detector: period=${periodDays}d, sensitivity=${sensitivity}, marketplace=${marketplace}`);
 
-        const priceHistory = await getPriceHistory(marketplace, periodDays);
+        const useWarehouse = params.data_source === "warehouse";
+        if (useWarehouse && !db) {
+          return { success: false, error: "Database not available — the sales warehouse needs migrate() support" };
+        }
+        const priceHistory = useWarehouse
+          ? await getWarehouseHistory(db, periodDays, params.collections)
+          : await getPriceHistory(marketplace, periodDays);
 
         if (!priceHistory || priceHistory.length === 0) {
-          return { success: false, error: "No price history data available from Giftstat" };
+          return {
+            success: false,
+            error: useWarehouse
+              ? "No stored sales for this period — run sales_warehouse with mode=sync first"
+              : "No price history data available from Giftstat",
+          };
         }
 
         const collectionData = {};
@@ -812,7 +1689,7 @@ export const tools = (sdk) => {
           success: true,
           data: {
             period_days: periodDays,
-            marketplace,
+            marketplace: useWarehouse ? "warehouse" : marketplace,
             sensitivity,
             collections_analyzed: Object.keys(collectionData).length,
             total_anomalies: anomalies.length,
@@ -833,20 +1710,651 @@ export const tools = (sdk) => {
     },
   };
 
-  const whaleSnapshots = {
-    name: "whale_snapshots",
+  const washTradeDetector = {
+    name: "wash_trade_detector",
     category: "data-bearing",
     description:
-      "Query stored whale snapshots and compute deltas between dates. " +
-      "Shows how whale holdings changed over time — who accumulated, who dumped, new entrants. " +
-      "Snapshots are automatically saved by whale_tracker. " +
-      "Use 'compare' mode with two dates to see portfolio changes (delta tracking). " +
-      "Use with chart_generate to visualize trends (multi_line: whale holdings over time).",
+      "Detect wash trading from individual on-chain sales (not daily aggregates): the same NFT cycling between a few wallets, " +
+      "A→B→A round-trips, trades far above the model/collection median between related wallets, and buyer/seller linked by a common funding source (TonAPI). " +
+      "Returns per-NFT and per-wallet suspicion scores (0-100) with the evidence trail, plus the share of volume that looks washed. " +
+      "Reads the local sales warehouse (syncing the collection first). " +
+      "IMPORTANT: Always write analysis in Russian for DM/channel. Scores are heuristic — present them as suspicion, not proof.",
 
     parameters: {
       type: "object",
       properties: {
-        mode: {
+        collection: {
+          type: "string",
+          description: "Collection name or slug (resolved via the collection registry). If omitted, analyzes all stored sales in the period.",
+        },
+        collection_address: {
+          type: "string",
+          description: "On-chain collection address (overrides collection)",
+        },
+        period_days: {
+          type: "integer",
+          description: "Period to analyze in days (default: 30, max: 90)",
+        },
+        check_funding: {
+          type: "boolean",
+          description: "Scan repeat traders' TonAPI history for funding links between buyer and seller (default: true; slower on first run)",
+        },
+        min_score: {
+          type: "integer",
+          description: "Only return NFTs and wallets scoring at least this much (default: 30)",
+        },
+        limit: {
+          type: "integer",
+          description: "Max NFTs and wallets to return (default: 10 each)",
+        },
+      },
+    },
+
+    execute: async (params, context) => {
+      if (!db) {
+        return { success: false, error: "Database not available — plugin needs migrate() support" };
+      }
+
+      try {
+        const periodDays = Math.min(params.period_days || 30, 90);
+        const minScore = params.min_score ?? 30;
+        const limit = params.limit || 10;
+        const cutoffTime = Math.floor(Date.now() / 1000) - periodDays * 86400;
+        const log = (...a) => sdk.log.info(...a);
+        const skipGems = shouldSkipGetgems();
+
+        let collectionAddress = params.collection_address || null;
+        if (!collectionAddress && params.collection) {
+          const match = await resolveGiftCollection(params.collection, {
+            db,
+            marketappToken: process.env.MARKETAPP_API_TOKEN,
+            getgemsKey: process.env.GETGEMS_API_KEY,
+          });
+          if (!match) return { success: false, error: `Collection "${params.collection}" not found in the collection registry` };
+          collectionAddress = match.address;
+        }
+
+        sdk.log.info(`wash_trade_detector: collection=${collectionAddress || "all stored"}, period=${periodDays}d`);
+
+        let sales = await loadWarehouseSales(db, collectionAddress, cutoffTime, skipGems, log);
+        const complete = !!sales;
+        let source = "warehouse";
+        if (!sales) {
+          // History not fully synced yet: analyze what is stored, flagged as partial.
+          sales = querySales(db, { collectionAddress, since: cutoffTime });
+        }
+        if (sales.length === 0 && collectionAddress) {
+          const [gemsSales, maSales] = await Promise.all([
+            skipGems ? [] : getCollectionSales(collectionAddress, 300, log),
+            process.env.MARKETAPP_API_TOKEN ? getMarketAppSales(collectionAddress, 100, log) : [],
+          ]);
+          sales = deduplicateSales([...gemsSales.map((s) => ({ ...s, source: "getgems" })), ...maSales])
+            .filter((s) => s.time >= cutoffTime);
+          source = "live_sample";
+        }
+
+        if (sales.length === 0) {
+          return {
+            success: false,
+            error: collectionAddress
+              ? `No sales found for this collection in the last ${periodDays} days`
+              : "No stored sales for this period — pass a collection or run sales_warehouse with mode=sync first",
+          };
+        }
+
+        let entities = new Map();
+        let walletsScanned = 0;
+        if (params.check_funding !== false) {
+          try {
+            const scan = await updateWalletClusters(db, washScanCandidates(sales, CLUSTER_MAX_SCANS), {
+              tonapiKey: process.env.TONAPI_KEY || process.env.TELETON_TONAPI_KEY,
+              maxScans: CLUSTER_MAX_SCANS,
+              log,
+            });
+            walletsScanned = scan.scanned;
+          } catch (err) {
+            sdk.log.error(`wash_trade_detector: wallet clustering failed: ${err.message}`);
+          }
+          entities = getEntityMap(db, [...new Set(sales.flatMap((s) => [s.buyer, s.seller]).filter(Boolean))]);
+        }
+
+        const relation = (buyer, seller) => {
+          if (params.check_funding === false) return null;
+          const direct = getLinksBetween(db, buyer, seller);
+          const clusterId = entities.get(buyer)?.cluster_size > 1 && entities.get(buyer).entity_id === entities.get(seller)?.entity_id
+            ? entities.get(buyer).entity_id
+            : null;
+          if (direct.length === 0 && !clusterId) return null;
+          const linkedBy = direct.length > 0
+            ? direct.map((l) => l.kind)
+            : (getWalletCluster(db, buyer)?.links ?? []).map((l) => l.kind);
+          return {
+            ...(clusterId ? { cluster_id: clusterId } : {}),
+            linked_by: [...new Set(linkedBy)],
+            ...(direct.length > 0 ? { link_evidence: direct.flatMap((l) => l.evidence).slice(0, 3) } : {}),
+          };
+        };
+
+        const result = detectWashTrades(sales, entities, relation);
+        const totalVolume = sales.reduce((sum, s) => sum + (s.price_ton || 0), 0);
+        const nfts = result.nfts.filter((n) => n.score >= minScore).sort((a, b) => b.score - a.score || b.trades - a.trades);
+        const wallets = result.wallets.filter((w) => w.score >= minScore).sort((a, b) => b.score - a.score || b.flagged_trades - a.flagged_trades);
+        const washSharePct = totalVolume > 0 ? +((result.flaggedVolume / totalVolume) * 100).toFixed(1) : 0;
+
+        return {
+          success: true,
+          data: {
+            period_days: periodDays,
+            collection_address: collectionAddress,
+            source,
+            history_complete: complete,
+            total_sales_analyzed: sales.length,
+            total_volume_ton: +totalVolume.toFixed(2),
+            flagged_sales: result.flaggedCount,
+            suspected_wash_volume_ton: +result.flaggedVolume.toFixed(2),
+            suspected_wash_share_pct: washSharePct,
+            wallets_scanned: walletsScanned,
+            suspicious_nfts: nfts.length,
+            suspicious_wallets: wallets.length,
+            nfts: nfts.slice(0, limit),
+            wallets: wallets.slice(0, limit),
+            thresholds: {
+              points: WASH_POINTS,
+              round_trip_days: WASH_ROUND_TRIP_DAYS,
+              above_floor_multiple: WASH_ABOVE_FLOOR_X,
+              cycle: { min_trades: WASH_CYCLE_MIN_TRADES, max_parties: WASH_CYCLE_MAX_PARTIES },
+              min_score: minScore,
+            },
+          },
+          summary: nfts.length > 0
+            ? `Подозрение на wash trading: ${nfts.length} NFT, ${wallets.length} кошельков, ${result.flaggedCount} сделок (${washSharePct}% объёма) за ${periodDays}д.`
+            : `Признаков wash trading не найдено в ${sales.length} сделках за ${periodDays}д.`,
+        };
+      } catch (err) {
+        sdk.log.error(`wash_trade_detector error: ${err.message}`);
+        return { success: false, error: String(err.message || err).slice(0, 500) };
+      }
+    },
+  };
+
+  const whaleAlerts = {
+    name: "whale_alerts",
+    category: "data-bearing",
+    description:
+      "Manage the background whale alert watcher, which posts big gift sales and trades by watched wallets to the configured Telegram chats. " +
+      "Modes: 'status' = watcher settings, last run, queued/sent counts and recent alerts; 'watch' / 'unwatch' = add or remove a wallet from the alert watchlist; 'watchlist' = list watched wallets. " +
+      "Chats, size threshold, interval and quiet hours come from the plugin config (whale_alerts_*).",
+
+    parameters: {
+      type: "object",
+      properties: {
+        mode: {
+          type: "string",
+          enum: ["status", "watch", "unwatch", "watchlist"],
+          description: "Action (default: status)",
+        },
+        wallet_address: {
+          type: "string",
+          description: "Wallet to watch or unwatch",
+        },
+        label: {
+          type: "string",
+          description: "Name shown in alerts for a watched wallet (watch mode)",
+        },
+        limit: {
+          type: "integer",
+          description: "Recent alerts to include in status mode (default: 10)",
+        },
+      },
+    },
+
+    execute: async (params, context) => {
+      if (!db) {
+        return { success: false, error: "Database not available — plugin needs migrate() support" };
+      }
+
+      try {
+        const mode = params.mode || "status";
+
+        if (mode === "watch" || mode === "unwatch") {
+          if (!params.wallet_address) return { success: false, error: `${mode} mode requires wallet_address` };
+          const raw = toRawWallet(params.wallet_address);
+          if (mode === "watch") {
+            db.prepare(`
+              INSERT INTO whale_alert_watchlist (wallet, address, label) VALUES (?, ?, ?)
+              ON CONFLICT(wallet) DO UPDATE SET address = excluded.address, label = excluded.label
+            `).run(raw, params.wallet_address, params.label || null);
+            return { success: true, data: { watching: params.wallet_address, label: params.label || null, watcher_running: _alertState.enabled } };
+          }
+          const removed = db.prepare("DELETE FROM whale_alert_watchlist WHERE wallet = ?").run(raw).changes;
+          return removed > 0
+            ? { success: true, data: { removed: params.wallet_address } }
+            : { success: false, error: "Wallet is not on the alert watchlist (wallets from config can only be removed in config)" };
+        }
+
+        if (mode === "watchlist") {
+          const rows = db.prepare("SELECT * FROM whale_alert_watchlist ORDER BY added_at DESC").all();
+          return {
+            success: true,
+            data: {
+              count: rows.length,
+              wallets: rows.map((r) => ({ address: r.address, label: r.label, added_at: new Date(r.added_at * 1000).toISOString() })),
+              from_config: _alertState.settings?.watchWallets ?? [],
+            },
+          };
+        }
+
+        if (mode === "status") {
+          const counts = Object.fromEntries(
+            db.prepare("SELECT status, COUNT(*) AS n FROM whale_alerts GROUP BY status").all().map((r) => [r.status, r.n])
+          );
+          const recent = db.prepare("SELECT * FROM whale_alerts ORDER BY sold_at DESC LIMIT ?").all(params.limit || 10);
+          const settings = _alertState.settings;
+          return {
+            success: true,
+            data: {
+              running: _alertState.enabled,
+              settings: settings
+                ? {
+                    chats: settings.chats,
+                    min_ton: settings.minTon,
+                    interval_minutes: settings.intervalMinutes,
+                    quiet_hours_utc: settings.quietHours ? `${settings.quietHours.from}-${settings.quietHours.to}` : null,
+                    in_quiet_hours: inQuietHours(settings.quietHours),
+                    collections: settings.collections,
+                  }
+                : null,
+              last_run: _alertState.lastRun,
+              last_error: _alertState.lastError,
+              counts,
+              recent: recent.map((r) => {
+                const a = JSON.parse(r.payload_json);
+                return {
+                  status: r.status,
+                  reason: r.reason,
+                  nft_name: a.nft_name,
+                  price_ton: a.price_ton,
+                  buyer: a.buyer,
+                  seller: a.seller,
+                  sold_at: new Date(r.sold_at * 1000).toISOString(),
+                  sent_at: r.sent_at ? new Date(r.sent_at * 1000).toISOString() : null,
+                  error: r.error,
+                };
+              }),
+              note: _alertState.enabled ? undefined : "Watcher not running — set whale_alerts: true and whale_alerts_chats in the plugin config",
+            },
+          };
+        }
+
+        return { success: false, error: `Unknown mode: ${mode}. Use status, watch, unwatch, or watchlist.` };
+      } catch (err) {
+        sdk.log.error(`whale_alerts error: ${err.message}`);
+        return { success: false, error: String(err.message || err).slice(0, 500) };
+      }
+    },
+  };
+
+  const whaleBackfill = {
+    name: "whale_backfill",
+    category: "data-bearing",
+    description:
+      "Reconstruct past daily whale_snapshots from historical sales so delta comparison works on a fresh install. " +
+      "Pages GetGems/MarketApp collection history back into the sales warehouse until it reaches date_from, then rebuilds one snapshot per day " +
+      "(trailing 14-day window, P&L, floor = lowest sale of the week). Work is budgeted per call and saved after every step: " +
+      "'start' creates a job and runs the first batch, 'resume' continues it (unfinished jobs also continue in the background), 'status' reports progress, 'cancel' stops it.",
+
+    parameters: {
+      type: "object",
+      properties: {
+        mode: {
+          type: "string",
+          enum: ["start", "resume", "status", "cancel"],
+          description: "Action (default: status)",
+        },
+        collections: {
+          type: "array",
+          items: { type: "string" },
+          description: "Collection names or slugs to backfill (start mode)",
+        },
+        date_from: {
+          type: "string",
+          description: "First day to rebuild (YYYY-MM-DD, start mode)",
+        },
+        date_to: {
+          type: "string",
+          description: "Last day to rebuild (YYYY-MM-DD, default: yesterday)",
+        },
+        top_n: {
+          type: "integer",
+          description: "Whales per daily snapshot (default: 10)",
+        },
+        max_pages: {
+          type: "integer",
+          description: "API pages to fetch in this call (default: 20, max: 100)",
+        },
+        job_id: {
+          type: "integer",
+          description: "Job to resume/inspect/cancel (default: the latest)",
+        },
+      },
+    },
+
+    execute: async (params, context) => {
+      if (!db) {
+        return { success: false, error: "Database not available — plugin needs migrate() support" };
+      }
+
+      try {
+        const mode = params.mode || "status";
+        const maxPages = Math.min(params.max_pages || BACKFILL_PAGES_PER_RUN, 100);
+        const log = (...a) => sdk.log.info(...a);
+
+        if (mode === "start") {
+          if (!params.collections?.length) return { success: false, error: "start mode requires collections" };
+          if (!/^\d{4}-\d{2}-\d{2}$/.test(params.date_from || "")) return { success: false, error: "start mode requires date_from (YYYY-MM-DD)" };
+          const dateTo = params.date_to || new Date(Date.now() - 86400000).toISOString().slice(0, 10);
+          if (!/^\d{4}-\d{2}-\d{2}$/.test(dateTo) || dateTo < params.date_from) {
+            return { success: false, error: "date_to must be a YYYY-MM-DD date on or after date_from" };
+          }
+          if (daysBetween(params.date_from, dateTo).length > BACKFILL_MAX_RANGE_DAYS) {
+            return { success: false, error: `Range too long — at most ${BACKFILL_MAX_RANGE_DAYS} days per job` };
+          }
+
+          const progress = [];
+          for (const name of params.collections) {
+            const match = await resolveGiftCollection(name, {
+              db,
+              marketappToken: process.env.MARKETAPP_API_TOKEN,
+              getgemsKey: process.env.GETGEMS_API_KEY,
+            });
+            if (!match) return { success: false, error: `Collection "${name}" not found in the collection registry` };
+            progress.push({ address: match.address, slug: match.slug || match.name || name, phase: "sync", pages: 0, oldest_time: null, last_day: null, snapshots: 0 });
+          }
+
+          const id = db.prepare("INSERT INTO whale_backfill_jobs (date_from, date_to, top_n, progress_json) VALUES (?, ?, ?, ?)")
+            .run(params.date_from, dateTo, params.top_n || 10, JSON.stringify(progress)).lastInsertRowid;
+          const job = await runBackfill(db, Number(id), { maxPages, log });
+          if (job.status === "running") resumeBackfillJobs(db, log);
+          return {
+            success: true,
+            data: backfillReport(job),
+            summary: job.status === "done"
+              ? `Backfill #${job.id} готов.`
+              : `Backfill #${job.id}: ${backfillReport(job).progress_pct}%, продолжается в фоне (mode=status для прогресса).`,
+          };
+        }
+
+        const job = loadBackfillJob(db, params.job_id);
+        if (!job) return { success: false, error: params.job_id ? `Backfill job ${params.job_id} not found` : "No backfill jobs yet — use mode=start" };
+
+        if (mode === "resume") {
+          if (job.status === "failed") {
+            job.status = "running";
+            job.error = null;
+            saveBackfillJob(db, job);
+          }
+          if (job.status !== "running") return { success: true, data: backfillReport(job), summary: `Backfill #${job.id}: ${job.status}` };
+          if (_backfillActive.has(job.id)) {
+            return { success: true, data: { ...backfillReport(job), note: "Already running in the background — check mode=status" } };
+          }
+          const updated = await runBackfill(db, job.id, { maxPages, log });
+          return { success: true, data: backfillReport(updated), summary: `Backfill #${updated.id}: ${updated.status}, ${backfillReport(updated).progress_pct}%` };
+        }
+
+        if (mode === "cancel") {
+          if (job.status === "running" || job.status === "failed") {
+            job.status = "cancelled";
+            saveBackfillJob(db, job);
+          }
+          return { success: true, data: backfillReport(job) };
+        }
+
+        if (mode === "status") {
+          return { success: true, data: backfillReport(job) };
+        }
+
+        return { success: false, error: `Unknown mode: ${mode}. Use start, resume, status, or cancel.` };
+      } catch (err) {
+        sdk.log.error(`whale_backfill error: ${err.message}`);
+        return { success: false, error: String(err.message || err).slice(0, 500) };
+      }
+    },
+  };
+
+  const holderSnapshots = {
+    name: "holder_snapshots",
+    category: "data-bearing",
+    description:
+      "Daily holder-distribution snapshots per collection (actual holdings from GetGems top owners and owner NFT lists, not trades). " +
+      "Concentration metrics: holder count, HHI, Gini, top-10/top-100 share. " +
+      "Modes: 'snapshot' = fetch and store today's distribution; 'latest' = stored metrics + biggest holders; 'trend' = metrics over time; " +
+      "'delta' = who gained or lost the most items between two dates (default: the last 7 days), with the exact NFTs for the largest holders. " +
+      "The auto-snapshot job records the top collections daily.",
+
+    parameters: {
+      type: "object",
+      properties: {
+        mode: {
+          type: "string",
+          enum: ["snapshot", "latest", "trend", "delta"],
+          description: "Query mode (default: latest)",
+        },
+        collection: {
+          type: "string",
+          description: "Collection name or slug (resolved via the collection registry)",
+        },
+        collection_address: {
+          type: "string",
+          description: "On-chain collection address (overrides collection)",
+        },
+        date_from: {
+          type: "string",
+          description: "Delta start date (YYYY-MM-DD); the nearest snapshot on or before it is used. Default: 7 days before date_to",
+        },
+        date_to: {
+          type: "string",
+          description: "Delta end date (YYYY-MM-DD). Default: latest snapshot",
+        },
+        limit: {
+          type: "integer",
+          description: "Max holders / rows to return (default: 20)",
+        },
+      },
+    },
+
+    execute: async (params, context) => {
+      if (!db) {
+        return { success: false, error: "Database not available — plugin needs migrate() support" };
+      }
+
+      try {
+        const mode = params.mode || "latest";
+        const limit = params.limit || 20;
+
+        let collectionAddress = params.collection_address ? await toRawAddress(params.collection_address) : null;
+        let collectionName = null;
+        if (!collectionAddress && params.collection) {
+          const match = await resolveGiftCollection(params.collection, {
+            db,
+            marketappToken: process.env.MARKETAPP_API_TOKEN,
+            getgemsKey: process.env.GETGEMS_API_KEY,
+          });
+          if (!match) return { success: false, error: `Collection "${params.collection}" not found in the collection registry` };
+          collectionAddress = await toRawAddress(match.address);
+          collectionName = match.name || match.slug;
+        }
+
+        const metricsOf = (r) => ({
+          holders: r.holders,
+          items: r.items,
+          hhi: r.hhi,
+          gini: r.gini,
+          top10_share_pct: r.top10_share_pct,
+          top100_share_pct: r.top100_share_pct,
+          owners_listed: r.owners_listed,
+          tail_estimated: !!r.tail_estimated,
+        });
+        const topHolders = (date, address, n) => db.prepare(
+          "SELECT wallet, items FROM holder_positions WHERE snapshot_date = ? AND collection_address = ? ORDER BY items DESC LIMIT ?"
+        ).all(date, address, n);
+
+        if (mode === "snapshot") {
+          if (!collectionAddress) return { success: false, error: "snapshot mode requires collection or collection_address" };
+          const snap = await takeHolderSnapshot(db, collectionAddress, collectionName, (...a) => sdk.log.info(...a));
+          return {
+            success: true,
+            data: { ...snap, top_holders: topHolders(snap.snapshot_date, snap.collection_address, limit) },
+            summary: `${snap.collection || "Коллекция"}: ${snap.holders} холдеров, топ-10 держат ${snap.top10_share_pct}%, HHI ${snap.hhi}, Gini ${snap.gini}.`,
+          };
+        }
+
+        if (mode === "latest") {
+          const rows = collectionAddress
+            ? db.prepare("SELECT * FROM holder_snapshots WHERE collection_address = ? ORDER BY snapshot_date DESC LIMIT 1").all(collectionAddress)
+            : db.prepare(`
+                SELECT h.* FROM holder_snapshots h
+                JOIN (SELECT collection_address, MAX(snapshot_date) AS d FROM holder_snapshots GROUP BY collection_address) l
+                  ON l.collection_address = h.collection_address AND l.d = h.snapshot_date
+                ORDER BY h.hhi DESC LIMIT ?
+              `).all(limit);
+          if (rows.length === 0) {
+            return { success: true, data: { snapshots: [], note: "No holder snapshots yet. Run holder_snapshots with mode=snapshot first." } };
+          }
+          return {
+            success: true,
+            data: {
+              count: rows.length,
+              snapshots: rows.map((r) => ({
+                snapshot_date: r.snapshot_date,
+                collection: r.collection,
+                collection_address: r.collection_address,
+                ...metricsOf(r),
+                ...(collectionAddress ? { top_holders: topHolders(r.snapshot_date, r.collection_address, limit) } : {}),
+              })),
+            },
+          };
+        }
+
+        if (!collectionAddress) return { success: false, error: `${mode} mode requires collection or collection_address` };
+
+        if (mode === "trend") {
+          const rows = db.prepare("SELECT * FROM holder_snapshots WHERE collection_address = ? ORDER BY snapshot_date DESC LIMIT ?")
+            .all(collectionAddress, limit)
+            .reverse();
+          return {
+            success: true,
+            data: {
+              collection_address: collectionAddress,
+              count: rows.length,
+              trend: rows.map((r) => ({ date: r.snapshot_date, ...metricsOf(r) })),
+            },
+          };
+        }
+
+        if (mode === "delta") {
+          const snapOnOrBefore = (date) => db.prepare(
+            "SELECT * FROM holder_snapshots WHERE collection_address = ? AND snapshot_date <= ? ORDER BY snapshot_date DESC LIMIT 1"
+          ).get(collectionAddress, date);
+
+          const to = snapOnOrBefore(params.date_to || "9999-12-31");
+          if (!to) return { success: false, error: "No holder snapshots for this collection yet — run mode=snapshot first" };
+          const fromDate = params.date_from
+            || new Date(Date.parse(to.snapshot_date) - 7 * 86400000).toISOString().slice(0, 10);
+          const from = snapOnOrBefore(fromDate);
+          if (!from || from.snapshot_date === to.snapshot_date) {
+            return { success: false, error: `No holder snapshot on or before ${fromDate} to compare with ${to.snapshot_date}` };
+          }
+
+          const positions = (snap) => new Map(
+            db.prepare("SELECT wallet, items, nfts_json FROM holder_positions WHERE snapshot_date = ? AND collection_address = ?")
+              .all(snap.snapshot_date, collectionAddress)
+              .map((r) => [r.wallet, r])
+          );
+          const fromPos = positions(from);
+          const toPos = positions(to);
+          // A wallet missing from a truncated top-owner list holds an unknown
+          // number of items, at most the smallest listed count.
+          const complete = (snap) => snap.owners_listed >= snap.holders;
+          const floorCount = (map) => Math.min(...[...map.values()].map((r) => r.items));
+
+          const changes = [];
+          for (const wallet of new Set([...fromPos.keys(), ...toPos.keys()])) {
+            const a = fromPos.get(wallet);
+            const b = toPos.get(wallet);
+            const before = a ? a.items : complete(from) ? 0 : null;
+            const after = b ? b.items : complete(to) ? 0 : null;
+            const change = {
+              wallet,
+              items_from: before,
+              items_to: after,
+              change: before !== null && after !== null ? after - before : null,
+            };
+            if (before === null) change.items_from_at_most = floorCount(fromPos);
+            if (after === null) change.items_to_at_most = floorCount(toPos);
+            const had = a?.nfts_json ? new Set(JSON.parse(a.nfts_json)) : null;
+            const has = b?.nfts_json ? new Set(JSON.parse(b.nfts_json)) : null;
+            // Item-level detail only when both lists are complete.
+            if (had && has && had.size === a.items && has.size === b.items) {
+              change.nfts_gained = [...has].filter((n) => !had.has(n)).slice(0, 20);
+              change.nfts_lost = [...had].filter((n) => !has.has(n)).slice(0, 20);
+            }
+            changes.push(change);
+          }
+
+          const known = changes.filter((c) => c.change !== null && c.change !== 0);
+          const gainers = known.filter((c) => c.change > 0).sort((x, y) => y.change - x.change).slice(0, limit);
+          const losers = known.filter((c) => c.change < 0).sort((x, y) => x.change - y.change).slice(0, limit);
+          const entered = changes.filter((c) => c.items_from === null).sort((x, y) => y.items_to - x.items_to).slice(0, limit);
+          const exited = changes.filter((c) => c.items_to === null).sort((x, y) => y.items_from - x.items_from).slice(0, limit);
+
+          return {
+            success: true,
+            data: {
+              collection_address: collectionAddress,
+              collection: to.collection,
+              date_from: from.snapshot_date,
+              date_to: to.snapshot_date,
+              metrics_from: metricsOf(from),
+              metrics_to: metricsOf(to),
+              metrics_change: {
+                holders: to.holders - from.holders,
+                hhi: +(to.hhi - from.hhi).toFixed(1),
+                gini: +(to.gini - from.gini).toFixed(4),
+                top10_share_pct: +(to.top10_share_pct - from.top10_share_pct).toFixed(2),
+              },
+              gainers,
+              losers,
+              entered_top_list: entered,
+              left_top_list: exited,
+            },
+            summary: `${from.snapshot_date} → ${to.snapshot_date}: холдеров ${from.holders} → ${to.holders}, топ-10 ${from.top10_share_pct}% → ${to.top10_share_pct}%. ` +
+              (gainers[0] ? `Больше всех набрал ${gainers[0].wallet.slice(0, 8)}… (+${gainers[0].change}). ` : "") +
+              (losers[0] ? `Больше всех сбросил ${losers[0].wallet.slice(0, 8)}… (${losers[0].change}).` : ""),
+          };
+        }
+
+        return { success: false, error: `Unknown mode: ${mode}. Use snapshot, latest, trend, or delta.` };
+      } catch (err) {
+        sdk.log.error(`holder_snapshots error: ${err.message}`);
+        return { success: false, error: String(err.message || err).slice(0, 500) };
+      }
+    },
+  };
+
+  const whaleSnapshots = {
+    name: "whale_snapshots",
+    category: "data-bearing",
+    description:
+      "Query stored whale snapshots and compute deltas between dates. " +
+      "Shows how whale holdings changed over time — who accumulated, who dumped, new entrants. " +
+      "Snapshots are automatically saved by whale_tracker. " +
+      "Use 'compare' mode with two dates to see portfolio changes (delta tracking). " +
+      "Use with chart_generate to visualize trends (multi_line: whale holdings over time).",
+
+    parameters: {
+      type: "object",
+      properties: {
+        mode: {
           type: "string",
           enum: ["latest", "history", "compare"],
           description: "Query mode: 'latest' = most recent snapshot, 'history' = all snapshots for a wallet, 'compare' = delta between two dates",
@@ -871,6 +2379,11 @@ export const tools = (sdk) => {
           type: "integer",
           description: "Max results to return (default: 20)",
         },
+        group_by: {
+          type: "string",
+          enum: ["wallet", "entity"],
+          description: "'wallet' = one row per address (default), 'entity' = merge wallets clustered by whale_tracker into one row",
+        },
       },
     },
 
@@ -882,6 +2395,7 @@ export const tools = (sdk) => {
       try {
         const mode = params.mode || "latest";
         const limit = params.limit || 20;
+        const byEntity = params.group_by === "entity";
 
         if (mode === "latest") {
           const dateRow = db.prepare(
@@ -899,18 +2413,28 @@ export const tools = (sdk) => {
             query += " AND collection = ?";
             queryParams.push(params.collection);
           }
-          query += " ORDER BY net_accumulation DESC LIMIT ?";
-          queryParams.push(limit);
+          query += " ORDER BY net_accumulation DESC";
+          if (!byEntity) {
+            query += " LIMIT ?";
+            queryParams.push(limit);
+          }
 
-          const rows = db.prepare(query).all(...queryParams);
+          let rows = db.prepare(query).all(...queryParams);
+          if (byEntity) {
+            rows = aggregateSnapshotsByEntity(db, rows)
+              .sort((a, b) => b.net_accumulation - a.net_accumulation)
+              .slice(0, limit);
+          }
 
           return {
             success: true,
             data: {
               snapshot_date: dateRow.latest,
+              grouped_by: byEntity ? "entity" : "wallet",
               count: rows.length,
               snapshots: rows.map((r) => ({
                 wallet: r.wallet_address,
+                ...(r.wallets?.length > 1 ? { wallets: r.wallets } : {}),
                 collection: r.collection,
                 bought: r.bought_count,
                 sold: r.sold_count,
@@ -919,6 +2443,9 @@ export const tools = (sdk) => {
                 sold_ton: r.sold_volume_ton,
                 strategy: r.strategy,
                 floor_ton: r.floor_ton,
+                realized_pnl_ton: r.realized_pnl_ton,
+                unrealized_pnl_ton: r.unrealized_pnl_ton,
+                win_rate: r.win_rate,
               })),
             },
           };
@@ -931,7 +2458,9 @@ export const tools = (sdk) => {
 
           let query = "SELECT * FROM whale_snapshots WHERE 1=1";
           const queryParams = [];
-          if (params.wallet_address) {
+          // Snapshots store addresses as the sales feeds reported them, so an
+          // entity's members are matched after grouping rather than in SQL.
+          if (params.wallet_address && !byEntity) {
             query += " AND wallet_address = ?";
             queryParams.push(params.wallet_address);
           }
@@ -939,24 +2468,42 @@ export const tools = (sdk) => {
             query += " AND collection = ?";
             queryParams.push(params.collection);
           }
-          query += " ORDER BY snapshot_date DESC LIMIT ?";
-          queryParams.push(limit);
+          query += " ORDER BY snapshot_date DESC";
+          if (!byEntity) {
+            query += " LIMIT ?";
+            queryParams.push(limit);
+          }
 
-          const rows = db.prepare(query).all(...queryParams);
+          let rows = db.prepare(query).all(...queryParams);
+          if (byEntity) {
+            rows = aggregateSnapshotsByEntity(db, rows);
+            if (params.wallet_address) {
+              const target = params.wallet_address.startsWith("cl_")
+                ? params.wallet_address
+                : getEntityMap(db, [params.wallet_address]).get(params.wallet_address).entity_id;
+              rows = rows.filter((r) => r.wallet_address === target || r.wallets.includes(params.wallet_address));
+            }
+            rows = rows.slice(0, limit);
+          }
 
           return {
             success: true,
             data: {
+              grouped_by: byEntity ? "entity" : "wallet",
               count: rows.length,
               history: rows.map((r) => ({
                 date: r.snapshot_date,
                 wallet: r.wallet_address,
+                ...(r.wallets?.length > 1 ? { wallets: r.wallets } : {}),
                 collection: r.collection,
                 bought: r.bought_count,
                 sold: r.sold_count,
                 net: r.net_accumulation,
                 strategy: r.strategy,
                 floor_ton: r.floor_ton,
+                realized_pnl_ton: r.realized_pnl_ton,
+                unrealized_pnl_ton: r.unrealized_pnl_ton,
+                win_rate: r.win_rate,
               })),
             },
           };
@@ -977,14 +2524,19 @@ export const tools = (sdk) => {
             baseParams.push(params.collection);
           }
 
-          const fromRows = db.prepare(
+          let fromRows = db.prepare(
             `SELECT * FROM whale_snapshots WHERE snapshot_date = ?${whereClause}`
           ).all(dateFrom, ...baseParams);
 
-          const toRows = db.prepare(
+          let toRows = db.prepare(
             `SELECT * FROM whale_snapshots WHERE snapshot_date = ?${whereClause}`
           ).all(dateTo, ...baseParams);
 
+          if (byEntity) {
+            fromRows = aggregateSnapshotsByEntity(db, fromRows);
+            toRows = aggregateSnapshotsByEntity(db, toRows);
+          }
+
           const fromMap = {};
           for (const r of fromRows) {
             fromMap[`${r.collection}:${r.wallet_address}`] = r;
@@ -1003,8 +2555,10 @@ export const tools = (sdk) => {
             const to = toMap[key];
             const [collection, wallet] = key.split(":");
 
+            const wallets = [...new Set([...(from?.wallets ?? []), ...(to?.wallets ?? [])])];
             deltas.push({
               wallet,
+              ...(wallets.length > 1 ? { wallets } : {}),
               collection,
               from_date: dateFrom,
               to_date: dateTo,
@@ -1012,6 +2566,8 @@ export const tools = (sdk) => {
               sold_delta: (to?.sold_count || 0) - (from?.sold_count || 0),
               net_delta: (to?.net_accumulation || 0) - (from?.net_accumulation || 0),
               volume_delta_ton: +((to?.bought_volume_ton || 0) - (from?.bought_volume_ton || 0)).toFixed(2),
+              realized_pnl_delta_ton: +((to?.realized_pnl_ton || 0) - (from?.realized_pnl_ton || 0)).toFixed(2),
+              unrealized_pnl_to_ton: to?.unrealized_pnl_ton ?? null,
               strategy_from: from?.strategy || "new_entrant",
               strategy_to: to?.strategy || "exited",
               floor_from: from?.floor_ton || null,
@@ -1021,124 +2577,365 @@ export const tools = (sdk) => {
             });
           }
 
-          deltas.sort((a, b) => Math.abs(b.net_delta) - Math.abs(a.net_delta));
+          deltas.sort((a, b) => Math.abs(b.net_delta) - Math.abs(a.net_delta));
+
+          const accumulators = deltas.filter((d) => d.net_delta > 0);
+          const distributors = deltas.filter((d) => d.net_delta < 0);
+          const newEntrants = deltas.filter((d) => d.is_new);
+
+          return {
+            success: true,
+            data: {
+              date_from: dateFrom,
+              date_to: dateTo,
+              grouped_by: byEntity ? "entity" : "wallet",
+              total_wallets: deltas.length,
+              accumulators: accumulators.length,
+              distributors: distributors.length,
+              new_entrants: newEntrants.length,
+              deltas: deltas.slice(0, limit),
+            },
+            summary: `${dateFrom} → ${dateTo}: ${accumulators.length} accumulating, ${distributors.length} distributing, ${newEntrants.length} new entrants`,
+          };
+        }
+
+        return { success: false, error: `Unknown mode: ${mode}. Use latest, history, or compare.` };
+      } catch (err) {
+        sdk.log.error(`whale_snapshots error: ${err.message}`);
+        return { success: false, error: String(err.message || err).slice(0, 500) };
+      }
+    },
+  };
+
+  const dataSources = {
+    name: "data_sources",
+    category: "data-bearing",
+    description:
+      "Health and circuit-breaker state of every external data source used by the plugins: Giftstat, MarketApp, GetGems, Fragment, DYOR, GeckoTerminal, TonAPI, QuickChart. " +
+      "Per source: circuit state (closed = healthy, open = failing fast, half_open = trial call allowed), last status, consecutive failures, empty-data streak (GetGems history feed), " +
+      "when an open circuit is retried, last error and transition, call count, failure rate and average latency. State is shared by all plugins and persisted across restarts. " +
+      "While a circuit is open every fetch helper fails immediately and callers fall back (e.g. whale tools run MarketApp-only when GetGems or its history feed is open).",
+
+    parameters: {
+      type: "object",
+      properties: {
+        recheck: {
+          type: "boolean",
+          description: "Probe every source right now, bypassing open circuits (default: false — returns recorded state)",
+        },
+        source: {
+          type: "string",
+          enum: Object.keys(SOURCES),
+          description: "Only this source",
+        },
+      },
+    },
+
+    execute: async (params) => {
+      try {
+        let probes = null;
+        if (params.recheck) {
+          const log = (...a) => sdk.log.info(...a);
+          probes = await testDataSources(log);
+        }
+
+        const sources = sourceHealth(params.source || null);
+        const unavailable = sources.filter((h) => !h.available).map((h) => h.name);
+        return {
+          success: true,
+          data: {
+            fresh: !!params.recheck,
+            probes,
+            unavailable,
+            sources,
+            hint: params.recheck ? undefined : "Use recheck=true to probe every source now",
+          },
+        };
+      } catch (err) {
+        sdk.log.error(`data_sources error: ${err.message}`);
+        return { success: false, error: err.message };
+      }
+    },
+  };
+
+  const salesWarehouse = {
+    name: "sales_warehouse",
+    category: "data-bearing",
+    description:
+      "Local warehouse of every gift sale synced from GetGems (global gift feed + collection history) and MarketApp history. " +
+      "Modes: 'sync' = pull new sales (and a few pages of older history) for a collection or the global feed; 'status' = stored counts, time range and per-feed cursors; " +
+      "'query' = stored sales filtered by collection, wallet and period; 'daily' = per-day trades, volume and open/high/low/close prices — pass these to chart_candlestick / chart_generate. " +
+      "whale_tracker and anomaly_detector (data_source=warehouse) read the same store.",
+
+    parameters: {
+      type: "object",
+      properties: {
+        mode: {
+          type: "string",
+          enum: ["sync", "status", "query", "daily"],
+          description: "Operation (default: status)",
+        },
+        collection: {
+          type: "string",
+          description: "Collection name or slug (resolved via the collection registry)",
+        },
+        collection_address: {
+          type: "string",
+          description: "On-chain collection address (skips name resolution)",
+        },
+        wallet_address: {
+          type: "string",
+          description: "query mode: only sales where this wallet bought or sold",
+        },
+        period_days: {
+          type: "integer",
+          description: "query/daily modes: look back this many days (default: 30)",
+        },
+        limit: {
+          type: "integer",
+          description: "query mode: max sales to return (default: 100, max: 1000)",
+        },
+        max_pages: {
+          type: "integer",
+          description: "sync mode: pages (100 events each) to fetch per feed (default: 20, max: 100)",
+        },
+      },
+    },
+
+    execute: async (params) => {
+      if (!db) {
+        return { success: false, error: "Database not available — plugin needs migrate() support" };
+      }
 
-          const accumulators = deltas.filter((d) => d.net_delta > 0);
-          const distributors = deltas.filter((d) => d.net_delta < 0);
-          const newEntrants = deltas.filter((d) => d.is_new);
+      try {
+        const mode = params.mode || "status";
+        let collectionAddress = params.collection_address || null;
+        if (!collectionAddress && params.collection) {
+          const match = await resolveGiftCollection(params.collection, {
+            db,
+            marketappToken: process.env.MARKETAPP_API_TOKEN,
+            getgemsKey: process.env.GETGEMS_API_KEY,
+          });
+          if (!match) return { success: false, error: `Collection "${params.collection}" not found in the collection registry` };
+          collectionAddress = match.address;
+        }
+        const since = Math.floor(Date.now() / 1000) - (params.period_days || 30) * 86400;
+
+        if (mode === "sync") {
+          const maxPages = Math.min(params.max_pages || 20, 100);
+          const results = await syncSales(
+            db,
+            collectionAddress ? [collectionAddress] : [],
+            warehouseSyncOptions(shouldSkipGetgems(), maxPages)
+          );
+          if (results.length === 0) {
+            return { success: false, error: "No feeds to sync — set GETGEMS_API_KEY and/or MARKETAPP_API_TOKEN" };
+          }
+          const inserted = results.reduce((sum, r) => sum + r.inserted, 0);
+          return {
+            success: true,
+            data: { collection_address: collectionAddress, feeds: results, inserted, coverage: salesCoverage(db, collectionAddress) },
+            summary: `Synced ${results.length} feeds: +${inserted} new sales`,
+          };
+        }
 
+        if (mode === "status") {
+          const coverage = salesCoverage(db, collectionAddress);
           return {
             success: true,
             data: {
-              date_from: dateFrom,
-              date_to: dateTo,
-              total_wallets: deltas.length,
-              accumulators: accumulators.length,
-              distributors: distributors.length,
-              new_entrants: newEntrants.length,
-              deltas: deltas.slice(0, limit),
+              collection_address: collectionAddress,
+              ...coverage,
+              oldest: coverage.oldest ? new Date(coverage.oldest * 1000).toISOString() : null,
+              newest: coverage.newest ? new Date(coverage.newest * 1000).toISOString() : null,
             },
-            summary: `${dateFrom} → ${dateTo}: ${accumulators.length} accumulating, ${distributors.length} distributing, ${newEntrants.length} new entrants`,
           };
         }
 
-        return { success: false, error: `Unknown mode: ${mode}. Use latest, history, or compare.` };
+        if (mode === "query") {
+          const sales = querySales(db, {
+            collectionAddress,
+            wallet: params.wallet_address,
+            since,
+            limit: Math.min(params.limit || 100, 1000),
+          });
+          return { success: true, data: { count: sales.length, sales } };
+        }
+
+        if (mode === "daily") {
+          const days = dailySales(db, { collectionAddress, since });
+          return { success: true, data: { collection_address: collectionAddress, count: days.length, days } };
+        }
+
+        return { success: false, error: `Unknown mode: ${mode}. Use sync, status, query, or daily.` };
       } catch (err) {
-        sdk.log.error(`whale_snapshots error: ${err.message}`);
+        sdk.log.error(`sales_warehouse error: ${err.message}`);
         return { success: false, error: String(err.message || err).slice(0, 500) };
       }
     },
   };
 
-  const dataSources = {
-    name: "data_sources",
+  const walletLabels = {
+    name: "wallet_labels",
     category: "data-bearing",
     description:
-      "Check current health and status of all whale-analytics data sources (GetGems, MarketApp, Giftstat). " +
-      "Shows: API status, GetGems empty streak counter, whether GetGems is being skipped, last status transition, " +
-      "and time since last check. Use this to diagnose data issues or verify source availability. " +
-      "If GetGems shows 'skipped' — system automatically switched to MarketApp-only mode after consecutive empty responses.",
+      "Known-entity directory for TON addresses: marketplace sale contracts, Fragment, exchanges, the agent's own wallet and team-curated labels. " +
+      "Labels are shown next to addresses in whale_tracker, getgems_nft_history, marketapp_gift_history and invoice checks; marketplace, fragment and exchange addresses are left out of whale rankings. " +
+      "Modes: 'list' = stored labels; 'lookup' = labels for given addresses (unknown ones are looked up on TonAPI); 'set' = add or change a team label; 'remove' = delete a label.",
 
     parameters: {
       type: "object",
       properties: {
-        recheck: {
+        mode: {
+          type: "string",
+          enum: ["list", "lookup", "set", "remove"],
+          description: "Action (default: list)",
+        },
+        address: {
+          type: "string",
+          description: "Address to label or remove (set/remove), or look up",
+        },
+        addresses: {
+          type: "array",
+          items: { type: "string" },
+          description: "Addresses to look up (lookup mode, max 100)",
+        },
+        label: {
+          type: "string",
+          description: "Name to show for the address (set mode)",
+        },
+        category: {
+          type: "string",
+          enum: LABEL_CATEGORIES,
+          description: "Category (set mode, default: team; list mode filter)",
+        },
+        exclude_from_rankings: {
           type: "boolean",
-          description: "Force a fresh health check of all sources right now (default: false — returns cached state)",
+          description: "Keep this address out of whale rankings (set mode; default: true for marketplace, fragment, exchange)",
+        },
+        note: {
+          type: "string",
+          description: "Free-text note (set mode)",
+        },
+        limit: {
+          type: "integer",
+          description: "Max labels in list mode (default: 50, max: 500)",
         },
       },
     },
 
-    execute: async (params) => {
+    execute: async (params, context) => {
+      const labelsDb = db || context?.db;
+      if (!labelsDb) {
+        return { success: false, error: "Database not available — plugin needs migrate() support" };
+      }
+
       try {
-        if (params.recheck) {
-          const log = (...a) => sdk.log.info(...a);
-          const results = await testDataSources(log);
+        initWalletLabelsDb(labelsDb);
+        if (context?.db && context.db !== labelsDb) initWalletLabelsDb(context.db);
+        const mode = params.mode || "list";
+
+        if (mode === "set") {
+          if (!params.address || !params.label) return { success: false, error: "set mode requires address and label" };
+          const saved = setWalletLabel(labelsDb, params.address, {
+            label: params.label,
+            category: params.category || "team",
+            exclude: params.exclude_from_rankings ?? null,
+            note: params.note,
+            addedBy: context?.senderId,
+          });
+          return { success: true, data: { saved } };
+        }
+
+        if (mode === "remove") {
+          if (!params.address) return { success: false, error: "remove mode requires address" };
+          const removed = removeWalletLabel(labelsDb, params.address);
+          if (!removed) return { success: false, error: `No label for ${params.address}` };
+          return { success: true, data: { removed } };
+        }
+
+        if (mode === "lookup") {
+          const addresses = [...(params.addresses || []), params.address].filter(Boolean).slice(0, 100);
+          if (addresses.length === 0) return { success: false, error: "lookup mode requires address or addresses" };
+          const found = await labelAddresses(labelsDb, addresses, { log: (...a) => sdk.log.info(...a) });
           return {
             success: true,
-            fresh: true,
-            sources: results,
-            getgems_state: {
-              status: _getgemsState.status,
-              empty_streak: _getgemsState.emptyStreak,
-              skipped_in_snapshots: _getgemsState.skipUntilRecheck,
-              last_checked: _getgemsState.lastChecked ? new Date(_getgemsState.lastChecked).toISOString() : null,
-              last_ok: _getgemsState.lastOkTime ? new Date(_getgemsState.lastOkTime).toISOString() : null,
-              last_transition: _getgemsState.lastTransition,
-              recheck_interval_hours: GETGEMS_RECHECK_INTERVAL_MS / 3600000,
-              skip_threshold: GETGEMS_SKIP_AFTER_STREAK,
+            data: {
+              results: addresses.map((a) => ({ address: a, ...(found.get(a) ?? { label: null }) })),
             },
           };
         }
 
-        const elapsed = _getgemsState.lastChecked ? Math.round((Date.now() - _getgemsState.lastChecked) / 60000) : null;
+        if (mode !== "list") return { success: false, error: `Unknown mode: ${mode}. Use list, lookup, set, or remove.` };
+        const limit = Math.min(Math.max(params.limit || 50, 1), 500);
+        const labels = listWalletLabels(labelsDb, { category: params.category || null, limit });
+        return { success: true, data: { count: labels.length, labels } };
+      } catch (err) {
+        sdk.log.error(`wallet_labels error: ${err.message}`);
+        return { success: false, error: String(err.message || err).slice(0, 500) };
+      }
+    },
+  };
 
-        return {
-          success: true,
-          fresh: false,
-          getgems_state: {
-            status: _getgemsState.status,
-            empty_streak: _getgemsState.emptyStreak,
-            skipped_in_snapshots: _getgemsState.skipUntilRecheck,
-            last_checked: _getgemsState.lastChecked ? new Date(_getgemsState.lastChecked).toISOString() : null,
-            last_checked_minutes_ago: elapsed,
-            last_ok: _getgemsState.lastOkTime ? new Date(_getgemsState.lastOkTime).toISOString() : null,
-            last_transition: _getgemsState.lastTransition,
-            recheck_interval_hours: GETGEMS_RECHECK_INTERVAL_MS / 3600000,
-            skip_threshold: GETGEMS_SKIP_AFTER_STREAK,
-          },
-          hint: "Use recheck=true to run a fresh health check of all sources",
-        };
+  const scheduledJobs = {
+    name: "scheduled_jobs",
+    category: "data-bearing",
+    description:
+      "Background jobs of this plugin (auto_snapshot, whale_alerts, backfill_resume) — cron schedule, next and last run, last status/error and recent run history. " +
+      "Runs survive restarts: a run missed while the agent was down is caught up on start. Mode 'run' starts a job immediately (skipped if it is already running).",
+
+    parameters: {
+      type: "object",
+      properties: {
+        mode: {
+          type: "string",
+          enum: ["status", "run"],
+          description: "Action (default: status)",
+        },
+        job: {
+          type: "string",
+          description: "Job name (required for run; filters status)",
+        },
+        history: {
+          type: "integer",
+          description: "Recent runs per job in status mode (default: 5, max: 50)",
+        },
+      },
+    },
+
+    execute: async (params) => {
+      if (!db) {
+        return { success: false, error: "Database not available — plugin needs migrate() support" };
+      }
+
+      try {
+        const active = _scheduler ? _scheduler.jobNames() : [];
+
+        if (params.mode === "run") {
+          if (!params.job) return { success: false, error: "run mode requires job" };
+          if (!active.includes(params.job)) {
+            return { success: false, error: `Job "${params.job}" is not scheduled in this process (active: ${active.join(", ") || "none"})` };
+          }
+          _scheduler.runNow(params.job).catch((err) => sdk.log.error(`scheduled_jobs: ${params.job} failed: ${err.message}`));
+          return { success: true, data: { job: params.job, started: true, note: "Running in background — check mode=status for the result" } };
+        }
+
+        const history = Math.min(Math.max(params.history || 5, 1), 50);
+        const jobs = schedulerStatus(db, { job: params.job || null, history }).map((j) => ({ ...j, active: active.includes(j.name) }));
+        return { success: true, data: { scheduler_running: !!_scheduler, jobs } };
       } catch (err) {
-        sdk.log.error(`data_sources error: ${err.message}`);
-        return { success: false, error: err.message };
+        sdk.log.error(`scheduled_jobs error: ${err.message}`);
+        return { success: false, error: String(err.message || err).slice(0, 500) };
       }
     },
   };
 
-  return [whaleTracker, anomalyDetector, whaleSnapshots, dataSources];
+  return [whaleTracker, anomalyDetector, washTradeDetector, whaleSnapshots, whaleBackfill, holderSnapshots, dataSources, salesWarehouse, whaleAlerts, walletLabels, scheduledJobs];
 };
 
-let _schedulerTimer = null;
-let _initialTimeout = null;
-let _schedulerRunning = false;
-let _schedulerStarted = false;
-
-const _getgemsState = {
-  status: "unknown",
-  emptyStreak: 0,
-  lastChecked: 0,
-  lastTransition: null,
-  lastOkTime: 0,
-  skipUntilRecheck: false,
-};
-const GETGEMS_RECHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
-const GETGEMS_SKIP_AFTER_STREAK = 3;
+let _scheduler = null;
 
 async function runAutoSnapshot(db, log, topN, maxCollections) {
-  if (_schedulerRunning) return;
-  _schedulerRunning = true;
-
   try {
     log("Auto-snapshot: starting daily snapshot run...");
 
@@ -1153,14 +2950,14 @@ async function runAutoSnapshot(db, log, topN, maxCollections) {
       return;
     }
 
-    const floors = await getFloorPrices();
+    const [floors, modelFloors] = await Promise.all([getFloorPrices(), getModelFloors()]);
     const hasMarketApp = !!process.env.MARKETAPP_API_TOKEN;
     let totalSaved = 0;
     let processed = 0;
 
     const skipGems = shouldSkipGetgems();
     if (skipGems) {
-      log(`Auto-snapshot: GetGems skipped (empty streak: ${_getgemsState.emptyStreak}, recheck in ${Math.round((GETGEMS_RECHECK_INTERVAL_MS - (Date.now() - _getgemsState.lastChecked)) / 60000)}min)`);
+      log(`Auto-snapshot: GetGems skipped (${getgemsSkipReason()})`);
     }
     if (hasMarketApp) log(`Auto-snapshot: MarketApp token found, mode=${skipGems ? "MarketApp-only" : "multi-source"}`);
 
@@ -1170,26 +2967,40 @@ async function runAutoSnapshot(db, log, topN, maxCollections) {
     for (const col of topCollections) {
       try {
         const colName = col.slug || col.name || "unknown";
-        const [gemsSales, maSales] = await Promise.all([
-          skipGems ? Object.assign([], { _blocked: false, _skipped: true }) : getCollectionSales(col.address, 200, log),
-          hasMarketApp ? getMarketAppSales(col.address, 100, log) : [],
-        ]);
-        if (!gemsSales._skipped) {
-          gemsCheckedThisRun = true;
-          if (gemsSales.length > 0 && !gemsSales._blocked) gemsHadData = true;
+        const cutoff = Math.floor(Date.now() / 1000) - 14 * 86400;
+
+        // Holdings are recorded even for collections too quiet for a whale snapshot.
+        if (!skipGems && process.env.GETGEMS_API_KEY) {
+          try {
+            await takeHolderSnapshot(db, col.address, col.name || colName, log, 3);
+          } catch (err) {
+            log(`Auto-snapshot ${colName}: holder snapshot failed: ${err.message}`);
+          }
+        }
+        let allSales = await loadWarehouseSales(db, col.address, cutoff, skipGems, log);
+        if (allSales) {
+          log(`Auto-snapshot ${colName}: ${allSales.length} sales from warehouse`);
+        } else {
+          const [gemsSales, maSales] = await Promise.all([
+            skipGems ? Object.assign([], { _blocked: false, _skipped: true }) : getCollectionSales(col.address, 200, log),
+            hasMarketApp ? getMarketAppSales(col.address, 100, log) : [],
+          ]);
+          if (!gemsSales._skipped) {
+            gemsCheckedThisRun = true;
+            if (gemsSales.length > 0 && !gemsSales._blocked) gemsHadData = true;
+          }
+          const gemsStatus = gemsSales._skipped ? "skipped" : gemsSales._blocked ? "blocked" : gemsSales.length === 0 ? "empty" : `${gemsSales.length}`;
+          log(`Auto-snapshot ${colName}: GetGems=${gemsStatus} sales, MarketApp=${maSales.length} sales`);
+          allSales = deduplicateSales([
+            ...gemsSales.map((s) => ({ ...s, source: "getgems" })),
+            ...maSales,
+          ]);
         }
-        const gemsStatus = gemsSales._skipped ? "skipped" : gemsSales._blocked ? "blocked" : gemsSales.length === 0 ? "empty" : `${gemsSales.length}`;
-        log(`Auto-snapshot ${colName}: GetGems=${gemsStatus} sales, MarketApp=${maSales.length} sales`);
-        const allSales = deduplicateSales([
-          ...gemsSales.map((s) => ({ ...s, source: "getgems" })),
-          ...maSales,
-        ]);
         if (allSales.length === 0) {
           log(`Auto-snapshot ${colName}: 0 total sales after dedup, skipping`);
           continue;
         }
 
-        const cutoff = Math.floor(Date.now() / 1000) - 14 * 86400;
         const recentSales = allSales.filter((s) => s.time >= cutoff);
         log(`Auto-snapshot ${colName}: ${allSales.length} total, ${recentSales.length} recent (14d), cutoff=${cutoff}, sample_time=${allSales[0]?.time || 0}`);
         if (recentSales.length < 3) {
@@ -1198,7 +3009,9 @@ async function runAutoSnapshot(db, log, topN, maxCollections) {
         }
 
         const slug = col.slug || col.name || "unknown";
-        const analysis = analyzeWhales(recentSales, allSales, slug, col.address, floors, topN);
+        const pnl = computeWalletPnl(allSales, floorValuer(floors, modelFloors, slug));
+        const { exclude } = await rankingLabels(db, recentSales, topN, log);
+        const analysis = analyzeWhales(recentSales, allSales, slug, col.address, floors, topN, { pnl, exclude });
         const sdkMock = { log: { info: (...a) => log(...a), error: (...a) => log(...a) } };
         const saved = saveSnapshot(db, sdkMock, slug, analysis.topBuyers, floors);
         totalSaved += saved;
@@ -1211,178 +3024,541 @@ async function runAutoSnapshot(db, log, topN, maxCollections) {
     }
 
     if (gemsCheckedThisRun) {
-      updateGetgemsState(gemsHadData ? "ok" : "empty_data", log);
-      log(`Auto-snapshot: GetGems state updated → ${_getgemsState.status} (streak: ${_getgemsState.emptyStreak})`);
+      recordSourceStatus("getgems_history", gemsHadData ? "ok" : "empty_data");
+      const history = sourceHealth("getgems_history")[0];
+      log(`Auto-snapshot: GetGems history state updated → ${history.status} (empty streak: ${history.empty_streak})`);
     }
 
     log(`Auto-snapshot: completed — ${totalSaved} snapshots saved across ${processed}/${topCollections.length} collections`);
   } catch (err) {
     log(`Auto-snapshot: run failed — ${err.message}`);
-  } finally {
-    _schedulerRunning = false;
+    throw err;
   }
 }
 
-function updateGetgemsState(newStatus, log) {
-  const prev = _getgemsState.status;
-  _getgemsState.lastChecked = Date.now();
+// GetGems often answers 200 with an empty history for hours. Those answers
+// open the "getgems_history" feed circuit (not the host, which trading still
+// needs), and the whale tools then run MarketApp-only.
+function shouldSkipGetgems() {
+  return !isSourceAvailable("getgems") || !isSourceAvailable("getgems_history");
+}
+
+function getgemsSkipReason() {
+  const history = sourceHealth("getgems_history")[0];
+  if (!history.available) return `empty streak: ${history.empty_streak}, recheck after ${history.retry_at}`;
+  const gems = sourceHealth("getgems")[0];
+  return `${gems.last_error || gems.status}, recheck after ${gems.retry_at || "now"}`;
+}
 
-  if (newStatus === "ok") {
-    if (prev !== "ok" && prev !== "unknown") {
-      log(`⚡ GetGems RECOVERED: ${prev} → ok (was empty for ${_getgemsState.emptyStreak} checks)`);
-      _getgemsState.lastTransition = { from: prev, to: "ok", at: new Date().toISOString() };
-    }
-    _getgemsState.emptyStreak = 0;
-    _getgemsState.lastOkTime = Date.now();
-    _getgemsState.skipUntilRecheck = false;
-  } else if (newStatus === "empty_data") {
-    _getgemsState.emptyStreak++;
-    if (prev === "ok") {
-      log(`⚠ GetGems DEGRADED: ok → empty_data (streak: ${_getgemsState.emptyStreak})`);
-      _getgemsState.lastTransition = { from: "ok", to: "empty_data", at: new Date().toISOString() };
-    }
-    if (_getgemsState.emptyStreak >= GETGEMS_SKIP_AFTER_STREAK && !_getgemsState.skipUntilRecheck) {
-      log(`GetGems: ${_getgemsState.emptyStreak} consecutive empty responses — switching to MarketApp-only mode. Will recheck in ${GETGEMS_RECHECK_INTERVAL_MS / 3600000}h`);
-      _getgemsState.skipUntilRecheck = true;
-    }
-  } else {
-    if (prev === "ok") {
-      log(`⚠ GetGems ERROR: ok → ${newStatus}`);
-      _getgemsState.lastTransition = { from: "ok", to: newStatus, at: new Date().toISOString() };
+// One cheap request per source. Probes bypass open circuits, so a recheck is
+// also how a tripped source gets closed again before its cooldown ends.
+const HEALTH_PROBES = {
+  giftstat: () => ({ url: `${GIFTSTAT_API}/current/collections/floor?marketplace=portals&limit=1` }),
+  marketapp: () => {
+    const token = process.env.MARKETAPP_API_TOKEN;
+    return token ? { url: `${MARKETAPP_API}/gifts/history/?limit=1`, headers: { Authorization: token } } : null;
+  },
+  getgems: () => {
+    const key = process.env.GETGEMS_API_KEY;
+    return key ? { url: "https://api.getgems.io/public-api/v1/nfts/history/gifts?limit=5&types[]=sold", headers: { Accept: "application/json", Authorization: key } } : null;
+  },
+  fragment: () => ({ url: "https://fragment.com/gifts" }),
+  dyor: () => ({ url: "https://api.dyor.io/v1/jettons?limit=1" }),
+  geckoterminal: () => ({ url: "https://api.geckoterminal.com/api/v2/networks/ton/trending_pools?page=1", headers: { Accept: "application/json" } }),
+  tonapi: () => ({ url: "https://tonapi.io/v2/status" }),
+  quickchart: () => ({ url: "https://quickchart.io/healthcheck" }),
+};
+
+async function testDataSources(log) {
+  const results = {};
+
+  for (const [source, probe] of Object.entries(HEALTH_PROBES)) {
+    const req = probe();
+    if (!req) {
+      recordSourceStatus(source, "not_configured", { error: "API key/token not set" });
+      results[source] = "not_configured";
+      continue;
     }
-    _getgemsState.emptyStreak++;
-    if (_getgemsState.emptyStreak >= GETGEMS_SKIP_AFTER_STREAK) {
-      _getgemsState.skipUntilRecheck = true;
+    try {
+      const res = await sourceFetch(req.url, { headers: req.headers, timeoutMs: 10000, probe: true });
+      results[source] = res.ok ? "ok" : `error_${res.status}`;
+      // GetGems is the one source that goes "up but empty"; check the payload.
+      if (source === "getgems" && res.ok) {
+        const raw = await res.json();
+        const data = raw.response !== undefined ? raw.response : raw;
+        const items = data.items || (Array.isArray(data) ? data : []);
+        results.getgems_history = items.length > 0 ? "ok" : "empty_data";
+        recordSourceStatus("getgems_history", results.getgems_history);
+      }
+    } catch (err) {
+      results[source] = `error: ${err.message}`;
     }
   }
 
-  _getgemsState.status = newStatus;
+  const summary = sourceHealth()
+    .map((h) => `${h.name}=${results[h.source] ?? h.status}${h.available ? "" : " [OPEN]"}`)
+    .join(", ");
+  log(`Data source health: ${summary}`);
+  return results;
 }
 
-function shouldSkipGetgems() {
-  if (!_getgemsState.skipUntilRecheck) return false;
-  const elapsed = Date.now() - _getgemsState.lastChecked;
-  if (elapsed >= GETGEMS_RECHECK_INTERVAL_MS) {
-    _getgemsState.skipUntilRecheck = false;
-    return false;
+// ---------------------------------------------------------------------------
+// Snapshot backfill
+// ---------------------------------------------------------------------------
+
+// Same 14-day trailing window as whale_tracker's default period.
+const BACKFILL_WINDOW_DAYS = 14;
+const BACKFILL_FLOOR_DAYS = 7;
+const BACKFILL_MAX_RANGE_DAYS = 180;
+const BACKFILL_PAGES_PER_RUN = 20;
+
+let _backfillRunning = false;
+let _backfillStopped = false;
+// Ids of jobs a runBackfill() call is advancing. The tool and the background
+// resumer both run jobs; two runs of one job would spend pages twice and the
+// last save could roll its progress back.
+const _backfillActive = new Set();
+
+function dayStart(date) {
+  return Math.floor(Date.parse(`${date}T00:00:00Z`) / 1000);
+}
+
+function daysBetween(from, to) {
+  const days = [];
+  for (let t = dayStart(from); t <= dayStart(to); t += 86400) {
+    days.push(new Date(t * 1000).toISOString().slice(0, 10));
   }
-  return true;
+  return days;
 }
 
-async function testDataSources(log) {
-  const results = { getgems: "unknown", marketapp: "unknown", giftstat: "unknown" };
+function loadBackfillJob(db, id) {
+  const row = id
+    ? db.prepare("SELECT * FROM whale_backfill_jobs WHERE id = ?").get(id)
+    : db.prepare("SELECT * FROM whale_backfill_jobs ORDER BY id DESC LIMIT 1").get();
+  return row ? { ...row, progress: JSON.parse(row.progress_json) } : null;
+}
+
+function saveBackfillJob(db, job) {
+  // A job cancelled while a run was in flight stays cancelled.
+  db.prepare("UPDATE whale_backfill_jobs SET status = ?, progress_json = ?, error = ?, updated_at = unixepoch() WHERE id = ? AND status != 'cancelled'")
+    .run(job.status, JSON.stringify(job.progress), job.error ?? null, job.id);
+}
+
+/** Job progress for tool output: per collection phase, sync reach and days built. */
+function backfillReport(job) {
+  const fromTs = dayStart(job.date_from);
+  const now = Math.floor(Date.now() / 1000);
+  const totalDays = daysBetween(job.date_from, job.date_to).length;
+  const collections = job.progress.map((c) => {
+    const syncPct = c.phase !== "sync" ? 100
+      : c.oldest_time ? Math.min(99, Math.round(((now - c.oldest_time) / Math.max(1, now - fromTs)) * 100)) : 0;
+    const built = c.last_day ? daysBetween(job.date_from, c.last_day).length : 0;
+    return {
+      collection: c.slug,
+      collection_address: c.address,
+      phase: c.phase,
+      pages_fetched: c.pages,
+      history_reached: c.oldest_time ? new Date(c.oldest_time * 1000).toISOString().slice(0, 10) : null,
+      sync_pct: syncPct,
+      days_built: built,
+      days_total: totalDays,
+      snapshots_saved: c.snapshots,
+      last_error: c.last_error ?? null,
+    };
+  });
+  // Syncing history is the slow half of each collection; building is local.
+  const pct = collections.reduce((sum, c) => sum + c.sync_pct * 0.5 + (c.days_built / c.days_total) * 50, 0) / collections.length;
+  return {
+    job_id: job.id,
+    status: job.status,
+    date_from: job.date_from,
+    date_to: job.date_to,
+    top_n: job.top_n,
+    progress_pct: +pct.toFixed(1),
+    collections,
+    error: job.error ?? null,
+  };
+}
+
+/**
+ * Page the collection's GetGems and MarketApp history back into the sales
+ * warehouse until it reaches the job's start date. Returns pages used.
+ */
+async function backfillSyncStep(db, job, c, maxPages, log) {
+  const results = await syncSales(db, [c.address], {
+    ...warehouseSyncOptions(shouldSkipGetgems(), maxPages),
+    giftsFeed: false,
+    backfill: true,
+  });
+  const pages = results.reduce((sum, r) => sum + r.pages, 0);
+  c.pages += pages;
+  const errors = results.filter((r) => r.error).map((r) => `${r.source}: ${r.error}`);
+  c.last_error = errors.length ? errors.join("; ").slice(0, 300) : null;
+  if (results.length === 0) throw new Error("No sales feeds available — set GETGEMS_API_KEY or MARKETAPP_API_TOKEN");
+
+  const synced = new Set(results.map((r) => r.source));
+  const feeds = salesCoverage(db, c.address).feeds.filter((f) => synced.has(f.source));
+  const fromTs = dayStart(job.date_from) - BACKFILL_WINDOW_DAYS * 86400;
+  c.oldest_time = Math.max(...feeds.map((f) => f.oldest_time ?? Math.floor(Date.now() / 1000)));
+  const covered = feeds.length > 0 && feeds.every(
+    (f) => f.open_gaps === 0 && (f.backfill_done || (f.oldest_time !== null && f.oldest_time <= fromTs))
+  );
+  if (covered) c.phase = "build";
+  log(`Backfill #${job.id} ${c.slug}: +${pages} pages, history back to ${new Date(c.oldest_time * 1000).toISOString().slice(0, 10)}${covered ? " (covered)" : ""}`);
+  return pages;
+}
+
+/**
+ * Rebuild one snapshot per day from stored sales, as whale_tracker would
+ * have recorded it that day: trailing 14-day window, P&L over all earlier
+ * sales, open positions valued at the lowest sale of the trailing week.
+ * Labeled marketplace/exchange addresses are left out as in live rankings.
+ * Resumes after the last finished day.
+ */
+async function backfillBuildStep(db, job, c, log) {
+  const endTs = dayStart(job.date_to) + 86400;
+  const history = querySales(db, { collectionAddress: c.address, until: endTs }).reverse();
+  const { exclude } = await rankingLabels(db, history, job.top_n, log);
+  const sdkMock = { log: { info: () => {}, error: (...a) => log(...a) } };
+  const days = daysBetween(job.date_from, job.date_to).filter((d) => !c.last_day || d > c.last_day);
+
+  for (const day of days) {
+    if (_backfillStopped) return;
+    const dayEnd = dayStart(day) + 86400;
+    const upToDay = history.filter((s) => s.time < dayEnd);
+    const window = upToDay.filter((s) => s.time >= dayEnd - BACKFILL_WINDOW_DAYS * 86400);
+    if (window.length >= 3) {
+      const week = window.filter((s) => s.time >= dayEnd - BACKFILL_FLOOR_DAYS * 86400 && s.price_ton > 0);
+      const floor = week.length ? Math.min(...week.map((s) => s.price_ton)) : null;
+      const floors = floor ? { [c.slug.toLowerCase()]: floor } : {};
+      const pnl = computeWalletPnl(upToDay, () => floor);
+      const analysis = analyzeWhales(window, window, c.slug, c.address, floors, job.top_n, { pnl, exclude });
+      c.snapshots += saveSnapshot(db, sdkMock, c.slug, analysis.topBuyers, floors, day);
+    }
+    c.last_day = day;
+  }
+  c.phase = "done";
+  log(`Backfill #${job.id} ${c.slug}: ${c.snapshots} snapshots over ${days.length} days`);
+}
 
+/**
+ * Advance a job by up to `maxPages` API pages (building is free). State is
+ * saved after every step, so an interrupted run resumes where it stopped.
+ * A job another call is already advancing is returned as stored.
+ */
+async function runBackfill(db, jobId, { maxPages = BACKFILL_PAGES_PER_RUN, log = () => {} } = {}) {
+  if (_backfillActive.has(jobId)) return loadBackfillJob(db, jobId);
+  _backfillActive.add(jobId);
   try {
-    const gemsKey = process.env.GETGEMS_API_KEY;
-    if (!gemsKey) {
-      results.getgems = "no_api_key";
-      log(`GetGems health: no API key configured`);
-    } else {
-      const params = new URLSearchParams();
-      params.set("limit", "5");
-      params.append("types[]", "sold");
-      const res = await fetch(
-        `https://api.getgems.io/public-api/v1/nfts/history/gifts?${params}`,
-        { headers: { Accept: "application/json", Authorization: gemsKey }, signal: AbortSignal.timeout(10000) }
-      );
-      if (res.ok) {
-        const raw = await res.json();
-        const data = raw.response !== undefined ? raw.response : raw;
-        const items = data.items || (Array.isArray(data) ? data : []);
-        if (items.length > 0) {
-          results.getgems = "ok";
-          log(`GetGems health: OK (${items.length} gift sale events)`);
-        } else {
-          log(`GetGems health: HTTP 200 but 0 items from nfts/history/gifts endpoint`);
-          results.getgems = "empty_data";
-        }
-      } else {
-        const body = await res.text().catch(() => "");
-        log(`GetGems health check ${res.status}: ${body.substring(0, 300)}`);
-        results.getgems = `error_${res.status}`;
+    return await advanceBackfill(db, jobId, maxPages, log);
+  } finally {
+    _backfillActive.delete(jobId);
+  }
+}
+
+async function advanceBackfill(db, jobId, maxPages, log) {
+  const job = loadBackfillJob(db, jobId);
+  if (!job || job.status !== "running") return job;
+  let budget = maxPages;
+  try {
+    for (const c of job.progress) {
+      if (_backfillStopped) break;
+      while (c.phase === "sync" && budget > 0 && !_backfillStopped) {
+        const used = await backfillSyncStep(db, job, c, budget, log);
+        budget -= used;
+        saveBackfillJob(db, job);
+        if (used === 0) break;
       }
+      if (c.phase === "build") {
+        await backfillBuildStep(db, job, c, log);
+        saveBackfillJob(db, job);
+      }
+      if (c.phase !== "done") break;
     }
+    if (job.progress.every((c) => c.phase === "done")) job.status = "done";
   } catch (err) {
-    results.getgems = `error: ${err.message}`;
+    job.status = "failed";
+    job.error = String(err.message || err).slice(0, 300);
   }
+  saveBackfillJob(db, job);
+  return job;
+}
 
-  updateGetgemsState(results.getgems, log);
-
+/** Background continuation of running jobs (after a restart or a budgeted tool call). */
+async function resumeBackfillJobs(db, log) {
+  if (_backfillRunning) return;
+  _backfillRunning = true;
   try {
-    const token = process.env.MARKETAPP_API_TOKEN;
-    if (!token) {
-      results.marketapp = "no_token";
-    } else {
-      const params = new URLSearchParams({ limit: "1" });
-      const res = await fetch(`${MARKETAPP_API}/gifts/history/?${params}`, {
-        headers: { Authorization: token },
-        signal: AbortSignal.timeout(10000),
-      });
-      results.marketapp = res.ok ? "ok" : `error_${res.status}`;
+    const ids = db.prepare("SELECT id FROM whale_backfill_jobs WHERE status = 'running' ORDER BY id").all().map((r) => r.id);
+    for (const id of ids) {
+      let job = loadBackfillJob(db, id);
+      log(`Backfill #${id}: resuming (${backfillReport(job).progress_pct}%)`);
+      while (job?.status === "running" && !_backfillStopped) {
+        const before = JSON.stringify(job.progress);
+        job = await runBackfill(db, id, { log });
+        if (job.status === "running" && JSON.stringify(job.progress) === before) break;
+        await new Promise((r) => setTimeout(r, 2000));
+      }
+      if (job) log(`Backfill #${id}: ${job.status} (${backfillReport(job).progress_pct}%)`);
     }
   } catch (err) {
-    results.marketapp = `error: ${err.message}`;
+    log(`Backfill: resume failed — ${err.message}`);
+  } finally {
+    _backfillRunning = false;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Whale alerts watcher
+// ---------------------------------------------------------------------------
+
+// Only sales this recent can alert, so a first sync or a long backfill does
+// not replay old history into the chats.
+const ALERT_MAX_AGE_S = 60 * 60;
+const ALERT_EXPIRE_S = 24 * 60 * 60;
+const ALERT_DIGEST_AFTER = 5;
+const ALERT_SYNC_PAGES = 2;
+
+const _alertState = {
+  enabled: false,
+  settings: null,
+  lastRun: null,
+  lastError: null,
+  lastQueued: 0,
+  lastSent: 0,
+};
+
+/** "23-08" → { from: 23, to: 8 } (UTC hours, end exclusive); null when unset or malformed. */
+function parseQuietHours(value) {
+  const m = String(value ?? "").match(/^\s*(\d{1,2})\s*-\s*(\d{1,2})\s*$/);
+  if (!m) return null;
+  const from = Number(m[1]);
+  const to = Number(m[2]);
+  if (from > 23 || to > 24 || from === to) return null;
+  return { from, to };
+}
+
+function inQuietHours(quiet, date = new Date()) {
+  if (!quiet) return false;
+  const h = date.getUTCHours();
+  return quiet.from < quiet.to ? h >= quiet.from && h < quiet.to : h >= quiet.from || h < quiet.to;
+}
+
+function alertSettings(config) {
+  return {
+    chats: (config.whale_alerts_chats || []).filter((c) => c !== null && c !== ""),
+    minTon: Number(config.whale_alerts_min_ton ?? 500),
+    watchWallets: config.whale_alerts_watch_wallets || [],
+    collections: config.whale_alerts_collections || [],
+    intervalMinutes: Math.max(1, Number(config.whale_alerts_interval_minutes || 5)),
+    quietHours: parseQuietHours(config.whale_alerts_quiet_hours),
+  };
+}
+
+/** raw address → { address, label } for config wallets and the stored watchlist. */
+function loadWatchlist(db, settings) {
+  const watch = new Map();
+  for (const entry of settings.watchWallets) {
+    const address = typeof entry === "string" ? entry : entry?.address;
+    if (!address) continue;
+    watch.set(toRawWallet(address), { address, label: typeof entry === "string" ? null : entry.label || null });
+  }
+  for (const row of db.prepare("SELECT * FROM whale_alert_watchlist").all()) {
+    watch.set(row.wallet, { address: row.address, label: row.label });
+  }
+  return watch;
+}
+
+function shortAddress(addr) {
+  return addr ? `${addr.slice(0, 6)}…${addr.slice(-4)}` : "?";
+}
+
+function formatAlert(a) {
+  const title = a.reason === "watched_buyer" ? "Watched wallet bought"
+    : a.reason === "watched_seller" ? "Watched wallet sold"
+    : "Whale sale";
+  const party = (addr, label) => `\`${shortAddress(addr)}\`${label ? ` (${label})` : ""}`;
+  return [
+    `🐋 **${title}** — ${a.nft_name || shortAddress(a.nft_address)}`,
+    `💰 ${a.price_ton} TON on ${a.marketplace || "unknown"}${a.collection ? ` · ${a.collection}` : ""}${a.model ? ` · ${a.model}` : ""}`,
+    `Buyer: ${party(a.buyer, a.buyer_label)}`,
+    `Seller: ${party(a.seller, a.seller_label)}`,
+    `[GetGems](https://getgems.io/nft/${a.nft_address}) · ${new Date(a.time * 1000).toISOString().slice(11, 16)} UTC`,
+  ].join("\n");
+}
+
+function formatDigest(alerts) {
+  const total = alerts.reduce((sum, a) => sum + (a.price_ton || 0), 0);
+  const lines = alerts
+    .sort((a, b) => b.price_ton - a.price_ton)
+    .slice(0, 15)
+    .map((a) => `• ${a.nft_name || shortAddress(a.nft_address)} — ${a.price_ton} TON (${a.reason === "size" ? "size" : a.buyer_label || a.seller_label || "watched"})`);
+  if (alerts.length > 15) lines.push(`…and ${alerts.length - 15} more`);
+  return [`🐋 **Whale digest** — ${alerts.length} sales, ${+total.toFixed(2)} TON`, ...lines].join("\n");
+}
+
+/** Sync recent sales and queue the ones that qualify. Returns the number queued. */
+async function collectWhaleAlerts(db, settings, log) {
+  const addresses = [];
+  for (const name of settings.collections) {
+    const match = await resolveGiftCollection(name, { db, marketappToken: process.env.MARKETAPP_API_TOKEN, getgemsKey: process.env.GETGEMS_API_KEY });
+    if (match) addresses.push(match.address);
+    else log(`Whale alerts: collection "${name}" not found in the registry`);
+  }
+  const results = await syncSales(db, addresses, warehouseSyncOptions(shouldSkipGetgems(), ALERT_SYNC_PAGES));
+  for (const r of results) if (r.error) log(`Whale alerts: sync ${r.source} failed: ${r.error}`);
+
+  const watch = loadWatchlist(db, settings);
+  const since = Math.floor(Date.now() / 1000) - ALERT_MAX_AGE_S;
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO whale_alerts (sale_key, reason, payload_json, sold_at) VALUES (?, ?, ?, ?)
+  `);
+
+  let queued = 0;
+  for (const sale of querySales(db, { since })) {
+    const buyer = watch.get(toRawWallet(sale.buyer));
+    const seller = watch.get(toRawWallet(sale.seller));
+    const reason = buyer ? "watched_buyer" : seller ? "watched_seller" : sale.price_ton >= settings.minTon ? "size" : null;
+    if (!reason) continue;
+    const payload = {
+      ...sale,
+      marketplace: sale.source,
+      reason,
+      buyer_label: buyer ? buyer.label || "watched" : null,
+      seller_label: seller ? seller.label || "watched" : null,
+    };
+    queued += insert.run(`${sale.nft_address}:${sale.time}:${sale.buyer}`, reason, JSON.stringify(payload), sale.time).changes;
   }
+  return queued;
+}
 
+/**
+ * Send queued alerts to every configured chat, one message per alert or a
+ * single digest when many piled up (e.g. after quiet hours). Alerts stay
+ * queued during quiet hours and expire after a day.
+ */
+async function sendWhaleAlerts(db, bridge, settings, log) {
+  db.prepare("UPDATE whale_alerts SET status = 'expired' WHERE status = 'pending' AND created_at < ?")
+    .run(Math.floor(Date.now() / 1000) - ALERT_EXPIRE_S);
+  if (inQuietHours(settings.quietHours)) return 0;
+
+  const pending = db.prepare("SELECT * FROM whale_alerts WHERE status = 'pending' ORDER BY sold_at ASC").all();
+  if (pending.length === 0) return 0;
+
+  let client;
   try {
-    const res = await fetch("https://api.giftstat.app/current/collections/floor?marketplace=portals&limit=1", {
-      signal: AbortSignal.timeout(10000),
-    });
-    results.giftstat = res.ok ? "ok" : `error_${res.status}`;
+    client = bridge.getClient().getClient();
   } catch (err) {
-    results.giftstat = `error: ${err.message}`;
+    log(`Whale alerts: Telegram bridge unavailable: ${err.message}`);
+    return 0;
   }
 
-  const skipInfo = _getgemsState.skipUntilRecheck ? " [SKIPPED in snapshots]" : "";
-  log(`Data source health: GetGems=${results.getgems}${skipInfo} (streak:${_getgemsState.emptyStreak}), MarketApp=${results.marketapp}, Giftstat=${results.giftstat}`);
-  return results;
+  const alerts = pending.map((r) => JSON.parse(r.payload_json));
+  const messages = alerts.length > ALERT_DIGEST_AFTER
+    ? [{ ids: pending.map((r) => r.id), text: formatDigest(alerts) }]
+    : pending.map((r, i) => ({ ids: [r.id], text: formatAlert(alerts[i]) }));
+
+  const mark = db.prepare("UPDATE whale_alerts SET status = ?, sent_at = unixepoch(), error = ? WHERE id = ?");
+  let sent = 0;
+  for (const msg of messages) {
+    const errors = [];
+    for (const chat of settings.chats) {
+      try {
+        await client.sendMessage(chat, { message: msg.text, parseMode: "md", linkPreview: false });
+      } catch (err) {
+        errors.push(`${chat}: ${err.message}`);
+      }
+    }
+    const delivered = errors.length < settings.chats.length;
+    for (const id of msg.ids) mark.run(delivered ? "sent" : "failed", errors.join("; ").slice(0, 300) || null, id);
+    if (delivered) sent += msg.ids.length;
+    else log(`Whale alerts: delivery failed — ${errors.join("; ")}`);
+  }
+  return sent;
 }
 
-export async function start(ctx) {
-  if (_schedulerStarted) return;
+async function runWhaleAlerts(db, bridge, settings, log) {
+  try {
+    _alertState.lastQueued = await collectWhaleAlerts(db, settings, log);
+    _alertState.lastSent = await sendWhaleAlerts(db, bridge, settings, log);
+    _alertState.lastError = null;
+    if (_alertState.lastQueued || _alertState.lastSent) {
+      log(`Whale alerts: ${_alertState.lastQueued} queued, ${_alertState.lastSent} sent`);
+    }
+  } catch (err) {
+    _alertState.lastError = err.message;
+    log(`Whale alerts: run failed — ${err.message}`);
+    throw err;
+  } finally {
+    _alertState.lastRun = new Date().toISOString();
+  }
+}
 
-  const config = ctx.pluginConfig || {};
-  if (config.auto_snapshot === false) {
-    ctx.log("Auto-snapshot disabled via config");
+function registerWhaleAlerts(scheduler, ctx, config) {
+  if (!config.whale_alerts) return;
+  const settings = alertSettings(config);
+  if (settings.chats.length === 0) {
+    ctx.log("Whale alerts: enabled but whale_alerts_chats is empty, not starting");
+    return;
+  }
+  if (!ctx.bridge) {
+    ctx.log("Whale alerts: no Telegram bridge in plugin context, not starting");
     return;
   }
 
+  _alertState.enabled = true;
+  _alertState.settings = settings;
+  ctx.log(`Whale alerts: every ${settings.intervalMinutes}min, ≥${settings.minTon} TON, ${settings.chats.length} chat(s)${settings.quietHours ? `, quiet ${settings.quietHours.from}-${settings.quietHours.to} UTC` : ""}`);
+
+  // Missed ticks are not replayed: the next run syncs everything since the last one anyway.
+  scheduler.register("whale_alerts", intervalToCron({ minutes: settings.intervalMinutes }), () => runWhaleAlerts(ctx.db, ctx.bridge, settings, ctx.log), {
+    catchUp: false,
+  });
+}
+
+export async function start(ctx) {
+  if (_scheduler) return;
+
+  const config = ctx.pluginConfig || {};
   if (!ctx.db) {
     ctx.log("Auto-snapshot: no database available, skipping scheduler");
     return;
   }
 
-  _schedulerStarted = true;
-
+  initSourceHealthDb(ctx.db, { log: ctx.log });
   testDataSources(ctx.log).catch((err) => ctx.log(`Data source test error: ${err.message}`));
 
-  const intervalHours = config.auto_snapshot_interval_hours || 24;
-  const topN = config.auto_snapshot_top_n || 10;
-  const maxCollections = config.auto_snapshot_max_collections || 10;
-  const intervalMs = intervalHours * 60 * 60 * 1000;
+  _scheduler = createScheduler(ctx.db, { log: ctx.log });
+  registerWhaleAlerts(_scheduler, ctx, config);
 
-  ctx.log(`Auto-snapshot scheduler: every ${intervalHours}h, top ${topN} whales, ${maxCollections} collections`);
+  _backfillStopped = false;
+  _scheduler.register("backfill_resume", "*/15 * * * *", () => resumeBackfillJobs(ctx.db, ctx.log));
 
-  const initialDelay = 60 * 1000;
-  _initialTimeout = setTimeout(() => {
-    _initialTimeout = null;
-    runAutoSnapshot(ctx.db, ctx.log, topN, maxCollections);
+  if (config.auto_snapshot === false) {
+    ctx.log("Auto-snapshot disabled via config");
+  } else {
+    const intervalHours = config.auto_snapshot_interval_hours || 24;
+    const cron = config.auto_snapshot_cron || intervalToCron({ hours: intervalHours });
+    const topN = config.auto_snapshot_top_n || 10;
+    const maxCollections = config.auto_snapshot_max_collections || 10;
+    try {
+      _scheduler.register("auto_snapshot", cron, () => runAutoSnapshot(ctx.db, ctx.log, topN, maxCollections), {
+        runOnFirstStart: true,
+      });
+      ctx.log(`Auto-snapshot scheduler: "${cron}" (UTC), top ${topN} whales, ${maxCollections} collections`);
+    } catch (err) {
+      ctx.log(`Auto-snapshot: invalid auto_snapshot_cron — ${err.message}`);
+    }
+  }
 
-    _schedulerTimer = setInterval(() => {
-      runAutoSnapshot(ctx.db, ctx.log, topN, maxCollections);
-    }, intervalMs);
-  }, initialDelay);
+  _scheduler.start({ delayMs: 60 * 1000 });
 }
 
 export async function stop() {
-  if (_initialTimeout) {
-    clearTimeout(_initialTimeout);
-    _initialTimeout = null;
-  }
-  if (_schedulerTimer) {
-    clearInterval(_schedulerTimer);
-    _schedulerTimer = null;
+  _backfillStopped = true;
+  _alertState.enabled = false;
+  if (_scheduler) {
+    _scheduler.stop();
+    _scheduler = null;
   }
-  _schedulerRunning = false;
-  _schedulerStarted = false;
 }
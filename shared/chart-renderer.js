@@ -0,0 +1,1347 @@
+/**
+ * Local chart renderer — draws Chart.js configs as SVG and rasterizes them
+ * with sharp.
+ *
+ * The chart plugin uses it when QuickChart is down or rate-limiting (or when
+ * `chart.renderer: local` is configured), so the same configs produce the
+ * same dark-theme images without the network. It covers the chart types the
+ * plugins build: line, bar (grouped, stacked, mixed with line datasets and
+ * extra or stacked value axes), horizontalBar, pie, doughnut, matrix,
+ * candlestick and treemap (chartjs-chart-treemap's `tree` / `key` / `groups`
+ * dataset shape, one grouping level; drawn only here, since its per-rectangle
+ * colors are functions QuickChart would never see).
+ * Both option layouts in use are understood — Chart.js v2 (options.title,
+ * scales.xAxes/yAxes, gridLines) and v3 (options.plugins.title, scales.{id},
+ * grid) — and function options (tick callbacks, datalabels formatters,
+ * scriptable colors and sizes) are called in-process the way Chart.js does.
+ *
+ * It also draws the non-chart dashboard panels (KPI numbers, tables, text
+ * blocks, section headers) in the same theme, for chart_dashboard tiles.
+ */
+
+const FONT = "DejaVu Sans, Arial, Helvetica, sans-serif";
+const TEXT_COLOR = "#e2e8f0";
+const TICK_COLOR = "#94a3b8";
+const GRID_COLOR = "rgba(148,163,184,0.15)";
+const PALETTE = [
+  "#3b82f6", "#10b981", "#f59e0b", "#ef4444", "#8b5cf6",
+  "#06b6d4", "#f97316", "#ec4899", "#14b8a6", "#a855f7",
+];
+
+// ---------------------------------------------------------------------------
+// SVG primitives
+// ---------------------------------------------------------------------------
+
+function esc(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const r2 = (n) => Math.round(n * 100) / 100;
+
+/** Split a CSS color into an SVG-safe color and alpha (#rrggbbaa and rgba() included). */
+function parseColor(color) {
+  if (typeof color !== "string" || !color.trim()) return null;
+  const s = color.trim();
+  let m = /^#([0-9a-f]{3,8})$/i.exec(s);
+  if (m) {
+    let hex = m[1];
+    if (hex.length === 3 || hex.length === 4) hex = [...hex].map((ch) => ch + ch).join("");
+    if (hex.length !== 6 && hex.length !== 8) return { color: s, alpha: 1 };
+    return { color: `#${hex.slice(0, 6)}`, alpha: hex.length === 8 ? parseInt(hex.slice(6), 16) / 255 : 1 };
+  }
+  m = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?\s*\)$/i.exec(s);
+  if (m) {
+    const alpha = m[4] === undefined ? 1 : m[4].endsWith("%") ? parseFloat(m[4]) / 100 : parseFloat(m[4]);
+    return { color: `rgb(${m[1]},${m[2]},${m[3]})`, alpha };
+  }
+  return { color: s, alpha: 1 };
+}
+
+function fillAttr(color) {
+  const c = parseColor(color);
+  if (!c || c.alpha <= 0) return 'fill="none"';
+  return `fill="${esc(c.color)}"${c.alpha < 1 ? ` fill-opacity="${r2(c.alpha)}"` : ""}`;
+}
+
+function strokeAttr(color, width = 1) {
+  const c = parseColor(color);
+  if (!c || c.alpha <= 0 || !(width > 0)) return 'stroke="none"';
+  return `stroke="${esc(c.color)}" stroke-width="${r2(width)}"${c.alpha < 1 ? ` stroke-opacity="${r2(c.alpha)}"` : ""}`;
+}
+
+function textWidth(text, size, weight = "normal") {
+  // Capitals run noticeably wider than the average glyph.
+  const units = (line) => [...line].reduce((n, ch) => n + (ch !== ch.toLowerCase() ? 1.2 : 1), 0);
+  const longest = String(text).split("\n").reduce((m, line) => Math.max(m, units(line)), 0);
+  return longest * size * (weight === "bold" ? 0.62 : 0.56);
+}
+
+/** Text element; `y` is the vertical middle of the block, multi-line via "\n". */
+function svgText(x, y, text, { size = 12, color = TEXT_COLOR, weight = "normal", anchor = "middle", rotate = 0 } = {}) {
+  const lines = String(text).split("\n");
+  const lineHeight = size * 1.2;
+  const firstY = y - ((lines.length - 1) * lineHeight) / 2 + size * 0.35;
+  const transform = rotate ? ` transform="rotate(${r2(rotate)} ${r2(x)} ${r2(y)})"` : "";
+  const spans = lines
+    .map((line, i) => `<tspan x="${r2(x)}" y="${r2(firstY + i * lineHeight)}">${esc(line)}</tspan>`)
+    .join("");
+  return `<text font-family="${FONT}" font-size="${size}" font-weight="${weight}" text-anchor="${anchor}" ${fillAttr(color)}${transform}>${spans}</text>`;
+}
+
+function svgRect(x, y, w, h, { fill, stroke, strokeWidth = 0, radius = 0 } = {}) {
+  if (w < 0) { x += w; w = -w; }
+  if (h < 0) { y += h; h = -h; }
+  const rx = radius > 0 ? ` rx="${r2(Math.min(radius, w / 2, h / 2))}"` : "";
+  return `<rect x="${r2(x)}" y="${r2(y)}" width="${r2(w)}" height="${r2(h)}"${rx} ${fillAttr(fill)} ${strokeAttr(stroke, strokeWidth)}/>`;
+}
+
+function svgLine(x1, y1, x2, y2, color, width = 1) {
+  return `<line x1="${r2(x1)}" y1="${r2(y1)}" x2="${r2(x2)}" y2="${r2(y2)}" ${strokeAttr(color, width)}/>`;
+}
+
+// ---------------------------------------------------------------------------
+// Option helpers
+// ---------------------------------------------------------------------------
+
+/** Resolve a scriptable/indexable Chart.js option for one data element. */
+function resolve(option, ctx, index) {
+  let value = option;
+  if (typeof value === "function") {
+    try {
+      value = value(ctx);
+    } catch {
+      value = undefined;
+    }
+  }
+  if (Array.isArray(value)) value = value[index];
+  return value;
+}
+
+function call(fn, fallback, ...args) {
+  if (typeof fn !== "function") return fallback;
+  try {
+    return fn(...args);
+  } catch {
+    return fallback;
+  }
+}
+
+function fontOf(spec, size, weight = "normal") {
+  return {
+    size: Number(spec?.font?.size ?? spec?.fontSize ?? size),
+    weight: String(spec?.font?.weight ?? (spec?.fontStyle === "bold" ? "bold" : weight)),
+  };
+}
+
+function paddingOf(padding) {
+  if (typeof padding === "number") return { top: padding, right: padding, bottom: padding, left: padding };
+  return { top: 0, right: 0, bottom: 0, left: 0, ...(padding || {}) };
+}
+
+function rawValue(d) {
+  if (d === null || d === undefined) return null;
+  if (typeof d === "object") return Number.isFinite(d.y) ? d.y : null;
+  const n = Number(d);
+  return Number.isFinite(n) ? n : null;
+}
+
+function formatTick(v, step) {
+  if (Math.abs(v) >= 1000) return Math.round(v).toLocaleString("en-US");
+  const decimals = step > 0 ? Math.min(6, Math.max(0, -Math.floor(Math.log10(step)))) : 2;
+  return Number(v.toFixed(decimals)).toString();
+}
+
+function niceNum(range, round) {
+  const exp = Math.floor(Math.log10(range));
+  const f = range / 10 ** exp;
+  let nf;
+  if (round) nf = f < 1.5 ? 1 : f < 3 ? 2 : f < 7 ? 5 : 10;
+  else nf = f <= 1 ? 1 : f <= 2 ? 2 : f <= 5 ? 5 : 10;
+  return nf * 10 ** exp;
+}
+
+function linearTicks(min, max, maxTicks, stepSize) {
+  if (min === max) {
+    const d = Math.abs(min) * 0.1 || 1;
+    min = min === 0 ? 0 : min - d;
+    max += d;
+  }
+  let step = stepSize > 0 ? stepSize : niceNum(niceNum(max - min, false) / Math.max(1, maxTicks - 1), true);
+  while ((max - min) / step > 50) step *= 2;
+  const lo = Math.floor(min / step + 1e-9) * step;
+  const hi = Math.ceil(max / step - 1e-9) * step;
+  const ticks = [];
+  for (let v = lo; v <= hi + step / 2; v += step) ticks.push(Math.abs(v) < step * 1e-9 ? 0 : v);
+  return { min: lo, max: hi, ticks, step };
+}
+
+function logTicks(min, max) {
+  const lo = 10 ** Math.floor(Math.log10(min));
+  const hi = 10 ** Math.ceil(Math.log10(max));
+  const ticks = [];
+  for (let p = lo; p <= hi * 1.0001; p *= 10) {
+    for (const m of [1, 2, 5]) if (p * m >= lo && p * m <= hi * 1.0001) ticks.push(p * m);
+  }
+  return { min: lo, max: hi, ticks, step: 0 };
+}
+
+// ---------------------------------------------------------------------------
+// Config normalization
+// ---------------------------------------------------------------------------
+
+function titleSpec(options) {
+  const t = options.plugins?.title ?? options.title;
+  if (!t || !t.display || !t.text) return null;
+  const font = fontOf(t, 14, "bold");
+  return {
+    lines: (Array.isArray(t.text) ? t.text : [t.text]).map(String),
+    size: font.size,
+    weight: font.weight,
+    color: t.color || t.fontColor || TEXT_COLOR,
+    padding: Number(t.padding ?? 10),
+  };
+}
+
+function axisSpec(id, s, dir) {
+  const ticks = s.ticks || {};
+  const grid = s.grid ?? s.gridLines ?? {};
+  const title = s.title?.display && s.title.text
+    ? { text: s.title.text, color: s.title.color || TICK_COLOR, size: Number(s.title.font?.size ?? 12) }
+    : s.scaleLabel?.display && s.scaleLabel.labelString
+      ? { text: s.scaleLabel.labelString, color: s.scaleLabel.fontColor || TICK_COLOR, size: Number(s.scaleLabel.fontSize ?? 12) }
+      : null;
+  return {
+    id,
+    dir,
+    position: s.position || (dir === "x" ? "bottom" : "left"),
+    type: s.type || null,
+    labels: Array.isArray(s.labels) ? s.labels : null,
+    stacked: !!s.stacked,
+    beginAtZero: !!(s.beginAtZero ?? ticks.beginAtZero),
+    min: s.min ?? s.suggestedMin ?? ticks.min,
+    max: s.max ?? s.suggestedMax ?? ticks.max,
+    stepSize: Number(ticks.stepSize ?? s.stepSize) || 0,
+    maxTicksLimit: Number(ticks.maxTicksLimit) || 0,
+    callback: ticks.callback,
+    tickColor: ticks.color || ticks.fontColor || TICK_COLOR,
+    tickSize: Number(ticks.font?.size ?? ticks.fontSize ?? 11),
+    maxRotation: Number(ticks.maxRotation ?? 50),
+    grid: grid.display === false ? null : grid.color || GRID_COLOR,
+    title,
+    display: s.display !== false,
+    stack: s.stack ?? null,
+    stackWeight: Number(s.stackWeight) > 0 ? Number(s.stackWeight) : 1,
+  };
+}
+
+function axesOf(options) {
+  const scales = options.scales || {};
+  const axes = [];
+  if (Array.isArray(scales.xAxes) || Array.isArray(scales.yAxes)) {
+    (scales.xAxes || []).forEach((s, i) => axes.push(axisSpec(s.id || (i ? `x${i}` : "x"), s, "x")));
+    (scales.yAxes || []).forEach((s, i) => axes.push(axisSpec(s.id || (i ? `y${i}` : "y"), s, "y")));
+  } else {
+    for (const [id, s] of Object.entries(scales)) {
+      axes.push(axisSpec(id, s || {}, s?.axis || (/^x/i.test(id) ? "x" : "y")));
+    }
+  }
+  if (!axes.some((a) => a.dir === "x")) axes.push(axisSpec("x", {}, "x"));
+  if (!axes.some((a) => a.dir === "y")) axes.push(axisSpec("y", {}, "y"));
+  return axes;
+}
+
+function legendItems(config, type) {
+  const datasets = config.data?.datasets || [];
+  if (type === "pie" || type === "doughnut") {
+    const ds = datasets[0] || {};
+    return (config.data?.labels || []).map((label, i) => ({
+      text: String(label),
+      color: resolve(ds.backgroundColor, { dataIndex: i, dataset: ds }, i) || PALETTE[i % PALETTE.length],
+    }));
+  }
+  return datasets
+    .map((ds, i) => {
+      const isLine = (ds.type || type) === "line";
+      const color = ds.color && typeof ds.color === "object" ? ds.color.up : isLine ? ds.borderColor : ds.backgroundColor;
+      return {
+        text: ds.label,
+        color: (typeof color === "string" ? color : Array.isArray(color) ? color[0] : null) || ds.borderColor || PALETTE[i % PALETTE.length],
+      };
+    })
+    .filter((item) => item.text !== undefined && item.text !== null && item.text !== "");
+}
+
+// ---------------------------------------------------------------------------
+// Renderer
+// ---------------------------------------------------------------------------
+
+class SvgChart {
+  constructor(config, { width, height, backgroundColor }) {
+    this.config = config || {};
+    this.options = this.config.options || {};
+    this.type = this.config.type || "bar";
+    this.datasets = (this.config.data?.datasets || []).filter(Boolean);
+    this.labels = this.config.data?.labels || [];
+    this.width = Number(width) || 800;
+    this.height = Number(height) || 400;
+    this.background = backgroundColor || "#0f172a";
+    this.horizontal = this.type === "horizontalBar" || this.options.indexAxis === "y";
+    this.parts = [];
+    this.overlay = [];
+    const pad = paddingOf(this.options.layout?.padding);
+    this.area = { left: pad.left + 4, top: pad.top + 4, right: this.width - pad.right - 4, bottom: this.height - pad.bottom - 4 };
+  }
+
+  get datalabels() {
+    const dl = this.options.plugins?.datalabels;
+    return dl && dl.display !== false ? dl : null;
+  }
+
+  ctx(dataset, datasetIndex, dataIndex) {
+    return {
+      chart: { data: this.config.data, chartArea: { ...this.area }, width: this.width, height: this.height },
+      dataset,
+      datasetIndex,
+      dataIndex,
+      raw: dataset?.data?.[dataIndex],
+      active: false,
+    };
+  }
+
+  render() {
+    this.parts.push(svgRect(0, 0, this.width, this.height, { fill: this.background }));
+    this.layoutTitle();
+    this.layoutLegend();
+    if (this.type === "pie" || this.type === "doughnut") this.drawPie();
+    else if (this.type === "treemap") this.drawTreemap();
+    else this.drawCartesian();
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">${this.parts.join("")}${this.overlay.join("")}</svg>`;
+  }
+
+  layoutTitle() {
+    const t = titleSpec(this.options);
+    if (!t) return;
+    const lineHeight = t.size * 1.25;
+    let y = this.area.top + t.padding / 2 + lineHeight / 2;
+    const cx = (this.area.left + this.area.right) / 2;
+    t.lines.forEach((line, i) => {
+      const size = i === 0 ? t.size : Math.max(10, Math.round(t.size * 0.8));
+      this.overlay.push(svgText(cx, y, line, { size, color: t.color, weight: i === 0 ? t.weight : "normal" }));
+      y += lineHeight;
+    });
+    this.area.top += t.lines.length * lineHeight + t.padding;
+  }
+
+  layoutLegend() {
+    const spec = this.options.plugins?.legend ?? this.options.legend ?? {};
+    if (spec.display === false) return;
+    const items = legendItems(this.config, this.type);
+    if (items.length === 0) return;
+    const labels = spec.labels || {};
+    const size = Number(labels.font?.size ?? labels.fontSize ?? 12);
+    const color = labels.color || labels.fontColor || TEXT_COLOR;
+    const box = Number(labels.boxWidth ?? 14);
+    const pad = Number(labels.padding ?? 10);
+    const position = spec.position || "top";
+    const itemWidth = (item) => box + 6 + textWidth(item.text, size) + pad;
+    const rowHeight = Math.max(size, box * 0.75) + pad;
+    const drawItem = (item, x, y) => {
+      this.overlay.push(svgRect(x, y - box * 0.375, box, box * 0.75, { fill: item.color }));
+      this.overlay.push(svgText(x + box + 6, y, item.text, { size, color, anchor: "start" }));
+    };
+
+    if (position === "left" || position === "right") {
+      const colWidth = Math.min(Math.max(...items.map(itemWidth)) + pad, (this.area.right - this.area.left) * 0.45);
+      const fitting = items.slice(0, Math.max(1, Math.floor((this.area.bottom - this.area.top) / rowHeight)));
+      const x = position === "right" ? this.area.right - colWidth + pad / 2 : this.area.left + pad / 2;
+      let y = (this.area.top + this.area.bottom) / 2 - ((fitting.length - 1) * rowHeight) / 2;
+      for (const item of fitting) {
+        drawItem(item, x, y);
+        y += rowHeight;
+      }
+      if (position === "right") this.area.right -= colWidth;
+      else this.area.left += colWidth;
+      return;
+    }
+
+    const maxWidth = this.area.right - this.area.left;
+    const rows = [[]];
+    let used = 0;
+    for (const item of items) {
+      const w = itemWidth(item);
+      if (used + w > maxWidth && rows[rows.length - 1].length > 0) {
+        rows.push([]);
+        used = 0;
+      }
+      rows[rows.length - 1].push(item);
+      used += w;
+    }
+    const blockHeight = rows.length * rowHeight;
+    let y = position === "bottom" ? this.area.bottom - blockHeight + rowHeight / 2 : this.area.top + rowHeight / 2;
+    for (const row of rows) {
+      const rowWidth = row.reduce((s, item) => s + itemWidth(item), 0) - pad;
+      let x = (this.area.left + this.area.right - rowWidth) / 2;
+      for (const item of row) {
+        drawItem(item, x, y);
+        x += itemWidth(item);
+      }
+      y += rowHeight;
+    }
+    if (position === "bottom") this.area.bottom -= blockHeight;
+    else this.area.top += blockHeight;
+  }
+
+  // --- pie / doughnut -------------------------------------------------------
+
+  drawPie() {
+    const ds = this.datasets[0];
+    if (!ds) return;
+    const values = (ds.data || []).map((v) => Math.max(0, rawValue(v) ?? 0));
+    const total = values.reduce((a, b) => a + b, 0);
+    if (total <= 0) return;
+    const cx = (this.area.left + this.area.right) / 2;
+    const cy = (this.area.top + this.area.bottom) / 2;
+    const radius = Math.max(10, Math.min(this.area.right - this.area.left, this.area.bottom - this.area.top) / 2 - 4);
+    const cutoutOpt = ds.cutout ?? this.options.cutout ?? this.options.cutoutPercentage ?? (this.type === "doughnut" ? "50%" : 0);
+    const cutout = typeof cutoutOpt === "string" && cutoutOpt.endsWith("%")
+      ? (parseFloat(cutoutOpt) / 100) * radius
+      : typeof cutoutOpt === "number" && this.options.cutoutPercentage !== undefined
+        ? (cutoutOpt / 100) * radius
+        : Number(cutoutOpt) || 0;
+    const point = (r, a) => [cx + r * Math.cos(a), cy + r * Math.sin(a)];
+
+    let angle = -Math.PI / 2;
+    values.forEach((value, i) => {
+      if (value <= 0) return;
+      const sweep = (value / total) * Math.PI * 2;
+      const end = angle + sweep;
+      const ctx = this.ctx(ds, 0, i);
+      const fill = resolve(ds.backgroundColor, ctx, i) || PALETTE[i % PALETTE.length];
+      const stroke = resolve(ds.borderColor, ctx, i) || this.background;
+      const strokeWidth = Number(resolve(ds.borderWidth, ctx, i) ?? 2);
+      let d;
+      if (sweep >= Math.PI * 2 - 1e-6) {
+        d = `M${r2(cx - radius)},${r2(cy)}a${r2(radius)},${r2(radius)} 0 1,0 ${r2(radius * 2)},0a${r2(radius)},${r2(radius)} 0 1,0 ${r2(-radius * 2)},0Z`;
+        if (cutout > 0) d += `M${r2(cx - cutout)},${r2(cy)}a${r2(cutout)},${r2(cutout)} 0 1,1 ${r2(cutout * 2)},0a${r2(cutout)},${r2(cutout)} 0 1,1 ${r2(-cutout * 2)},0Z`;
+      } else {
+        const large = sweep > Math.PI ? 1 : 0;
+        const [x1, y1] = point(radius, angle);
+        const [x2, y2] = point(radius, end);
+        if (cutout > 0) {
+          const [x3, y3] = point(cutout, end);
+          const [x4, y4] = point(cutout, angle);
+          d = `M${r2(x1)},${r2(y1)}A${r2(radius)},${r2(radius)} 0 ${large},1 ${r2(x2)},${r2(y2)}L${r2(x3)},${r2(y3)}A${r2(cutout)},${r2(cutout)} 0 ${large},0 ${r2(x4)},${r2(y4)}Z`;
+        } else {
+          d = `M${r2(cx)},${r2(cy)}L${r2(x1)},${r2(y1)}A${r2(radius)},${r2(radius)} 0 ${large},1 ${r2(x2)},${r2(y2)}Z`;
+        }
+      }
+      this.parts.push(`<path d="${d}" fill-rule="evenodd" ${fillAttr(fill)} ${strokeAttr(stroke, strokeWidth)}/>`);
+      const mid = angle + sweep / 2;
+      const [lx, ly] = point(cutout > 0 ? (radius + cutout) / 2 : radius * 0.65, mid);
+      this.dataLabel(ds, 0, i, ds.data[i], lx, ly, {});
+      angle = end;
+    });
+  }
+
+  // --- treemap --------------------------------------------------------------
+
+  drawTreemap() {
+    const ds = this.datasets[0];
+    if (!ds) return;
+    const key = ds.key || "v";
+    const valueOf = (item) => Math.max(0, Number(typeof item === "object" ? item?.[key] : item) || 0);
+    const items = (ds.tree || ds.data || []).filter((item) => valueOf(item) > 0);
+    if (items.length === 0) return;
+    const spacing = Number(ds.spacing ?? 1);
+    const borderWidth = Number(ds.borderWidth ?? 1);
+    const borderColor = ds.borderColor || this.background;
+    const area = { x: this.area.left, y: this.area.top, w: this.area.right - this.area.left, h: this.area.bottom - this.area.top };
+    let index = 0;
+
+    const drawBox = (rect, raw, level) => {
+      const ctx = { ...this.ctx(ds, 0, index++), type: "data", raw };
+      const fill = resolve(ds.backgroundColor, ctx) || PALETTE[level % PALETTE.length];
+      this.parts.push(svgRect(rect.x, rect.y, rect.w, rect.h, {
+        fill,
+        stroke: resolve(ds.borderColor, ctx) || borderColor,
+        strokeWidth: borderWidth,
+      }));
+      return ctx;
+    };
+    const leaves = (list, rect) => {
+      for (const cell of squarify(list.map((item) => ({ item, value: valueOf(item) })), rect)) {
+        const box = inset(cell, spacing / 2);
+        if (box.w <= 0 || box.h <= 0) continue;
+        const raw = { ...box, v: cell.value, l: ds.groups?.length ? 1 : 0, _data: cell.item };
+        this.treemapLabel(ds.labels, drawBox(box, raw, raw.l), box);
+      }
+    };
+
+    const groupKey = ds.groups?.[0];
+    if (!groupKey) {
+      leaves(items, area);
+      return;
+    }
+
+    const groups = new Map();
+    for (const item of items) {
+      const g = String(item?.[groupKey] ?? "");
+      if (!groups.has(g)) groups.set(g, []);
+      groups.get(g).push(item);
+    }
+    const captions = ds.captions || {};
+    const captionFont = fontOf(captions, 12, "bold");
+    const captionPad = Number(captions.padding ?? 3);
+    const captionHeight = captions.display === false ? 0 : captionFont.size + captionPad * 2;
+    const cells = squarify(
+      [...groups].map(([g, list]) => ({ item: { [groupKey]: g, label: g, children: list }, value: list.reduce((n, i) => n + valueOf(i), 0) })),
+      area
+    );
+    for (const cell of cells) {
+      const box = inset(cell, spacing);
+      if (box.w <= 0 || box.h <= 0) continue;
+      const ctx = drawBox(box, { ...box, v: cell.value, l: 0, g: cell.item.label, _data: cell.item }, 0);
+      const withCaption = captionHeight > 0 && box.h > captionHeight * 2.5 && box.w > captionFont.size * 3;
+      if (withCaption) {
+        const text = captions.formatter ? call(captions.formatter, cell.item.label, ctx) : cell.item.label;
+        const fitted = fitText(String(text ?? ""), box.w - captionPad * 2, captionFont.size, captionFont.weight);
+        if (fitted) {
+          this.overlay.push(svgText(box.x + captionPad, box.y + captionHeight / 2, fitted, {
+            size: captionFont.size, weight: captionFont.weight, color: captions.color || TEXT_COLOR, anchor: "start",
+          }));
+        }
+      }
+      const top = withCaption ? captionHeight : 0;
+      leaves(cell.item.children, { x: box.x, y: box.y + top, w: box.w, h: box.h - top });
+    }
+  }
+
+  /**
+   * Centered label lines for a treemap box. Text that does not fit is shrunk
+   * (down to 8px), then trailing lines are dropped, then the label is skipped.
+   */
+  treemapLabel(spec, ctx, box) {
+    if (!spec || resolve(spec.display, ctx) === false) return;
+    let lines = spec.formatter ? call(spec.formatter, null, ctx) : ctx.raw._data?.label;
+    if (lines === null || lines === undefined || lines === "") return;
+    lines = (Array.isArray(lines) ? lines : [lines]).map(String);
+    const fontSpec = typeof spec.font === "function" ? call(spec.font, {}, ctx) : spec.font;
+    const base = lines.map((_, i) => fontOf({ font: Array.isArray(fontSpec) ? fontSpec[Math.min(i, fontSpec.length - 1)] : fontSpec }, 11));
+    const color = resolve(spec.color, ctx) || TEXT_COLOR;
+    const pad = 3;
+    const heightOf = (fonts, n) => fonts.slice(0, n).reduce((sum, f) => sum + f.size * 1.2, 0);
+    const fitsWith = (fonts, n) => heightOf(fonts, n) <= box.h - pad * 2
+      && lines.slice(0, n).every((line, i) => textWidth(line, fonts[i].size, fonts[i].weight) <= box.w - pad * 2);
+    const shrinkToFit = (n) => {
+      for (let scale = 1; ; scale *= 0.85) {
+        const scaled = base.map((f) => ({ ...f, size: Math.max(8, Math.round(f.size * scale)) }));
+        if (fitsWith(scaled, n)) return scaled;
+        if (scaled.every((f) => f.size === 8)) return null;
+      }
+    };
+    let fonts = null;
+    while (lines.length > 0 && !(fonts = shrinkToFit(lines.length))) lines = lines.slice(0, -1);
+    if (!fonts) return;
+    const height = heightOf(fonts, lines.length);
+    let y = box.y + box.h / 2 - height / 2;
+    lines.forEach((line, i) => {
+      const f = fonts[i];
+      this.overlay.push(svgText(box.x + box.w / 2, y + (f.size * 1.2) / 2, line, { size: f.size, weight: f.weight, color }));
+      y += f.size * 1.2;
+    });
+  }
+
+  // --- cartesian ------------------------------------------------------------
+
+  drawCartesian() {
+    const axes = axesOf(this.options);
+    const isCategoryType = (a) => a.type === "category";
+    const catDir = this.horizontal ? "y" : "x";
+    const matrix = this.type === "matrix";
+    const candle = this.type === "candlestick" || this.type === "ohlc";
+    for (const a of axes) {
+      a.category = matrix ? true : isCategoryType(a) || (a.dir === catDir && a.type !== "linear" && a.type !== "logarithmic");
+    }
+    const firstOf = (dir) => axes.find((a) => a.dir === dir);
+    const catAxis = axes.find((a) => a.category && a.dir === catDir) || firstOf(catDir);
+    const axisById = new Map(axes.map((a) => [a.id, a]));
+    const valueAxisOf = (ds) => {
+      const id = this.horizontal ? ds.xAxisID : ds.yAxisID;
+      const a = id && axisById.get(id);
+      return a && !a.category ? a : axes.find((x) => !x.category && x.dir !== catDir) || firstOf(this.horizontal ? "x" : "y");
+    };
+    this.valueAxisOf = valueAxisOf;
+
+    // Vertical axes sharing a `stack` split the plot height by stackWeight
+    // (Chart.js v3 stacked scales).
+    const stacks = new Map();
+    for (const a of axes) {
+      if (a.dir !== "y" || a.stack === null) continue;
+      if (!stacks.has(a.stack)) stacks.set(a.stack, []);
+      stacks.get(a.stack).push(a);
+    }
+    for (const members of stacks.values()) {
+      const total = members.reduce((sum, a) => sum + a.stackWeight, 0);
+      for (const a of members) a.share = a.stackWeight / total;
+    }
+
+    // Category labels for the index axis.
+    let catLabels = catAxis.labels || this.labels;
+    if ((!catLabels || catLabels.length === 0) && this.datasets[0]) {
+      catLabels = (this.datasets[0].data || []).map((d, i) => (d && typeof d === "object" ? d.x ?? i : i));
+    }
+    catAxis.values = catLabels.map((l) => (Array.isArray(l) ? l.join(" ") : String(l ?? "")));
+
+    const typeOf = (ds) => (ds.type || this.type) === "horizontalBar" ? "bar" : ds.type || this.type;
+    const hasBars = this.datasets.some((ds) => ["bar", "candlestick", "ohlc"].includes(typeOf(ds)));
+    catAxis.offset = hasBars || matrix || catAxis.labels != null;
+    if (matrix) {
+      const other = axes.find((a) => a.dir !== catDir) || firstOf(this.horizontal ? "x" : "y");
+      other.category = true;
+      other.offset = true;
+      other.values = (other.labels || [...new Set(this.datasets.flatMap((ds) => (ds.data || []).map((d) => d?.y)))]).map(String);
+    }
+
+    // Value ranges per axis.
+    for (const a of axes) if (!a.category) a.range = { min: Infinity, max: -Infinity, used: false, bars: false };
+    const stackTotals = new Map();
+    this.datasets.forEach((ds, di) => {
+      if (ds.hidden || matrix) return;
+      const axis = valueAxisOf(ds);
+      const t = typeOf(ds);
+      const range = axis.range;
+      range.used = true;
+      if (t === "candlestick" || t === "ohlc") {
+        for (const d of ds.data || []) {
+          if (!d || typeof d !== "object") continue;
+          for (const v of [d.o, d.h, d.l, d.c]) if (Number.isFinite(v)) { range.min = Math.min(range.min, v); range.max = Math.max(range.max, v); }
+        }
+        return;
+      }
+      if (t === "bar") range.bars = true;
+      const stacked = t === "bar" && (axis.stacked || catAxis.stacked);
+      (ds.data || []).forEach((d, i) => {
+        const v = rawValue(d);
+        if (v === null) return;
+        if (stacked) {
+          const key = `${axis.id}|${ds.stack ?? ""}|${i}|${v >= 0 ? "+" : "-"}`;
+          const sum = (stackTotals.get(key) || 0) + v;
+          stackTotals.set(key, sum);
+          range.min = Math.min(range.min, sum);
+          range.max = Math.max(range.max, sum);
+        } else {
+          range.min = Math.min(range.min, v);
+          range.max = Math.max(range.max, v);
+        }
+      });
+    });
+
+    const plotLen = (dir) => (dir === "x" ? this.area.right - this.area.left : this.area.bottom - this.area.top);
+    for (const a of axes) {
+      if (a.category) continue;
+      const r = a.range;
+      if (!r.used && a !== valueAxisOf(this.datasets[0] || {})) { a.hidden = true; continue; }
+      if (!Number.isFinite(r.min)) { r.min = 0; r.max = 1; }
+      if (a.type === "logarithmic") {
+        const positives = r.min > 0 ? r.min : 1;
+        Object.assign(a, logTicks(positives, Math.max(positives, r.max)));
+      } else {
+        let min = r.min;
+        let max = r.max;
+        if (a.beginAtZero || r.bars) { min = Math.min(0, min); max = Math.max(0, max); }
+        if (Number.isFinite(Number(a.min))) min = Number(a.min);
+        if (Number.isFinite(Number(a.max))) max = Number(a.max);
+        const len = plotLen(a.dir) * (a.share ?? 1);
+        const maxTicks = Math.max(2, Math.min(a.maxTicksLimit || 11, Math.max(a.share ? 2 : 3, Math.floor(len / (a.dir === "y" ? 40 : 90)))));
+        Object.assign(a, linearTicks(min, max, maxTicks, a.stepSize));
+      }
+      a.tickLabels = a.ticks.map((v, i) => {
+        const label = call(a.callback, undefined, v, i, a.ticks.map((value) => ({ value })));
+        return label === undefined || label === null ? formatTick(v, a.step) : String(label);
+      });
+    }
+
+    this.reserveAxes(axes);
+    this.area.width = this.area.right - this.area.left;
+    this.area.height = this.area.bottom - this.area.top;
+
+    for (const a of axes) {
+      a.start = a.dir === "x" ? this.area.left : this.area.top;
+      a.length = a.dir === "x" ? this.area.width : this.area.height;
+    }
+    const STACK_GAP = 12;
+    for (const members of stacks.values()) {
+      const visible = members.filter((a) => !a.hidden);
+      const usable = this.area.height - STACK_GAP * Math.max(0, visible.length - 1);
+      const weight = visible.reduce((sum, a) => sum + a.stackWeight, 0) || 1;
+      let top = this.area.top;
+      // Chart.js places left-side stacks in reverse definition order, right-side in order.
+      const ordered = visible[0]?.position === "right" ? visible : [...visible].reverse();
+      for (const a of ordered) {
+        a.start = top;
+        a.length = (usable * a.stackWeight) / weight;
+        top += a.length + STACK_GAP;
+      }
+    }
+
+    this.drawGrid(axes);
+
+    const order = this.datasets
+      .map((ds, i) => ({ ds, i }))
+      .filter(({ ds }) => !ds.hidden)
+      .sort((a, b) => (b.ds.order ?? 0) - (a.ds.order ?? 0) || b.i - a.i);
+
+    const barDatasets = this.datasets.filter((ds) => !ds.hidden && typeOf(ds) === "bar");
+    for (const { ds, i } of order) {
+      const t = typeOf(ds);
+      if (matrix) this.drawMatrix(ds, i, axes, catAxis);
+      else if (t === "candlestick" || t === "ohlc") this.drawCandles(ds, i, catAxis, valueAxisOf(ds));
+      else if (t === "bar") this.drawBars(ds, i, catAxis, valueAxisOf(ds), barDatasets);
+      else this.drawLine(ds, i, catAxis, valueAxisOf(ds));
+    }
+
+    this.drawAxes(axes);
+  }
+
+  /** Pixel position along an axis for a value (or a category index). */
+  pixel(axis, value) {
+    if (axis.category) {
+      const n = Math.max(1, axis.values.length);
+      const frac = axis.offset ? (value + 0.5) / n : n > 1 ? value / (n - 1) : 0.5;
+      return axis.start + frac * axis.length;
+    }
+    let frac;
+    if (axis.type === "logarithmic") {
+      const v = Math.max(value, axis.min);
+      frac = (Math.log10(v) - Math.log10(axis.min)) / (Math.log10(axis.max) - Math.log10(axis.min) || 1);
+    } else {
+      frac = (value - axis.min) / (axis.max - axis.min || 1);
+    }
+    return axis.dir === "x" ? axis.start + frac * axis.length : axis.start + axis.length - frac * axis.length;
+  }
+
+  bandWidth(axis) {
+    const n = Math.max(1, axis.values.length);
+    return axis.length / (axis.offset ? n : Math.max(1, n - 1));
+  }
+
+  reserveAxes(axes) {
+    const titleSpace = (a) => (a.title ? a.title.size + 8 : 0);
+    // Stacked axes on the same side share one column.
+    const columns = new Map();
+    for (const a of axes) {
+      if (a.hidden || !a.display || a.dir !== "y") continue;
+      const labels = a.category ? a.values : a.tickLabels;
+      const w = Math.min(200, Math.max(0, ...labels.map((l) => textWidth(l, a.tickSize))) + 10 + titleSpace(a));
+      const key = a.stack !== null ? `${a.position}|${a.stack}` : a;
+      const column = columns.get(key) || { side: a.position, width: 0, axes: [] };
+      column.width = Math.max(column.width, w);
+      column.axes.push(a);
+      columns.set(key, column);
+    }
+    for (const column of columns.values()) {
+      for (const a of column.axes) a.thickness = column.width;
+      if (column.side === "right") this.area.right -= column.width;
+      else this.area.left += column.width;
+    }
+    for (const a of axes) {
+      if (a.hidden || !a.display || a.dir !== "x") continue;
+      const available = this.area.right - this.area.left;
+      a.rotate = 0;
+      a.skip = 1;
+      let h = a.tickSize + 10;
+      if (a.category) {
+        const shown = a.values.filter((l) => l !== "");
+        const widest = Math.max(0, ...shown.map((l) => textWidth(l, a.tickSize)));
+        const slot = available / Math.max(1, a.values.length);
+        const density = a.values.length / Math.max(1, shown.length);
+        if (widest + 6 > slot * density) {
+          if (a.maxRotation >= 30) {
+            a.rotate = -Math.min(45, a.maxRotation);
+            h = Math.min(120, widest * 0.71 + a.tickSize) + 10;
+            a.skip = Math.max(1, Math.ceil((a.tickSize * 1.4) / (slot * density)));
+          } else {
+            a.skip = Math.max(1, Math.ceil((widest + 8) / (slot * density)));
+          }
+        }
+      }
+      a.thickness = h + titleSpace(a);
+      if (a.category && !a.rotate && a.values.length > 1) {
+        // Non-offset category axes put the last label on the right edge.
+        const last = a.values[a.values.length - 1];
+        this.area.right -= Math.max(0, textWidth(last, a.tickSize) / 2 - 4);
+      }
+      if (a.position === "top") this.area.top += a.thickness;
+      else this.area.bottom -= a.thickness;
+    }
+  }
+
+  drawGrid(axes) {
+    for (const a of axes) {
+      if (a.hidden || !a.display || !a.grid) continue;
+      // Category grid lines follow the labels that are actually shown.
+      const positions = a.category
+        ? a.values
+          .map((label, i) => (label && i % (a.skip || 1) === 0 ? (a.offset ? this.pixel(a, i) - this.bandWidth(a) / 2 : this.pixel(a, i)) : null))
+          .filter((p) => p !== null)
+        : a.ticks.map((v) => this.pixel(a, v));
+      for (const p of positions) {
+        if (a.dir === "x") this.parts.push(svgLine(p, this.area.top, p, this.area.bottom, a.grid));
+        else this.parts.push(svgLine(this.area.left, p, this.area.right, p, a.grid));
+      }
+    }
+  }
+
+  drawAxes(axes) {
+    for (const a of axes) {
+      if (a.hidden || !a.display) continue;
+      const size = a.tickSize;
+      const font = { size, color: a.tickColor };
+      if (a.dir === "y") {
+        const right = a.position === "right";
+        const x = right ? this.area.right + 6 : this.area.left - 6;
+        const anchor = right ? "start" : "end";
+        if (a.category) {
+          const skip = Math.max(1, Math.ceil((a.values.length * size * 1.2) / Math.max(1, a.length)));
+          a.values.forEach((label, i) => {
+            if (label && i % skip === 0) this.overlay.push(svgText(x, this.pixel(a, i), label, { ...font, anchor }));
+          });
+        } else {
+          a.ticks.forEach((v, i) => this.overlay.push(svgText(x, this.pixel(a, v), a.tickLabels[i], { ...font, anchor })));
+        }
+        if (a.title) {
+          const tx = right ? this.area.right + a.thickness - a.title.size / 2 - 2 : this.area.left - a.thickness + a.title.size / 2 + 2;
+          this.overlay.push(svgText(tx, a.start + a.length / 2, a.title.text, { size: a.title.size, color: a.title.color, rotate: right ? 90 : -90 }));
+        }
+        continue;
+      }
+      const top = a.position === "top";
+      const y = top ? this.area.top - 6 - size / 2 : this.area.bottom + 6 + size / 2;
+      if (a.category) {
+        a.values.forEach((label, i) => {
+          if (!label || i % a.skip !== 0) return;
+          const x = this.pixel(a, i);
+          if (a.rotate) this.overlay.push(svgText(x, y, label, { ...font, anchor: "end", rotate: a.rotate }));
+          else this.overlay.push(svgText(x, y, label, font));
+        });
+      } else {
+        a.ticks.forEach((v, i) => this.overlay.push(svgText(this.pixel(a, v), y, a.tickLabels[i], font)));
+      }
+      if (a.title) {
+        const ty = top ? this.area.top - a.thickness + a.title.size / 2 : this.area.bottom + a.thickness - a.title.size / 2 - 2;
+        this.overlay.push(svgText(this.area.left + this.area.width / 2, ty, a.title.text, { size: a.title.size, color: a.title.color }));
+      }
+    }
+  }
+
+  drawBars(ds, di, catAxis, valAxis, barDatasets) {
+    const stacked = valAxis.stacked || catAxis.stacked;
+    // `grouped: false` bars take the whole slot instead of sharing it.
+    const grouped = barDatasets.filter((b) => b.grouped !== false);
+    const groups = ds.grouped === false ? [ds] : stacked ? [...new Set(grouped.map((b) => b.stack ?? ""))] : grouped;
+    const group = ds.grouped === false ? 0 : stacked ? groups.indexOf(ds.stack ?? "") : groups.indexOf(ds);
+    const band = this.bandWidth(catAxis) * Number(ds.categoryPercentage ?? 0.8);
+    const slot = band / Math.max(1, groups.length);
+    const thickness = slot * Number(ds.barPercentage ?? 0.9);
+    const zero = this.pixel(valAxis, Math.min(Math.max(0, valAxis.min), valAxis.max));
+
+    (ds.data || []).forEach((d, i) => {
+      const v = rawValue(d);
+      if (v === null) return;
+      let base = 0;
+      if (stacked) {
+        for (const other of barDatasets) {
+          if (other === ds) break;
+          if ((other.stack ?? "") !== (ds.stack ?? "") || valueAxisMismatch(other, ds)) continue;
+          const ov = rawValue(other.data?.[i]);
+          if (ov !== null && (ov >= 0) === (v >= 0)) base += ov;
+        }
+      }
+      const from = stacked ? this.pixel(valAxis, base) : zero;
+      const to = this.pixel(valAxis, base + v);
+      const center = this.pixel(catAxis, i) - band / 2 + slot * (group + 0.5);
+      const ctx = this.ctx(ds, di, i);
+      const fill = resolve(ds.backgroundColor, ctx, i) || PALETTE[di % PALETTE.length];
+      const stroke = resolve(ds.borderColor, ctx, i);
+      const strokeWidth = Number(resolve(ds.borderWidth, ctx, i) ?? 0);
+      const radius = Number(resolve(ds.borderRadius, ctx, i) ?? 0);
+      if (this.horizontal) {
+        this.parts.push(svgRect(from, center - thickness / 2, to - from, thickness, { fill, stroke, strokeWidth, radius }));
+        this.dataLabel(ds, di, i, d, to, center, { horizontal: true, negative: v < 0, mid: [(from + to) / 2, center] });
+      } else {
+        this.parts.push(svgRect(center - thickness / 2, to, thickness, from - to, { fill, stroke, strokeWidth, radius }));
+        this.dataLabel(ds, di, i, d, center, to, { negative: v < 0, mid: [center, (from + to) / 2] });
+      }
+    });
+
+    function valueAxisMismatch(a, b) {
+      return (a.yAxisID || a.xAxisID || "") !== (b.yAxisID || b.xAxisID || "");
+    }
+  }
+
+  linePoints(ds, catAxis, valAxis) {
+    return (ds.data || []).map((d, i) => {
+      const v = rawValue(d);
+      if (v === null || (valAxis.type === "logarithmic" && v <= 0)) return null;
+      const c = this.pixel(catAxis, i);
+      const p = this.pixel(valAxis, v);
+      return { x: this.horizontal ? p : c, y: this.horizontal ? c : p, i, d };
+    });
+  }
+
+  /** Dataset index a relative ("-1", "+1") or absolute (number) fill points at. */
+  fillTarget(fill, di) {
+    let target = null;
+    if (typeof fill === "number") target = fill;
+    else if (typeof fill === "string" && /^[+-]\d+$/.test(fill)) target = di + Number(fill);
+    return target !== null && target !== di && this.datasets[target] ? target : null;
+  }
+
+  drawLine(ds, di, catAxis, valAxis) {
+    const color = ds.borderColor || PALETTE[di % PALETTE.length];
+    const width = Number(ds.borderWidth ?? 3);
+    const tension = Number(ds.tension ?? ds.lineTension ?? 0);
+    const dash = Array.isArray(ds.borderDash) && ds.borderDash.length ? ` stroke-dasharray="${ds.borderDash.map(Number).join(",")}"` : "";
+    const bounds = this.horizontal ? this.area : { top: valAxis.start, bottom: valAxis.start + valAxis.length };
+    const points = this.linePoints(ds, catAxis, valAxis);
+
+    const target = this.fillTarget(ds.fill, di);
+    if (target !== null && !this.horizontal) {
+      const other = this.linePoints(this.datasets[target], catAxis, this.valueAxisOf(this.datasets[target]));
+      const pairs = points.map((p, i) => (p && other[i] ? [p, other[i]] : null)).filter(Boolean);
+      if (pairs.length > 1) {
+        const d = pairs.map(([p], i) => `${i ? "L" : "M"}${r2(p.x)},${r2(p.y)}`).join("")
+          + pairs.reverse().map(([, q]) => `L${r2(q.x)},${r2(q.y)}`).join("") + "Z";
+        this.parts.push(`<path d="${d}" ${fillAttr(ds.backgroundColor || color)} stroke="none"/>`);
+      }
+    }
+
+    const segments = [];
+    let current = [];
+    for (const p of points) {
+      if (p) current.push(p);
+      else if (!ds.spanGaps && current.length) { segments.push(current); current = []; }
+    }
+    if (current.length) segments.push(current);
+
+    const fill = ds.fill === true || ds.fill === "origin" || ds.fill === "start";
+    const baseline = this.pixel(valAxis, ds.fill === "start" ? valAxis.min : Math.min(Math.max(0, valAxis.min), valAxis.max));
+    for (const seg of segments) {
+      const path = splinePath(seg, tension, bounds);
+      if (fill && seg.length > 1 && !this.horizontal) {
+        const area = `${path}L${r2(seg[seg.length - 1].x)},${r2(baseline)}L${r2(seg[0].x)},${r2(baseline)}Z`;
+        this.parts.push(`<path d="${area}" ${fillAttr(ds.backgroundColor || color)} stroke="none"/>`);
+      }
+      if (seg.length > 1 && width > 0) {
+        this.parts.push(`<path d="${path}" fill="none" ${strokeAttr(color, width)}${dash} stroke-linejoin="round" stroke-linecap="round"/>`);
+      }
+    }
+
+    for (const p of points) {
+      if (!p) continue;
+      const ctx = this.ctx(ds, di, p.i);
+      const radius = Number(resolve(ds.pointRadius, ctx, p.i) ?? 3);
+      if (radius > 0) {
+        const bg = resolve(ds.pointBackgroundColor, ctx, p.i) || color;
+        const border = resolve(ds.pointBorderColor, ctx, p.i) || color;
+        const bw = Number(resolve(ds.pointBorderWidth, ctx, p.i) ?? 1);
+        this.parts.push(`<circle cx="${r2(p.x)}" cy="${r2(p.y)}" r="${r2(radius)}" ${fillAttr(bg)} ${strokeAttr(border, bw)}/>`);
+      }
+      this.dataLabel(ds, di, p.i, p.d, p.x, p.y, { point: true });
+    }
+  }
+
+  drawCandles(ds, di, catAxis, valAxis) {
+    const band = this.bandWidth(catAxis);
+    const body = Math.max(2, band * 0.6);
+    const pick = (option, key, fallback) => (option && typeof option === "object" ? option[key] : option) || fallback;
+    (ds.data || []).forEach((d, i) => {
+      if (!d || typeof d !== "object" || ![d.o, d.h, d.l, d.c].every(Number.isFinite)) return;
+      const idx = d.x !== undefined && catAxis.values.includes(String(d.x)) ? catAxis.values.indexOf(String(d.x)) : i;
+      const key = d.c > d.o ? "up" : d.c < d.o ? "down" : "unchanged";
+      const fallback = key === "up" ? "#22c55e" : key === "down" ? "#ef4444" : TICK_COLOR;
+      const fill = pick(ds.color, key, fallback);
+      const stroke = pick(ds.borderColor, key, fill);
+      const x = this.pixel(catAxis, idx);
+      this.parts.push(svgLine(x, this.pixel(valAxis, d.h), x, this.pixel(valAxis, d.l), stroke, 1.5));
+      const top = this.pixel(valAxis, Math.max(d.o, d.c));
+      const bottom = this.pixel(valAxis, Math.min(d.o, d.c));
+      this.parts.push(svgRect(x - body / 2, top, body, Math.max(1, bottom - top), { fill, stroke, strokeWidth: 1 }));
+    });
+  }
+
+  drawMatrix(ds, di, axes, catAxis) {
+    const xAxis = axes.find((a) => a.dir === "x" && a.category) || catAxis;
+    const yAxis = axes.find((a) => a.dir === "y" && a.category);
+    if (!yAxis) return;
+    (ds.data || []).forEach((d, i) => {
+      if (!d || typeof d !== "object") return;
+      const xi = xAxis.values.indexOf(String(d.x));
+      const yi = yAxis.values.indexOf(String(d.y));
+      if (xi < 0 || yi < 0) return;
+      const ctx = this.ctx(ds, di, i);
+      const w = Number(resolve(ds.width, ctx, i)) || this.bandWidth(xAxis) - 4;
+      const h = Number(resolve(ds.height, ctx, i)) || this.bandWidth(yAxis) - 4;
+      const cx = this.pixel(xAxis, xi);
+      const cy = this.pixel(yAxis, yi);
+      this.parts.push(svgRect(cx - w / 2, cy - h / 2, w, h, {
+        fill: resolve(ds.backgroundColor, ctx, i) || PALETTE[0],
+        stroke: resolve(ds.borderColor, ctx, i),
+        strokeWidth: Number(resolve(ds.borderWidth, ctx, i) ?? 0),
+      }));
+      this.dataLabel(ds, di, i, d, cx, cy, {});
+    });
+  }
+
+  /** Draw a chartjs-plugin-datalabels label for one element. */
+  dataLabel(ds, di, i, value, x, y, { horizontal = false, negative = false, point = false, mid = null }) {
+    const dl = this.datalabels;
+    if (!dl) return;
+    const ctx = this.ctx(ds, di, i);
+    const display = resolve(dl.display, ctx);
+    if (display === false) return;
+    const raw = value && typeof value === "object" && !Number.isFinite(value.v) && value.y !== undefined ? value.y : value;
+    const text = dl.formatter ? call(dl.formatter, "", raw, ctx) : raw;
+    if (text === null || text === undefined || text === "") return;
+    const font = fontOf({ font: resolve(dl.font, ctx) }, 11, "normal");
+    const color = resolve(dl.color, ctx) || TEXT_COLOR;
+    const anchor = resolve(dl.anchor, ctx) || "center";
+    const align = resolve(dl.align, ctx) || "center";
+    const str = String(text);
+    const offset = 4 + font.size / 2;
+
+    if (anchor !== "end" && mid) {
+      this.overlay.push(svgText(mid[0], mid[1], str, { size: font.size, color, weight: font.weight }));
+      return;
+    }
+    if (horizontal) {
+      let toLeft = align === "left" || align === "start" || (negative && align !== "right");
+      // Keep labels of long bars inside the plot instead of over the axis labels.
+      const width = textWidth(str, font.size, font.weight);
+      if (toLeft && x - 4 - width < this.area.left) toLeft = false;
+      else if (!toLeft && x + 4 + width > this.width) toLeft = true;
+      this.overlay.push(svgText(x + (toLeft ? -4 : 4), y, str, { size: font.size, color, weight: font.weight, anchor: toLeft ? "end" : "start" }));
+      return;
+    }
+    if (point || anchor === "end") {
+      const below = align === "bottom" || (negative && align !== "top");
+      this.overlay.push(svgText(x, y + (below ? offset : -offset), str, { size: font.size, color, weight: font.weight }));
+      return;
+    }
+    this.overlay.push(svgText(x, y, str, { size: font.size, color, weight: font.weight }));
+  }
+}
+
+function inset(rect, by) {
+  return { x: rect.x + by, y: rect.y + by, w: rect.w - by * 2, h: rect.h - by * 2 };
+}
+
+/** `text` shortened with an ellipsis to fit `width`, or null when not even one character fits. */
+function fitText(text, width, size, weight) {
+  if (textWidth(text, size, weight) <= width) return text;
+  const chars = [...text];
+  for (let n = chars.length - 1; n > 0; n--) {
+    const candidate = chars.slice(0, n).join("").trimEnd() + "…";
+    if (textWidth(candidate, size, weight) <= width) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Squarified treemap layout (Bruls et al.): `cells` ({ value, ... }) are laid
+ * out largest first into `rect`, each row filling the shorter side so boxes
+ * stay close to square. Returns the cells with x/y/w/h added.
+ */
+function squarify(cells, rect) {
+  const sorted = cells.filter((c) => c.value > 0).sort((a, b) => b.value - a.value);
+  const total = sorted.reduce((n, c) => n + c.value, 0);
+  if (total <= 0 || rect.w <= 0 || rect.h <= 0) return [];
+  const scale = (rect.w * rect.h) / total;
+  const out = [];
+  let { x, y, w, h } = rect;
+  let row = [];
+  let rowArea = 0;
+  const worst = (areas, sum, side) => {
+    const max = Math.max(...areas);
+    const min = Math.min(...areas);
+    return Math.max((side * side * max) / (sum * sum), (sum * sum) / (side * side * min));
+  };
+  const flush = () => {
+    if (w >= h) {
+      const colW = rowArea / h;
+      let cy = y;
+      for (const c of row) {
+        const ch = (c.value * scale) / colW;
+        out.push({ ...c, x, y: cy, w: colW, h: ch });
+        cy += ch;
+      }
+      x += colW;
+      w -= colW;
+    } else {
+      const rowH = rowArea / w;
+      let cx = x;
+      for (const c of row) {
+        const cw = (c.value * scale) / rowH;
+        out.push({ ...c, x: cx, y, w: cw, h: rowH });
+        cx += cw;
+      }
+      y += rowH;
+      h -= rowH;
+    }
+    row = [];
+    rowArea = 0;
+  };
+  for (const c of sorted) {
+    const area = c.value * scale;
+    const side = Math.min(w, h);
+    const areas = row.map((r) => r.value * scale);
+    if (row.length > 0 && worst([...areas, area], rowArea + area, side) > worst(areas, rowArea, side)) flush();
+    row.push(c);
+    rowArea += area;
+  }
+  if (row.length > 0) flush();
+  return out;
+}
+
+/** Smooth path through points with Chart.js-style spline control points. */
+function splinePath(points, tension, area) {
+  if (points.length === 0) return "";
+  let d = `M${r2(points[0].x)},${r2(points[0].y)}`;
+  if (!(tension > 0) || points.length < 3) {
+    for (const p of points.slice(1)) d += `L${r2(p.x)},${r2(p.y)}`;
+    return d;
+  }
+  const clampY = (y) => Math.min(area.bottom, Math.max(area.top, y));
+  const controls = points.map((p, i) => {
+    const prev = points[i - 1] || p;
+    const next = points[i + 1] || p;
+    const d01 = Math.hypot(p.x - prev.x, p.y - prev.y);
+    const d12 = Math.hypot(next.x - p.x, next.y - p.y);
+    const sum = d01 + d12 || 1;
+    const fa = (tension * d01) / sum;
+    const fb = (tension * d12) / sum;
+    return {
+      prev: { x: p.x - fa * (next.x - prev.x), y: clampY(p.y - fa * (next.y - prev.y)) },
+      next: { x: p.x + fb * (next.x - prev.x), y: clampY(p.y + fb * (next.y - prev.y)) },
+    };
+  });
+  for (let i = 1; i < points.length; i++) {
+    const c1 = controls[i - 1].next;
+    const c2 = controls[i].prev;
+    d += `C${r2(c1.x)},${r2(c1.y)} ${r2(c2.x)},${r2(c2.y)} ${r2(points[i].x)},${r2(points[i].y)}`;
+  }
+  return d;
+}
+
+// ---------------------------------------------------------------------------
+// Dashboard panels — KPI, table, text and header tiles
+// ---------------------------------------------------------------------------
+
+const PANEL_BG = "#1e293b";
+const PANEL_PAD = 16;
+const UP_COLOR = "#22c55e";
+const DOWN_COLOR = "#ef4444";
+
+/** Greedy word wrap by estimated text width; "\n" starts a new paragraph. */
+function wrapText(text, width, size, weight = "normal") {
+  const out = [];
+  for (const paragraph of String(text ?? "").split("\n")) {
+    let line = "";
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && textWidth(candidate, size, weight) > width) {
+        out.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    out.push(line);
+  }
+  return out;
+}
+
+function formatPanelValue(value) {
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return value.toLocaleString("en-US", { maximumFractionDigits: Math.abs(value) >= 1000 ? 0 : 2 });
+  }
+  return String(value ?? "—");
+}
+
+/** Green/red for explicitly signed "+1.2%" / "-3%" style cells, null otherwise. */
+function signColor(value) {
+  const text = String(value ?? "").trim();
+  if (!/^[+\-−]\s*\d/.test(text)) return null;
+  const n = parseFloat(text.replace("−", "-").replace(/\s+/g, ""));
+  if (!Number.isFinite(n) || n === 0) return null;
+  return n > 0 ? UP_COLOR : DOWN_COLOR;
+}
+
+function tableColumns(panel) {
+  const rows = Array.isArray(panel.rows) ? panel.rows : [];
+  const columns = Array.isArray(panel.columns) ? panel.columns : rows[0]?.map((_, i) => `#${i + 1}`) || [];
+  return { columns, rows: rows.slice(0, 20) };
+}
+
+const PANEL_LAYOUT = {
+  header: { title: 26, subtitle: 14 },
+  title: 15,
+  text: 14,
+  table: { size: 13, row: 26 },
+};
+
+/** Natural height of a panel at `width`; the dashboard may stretch it to its row. */
+export function measurePanel(panel, width) {
+  const inner = width - PANEL_PAD * 2;
+  const titleHeight = panel.title ? PANEL_LAYOUT.title * 1.2 + 10 : 0;
+  switch (panel.type) {
+    case "header":
+      return PANEL_PAD + PANEL_LAYOUT.header.title * 1.2 + (panel.subtitle ? PANEL_LAYOUT.header.subtitle * 1.2 + 6 : 0) + PANEL_PAD;
+    case "kpi":
+      return 124;
+    case "table": {
+      const { rows } = tableColumns(panel);
+      return PANEL_PAD * 2 + titleHeight + (rows.length + 1) * PANEL_LAYOUT.table.row;
+    }
+    default: {
+      const lines = wrapText(panel.text, inner, PANEL_LAYOUT.text).length;
+      return PANEL_PAD * 2 + titleHeight + lines * PANEL_LAYOUT.text * 1.45;
+    }
+  }
+}
+
+function panelTitle(parts, panel, x, y, width) {
+  if (!panel.title) return 0;
+  const text = fitText(String(panel.title), width, PANEL_LAYOUT.title, "bold");
+  if (text) parts.push(svgText(x, y + (PANEL_LAYOUT.title * 1.2) / 2, text, { size: PANEL_LAYOUT.title, weight: "bold", color: TEXT_COLOR, anchor: "start" }));
+  return PANEL_LAYOUT.title * 1.2 + 10;
+}
+
+/**
+ * SVG markup for one dashboard panel:
+ *  - kpi: { label, value, unit, delta (percent), delta_label, note }
+ *  - table: { title, columns, rows } — up to 20 rows, signed cells colored
+ *  - text: { title, text }
+ *  - header: { text, subtitle } — a section title without a card
+ */
+export function renderPanelSvg(panel, { width, height, backgroundColor = "#0f172a" }) {
+  const parts = [svgRect(0, 0, width, height, { fill: backgroundColor })];
+  const x = PANEL_PAD;
+  const inner = width - PANEL_PAD * 2;
+  const accent = panel.color || "#3b82f6";
+
+  if (panel.type === "header") {
+    const size = PANEL_LAYOUT.header.title;
+    let y = PANEL_PAD;
+    parts.push(svgRect(0, PANEL_PAD, 4, height - PANEL_PAD * 2, { fill: accent }));
+    const title = fitText(String(panel.text ?? panel.title ?? ""), inner, size, "bold");
+    if (title) parts.push(svgText(x, y + (size * 1.2) / 2, title, { size, weight: "bold", color: "#f1f5f9", anchor: "start" }));
+    y += size * 1.2 + 6;
+    if (panel.subtitle) {
+      const sub = fitText(String(panel.subtitle), inner, PANEL_LAYOUT.header.subtitle);
+      if (sub) parts.push(svgText(x, y + (PANEL_LAYOUT.header.subtitle * 1.2) / 2, sub, { size: PANEL_LAYOUT.header.subtitle, color: TICK_COLOR, anchor: "start" }));
+    }
+  } else {
+    parts.push(svgRect(0, 0, width, height, { fill: PANEL_BG, radius: 10 }));
+
+    if (panel.type === "kpi") {
+      const label = fitText(String(panel.label ?? panel.title ?? ""), inner, 13);
+      if (label) parts.push(svgText(x, PANEL_PAD + 8, label.toUpperCase(), { size: 12, color: TICK_COLOR, anchor: "start" }));
+      const value = formatPanelValue(panel.value);
+      const unit = panel.unit ? ` ${panel.unit}` : "";
+      let size = 34;
+      while (size > 14 && textWidth(value + unit, size, "bold") > inner) size -= 2;
+      const mid = height / 2 + 2;
+      parts.push(svgText(x, mid, `${value}${unit}`, { size, weight: "bold", color: "#f8fafc", anchor: "start" }));
+      const bottom = height - PANEL_PAD - 6;
+      const delta = Number(panel.delta);
+      if (panel.delta !== undefined && panel.delta !== null && Number.isFinite(delta)) {
+        const color = delta > 0 ? UP_COLOR : delta < 0 ? DOWN_COLOR : TICK_COLOR;
+        const arrow = delta > 0 ? "▲" : delta < 0 ? "▼" : "■";
+        const text = `${arrow} ${delta > 0 ? "+" : ""}${delta.toFixed(Math.abs(delta) >= 10 ? 1 : 2)}%${panel.delta_label ? ` ${panel.delta_label}` : ""}`;
+        parts.push(svgText(x, bottom, text, { size: 14, weight: "bold", color, anchor: "start" }));
+      } else if (panel.note) {
+        const note = fitText(String(panel.note), inner, 13);
+        if (note) parts.push(svgText(x, bottom, note, { size: 13, color: TICK_COLOR, anchor: "start" }));
+      }
+    } else if (panel.type === "table") {
+      let y = PANEL_PAD + panelTitle(parts, panel, x, PANEL_PAD, inner);
+      const { columns, rows } = tableColumns(panel);
+      const { size, row } = PANEL_LAYOUT.table;
+      const cells = [columns, ...rows].map((r) => columns.map((_, i) => (i < r.length ? formatPanelValue(r[i]) : "")));
+      const natural = columns.map((_, i) => Math.max(...cells.map((r) => textWidth(r[i], size, "normal"))) + 16);
+      const scale = Math.min(1, inner / natural.reduce((a, b) => a + b, 0));
+      const widths = natural.map((w) => w * scale);
+      // Spare width goes to the first (name) column so numbers sit at the right edge.
+      widths[0] += inner - widths.reduce((a, b) => a + b, 0);
+      const numeric = columns.map((_, i) => rows.length > 0 && rows.every((r) => r[i] === undefined || r[i] === null || typeof r[i] === "number" || signColor(r[i]) !== null || /^[\d\s.,%$]+$/.test(String(r[i]))));
+      const drawRow = (values, raw, header) => {
+        let cx = x;
+        values.forEach((v, i) => {
+          const w = widths[i];
+          const text = fitText(v, w - 8, size, header ? "bold" : "normal");
+          if (text) {
+            const right = numeric[i] && i > 0;
+            const color = header ? TICK_COLOR : signColor(raw?.[i]) || TEXT_COLOR;
+            parts.push(svgText(right ? cx + w - 4 : cx + (i === 0 ? 0 : 4), y + row / 2, text, {
+              size, weight: header ? "bold" : "normal", color, anchor: right ? "end" : "start",
+            }));
+          }
+          cx += w;
+        });
+        y += row;
+      };
+      drawRow(cells[0], null, true);
+      parts.push(svgLine(x, y, x + inner, y, "rgba(148,163,184,0.3)", 1));
+      rows.forEach((r, j) => {
+        if (j % 2 === 1) parts.push(svgRect(x - 6, y, inner + 12, row, { fill: "rgba(148,163,184,0.06)" }));
+        drawRow(cells[j + 1], r, false);
+      });
+    } else {
+      let y = PANEL_PAD + panelTitle(parts, panel, x, PANEL_PAD, inner);
+      const size = PANEL_LAYOUT.text;
+      for (const line of wrapText(panel.text, inner, size)) {
+        if (y + size * 1.45 > height - PANEL_PAD / 2) break;
+        if (line) parts.push(svgText(x, y + (size * 1.45) / 2, line, { size, color: "#cbd5e1", anchor: "start" }));
+        y += size * 1.45;
+      }
+    }
+  }
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${parts.join("")}</svg>`;
+}
+
+/** SVG markup for a Chart.js config. */
+export function renderChartSvg(chartConfig, { width = 800, height = 400, backgroundColor = "#0f172a" } = {}) {
+  return new SvgChart(chartConfig, { width, height, backgroundColor }).render();
+}
+
+/**
+ * PNG buffer for a Chart.js config, at `devicePixelRatio` × the nominal size
+ * like QuickChart. Throws when sharp is not installed.
+ */
+export async function renderChartPng(chartConfig, { width = 800, height = 400, backgroundColor = "#0f172a", devicePixelRatio = 2 } = {}) {
+  let sharp;
+  try {
+    sharp = (await import("sharp")).default;
+  } catch {
+    throw new Error("sharp library not available for local chart rendering");
+  }
+  const svg = renderChartSvg(chartConfig, { width, height, backgroundColor });
+  return sharp(Buffer.from(svg), { density: 72 * devicePixelRatio }).png().toBuffer();
+}
+
+/** PNG buffer for a dashboard panel (see renderPanelSvg). Throws when sharp is not installed. */
+export async function renderPanelPng(panel, { width, height, backgroundColor = "#0f172a", devicePixelRatio = 1 } = {}) {
+  let sharp;
+  try {
+    sharp = (await import("sharp")).default;
+  } catch {
+    throw new Error("sharp library not available for local chart rendering");
+  }
+  const svg = renderPanelSvg(panel, { width, height, backgroundColor });
+  return sharp(Buffer.from(svg), { density: 72 * devicePixelRatio }).png().toBuffer();
+}
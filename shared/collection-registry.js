@@ -0,0 +1,404 @@
+/**
+ * Gift collection registry shared by gift-price-compare and whale-analytics.
+ *
+ * Builds slug ↔ name ↔ address mappings from Giftstat `current/collections`,
+ * GetGems `gifts/collections` and MarketApp `collections/gifts`, keyed by the
+ * raw collection address so the three sources merge into one row. Rows are
+ * persisted in gift_collection_registry and refreshed when older than
+ * REFRESH_MS; lookups accept names, slugs, addresses, typos and Russian
+ * names (Cyrillic is transliterated, then compared on a phonetic spelling so
+ * collections added by a refresh need no hand-written Russian aliases).
+ */
+
+import { createRequire } from "node:module";
+import { realpathSync } from "node:fs";
+import { sourceFetch } from "./source-health.js";
+
+const _require = createRequire(realpathSync(process.argv[1]));
+const { Address } = _require("@ton/core");
+
+const GIFTSTAT_API = "https://api.giftstat.app";
+const GETGEMS_API = "https://api.getgems.io/public-api/v1";
+const MARKETAPP_API = "https://api.marketapp.ws/v1";
+
+const REFRESH_MS = 6 * 60 * 60 * 1000;
+const GETGEMS_MAX_PAGES = 10;
+
+// Known collections with hand-picked aliases, including Russian names. Used
+// as extra aliases for fetched rows and as the whole registry when every
+// source is unreachable.
+const SEED_COLLECTIONS = [
+  { address: "EQDLM65t0shS7gZAg0lMltGHYhsU94PzsMJHhYibmRV7kdUs", slug: "CandyCane", name: "Candy Cane", aliases: ["Леденцовая трость"] },
+  { address: "EQAoJw7BpOcBD3y9voMuEQ-qhS3K4gtM-6EePLxkzk8iSifX", slug: "SnoopDogg", name: "Snoop Dogg", aliases: ["snoop", "Снуп Дог"] },
+  { address: "EQDz_VecErEBTLOTiR1tq0VS3lZuHHqhYmhZbthcrbFk7ztK", slug: "XmasStocking", name: "Xmas Stocking", aliases: ["Рождественский носок"] },
+  { address: "EQCwEFfUbbR-22fn3VgxUpBil7bwBQqEHm7wgQYbWY9c08YJ", slug: "BDayCandle", name: "B-Day Candle", aliases: ["Праздничная свеча", "Свеча"] },
+  { address: "EQBMcfMAZlMUr1W3X8kdEw3fJMUAaWH4-XcmE5R5RfFIY0E2", slug: "DeskCalendar", name: "Desk Calendar", aliases: ["Настольный календарь", "Календарь"] },
+  { address: "EQCefrjhCD2_7HRIr2lmwt9ZaqeG_tdseBvADC66833kBS3y", slug: "HomemadeCake", name: "Homemade Cake", aliases: ["Домашний торт", "Торт"] },
+  { address: "EQBIj0uF-qIASqv6qIvcTif2wKSdt4WQc4mcoBywNp5GntuG", slug: "InstantRamen", name: "Instant Ramen", aliases: ["Рамен", "Лапша"] },
+  { address: "EQC6zjid8vJNEWqcXk10XjsdDLRKbcPZzbHusuEW6FokOWIm", slug: "LolPop", name: "Lol Pop", aliases: ["lollipop", "Леденец"] },
+  { address: "EQBT9PbZBR6FGcZBSnwgo-DLpc0r7_X_8dlhG5UA6v9l9uJM", slug: "CookieHeart", name: "Cookie Heart", aliases: ["Печенье-сердце", "Печенька"] },
+  { address: "EQCBK_JBASAA5XVz1D17Pn--kQaMWm0b9wReVtsEdRO4Tgy9", slug: "JesterHat", name: "Jester Hat", aliases: ["Шляпа шута", "Колпак"] },
+  { address: "EQBG-g6ahkAUGWpefWbx-D_9sQ8oWbvy6puuq78U2c4NUDFS", slug: "PlushPepe", name: "Plush Pepe", aliases: ["Плюшевый Пепе", "Плюш Пепе"] },
+];
+
+const CYRILLIC = {
+  а: "a", б: "b", в: "v", г: "g", д: "d", е: "e", ё: "e", ж: "zh", з: "z", и: "i", й: "y",
+  к: "k", л: "l", м: "m", н: "n", о: "o", п: "p", р: "r", с: "s", т: "t", у: "u", ф: "f",
+  х: "h", ц: "ts", ч: "ch", ш: "sh", щ: "sch", ъ: "", ы: "y", ь: "", э: "e", ю: "yu", я: "ya",
+};
+
+/** Lowercase, transliterate Cyrillic and drop everything but letters and digits. */
+export function normalizeCollectionKey(value) {
+  return String(value ?? "")
+    .toLowerCase()
+    .replace(/[а-яё]/g, (ch) => CYRILLIC[ch])
+    .replace(/[^a-z0-9]/g, "");
+}
+
+// Transliterated Russian rarely spells a name the way English does
+// ("Снуп Дог" → "snupdog", "Плюш Пепе" → "plyushpepe"). Every name and alias,
+// fetched or seeded, is also matched on this looser spelling, in which both
+// sides of such pairs coincide ("snoopdogg" → "snupdog").
+const PHONETIC_RULES = [
+  [/dzh/g, "j"], [/kh/g, "h"], [/ph/g, "f"], [/tch/g, "ch"], [/ck/g, "k"], [/q/g, "k"], [/x/g, "ks"], [/w/g, "v"],
+  [/ee|ea/g, "i"], [/oo|ou/g, "u"], [/y([aeiou])/g, "$1"], [/ey/g, "e"],
+  [/c(?=[eiy])/g, "s"], [/c(?!h)/g, "k"], [/y/g, "i"], [/(.)\1+/g, "$1"],
+];
+
+/** normalizeCollectionKey() reduced to a script-independent phonetic spelling. */
+export function phoneticCollectionKey(value) {
+  return PHONETIC_RULES.reduce((key, [pattern, to]) => key.replace(pattern, to), normalizeCollectionKey(value));
+}
+
+// Fuzzy and partial matches below this similarity (1 - edits / longer key
+// length, or shorter / longer length for prefixes) are not returned.
+const MIN_SIMILARITY = 0.75;
+const MIN_PREFIX_COVERAGE = 0.6;
+
+function parseAddress(value) {
+  try {
+    return Address.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+function levenshtein(a, b) {
+  if (Math.abs(a.length - b.length) > 3) return Infinity;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// ---------------------------------------------------------------------------
+// DB
+// ---------------------------------------------------------------------------
+
+// Plugins pass different databases (whale-analytics its sdk.db, chart and
+// gift-price-compare context.db), so statements and the loaded registry are
+// kept per db: switching between them neither drops the cache nor sends a
+// running refresh into the wrong db.
+const _states = new WeakMap();
+// Callers without a db share one in-memory registry.
+const _memoryState = blankState(null);
+
+function blankState(stmts) {
+  return { stmts, entries: null, refreshedAt: 0, refreshing: null };
+}
+
+/** Create the registry table in `db` and return its prepared statements. */
+export function initCollectionRegistryDb(db) {
+  return registryState(db).stmts;
+}
+
+function registryState(db) {
+  if (!db) return _memoryState;
+  const cached = _states.get(db);
+  if (cached) return cached;
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS gift_collection_registry (
+      raw_address TEXT PRIMARY KEY,
+      address TEXT NOT NULL,
+      slug TEXT,
+      name TEXT,
+      aliases_json TEXT NOT NULL DEFAULT '[]',
+      supply INTEGER,
+      sources TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+  `);
+
+  const stmts = {};
+
+  stmts.upsert = db.prepare(`
+    INSERT INTO gift_collection_registry (raw_address, address, slug, name, aliases_json, supply, sources, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(raw_address) DO UPDATE SET
+      address = excluded.address,
+      slug = excluded.slug,
+      name = excluded.name,
+      aliases_json = excluded.aliases_json,
+      supply = excluded.supply,
+      sources = excluded.sources,
+      updated_at = excluded.updated_at
+  `);
+
+  stmts.all = db.prepare("SELECT * FROM gift_collection_registry");
+
+  const state = blankState(stmts);
+  _states.set(db, state);
+  return state;
+}
+
+// ---------------------------------------------------------------------------
+// Sources
+// ---------------------------------------------------------------------------
+
+async function fetchJson(url, headers = {}) {
+  const res = await sourceFetch(url, { headers: { Accept: "application/json", ...headers } });
+  if (!res.ok) throw new Error(`${new URL(url).host} ${res.status}`);
+  return res.json();
+}
+
+async function fetchGiftstat() {
+  const data = await fetchJson(`${GIFTSTAT_API}/current/collections?limit=500`);
+  return (data.data || []).map((c) => ({
+    address: c.blockchain_address || c.address || null,
+    slug: c.collection_slug || c.slug || null,
+    name: c.collection || c.name || null,
+    supply: c.total_amount || c.total_supply || null,
+  }));
+}
+
+async function fetchGetgems(apiKey) {
+  if (!apiKey) return [];
+  const out = [];
+  let after;
+  for (let page = 0; page < GETGEMS_MAX_PAGES; page++) {
+    const url = new URL(`${GETGEMS_API}/gifts/collections`);
+    url.searchParams.set("limit", "100");
+    if (after) url.searchParams.set("after", after);
+    const raw = await fetchJson(url, { Authorization: apiKey });
+    const data = raw.response !== undefined ? raw.response : raw;
+    const items = data.items || (Array.isArray(data) ? data : []);
+    for (const c of items) {
+      out.push({ address: c.address || c.collectionAddress || null, slug: null, name: c.name || null, supply: c.itemsCount ?? null });
+    }
+    after = data.cursor;
+    if (!after || items.length === 0) break;
+  }
+  return out;
+}
+
+async function fetchMarketApp(token) {
+  if (!token) return [];
+  const data = await fetchJson(`${MARKETAPP_API}/collections/gifts/`, { Authorization: token });
+  return (Array.isArray(data) ? data : []).map((c) => ({
+    address: c.address || null,
+    slug: null,
+    name: c.name || null,
+    supply: c.items_count ?? c.supply ?? null,
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// Registry state
+// ---------------------------------------------------------------------------
+
+// state.entries: [{ address, rawAddress, slug, name, aliases, supply, sources, keys, phoneticKeys }]
+
+function toEntry(row) {
+  const aliases = row.aliases ?? JSON.parse(row.aliases_json || "[]");
+  const entry = {
+    address: row.address,
+    rawAddress: row.rawAddress ?? row.raw_address,
+    slug: row.slug || null,
+    name: row.name || null,
+    aliases,
+    supply: row.supply ?? null,
+    sources: Array.isArray(row.sources) ? row.sources : String(row.sources || "").split(",").filter(Boolean),
+  };
+  const names = [entry.slug, entry.name, ...aliases];
+  entry.keys = [...new Set(names.map(normalizeCollectionKey).filter(Boolean))];
+  entry.phoneticKeys = [...new Set(names.map(phoneticCollectionKey).filter(Boolean))];
+  return entry;
+}
+
+function seedEntries() {
+  return SEED_COLLECTIONS.map((s) =>
+    toEntry({ ...s, rawAddress: parseAddress(s.address).toRawString(), sources: ["seed"] })
+  );
+}
+
+function loadFromDb(state) {
+  if (!state.stmts) return null;
+  const rows = state.stmts.all.all();
+  if (rows.length === 0) return null;
+  state.refreshedAt = Math.max(...rows.map((r) => new Date(r.updated_at).getTime()));
+  return rows.map(toEntry);
+}
+
+/**
+ * Re-fetch all sources and merge them with the seed list. A source that fails
+ * is skipped; if every source fails the previous registry is kept.
+ * `opts`: { db, marketappToken, getgemsKey }.
+ */
+export async function refreshCollectionRegistry(opts = {}) {
+  const state = registryState(opts.db);
+  if (state.refreshing) return state.refreshing;
+
+  state.refreshing = (async () => {
+    const results = await Promise.allSettled([
+      fetchGiftstat(),
+      fetchGetgems(opts.getgemsKey),
+      fetchMarketApp(opts.marketappToken),
+    ]);
+    const names = ["giftstat", "getgems", "marketapp"];
+
+    const merged = new Map();
+    for (const seed of SEED_COLLECTIONS) {
+      const raw = parseAddress(seed.address).toRawString();
+      merged.set(raw, { ...seed, rawAddress: raw, aliases: [...seed.aliases], sources: new Set(["seed"]) });
+    }
+
+    let fetched = 0;
+    results.forEach((result, i) => {
+      if (result.status !== "fulfilled") return;
+      for (const c of result.value) {
+        const parsed = c.address ? parseAddress(c.address) : null;
+        if (!parsed) continue;
+        fetched++;
+        const raw = parsed.toRawString();
+        const entry = merged.get(raw) ?? { address: parsed.toString(), rawAddress: raw, aliases: [], sources: new Set() };
+        entry.slug = entry.slug || c.slug;
+        if (!entry.name) entry.name = c.name;
+        else if (c.name && normalizeCollectionKey(c.name) !== normalizeCollectionKey(entry.name)) entry.aliases.push(c.name);
+        entry.supply = entry.supply ?? c.supply;
+        entry.sources.add(names[i]);
+        merged.set(raw, entry);
+      }
+    });
+
+    const errors = results
+      .map((r, i) => (r.status === "rejected" ? `${names[i]}: ${String(r.reason?.message || r.reason).slice(0, 120)}` : null))
+      .filter(Boolean);
+    if (fetched === 0 && state.entries) return { updated: 0, errors };
+
+    const now = new Date().toISOString();
+    const entries = [...merged.values()].map((e) =>
+      toEntry({ ...e, aliases: [...new Set(e.aliases)], sources: [...e.sources] })
+    );
+    if (opts.db) {
+      opts.db.transaction(() => {
+        for (const e of entries) {
+          state.stmts.upsert.run(
+            e.rawAddress, e.address, e.slug, e.name, JSON.stringify(e.aliases), e.supply, e.sources.join(","), now
+          );
+        }
+      })();
+    }
+    state.entries = entries;
+    state.refreshedAt = fetched > 0 ? Date.now() : 0;
+    return { updated: entries.length, errors };
+  })();
+
+  try {
+    return await state.refreshing;
+  } finally {
+    state.refreshing = null;
+  }
+}
+
+async function getEntries(opts) {
+  const state = registryState(opts.db);
+  if (!state.entries) state.entries = loadFromDb(state);
+
+  const stale = Date.now() - state.refreshedAt > REFRESH_MS;
+  if (!state.entries) {
+    try {
+      await refreshCollectionRegistry(opts);
+    } catch {
+      // Fall through to the seed list.
+    }
+    if (!state.entries) state.entries = seedEntries();
+  } else if (stale && !state.refreshing) {
+    refreshCollectionRegistry(opts).catch(() => {});
+  }
+  return state.entries;
+}
+
+// ---------------------------------------------------------------------------
+// Lookup
+// ---------------------------------------------------------------------------
+
+function publicEntry(e) {
+  return { address: e.address, slug: e.slug, name: e.name, supply: e.supply, sources: e.sources };
+}
+
+/**
+ * Resolve a collection by address, slug, name, alias, a typo of any of those
+ * or its Russian name. Returns { address, slug, name, supply, sources, match }
+ * where match is "address", "exact", "partial" or "fuzzy", or null.
+ */
+export async function resolveGiftCollection(query, opts = {}) {
+  if (!query) return null;
+  const entries = await getEntries(opts);
+
+  const asAddress = parseAddress(String(query).trim());
+  if (asAddress) {
+    const raw = asAddress.toRawString();
+    const hit = entries.find((e) => e.rawAddress === raw);
+    return hit ? { ...publicEntry(hit), match: "address" } : { address: String(query).trim(), slug: null, name: null, supply: null, sources: [], match: "address" };
+  }
+
+  const key = normalizeCollectionKey(query);
+  if (!key) return null;
+  const phonetic = phoneticCollectionKey(query);
+
+  const exact =
+    entries.find((e) => e.keys.includes(key)) ?? entries.find((e) => e.phoneticKeys.includes(phonetic));
+  if (exact) return { ...publicEntry(exact), match: "exact" };
+
+  if (key.length >= 4) {
+    const partial = entries
+      .filter((e) =>
+        e.keys.some(
+          (k) =>
+            k.length >= 4 &&
+            (k.startsWith(key) || key.startsWith(k)) &&
+            Math.min(k.length, key.length) / Math.max(k.length, key.length) >= MIN_PREFIX_COVERAGE
+        )
+      )
+      .sort((a, b) => (b.supply || 0) - (a.supply || 0));
+    if (partial.length > 0) return { ...publicEntry(partial[0]), match: "partial" };
+  }
+
+  const maxDistance = Math.max(1, Math.floor(key.length / 4));
+  let best = null;
+  for (const e of entries) {
+    const pairs = [
+      ...e.keys.map((k) => [key, k]),
+      ...e.phoneticKeys.map((k) => [phonetic, k]),
+    ];
+    for (const [a, b] of pairs) {
+      const d = levenshtein(a, b);
+      const similarity = 1 - d / Math.max(a.length, b.length);
+      if (d <= maxDistance && similarity >= MIN_SIMILARITY && (!best || similarity > best.similarity)) {
+        best = { entry: e, similarity };
+      }
+    }
+  }
+  return best ? { ...publicEntry(best.entry), match: "fuzzy" } : null;
+}
+
+/** All known collections, largest supply first. */
+export async function listGiftCollections(opts = {}) {
+  const entries = await getEntries(opts);
+  return entries.map(publicEntry).sort((a, b) => (b.supply || 0) - (a.supply || 0));
+}
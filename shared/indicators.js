@@ -0,0 +1,167 @@
+/**
+ * Technical indicators over price series.
+ *
+ * Every function takes plain number arrays (oldest first) and returns arrays
+ * of the same length, with null where the window is not filled yet or an
+ * input is missing, so results line up index-for-index with chart labels.
+ * Used by the chart plugin for overlays (SMA, EMA, Bollinger Bands, VWAP) and
+ * lower panes (RSI, MACD).
+ */
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+/** Simple moving average over `period` values. */
+export function sma(values, period) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+  let count = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (isNum(values[i])) {
+      sum += values[i];
+      count++;
+    }
+    if (i >= period) {
+      const dropped = values[i - period];
+      if (isNum(dropped)) {
+        sum -= dropped;
+        count--;
+      }
+    }
+    if (i >= period - 1 && count === period) out[i] = sum / period;
+  }
+  return out;
+}
+
+/** Exponential moving average, seeded with the SMA of the first `period` values. */
+export function ema(values, period) {
+  const out = new Array(values.length).fill(null);
+  const k = 2 / (period + 1);
+  let prev = null;
+  let seed = [];
+  for (let i = 0; i < values.length; i++) {
+    const v = values[i];
+    if (!isNum(v)) continue;
+    if (prev === null) {
+      seed.push(v);
+      if (seed.length === period) {
+        prev = seed.reduce((a, b) => a + b, 0) / period;
+        out[i] = prev;
+        seed = null;
+      }
+      continue;
+    }
+    prev = v * k + prev * (1 - k);
+    out[i] = prev;
+  }
+  return out;
+}
+
+/** Bollinger Bands: SMA ± `mult` population standard deviations. */
+export function bollinger(values, period = 20, mult = 2) {
+  const middle = sma(values, period);
+  const upper = new Array(values.length).fill(null);
+  const lower = new Array(values.length).fill(null);
+  for (let i = 0; i < values.length; i++) {
+    if (middle[i] === null) continue;
+    const window = values.slice(i - period + 1, i + 1);
+    const variance = window.reduce((s, v) => s + (v - middle[i]) ** 2, 0) / period;
+    const sd = Math.sqrt(variance);
+    upper[i] = middle[i] + mult * sd;
+    lower[i] = middle[i] - mult * sd;
+  }
+  return { middle, upper, lower };
+}
+
+/**
+ * Cumulative volume-weighted average price. `prices` should be typical prices
+ * ((high + low + close) / 3) for candles; periods without volume carry the
+ * previous value.
+ */
+export function vwap(prices, volumes) {
+  const out = new Array(prices.length).fill(null);
+  let pv = 0;
+  let vol = 0;
+  for (let i = 0; i < prices.length; i++) {
+    if (isNum(prices[i]) && isNum(volumes[i]) && volumes[i] > 0) {
+      pv += prices[i] * volumes[i];
+      vol += volumes[i];
+    }
+    if (vol > 0) out[i] = pv / vol;
+  }
+  return out;
+}
+
+/** Relative Strength Index with Wilder smoothing (0–100). */
+export function rsi(values, period = 14) {
+  const out = new Array(values.length).fill(null);
+  let avgGain = 0;
+  let avgLoss = 0;
+  let seen = 0;
+  let prev = null;
+  for (let i = 0; i < values.length; i++) {
+    const v = values[i];
+    if (!isNum(v)) continue;
+    if (prev === null) {
+      prev = v;
+      continue;
+    }
+    const change = v - prev;
+    prev = v;
+    const gain = Math.max(change, 0);
+    const loss = Math.max(-change, 0);
+    seen++;
+    if (seen <= period) {
+      avgGain += gain / period;
+      avgLoss += loss / period;
+      if (seen < period) continue;
+    } else {
+      avgGain = (avgGain * (period - 1) + gain) / period;
+      avgLoss = (avgLoss * (period - 1) + loss) / period;
+    }
+    out[i] = avgLoss === 0 ? (avgGain === 0 ? 50 : 100) : 100 - 100 / (1 + avgGain / avgLoss);
+  }
+  return out;
+}
+
+/** MACD line (fast EMA − slow EMA), its signal EMA and the histogram. */
+export function macd(values, fast = 12, slow = 26, signalPeriod = 9) {
+  const fastEma = ema(values, fast);
+  const slowEma = ema(values, slow);
+  const line = values.map((_, i) => (fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null));
+  const start = line.findIndex((v) => v !== null);
+  const signal = new Array(values.length).fill(null);
+  if (start >= 0) {
+    const tail = ema(line.slice(start), signalPeriod);
+    tail.forEach((v, j) => { signal[start + j] = v; });
+  }
+  const histogram = line.map((v, i) => (v !== null && signal[i] !== null ? v - signal[i] : null));
+  return { macd: line, signal, histogram };
+}
+
+/**
+ * Parse an indicator spec such as "sma:20", "sma20", "bb:20:2" or
+ * "macd:12:26:9" into { type, params }. Unknown types return null.
+ */
+export function parseIndicator(spec) {
+  const tokens = String(spec || "").trim().toLowerCase().split(/[:\s(),]+/).filter(Boolean);
+  // Compact form: "sma20", "rsi14", "bb20".
+  const compact = /^([a-z]+)(\d+(?:\.\d+)?)$/.exec(tokens[0] ?? "");
+  if (compact) tokens.splice(0, 1, compact[1], compact[2]);
+  const [rawType, ...rest] = tokens;
+  const type = { bollinger: "bb", bbands: "bb", vol: "volume" }[rawType] || rawType;
+  const defaults = { sma: [20], ema: [20], bb: [20, 2], vwap: [], rsi: [14], macd: [12, 26, 9], volume: [] }[type];
+  if (!defaults) return null;
+  const params = defaults.map((d, i) => {
+    const n = Number(rest[i]);
+    return Number.isFinite(n) && n > 0 ? n : d;
+  });
+  if (type !== "bb") params.forEach((p, i) => { params[i] = Math.max(1, Math.round(p)); });
+  else params[0] = Math.max(2, Math.round(params[0]));
+  return { type, params };
+}
+
+/** Last non-null value of a series. */
+export function lastValue(series) {
+  for (let i = series.length - 1; i >= 0; i--) if (series[i] !== null && series[i] !== undefined) return series[i];
+  return null;
+}
@@ -0,0 +1,341 @@
+/**
+ * Persistent job scheduler for plugin background work.
+ *
+ * Jobs are registered with a 5-field cron expression (minute hour
+ * day-of-month month day-of-week, UTC) or @hourly / @daily / @weekly. The
+ * next due time and every run are stored in SQLite, so after a restart a
+ * job whose due time passed while the agent was down runs once right away
+ * (catch-up) instead of silently waiting for the next slot. A job never
+ * overlaps itself: a tick that finds it still running records a skipped run.
+ * Runs interrupted by a crash are marked as such on the next start.
+ *
+ *   const scheduler = createScheduler(db, { log });
+ *   scheduler.register("auto_snapshot", "0 3 * * *", async ({ catchUp }) => { ... });
+ *   scheduler.start();
+ */
+
+const TICK_MAX_MS = 60 * 1000;
+const HISTORY_KEEP = 200;
+const CRON_ALIASES = { "@hourly": "0 * * * *", "@daily": "0 0 * * *", "@weekly": "0 0 * * 0" };
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "weekday", min: 0, max: 7 },
+];
+
+// ---------------------------------------------------------------------------
+// Cron
+// ---------------------------------------------------------------------------
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const m = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`Invalid cron ${name} field: "${text}"`);
+    let [lo, hi] = m[1] === "*" ? [min, max] : m[1].split("-").map(Number);
+    if (hi === undefined) hi = m[2] ? max : lo;
+    const step = m[2] ? Number(m[2]) : 1;
+    if (lo < min || hi > max || lo > hi || step < 1) throw new Error(`Cron ${name} out of range: "${text}"`);
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+/** Parse a cron expression; throws on syntax errors. */
+export function parseCron(expression) {
+  const expr = CRON_ALIASES[expression.trim()] ?? expression.trim();
+  const parts = expr.split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron expression needs 5 fields: "${expression}"`);
+  const [minute, hour, day, month, weekday] = parts.map((p, i) => parseField(p, CRON_FIELDS[i]));
+  if (weekday.has(7)) weekday.add(0);
+  return {
+    minute,
+    hour,
+    day,
+    month,
+    weekday,
+    // Standard cron: when both day fields are restricted, either may match.
+    dayRestricted: parts[2] !== "*",
+    weekdayRestricted: parts[4] !== "*",
+  };
+}
+
+function dayMatches(cron, date) {
+  const dom = cron.day.has(date.getUTCDate());
+  const dow = cron.weekday.has(date.getUTCDay());
+  if (cron.dayRestricted && cron.weekdayRestricted) return dom || dow;
+  if (cron.dayRestricted) return dom;
+  if (cron.weekdayRestricted) return dow;
+  return true;
+}
+
+/** First time strictly after `from` (ms) matching `cron`, in ms; null if none within ~5 years. */
+export function nextCronTime(cron, from = Date.now()) {
+  const c = typeof cron === "string" ? parseCron(cron) : cron;
+  const d = new Date(from);
+  d.setUTCSeconds(0, 0);
+  d.setUTCMinutes(d.getUTCMinutes() + 1);
+  const limit = from + 5 * 366 * 86400 * 1000;
+  while (d.getTime() <= limit) {
+    if (!c.month.has(d.getUTCMonth() + 1)) {
+      d.setUTCMonth(d.getUTCMonth() + 1, 1);
+      d.setUTCHours(0, 0);
+      continue;
+    }
+    if (!dayMatches(c, d)) {
+      d.setUTCDate(d.getUTCDate() + 1);
+      d.setUTCHours(0, 0);
+      continue;
+    }
+    if (!c.hour.has(d.getUTCHours())) {
+      d.setUTCHours(d.getUTCHours() + 1, 0);
+      continue;
+    }
+    if (!c.minute.has(d.getUTCMinutes())) {
+      d.setUTCMinutes(d.getUTCMinutes() + 1);
+      continue;
+    }
+    return d.getTime();
+  }
+  return null;
+}
+
+/**
+ * Cron for "every N minutes/hours" style config values. Intervals that do
+ * not divide the hour or day evenly are rounded to the nearest one that does.
+ */
+export function intervalToCron({ minutes, hours } = {}) {
+  if (hours) {
+    if (hours >= 24) return "0 0 * * *";
+    const h = [1, 2, 3, 4, 6, 8, 12].reduce((best, v) => (Math.abs(v - hours) < Math.abs(best - hours) ? v : best), 1);
+    return h === 1 ? "0 * * * *" : `0 */${h} * * *`;
+  }
+  const m = [1, 2, 3, 4, 5, 6, 10, 12, 15, 20, 30, 60].reduce((best, v) => (Math.abs(v - minutes) < Math.abs(best - minutes) ? v : best), 1);
+  return m === 60 ? "0 * * * *" : m === 1 ? "* * * * *" : `*/${m} * * * *`;
+}
+
+// ---------------------------------------------------------------------------
+// DB
+// ---------------------------------------------------------------------------
+
+let _db = null;
+
+export function initSchedulerDb(db) {
+  if (_db === db) return;
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS scheduler_jobs (
+      name TEXT PRIMARY KEY,
+      cron TEXT NOT NULL,
+      next_run_at INTEGER,
+      last_run_at INTEGER,
+      last_status TEXT,
+      last_error TEXT,
+      last_duration_ms INTEGER,
+      running_since INTEGER,
+      run_count INTEGER NOT NULL DEFAULT 0,
+      updated_at INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+
+    CREATE TABLE IF NOT EXISTS scheduler_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job TEXT NOT NULL,
+      scheduled_for INTEGER,
+      started_at INTEGER NOT NULL,
+      finished_at INTEGER,
+      status TEXT NOT NULL,
+      catch_up INTEGER NOT NULL DEFAULT 0,
+      error TEXT
+    );
+    CREATE INDEX IF NOT EXISTS scheduler_runs_job_idx ON scheduler_runs(job, started_at);
+  `);
+  _db = db;
+}
+
+/** Stored state of every job (registered in this process or not) with its recent runs. */
+export function schedulerStatus(db, { job = null, history = 5 } = {}) {
+  initSchedulerDb(db);
+  const iso = (t) => (t ? new Date(t * 1000).toISOString() : null);
+  const jobs = job
+    ? db.prepare("SELECT * FROM scheduler_jobs WHERE name = ?").all(job)
+    : db.prepare("SELECT * FROM scheduler_jobs ORDER BY name").all();
+  const runs = db.prepare("SELECT * FROM scheduler_runs WHERE job = ? ORDER BY id DESC LIMIT ?");
+  return jobs.map((j) => ({
+    name: j.name,
+    cron: j.cron,
+    running: !!j.running_since,
+    running_since: iso(j.running_since),
+    next_run_at: iso(j.next_run_at),
+    last_run_at: iso(j.last_run_at),
+    last_status: j.last_status,
+    last_error: j.last_error,
+    last_duration_ms: j.last_duration_ms,
+    run_count: j.run_count,
+    recent_runs: runs.all(j.name, history).map((r) => ({
+      status: r.status,
+      catch_up: !!r.catch_up,
+      scheduled_for: iso(r.scheduled_for),
+      started_at: iso(r.started_at),
+      finished_at: iso(r.finished_at),
+      error: r.error,
+    })),
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// Scheduler
+// ---------------------------------------------------------------------------
+
+/**
+ * `opts`: { log }. Jobs: register(name, cron, handler, { catchUp = true,
+ * runOnFirstStart = false }). The handler receives { name, scheduledFor,
+ * catchUp, manual } and may be async; a thrown error marks the run failed.
+ */
+export function createScheduler(db, { log = () => {} } = {}) {
+  initSchedulerDb(db);
+  const jobs = new Map();
+  const running = new Set();
+  let timer = null;
+  let started = false;
+
+  const now = () => Math.floor(Date.now() / 1000);
+  const getRow = db.prepare("SELECT * FROM scheduler_jobs WHERE name = ?");
+  const setNext = db.prepare("UPDATE scheduler_jobs SET next_run_at = ?, updated_at = unixepoch() WHERE name = ?");
+
+  const computeNext = (job, fromMs = Date.now()) => {
+    const next = nextCronTime(job.parsed, fromMs);
+    return next === null ? null : Math.floor(next / 1000);
+  };
+
+  async function execute(job, { scheduledFor = null, catchUp = false, manual = false } = {}) {
+    if (running.has(job.name)) {
+      db.prepare("INSERT INTO scheduler_runs (job, scheduled_for, started_at, finished_at, status, catch_up, error) VALUES (?, ?, ?, ?, 'skipped', ?, ?)")
+        .run(job.name, scheduledFor, now(), now(), catchUp ? 1 : 0, "previous run still in progress");
+      return { status: "skipped" };
+    }
+    running.add(job.name);
+    const startedAt = now();
+    const startedMs = Date.now();
+    db.prepare("UPDATE scheduler_jobs SET running_since = ? WHERE name = ?").run(startedAt, job.name);
+    const runId = db.prepare("INSERT INTO scheduler_runs (job, scheduled_for, started_at, status, catch_up) VALUES (?, ?, ?, 'running', ?)")
+      .run(job.name, scheduledFor, startedAt, catchUp ? 1 : 0).lastInsertRowid;
+
+    let status = "ok";
+    let error = null;
+    try {
+      await job.handler({ name: job.name, scheduledFor, catchUp, manual });
+    } catch (err) {
+      status = "error";
+      error = String(err?.message || err).slice(0, 500);
+      log(`Scheduler: ${job.name} failed — ${error}`);
+    } finally {
+      running.delete(job.name);
+    }
+
+    // The db may be closed by now (stop() during shutdown); bookkeeping
+    // failures are logged, never thrown from a timer.
+    try {
+      db.prepare("UPDATE scheduler_runs SET finished_at = ?, status = ?, error = ? WHERE id = ?").run(now(), status, error, runId);
+      db.prepare(`
+        UPDATE scheduler_jobs SET running_since = NULL, last_run_at = ?, last_status = ?, last_error = ?,
+          last_duration_ms = ?, run_count = run_count + 1, updated_at = unixepoch()
+        WHERE name = ?
+      `).run(startedAt, status, error, Date.now() - startedMs, job.name);
+      db.prepare("DELETE FROM scheduler_runs WHERE job = ? AND id <= (SELECT id FROM scheduler_runs WHERE job = ? ORDER BY id DESC LIMIT 1 OFFSET ?)")
+        .run(job.name, job.name, HISTORY_KEEP);
+    } catch (err) {
+      log(`Scheduler: could not record ${job.name} run — ${String(err?.message || err).slice(0, 200)}`);
+    }
+    return { status, error };
+  }
+
+  // Timer-driven runs have no caller to reject to.
+  function executeDetached(job, opts) {
+    execute(job, opts).catch((err) => log(`Scheduler: ${job.name} could not run — ${String(err?.message || err).slice(0, 200)}`));
+  }
+
+  function tick() {
+    timer = null;
+    if (!started) return;
+    const t = now();
+    let nextDue = Infinity;
+    for (const job of jobs.values()) {
+      const row = getRow.get(job.name);
+      if (row?.next_run_at && row.next_run_at <= t) {
+        const next = computeNext(job);
+        setNext.run(next, job.name);
+        executeDetached(job, { scheduledFor: row.next_run_at });
+        if (next) nextDue = Math.min(nextDue, next);
+      } else if (row?.next_run_at) {
+        nextDue = Math.min(nextDue, row.next_run_at);
+      }
+    }
+    const wait = Math.min(TICK_MAX_MS, Math.max(1000, (nextDue - now()) * 1000));
+    timer = setTimeout(tick, wait);
+  }
+
+  return {
+    register(name, cron, handler, { catchUp = true, runOnFirstStart = false } = {}) {
+      const parsed = parseCron(cron);
+      jobs.set(name, { name, cron, parsed, handler, catchUp, runOnFirstStart });
+      db.prepare(`
+        INSERT INTO scheduler_jobs (name, cron) VALUES (?, ?)
+        ON CONFLICT(name) DO NOTHING
+      `).run(name, cron);
+    },
+
+    /** Begin ticking after `delayMs`; runs missed and first-start jobs first. */
+    start({ delayMs = 0 } = {}) {
+      if (started) return;
+      started = true;
+      const interrupted = db.prepare("UPDATE scheduler_runs SET status = 'interrupted', finished_at = ? WHERE status = 'running'").run(now()).changes;
+      db.prepare("UPDATE scheduler_jobs SET running_since = NULL WHERE running_since IS NOT NULL").run();
+      if (interrupted) log(`Scheduler: ${interrupted} run(s) interrupted by the last shutdown`);
+
+      const due = [];
+      for (const job of jobs.values()) {
+        const row = getRow.get(job.name);
+        const next = computeNext(job);
+        if (row.cron !== job.cron) {
+          db.prepare("UPDATE scheduler_jobs SET cron = ? WHERE name = ?").run(job.cron, job.name);
+          setNext.run(next, job.name);
+        } else if (row.next_run_at && row.next_run_at <= now()) {
+          setNext.run(next, job.name);
+          if (job.catchUp) due.push({ job, scheduledFor: row.next_run_at, catchUp: true });
+        } else if (!row.next_run_at) {
+          setNext.run(next, job.name);
+          if (job.runOnFirstStart && !row.last_run_at) due.push({ job, scheduledFor: null, catchUp: false });
+        }
+      }
+      for (const d of due) {
+        if (d.catchUp) log(`Scheduler: catching up ${d.job.name} (missed ${new Date(d.scheduledFor * 1000).toISOString()})`);
+      }
+
+      timer = setTimeout(() => {
+        timer = null;
+        for (const d of due) executeDetached(d.job, d);
+        tick();
+      }, delayMs);
+    },
+
+    stop() {
+      started = false;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+    },
+
+    /** Run a registered job now, outside its schedule (still overlap-protected). */
+    async runNow(name) {
+      const job = jobs.get(name);
+      if (!job) throw new Error(`Unknown job: ${name}`);
+      return execute(job, { manual: true });
+    },
+
+    jobNames() {
+      return [...jobs.keys()];
+    },
+  };
+}
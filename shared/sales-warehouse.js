@@ -0,0 +1,571 @@
+/**
+ * Local warehouse of gift sales, synced incrementally from GetGems and
+ * MarketApp.
+ *
+ * Every sale lands once in gift_sales (unique on nft + time + buyer, so the
+ * same trade seen by two feeds is stored once) with collection, traits,
+ * buyer, seller, price and marketplace. Each feed keeps a cursor row in
+ * gift_sales_cursors:
+ *  - head_time: newest event stored; a sync pages from the top of the feed
+ *    until it reaches it again.
+ *  - gaps_json: ranges a sync could not finish within its page budget; they
+ *    are resumed first on the next run.
+ *  - backfill_cursor: position in older history, walked a few pages per run
+ *    until the feed is exhausted.
+ * Feeds: the global GetGems gift sales feed, and per-collection GetGems
+ * collection/history and MarketApp gifts/history.
+ */
+
+import { createRequire } from "node:module";
+import { realpathSync } from "node:fs";
+import { sourceFetch } from "./source-health.js";
+
+const _require = createRequire(realpathSync(process.argv[1]));
+const { Address } = _require("@ton/core");
+
+const GETGEMS_API = "https://api.getgems.io/public-api/v1";
+const MARKETAPP_API = "https://api.marketapp.ws/v1";
+
+const PAGE_SIZE = 100;
+const DEFAULT_MAX_PAGES = 5;
+
+// ---------------------------------------------------------------------------
+// Normalization
+// ---------------------------------------------------------------------------
+
+function normalizeAddress(value, bounceable) {
+  if (!value) return null;
+  try {
+    return Address.parse(value).toString({ bounceable });
+  } catch {
+    return String(value);
+  }
+}
+
+/** Raw form used for collection filters, so EQ/UQ/0: spellings all match. */
+export function toRawCollection(value) {
+  if (!value) return null;
+  try {
+    return Address.parse(value).toRawString();
+  } catch {
+    return String(value);
+  }
+}
+
+function toTon(nano, plain) {
+  if (nano != null) return Number(BigInt(nano)) / 1e9;
+  const n = Number(plain);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function traitsOf(attributes) {
+  const traits = {};
+  for (const a of attributes || []) {
+    const key = String(a.traitType ?? a.trait_type ?? "").toLowerCase();
+    if (key) traits[key] = a.value;
+  }
+  return { model: traits.model ?? null, backdrop: traits.backdrop ?? null, symbol: traits.symbol ?? null };
+}
+
+function normalizeGetgemsEvent(item, collectionAddress) {
+  const td = item.typeData || {};
+  if (td.type && td.type !== "sold") return null;
+  return {
+    source: null,
+    marketplace: "getgems",
+    nft_address: normalizeAddress(item.address, true),
+    nft_name: item.name || null,
+    collection_address: toRawCollection(item.collectionAddress || item.collection?.address || collectionAddress),
+    collection_name: item.collectionName || item.collection?.name || null,
+    ...traitsOf(item.attributes),
+    buyer: normalizeAddress(td.newOwner, false),
+    seller: normalizeAddress(td.oldOwner, false),
+    price_ton: toTon(td.priceNano, td.price),
+    currency: td.currency || "TON",
+    sold_at: Number(item.time) || 0,
+  };
+}
+
+function normalizeMarketAppEvent(ev, collectionAddress) {
+  const td = ev.type_details || {};
+  const price = td.price_nano ? toTon(td.price_nano) : toTon(null, td.price ?? ev.price ?? ev.price_ton);
+  if (!(price > 0)) return null;
+  let time = ev.ts || ev.timestamp || 0;
+  if (!time && ev.date) time = Math.floor(new Date(ev.date).getTime() / 1000);
+  if (time > 1e12) time = Math.floor(time / 1000);
+  return {
+    source: null,
+    marketplace: "marketapp",
+    nft_address: normalizeAddress(ev.address || ev.nft_address || ev.nft, true),
+    nft_name: ev.name || null,
+    collection_address: toRawCollection(ev.collection_address || collectionAddress),
+    collection_name: ev.collection_name || null,
+    ...traitsOf(ev.attributes),
+    buyer: normalizeAddress(td.dst || ev.buyer || ev.new_owner, false),
+    seller: normalizeAddress(td.src || ev.seller || ev.old_owner, false),
+    price_ton: price,
+    currency: "TON",
+    sold_at: time,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Feeds
+// ---------------------------------------------------------------------------
+
+async function fetchJson(url, headers) {
+  const res = await sourceFetch(url, { headers: { Accept: "application/json", ...headers }, timeoutMs: 30000 });
+  if (!res.ok) {
+    const body = await res.text().catch(() => "");
+    throw new Error(`${new URL(url).host} ${res.status}: ${body.slice(0, 200)}`);
+  }
+  return res.json();
+}
+
+/**
+ * Feed definitions. `fetchPage(cursor)` returns { sales, cursor, oldestTime }
+ * with the newest events first.
+ */
+function getgemsGiftsFeed(apiKey) {
+  return {
+    source: "getgems_gifts",
+    collectionAddress: null,
+    async fetchPage(cursor) {
+      const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+      if (cursor) params.set("after", cursor);
+      params.append("types[]", "sold");
+      const raw = await fetchJson(`${GETGEMS_API}/nfts/history/gifts?${params}`, { Authorization: apiKey });
+      const data = raw.response !== undefined ? raw.response : raw;
+      const items = data.items || (Array.isArray(data) ? data : []);
+      return pageOf(items.map((i) => normalizeGetgemsEvent(i, null)), data.cursor, items.length);
+    },
+  };
+}
+
+function getgemsCollectionFeed(apiKey, collectionAddress) {
+  const raw = toRawCollection(collectionAddress);
+  return {
+    source: `getgems_collection:${raw}`,
+    collectionAddress: raw,
+    async fetchPage(cursor) {
+      const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+      if (cursor) params.set("after", cursor);
+      params.append("types[]", "sold");
+      const body = await fetchJson(`${GETGEMS_API}/collection/history/${raw}?${params}`, { Authorization: apiKey });
+      const data = body.response !== undefined ? body.response : body;
+      const items = data.items || [];
+      return pageOf(items.map((i) => normalizeGetgemsEvent(i, raw)), data.cursor, items.length);
+    },
+  };
+}
+
+function marketappCollectionFeed(token, collectionAddress) {
+  const raw = toRawCollection(collectionAddress);
+  return {
+    source: `marketapp_collection:${raw}`,
+    collectionAddress: raw,
+    async fetchPage(cursor) {
+      const params = new URLSearchParams({ collection_address: collectionAddress, limit: String(PAGE_SIZE) });
+      if (cursor) params.set("cursor", cursor);
+      const data = await fetchJson(`${MARKETAPP_API}/gifts/history/?${params}`, { Authorization: token });
+      const items = data.items || data.data || data.results || [];
+      return pageOf(items.map((e) => normalizeMarketAppEvent(e, raw)), data.cursor || data.next_cursor || null, items.length);
+    },
+  };
+}
+
+function pageOf(sales, cursor, rawCount) {
+  const valid = sales.filter((s) => s && s.nft_address && s.sold_at > 0);
+  const oldestTime = valid.length ? Math.min(...valid.map((s) => s.sold_at)) : null;
+  return { sales: valid, cursor: rawCount > 0 ? cursor || null : null, oldestTime };
+}
+
+// ---------------------------------------------------------------------------
+// DB
+// ---------------------------------------------------------------------------
+
+// Statements are prepared per database so a sync awaiting the network keeps
+// writing to the db it started with while another plugin uses its own.
+const _stmts = new WeakMap();
+
+/** Create the warehouse tables in `db` and return its prepared statements. */
+export function initSalesWarehouseDb(db) {
+  const cached = _stmts.get(db);
+  if (cached) return cached;
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS gift_sales (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source TEXT NOT NULL,
+      marketplace TEXT NOT NULL,
+      nft_address TEXT NOT NULL,
+      nft_name TEXT,
+      collection_address TEXT,
+      collection_name TEXT,
+      model TEXT,
+      backdrop TEXT,
+      symbol TEXT,
+      buyer TEXT,
+      seller TEXT,
+      price_ton REAL NOT NULL,
+      currency TEXT NOT NULL DEFAULT 'TON',
+      sold_at INTEGER NOT NULL,
+      synced_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      UNIQUE(nft_address, sold_at, buyer)
+    );
+
+    CREATE INDEX IF NOT EXISTS gift_sales_collection_idx ON gift_sales(collection_address, sold_at);
+    CREATE INDEX IF NOT EXISTS gift_sales_time_idx ON gift_sales(sold_at);
+    CREATE INDEX IF NOT EXISTS gift_sales_buyer_idx ON gift_sales(buyer, sold_at);
+    CREATE INDEX IF NOT EXISTS gift_sales_seller_idx ON gift_sales(seller, sold_at);
+
+    CREATE TABLE IF NOT EXISTS gift_sales_cursors (
+      source TEXT PRIMARY KEY,
+      collection_address TEXT,
+      head_time INTEGER,
+      gaps_json TEXT NOT NULL DEFAULT '[]',
+      backfill_cursor TEXT,
+      backfill_done INTEGER NOT NULL DEFAULT 0,
+      oldest_time INTEGER,
+      synced_count INTEGER NOT NULL DEFAULT 0,
+      last_sync_at INTEGER,
+      last_error TEXT
+    );
+  `);
+
+  const stmts = {};
+  stmts.saleInsert = db.prepare(`
+    INSERT OR IGNORE INTO gift_sales (
+      source, marketplace, nft_address, nft_name, collection_address, collection_name,
+      model, backdrop, symbol, buyer, seller, price_ton, currency, sold_at
+    ) VALUES (
+      @source, @marketplace, @nft_address, @nft_name, @collection_address, @collection_name,
+      @model, @backdrop, @symbol, @buyer, @seller, @price_ton, @currency, @sold_at
+    )
+  `);
+
+  stmts.cursorGet = db.prepare("SELECT * FROM gift_sales_cursors WHERE source = ?");
+
+  stmts.cursorUpsert = db.prepare(`
+    INSERT INTO gift_sales_cursors (
+      source, collection_address, head_time, gaps_json, backfill_cursor, backfill_done,
+      oldest_time, synced_count, last_sync_at, last_error
+    ) VALUES (
+      @source, @collection_address, @head_time, @gaps_json, @backfill_cursor, @backfill_done,
+      @oldest_time, @synced_count, @last_sync_at, @last_error
+    )
+    ON CONFLICT(source) DO UPDATE SET
+      head_time = excluded.head_time,
+      gaps_json = excluded.gaps_json,
+      backfill_cursor = excluded.backfill_cursor,
+      backfill_done = excluded.backfill_done,
+      oldest_time = excluded.oldest_time,
+      synced_count = excluded.synced_count,
+      last_sync_at = excluded.last_sync_at,
+      last_error = excluded.last_error
+  `);
+
+  stmts.cursorList = db.prepare("SELECT * FROM gift_sales_cursors ORDER BY source");
+
+  _stmts.set(db, stmts);
+  return stmts;
+}
+
+let _ownerDb = null;
+
+/**
+ * Make `db` the process-wide warehouse. whale-analytics registers its
+ * database when it loads; other plugins read and sync through
+ * salesWarehouseDb(), so each feed is synced into one place only.
+ */
+export function registerSalesWarehouseDb(db) {
+  initSalesWarehouseDb(db);
+  _ownerDb = db;
+}
+
+/** The registered warehouse database, or `fallback` when no owner is loaded. */
+export function salesWarehouseDb(fallback = null) {
+  return _ownerDb ?? fallback;
+}
+
+// ---------------------------------------------------------------------------
+// Sync
+// ---------------------------------------------------------------------------
+
+// db -> Map(feed source -> running sync)
+const _inFlight = new WeakMap();
+
+/**
+ * Pull new events for one feed, then spend the remaining page budget on
+ * unfinished gaps and older history. Returns { source, inserted, pages, error }.
+ */
+async function syncFeed(db, feed, { maxPages = DEFAULT_MAX_PAGES, backfill = true } = {}) {
+  const stmts = initSalesWarehouseDb(db);
+  const row = stmts.cursorGet.get(feed.source);
+  const state = {
+    source: feed.source,
+    collection_address: feed.collectionAddress,
+    head_time: row?.head_time ?? null,
+    gaps: row ? JSON.parse(row.gaps_json) : [],
+    backfill_cursor: row?.backfill_cursor ?? null,
+    backfill_done: row?.backfill_done ?? 0,
+    oldest_time: row?.oldest_time ?? null,
+    synced_count: row?.synced_count ?? 0,
+  };
+
+  let pages = 0;
+  let inserted = 0;
+  let error = null;
+
+  const store = (sales) => {
+    db.transaction(() => {
+      for (const s of sales) {
+        inserted += stmts.saleInsert.run({ ...s, source: feed.source }).changes;
+        if (state.oldest_time === null || s.sold_at < state.oldest_time) state.oldest_time = s.sold_at;
+      }
+    })();
+  };
+
+  // Walk from `cursor` until events at or before `until` show up, the feed
+  // ends, or the budget runs out. Returns the cursor to resume from (null
+  // when the walk completed). A `gap` being walked has its cursor moved along
+  // page by page, so it still points at the right page if a fetch throws.
+  const walk = async (cursor, until, gap = null) => {
+    while (pages < maxPages) {
+      const page = await feed.fetchPage(cursor);
+      pages++;
+      store(page.sales);
+      if (until !== null && page.oldestTime !== null && page.oldestTime <= until) return null;
+      if (!page.cursor) return null;
+      cursor = page.cursor;
+      if (gap) gap.cursor = cursor;
+    }
+    return cursor;
+  };
+
+  try {
+    // 1. New events since head_time.
+    const previousHead = state.head_time;
+    const first = await feed.fetchPage(null);
+    pages++;
+    store(first.sales);
+    const newest = first.sales.length ? Math.max(...first.sales.map((s) => s.sold_at)) : null;
+    if (newest !== null && (previousHead === null || newest > previousHead)) state.head_time = newest;
+
+    if (previousHead === null) {
+      // First sync: everything below the first page is history.
+      state.backfill_cursor = first.cursor;
+      state.backfill_done = first.cursor ? 0 : 1;
+    } else if (first.cursor && first.oldestTime !== null && first.oldestTime > previousHead) {
+      // head_time already moved past these sales, so the gap is recorded
+      // before walking: a walk that fails part-way is resumed next run.
+      const gap = { cursor: first.cursor, until: previousHead };
+      state.gaps.unshift(gap);
+      if (!(await walk(gap.cursor, gap.until, gap))) state.gaps.shift();
+    }
+
+    // 2. Gaps left by earlier runs; finished ones are dropped as they complete.
+    for (const gap of [...state.gaps]) {
+      if (pages >= maxPages) break;
+      if (!(await walk(gap.cursor, gap.until, gap))) state.gaps.splice(state.gaps.indexOf(gap), 1);
+    }
+
+    // 3. Older history.
+    if (backfill && !state.backfill_done && state.backfill_cursor && pages < maxPages) {
+      const resume = await walk(state.backfill_cursor, null);
+      state.backfill_cursor = resume;
+      state.backfill_done = resume ? 0 : 1;
+    }
+  } catch (err) {
+    error = String(err.message || err).slice(0, 300);
+  }
+
+  stmts.cursorUpsert.run({
+    source: state.source,
+    collection_address: state.collection_address,
+    head_time: state.head_time,
+    gaps_json: JSON.stringify(state.gaps),
+    backfill_cursor: state.backfill_cursor,
+    backfill_done: state.backfill_done,
+    oldest_time: state.oldest_time,
+    synced_count: state.synced_count + inserted,
+    last_sync_at: Math.floor(Date.now() / 1000),
+    last_error: error,
+  });
+
+  return { source: feed.source, inserted, pages, error };
+}
+
+/**
+ * Sync the feeds relevant to `collections` (addresses). With no collections,
+ * only the global GetGems gift feed is synced. Feeds whose credentials are
+ * missing are skipped. Concurrent calls for the same feed share one run.
+ * `opts`: { getgemsKey, marketappToken, maxPages, backfill, giftsFeed }
+ * (`giftsFeed: false` skips the global feed when collections are given).
+ */
+export async function syncSales(db, collections = [], opts = {}) {
+  initSalesWarehouseDb(db);
+  const feeds = [];
+  if (opts.getgemsKey && (opts.giftsFeed !== false || collections.length === 0)) {
+    feeds.push(getgemsGiftsFeed(opts.getgemsKey));
+  }
+  for (const address of collections) {
+    if (!address) continue;
+    if (opts.getgemsKey) feeds.push(getgemsCollectionFeed(opts.getgemsKey, address));
+    if (opts.marketappToken) feeds.push(marketappCollectionFeed(opts.marketappToken, address));
+  }
+
+  let running = _inFlight.get(db);
+  if (!running) {
+    running = new Map();
+    _inFlight.set(db, running);
+  }
+  const results = [];
+  for (const feed of feeds) {
+    let run = running.get(feed.source);
+    if (!run) {
+      run = syncFeed(db, feed, opts).finally(() => running.delete(feed.source));
+      running.set(feed.source, run);
+    }
+    results.push(await run);
+  }
+  return results;
+}
+
+// ---------------------------------------------------------------------------
+// Queries
+// ---------------------------------------------------------------------------
+
+function whereClause(filter) {
+  const clauses = [];
+  const args = [];
+  if (filter.collectionAddress) {
+    clauses.push("collection_address = ?");
+    args.push(toRawCollection(filter.collectionAddress));
+  }
+  if (filter.since) {
+    clauses.push("sold_at >= ?");
+    args.push(filter.since);
+  }
+  if (filter.until) {
+    clauses.push("sold_at < ?");
+    args.push(filter.until);
+  }
+  if (filter.wallet) {
+    clauses.push("(buyer = ? OR seller = ?)");
+    const w = normalizeAddress(filter.wallet, false);
+    args.push(w, w);
+  }
+  if (filter.model) {
+    clauses.push("model = ?");
+    args.push(filter.model);
+  }
+  if (filter.marketplace) {
+    clauses.push("marketplace = ?");
+    args.push(filter.marketplace);
+  }
+  return { sql: clauses.length ? `WHERE ${clauses.join(" AND ")}` : "", args };
+}
+
+/**
+ * Stored sales matching `filter` ({ collectionAddress, since, until, wallet,
+ * model, marketplace, limit }), newest first, in the shape the whale tools
+ * use for live API sales.
+ */
+export function querySales(db, filter = {}) {
+  initSalesWarehouseDb(db);
+  const { sql, args } = whereClause(filter);
+  const limit = filter.limit ?? 50000;
+  const rows = db.prepare(`SELECT * FROM gift_sales ${sql} ORDER BY sold_at DESC LIMIT ?`).all(...args, limit);
+  return rows.map((r) => ({
+    nft_address: r.nft_address,
+    nft_name: r.nft_name,
+    collection: r.collection_name,
+    collection_address: r.collection_address,
+    model: r.model,
+    backdrop: r.backdrop,
+    symbol: r.symbol,
+    price_ton: r.price_ton,
+    buyer: r.buyer,
+    seller: r.seller,
+    time: r.sold_at,
+    source: r.marketplace,
+  }));
+}
+
+/**
+ * Daily aggregates (UTC): trades, volume, min/max/avg and first/last price,
+ * oldest day first. Same filter as querySales.
+ */
+export function dailySales(db, filter = {}) {
+  initSalesWarehouseDb(db);
+  const { sql, args } = whereClause(filter);
+  const rows = db.prepare(`
+    SELECT date(sold_at, 'unixepoch') AS day, sold_at, price_ton
+    FROM gift_sales ${sql}
+    ORDER BY sold_at ASC
+  `).all(...args);
+
+  const days = new Map();
+  for (const r of rows) {
+    let d = days.get(r.day);
+    if (!d) {
+      d = { date: r.day, trades: 0, volume_ton: 0, open: r.price_ton, high: r.price_ton, low: r.price_ton, close: r.price_ton };
+      days.set(r.day, d);
+    }
+    d.trades++;
+    d.volume_ton += r.price_ton;
+    d.high = Math.max(d.high, r.price_ton);
+    d.low = Math.min(d.low, r.price_ton);
+    d.close = r.price_ton;
+  }
+  return [...days.values()].map((d) => ({
+    ...d,
+    volume_ton: +d.volume_ton.toFixed(2),
+    avg_price: +(d.volume_ton / d.trades).toFixed(2),
+  }));
+}
+
+/** Collections with stored sales (count and TON volume) since `since`, busiest first. */
+export function salesCollections(db, since = 0) {
+  initSalesWarehouseDb(db);
+  return db.prepare(`
+    SELECT collection_address, MAX(collection_name) AS collection_name, COUNT(*) AS sales, SUM(price_ton) AS volume_ton
+    FROM gift_sales
+    WHERE sold_at >= ? AND collection_address IS NOT NULL
+    GROUP BY collection_address
+    ORDER BY sales DESC
+  `).all(since);
+}
+
+/**
+ * How far back the warehouse reaches for a collection: stored sale count,
+ * time range, and whether every feed for it has been backfilled completely.
+ */
+export function salesCoverage(db, collectionAddress = null) {
+  const stmts = initSalesWarehouseDb(db);
+  const { sql, args } = whereClause({ collectionAddress });
+  const stats = db.prepare(
+    `SELECT COUNT(*) AS sales, MIN(sold_at) AS oldest, MAX(sold_at) AS newest FROM gift_sales ${sql}`
+  ).get(...args);
+  const raw = toRawCollection(collectionAddress);
+  const cursors = stmts.cursorList
+    .all()
+    .filter((c) => (raw ? c.collection_address === raw : true))
+    .map((c) => ({
+      source: c.source,
+      head_time: c.head_time,
+      oldest_time: c.oldest_time,
+      backfill_done: !!c.backfill_done,
+      open_gaps: JSON.parse(c.gaps_json).length,
+      synced_count: c.synced_count,
+      last_sync_at: c.last_sync_at,
+      last_error: c.last_error,
+    }));
+  return {
+    sales: stats.sales,
+    oldest: stats.oldest,
+    newest: stats.newest,
+    complete: cursors.length > 0 && cursors.every((c) => c.backfill_done && c.open_gaps === 0),
+    feeds: cursors,
+  };
+}
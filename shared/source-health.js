@@ -0,0 +1,294 @@
+/**
+ * Health registry and circuit breakers for external data sources.
+ *
+ * Every fetch helper goes through sourceFetch(), which maps the request host
+ * to a source (Giftstat, MarketApp, GetGems, Fragment, DYOR, GeckoTerminal,
+ * TonAPI, QuickChart) and records the outcome. After FAILURE_THRESHOLD
+ * consecutive failures (network error, timeout, 5xx, 429) the circuit opens
+ * and calls fail immediately until the cooldown passes; the first call after
+ * that is a single trial (half-open; concurrent calls keep failing fast) that
+ * closes the circuit on success or reopens it with a doubled cooldown.
+ * 401/403 are credential problems, not outages: they are reported but never
+ * trip a host.
+ *
+ * Data feeds (sources without hosts, e.g. GetGems history) have a circuit of
+ * their own. A feed that answers without data reports it with
+ * recordSourceStatus(); a streak of EMPTY_THRESHOLD empty answers opens the
+ * feed's circuit for a long recheck interval so its callers fall back to other
+ * sources, while the host stays usable for everything else.
+ *
+ * State is process-wide (shared by every plugin importing this module) and
+ * written through to each database passed to initSourceHealthDb(), so it
+ * survives restarts.
+ */
+
+export const SOURCES = {
+  giftstat: { name: "Giftstat", hosts: ["api.giftstat.app", "apiv2.giftstat.app"] },
+  marketapp: { name: "MarketApp", hosts: ["api.marketapp.ws"] },
+  getgems: { name: "GetGems", hosts: ["api.getgems.io"] },
+  getgems_history: { name: "GetGems history", hosts: [] },
+  fragment: { name: "Fragment", hosts: ["fragment.com"] },
+  dyor: { name: "DYOR", hosts: ["api.dyor.io"] },
+  geckoterminal: { name: "GeckoTerminal", hosts: ["api.geckoterminal.com"] },
+  tonapi: { name: "TonAPI", hosts: ["tonapi.io"] },
+  quickchart: { name: "QuickChart", hosts: ["quickchart.io"] },
+};
+
+const FAILURE_THRESHOLD = 3;
+const COOLDOWN_MS = 60 * 1000;
+const MAX_COOLDOWN_MS = 30 * 60 * 1000;
+// Same policy GetGems history had on its own: 3 empty answers in a row → skip for 6h.
+const EMPTY_THRESHOLD = 3;
+const EMPTY_RECHECK_MS = 6 * 60 * 60 * 1000;
+const PERSIST_INTERVAL_MS = 60 * 1000;
+// A half-open circuit lets one trial request through and fails the rest fast
+// until it answers; a trial that never reports back frees the slot after this.
+const PROBE_TIMEOUT_MS = 30 * 1000;
+
+const _state = new Map();
+const _dbs = new Set();
+let _log = null;
+
+function blank() {
+  return {
+    state: "closed",
+    status: "unknown",
+    failures: 0,
+    emptyStreak: 0,
+    trips: 0,
+    retryAt: 0,
+    lastOkAt: 0,
+    lastCheckedAt: 0,
+    lastError: null,
+    lastTransition: null,
+    calls: 0,
+    failuresTotal: 0,
+    latencyTotalMs: 0,
+    persistedAt: 0,
+    probeStartedAt: 0,
+  };
+}
+
+function entry(source) {
+  if (!_state.has(source)) _state.set(source, blank());
+  return _state.get(source);
+}
+
+/** Source key for a URL, or null for hosts outside the registry. */
+export function sourceForUrl(url) {
+  let host;
+  try {
+    host = new URL(String(url)).hostname;
+  } catch {
+    return null;
+  }
+  for (const [key, s] of Object.entries(SOURCES)) {
+    if (s.hosts.some((h) => host === h || host.endsWith(`.${h}`))) return key;
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Persistence
+// ---------------------------------------------------------------------------
+
+/** Attach a database for persistence; loads any stored state newer than memory. */
+export function initSourceHealthDb(db, { log } = {}) {
+  if (log) _log = log;
+  if (_dbs.has(db)) return;
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS source_health (
+      source TEXT PRIMARY KEY,
+      state_json TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+  `);
+  for (const row of db.prepare("SELECT source, state_json, updated_at FROM source_health").all()) {
+    if (!SOURCES[row.source]) continue;
+    const current = entry(row.source);
+    if (row.updated_at * 1000 <= Math.max(current.lastCheckedAt, current.persistedAt)) continue;
+    try {
+      Object.assign(current, JSON.parse(row.state_json), { persistedAt: row.updated_at * 1000 });
+    } catch {
+      // corrupt row — keep in-memory state
+    }
+  }
+  _dbs.add(db);
+}
+
+function persist(source, force = false) {
+  const s = entry(source);
+  if (!force && Date.now() - s.persistedAt < PERSIST_INTERVAL_MS) return;
+  s.persistedAt = Date.now();
+  const { persistedAt, probeStartedAt, ...stored } = s;
+  for (const db of _dbs) {
+    try {
+      db.prepare(`
+        INSERT INTO source_health (source, state_json, updated_at) VALUES (?, ?, unixepoch())
+        ON CONFLICT(source) DO UPDATE SET state_json = excluded.state_json, updated_at = excluded.updated_at
+      `).run(source, JSON.stringify(stored));
+    } catch {
+      _dbs.delete(db);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Breaker
+// ---------------------------------------------------------------------------
+
+function transition(source, s, to, reason) {
+  if (s.state === to) return;
+  s.lastTransition = { from: s.state, to, at: new Date().toISOString(), reason };
+  if (_log) {
+    const name = SOURCES[source]?.name || source;
+    if (to === "open") _log(`⚠ ${name} circuit OPEN (${reason}) — failing fast until ${new Date(s.retryAt).toISOString()}`);
+    else if (to === "closed") _log(`⚡ ${name} RECOVERED (${reason})`);
+  }
+  s.state = to;
+}
+
+function probeInFlight(s) {
+  return s.state === "half_open" && s.probeStartedAt > 0 && Date.now() - s.probeStartedAt < PROBE_TIMEOUT_MS;
+}
+
+/**
+ * Whether calls to `source` should be attempted now. An open circuit whose
+ * cooldown has passed moves to half-open; it is available again once no trial
+ * request is in flight. Does not claim the trial — sourceFetch does.
+ */
+export function isSourceAvailable(source) {
+  const s = entry(source);
+  if (s.state === "open") {
+    if (Date.now() < s.retryAt) return false;
+    transition(source, s, "half_open", "cooldown elapsed");
+  }
+  return !probeInFlight(s);
+}
+
+/** Like isSourceAvailable(), but a half-open circuit hands out its single trial slot. */
+function acquireCall(source) {
+  if (!isSourceAvailable(source)) return false;
+  const s = entry(source);
+  if (s.state === "half_open") s.probeStartedAt = Date.now();
+  return true;
+}
+
+/**
+ * Record an observed outcome. `status` is "ok", "empty_data" (answered without
+ * data; only trips data feeds), "not_configured" (no API key) or "unauthorized"
+ * (key rejected) — both reported, never trip — or any error label such as
+ * "error_503", "timeout". `transport: true` marks an "ok" that
+ * only says the source answered, so it does not reset the empty-data streak.
+ */
+export function recordSourceStatus(source, status, { error = null, latencyMs = null, transport = false } = {}) {
+  const s = entry(source);
+  const wasState = s.state;
+  s.lastCheckedAt = Date.now();
+  s.probeStartedAt = 0;
+  s.status = status;
+  // Only requests made through sourceFetch (which pass a latency) count as calls.
+  if (latencyMs != null) {
+    s.calls++;
+    s.latencyTotalMs += latencyMs;
+  }
+
+  if (status === "ok") {
+    s.failures = 0;
+    if (!transport) s.emptyStreak = 0;
+    s.trips = 0;
+    s.lastOkAt = Date.now();
+    s.lastError = null;
+    transition(source, s, "closed", "successful response");
+  } else if (status === "not_configured" || status === "unauthorized") {
+    s.lastError = error || status.replace("_", " ");
+  } else if (status === "empty_data") {
+    s.failures = 0;
+    s.emptyStreak++;
+    if (s.emptyStreak >= EMPTY_THRESHOLD && SOURCES[source].hosts.length === 0) {
+      s.retryAt = Date.now() + EMPTY_RECHECK_MS;
+      transition(source, s, "open", `${s.emptyStreak} consecutive empty responses`);
+    }
+  } else {
+    s.failures++;
+    s.failuresTotal++;
+    s.lastError = error ? String(error).slice(0, 300) : status;
+    if (s.state === "half_open" || s.failures >= FAILURE_THRESHOLD) {
+      s.retryAt = Date.now() + Math.min(COOLDOWN_MS * 2 ** s.trips, MAX_COOLDOWN_MS);
+      s.trips++;
+      transition(source, s, "open", s.state === "half_open" ? `trial call failed: ${status}` : `${s.failures} consecutive failures`);
+    }
+  }
+  persist(source, s.state !== wasState || status !== "ok");
+}
+
+/** Error thrown by sourceFetch while a circuit is open. */
+function unavailableError(source) {
+  const s = entry(source);
+  const why = s.state === "half_open"
+    ? "trial request in progress"
+    : `retry after ${new Date(s.retryAt).toISOString()}`;
+  const err = new Error(`${SOURCES[source].name} temporarily unavailable (circuit open after: ${s.lastError || s.status}; ${why})`);
+  err.sourceUnavailable = true;
+  err.source = source;
+  return err;
+}
+
+/**
+ * fetch() with a timeout and circuit breaker for registry hosts; other hosts
+ * pass straight through. `probe: true` bypasses an open circuit (health checks).
+ * Responses are returned as-is — only transport errors, 5xx and 429 count as
+ * failures; 401/403 are recorded as "unauthorized" and other 4xx mean the
+ * source is up.
+ */
+export async function sourceFetch(url, { timeoutMs = 15000, probe = false, ...options } = {}) {
+  const source = sourceForUrl(url);
+  const init = { ...options, signal: options.signal || AbortSignal.timeout(timeoutMs) };
+  if (!source) return fetch(url, init);
+  if (!probe && !acquireCall(source)) throw unavailableError(source);
+
+  const started = Date.now();
+  let res;
+  try {
+    res = await fetch(url, init);
+  } catch (err) {
+    const timedOut = err?.name === "TimeoutError" || err?.name === "AbortError";
+    recordSourceStatus(source, timedOut ? "timeout" : "network_error", { error: err.message, latencyMs: Date.now() - started });
+    throw err;
+  }
+  const failed = res.status >= 500 || res.status === 429;
+  const unauthorized = res.status === 401 || res.status === 403;
+  recordSourceStatus(source, failed ? `error_${res.status}` : unauthorized ? "unauthorized" : "ok", {
+    error: failed || unauthorized ? `HTTP ${res.status}` : null,
+    latencyMs: Date.now() - started,
+    transport: true,
+  });
+  return res;
+}
+
+/** Health of every registered source (or one). */
+export function sourceHealth(source = null) {
+  const iso = (t) => (t ? new Date(t).toISOString() : null);
+  const keys = source ? [source] : Object.keys(SOURCES);
+  return keys.map((key) => {
+    const s = entry(key);
+    const open = (s.state === "open" && Date.now() < s.retryAt) || probeInFlight(s);
+    return {
+      source: key,
+      name: SOURCES[key].name,
+      state: s.state,
+      status: s.status,
+      available: !open,
+      consecutive_failures: s.failures,
+      empty_streak: s.emptyStreak,
+      retry_at: open ? iso(s.retryAt) : null,
+      last_ok: iso(s.lastOkAt),
+      last_checked: iso(s.lastCheckedAt),
+      last_error: s.lastError,
+      last_transition: s.lastTransition,
+      calls: s.calls,
+      failure_rate: s.calls ? Math.round((s.failuresTotal / s.calls) * 1000) / 1000 : null,
+      avg_latency_ms: s.calls ? Math.round(s.latencyTotalMs / s.calls) : null,
+    };
+  });
+}
@@ -0,0 +1,215 @@
+/**
+ * Spending guardrails for the agent wallet, shared by getgems and marketapp.
+ *
+ * Every signed transfer first reserves its outgoing TON in trade_spend_ledger.
+ * The per-trade cap, the rolling 24h cap and any per-collection cap are
+ * checked inside one SQLite transaction together with the insert, so parallel
+ * tool calls cannot slip past a limit together. Blocked attempts are recorded
+ * too, which makes a looping agent easy to spot.
+ */
+
+import { createRequire } from "node:module";
+import { realpathSync } from "node:fs";
+
+import { getTradingConfig } from "./trading-config.js";
+import { sumOutgoing } from "./ton-tx.js";
+
+const _require = createRequire(realpathSync(process.argv[1]));
+const { Address, fromNano } = _require("@ton/core");
+
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// ---------------------------------------------------------------------------
+// DB
+// ---------------------------------------------------------------------------
+
+// Statements are prepared per database: getgems and marketapp each pass their
+// own db, and a settle after `await send()` must hit the db it reserved in.
+const _stmts = new WeakMap();
+
+/** Create the ledger table in `db` and return its prepared statements. */
+export function initSpendingDb(db) {
+  const cached = _stmts.get(db);
+  if (cached) return cached;
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS trade_spend_ledger (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      marketplace TEXT NOT NULL,
+      action TEXT NOT NULL,
+      nft_address TEXT,
+      collection_address TEXT,
+      amount_ton REAL NOT NULL,
+      sender_id INTEGER,
+      status TEXT NOT NULL,
+      note TEXT,
+      created_at TEXT NOT NULL,
+      settled_at TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS trade_spend_ledger_created_idx
+      ON trade_spend_ledger(created_at);
+  `);
+
+  const stmts = {};
+  stmts.spendInsert = db.prepare(`
+    INSERT INTO trade_spend_ledger (
+      marketplace, action, nft_address, collection_address, amount_ton, sender_id, status, note, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  stmts.spendSettle = db.prepare(
+    "UPDATE trade_spend_ledger SET status = ?, note = COALESCE(?, note), settled_at = ? WHERE id = ?"
+  );
+
+  // 'failed' rows never reached the chain, 'blocked' rows were never signed.
+  stmts.spentSince = db.prepare(`
+    SELECT COALESCE(SUM(amount_ton), 0) AS total FROM trade_spend_ledger
+    WHERE status IN ('reserved', 'sent') AND created_at >= ?
+  `);
+
+  stmts.spentCollectionSince = db.prepare(`
+    SELECT COALESCE(SUM(amount_ton), 0) AS total FROM trade_spend_ledger
+    WHERE status IN ('reserved', 'sent') AND collection_address = ? AND created_at >= ?
+  `);
+
+  stmts.lastBuy = db.prepare(`
+    SELECT amount_ton FROM trade_spend_ledger
+    WHERE action = 'buy' AND status = 'sent' AND nft_address IN (?, ?)
+    ORDER BY id DESC
+    LIMIT 1
+  `);
+
+  _stmts.set(db, stmts);
+  return stmts;
+}
+
+function normalizeAddress(addr) {
+  if (!addr) return null;
+  try {
+    return Address.parse(addr).toRawString();
+  } catch {
+    return String(addr);
+  }
+}
+
+function collectionCap(cfg, collection) {
+  if (!collection) return null;
+  for (const [key, cap] of Object.entries(cfg.collectionCapsTon)) {
+    if (normalizeAddress(key) === collection) return cap;
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Policy
+// ---------------------------------------------------------------------------
+
+/**
+ * Only allowlisted senders (trading.allowed_sender_ids, else telegram.admin_ids)
+ * and approvers may trigger buys. With no list configured at all, anyone can.
+ * Returns an error string, or null when the sender is allowed.
+ */
+export function checkSenderAllowed(context, action) {
+  if (action !== "buy") return null;
+  const cfg = getTradingConfig(context);
+  if (cfg.allowedSenderIds.length === 0 && cfg.approverIds.length === 0) return null;
+  if (cfg.allowedSenderIds.includes(context.senderId) || cfg.approverIds.includes(context.senderId)) {
+    return null;
+  }
+  return `Sender ${context.senderId ?? "unknown"} is not allowed to trigger buys (trading.allowed_sender_ids)`;
+}
+
+function findViolation(stmts, cfg, amount, collection, since) {
+  if (cfg.maxTradeTon !== null && amount > cfg.maxTradeTon) {
+    return `Trade of ${amount} TON exceeds the per-trade limit of ${cfg.maxTradeTon} TON`;
+  }
+  if (cfg.maxDailyTon !== null) {
+    const spent = stmts.spentSince.get(since).total;
+    if (spent + amount > cfg.maxDailyTon) {
+      return `Trade of ${amount} TON would exceed the 24h limit of ${cfg.maxDailyTon} TON (already spent ${spent.toFixed(2)} TON)`;
+    }
+  }
+  const cap = collectionCap(cfg, collection);
+  if (cap !== null) {
+    const spent = stmts.spentCollectionSince.get(collection, since).total;
+    if (spent + amount > cap) {
+      return `Trade of ${amount} TON would exceed the 24h cap of ${cap} TON for collection ${collection} (already spent ${spent.toFixed(2)} TON)`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check the limits and reserve `spend.amount_ton` in the ledger. Throws with
+ * the reason when the spend is not allowed; returns the ledger row id
+ * otherwise.
+ *
+ * `spend` is { marketplace, action, nft_address, collection_address, amount_ton }.
+ */
+export function reserveSpend(context, spend) {
+  if (!context?.db) {
+    throw new Error("Database not available in context — spending limits cannot be enforced");
+  }
+  const stmts = initSpendingDb(context.db);
+
+  const cfg = getTradingConfig(context);
+  const amount = Number(spend.amount_ton) || 0;
+  const collection = normalizeAddress(spend.collection_address);
+  const senderId = Number.isInteger(context.senderId) ? context.senderId : null;
+
+  const reserve = context.db.transaction(() => {
+    const now = new Date();
+    const violation =
+      checkSenderAllowed(context, spend.action) ??
+      findViolation(stmts, cfg, amount, collection, new Date(now.getTime() - WINDOW_MS).toISOString());
+
+    const row = stmts.spendInsert.run(
+      spend.marketplace,
+      spend.action,
+      normalizeAddress(spend.nft_address),
+      collection,
+      amount,
+      senderId,
+      violation ? "blocked" : "reserved",
+      violation,
+      now.toISOString()
+    );
+    return { id: row.lastInsertRowid, violation };
+  });
+
+  const { id, violation } = reserve();
+  if (violation) throw new Error(`Spending limit: ${violation}`);
+  return id;
+}
+
+/**
+ * TON the agent wallet paid for its last buy of `nftAddress` (fees included),
+ * or null when the ledger has no such buy.
+ */
+export function lastPurchasePriceTon(db, nftAddress) {
+  if (!db || !nftAddress) return null;
+  const row = initSpendingDb(db).lastBuy.get(normalizeAddress(nftAddress), String(nftAddress));
+  return row ? row.amount_ton : null;
+}
+
+/** Mark ledger row `ledgerId` in `db` (the db it was reserved in) as sent or failed. */
+export function settleSpend(db, ledgerId, status, note = null) {
+  initSpendingDb(db).spendSettle.run(status, note, new Date().toISOString(), ledgerId);
+}
+
+/**
+ * Reserve the outgoing TON of `messages`, run `send`, then settle the ledger
+ * row as sent or failed. `send` is only called when the limits allow it.
+ */
+export async function guardedSend(context, spend, messages, send) {
+  const { db } = context;
+  const ledgerId = reserveSpend(context, { ...spend, amount_ton: fromNano(sumOutgoing(messages)) });
+  try {
+    const result = await send();
+    settleSpend(db, ledgerId, "sent", result?.seqno !== undefined ? `seqno ${result.seqno}` : null);
+    return result;
+  } catch (err) {
+    settleSpend(db, ledgerId, "failed", String(err.message || err).slice(0, 200));
+    throw err;
+  }
+}
@@ -0,0 +1,207 @@
+/**
+ * Shared TON transaction helpers for the trading plugins (getgems, marketapp).
+ *
+ * Marketplace APIs return unsigned transfer payloads (destination, amount,
+ * optional payload/stateInit as base64 BoC). These helpers turn them into
+ * wallet messages, decode them for human review, and estimate what sending
+ * them would cost the agent wallet.
+ */
+
+import { createRequire } from "node:module";
+import { realpathSync } from "node:fs";
+
+const _require = createRequire(realpathSync(process.argv[1]));
+const {
+  Address,
+  SendMode,
+  Cell,
+  beginCell,
+  storeMessage,
+  fromNano,
+  loadStateInit,
+  contractAddress,
+} = _require("@ton/core");
+const { internal } = _require("@ton/ton");
+
+export const TRANSFER_SEND_MODE = SendMode.PAY_GAS_SEPARATELY + SendMode.IGNORE_ERRORS;
+
+// Opcodes we expect to see in marketplace transactions. Anything else is
+// reported as raw hex so the reviewer can still tell messages apart.
+const KNOWN_OPCODES = {
+  0x00000000: "text_comment",
+  0x5fcc3d14: "nft_transfer",
+  0x0f8a7ea5: "jetton_transfer",
+  0xd53276db: "excesses",
+  0x2fcb26a2: "get_static_data",
+};
+
+function parseBoc(b64) {
+  if (!b64) return null;
+  return Cell.fromBoc(Buffer.from(b64, "base64"))[0];
+}
+
+// Getgems returns { to, amount }, MarketApp returns { address, amount }.
+function normalizeTxItem(item) {
+  const to = item.to ?? item.address;
+  if (!to) throw new Error("Transaction message is missing a destination address");
+  if (item.amount === undefined || item.amount === null) {
+    throw new Error(`Transaction message to ${to} is missing an amount`);
+  }
+  return {
+    to,
+    amount: BigInt(item.amount),
+    payload: item.payload || null,
+    stateInit: item.stateInit || null,
+  };
+}
+
+export function toInternalMessages(items) {
+  return items.map((raw) => {
+    const item = normalizeTxItem(raw);
+    const msg = {
+      to: Address.parse(item.to),
+      value: item.amount,
+      bounce: true,
+    };
+    const body = parseBoc(item.payload);
+    if (body) msg.body = body;
+    const init = parseBoc(item.stateInit);
+    if (init) msg.init = init;
+    return internal(msg);
+  });
+}
+
+function decodePayload(b64) {
+  const cell = parseBoc(b64);
+  if (!cell) return null;
+
+  const slice = cell.beginParse();
+  const decoded = { bits: cell.bits.length, refs: cell.refs.length, opcode: null, op_name: null };
+  if (slice.remainingBits < 32) return decoded;
+
+  const op = slice.loadUint(32);
+  decoded.opcode = "0x" + op.toString(16).padStart(8, "0");
+  decoded.op_name = KNOWN_OPCODES[op] ?? null;
+
+  try {
+    if (op === 0) {
+      decoded.comment = slice.loadStringTail();
+    } else if (slice.remainingBits >= 64) {
+      decoded.query_id = slice.loadUintBig(64).toString();
+      if (op === 0x5fcc3d14) {
+        decoded.new_owner = slice.loadAddress()?.toString() ?? null;
+        decoded.response_destination = slice.loadMaybeAddress()?.toString() ?? null;
+      }
+    }
+  } catch {
+    // Partial decode is still useful -- keep the opcode and stop here.
+  }
+  return decoded;
+}
+
+function decodeStateInit(b64) {
+  const cell = parseBoc(b64);
+  if (!cell) return null;
+  try {
+    const init = loadStateInit(cell.beginParse());
+    return { deploys_address: contractAddress(0, init).toString() };
+  } catch {
+    return { deploys_address: null };
+  }
+}
+
+export function decodeTxMessages(items) {
+  return items.map((raw, index) => {
+    const item = normalizeTxItem(raw);
+    const stateInit = decodeStateInit(item.stateInit);
+    return {
+      index,
+      to: item.to,
+      amount_nano: item.amount.toString(),
+      amount_ton: fromNano(item.amount),
+      bounce: true,
+      payload: decodePayload(item.payload),
+      has_state_init: !!stateInit,
+      state_init: stateInit,
+    };
+  });
+}
+
+export function sumOutgoing(messages) {
+  return messages.reduce((sum, m) => sum + m.info.value.coins, 0n);
+}
+
+/**
+ * Build (but do not send) the wallet transfer for `messages`, then estimate
+ * fees and compare the total against the wallet balance.
+ *
+ * `walletCtx` is the { wallet, client, contract } bundle withAgentWallet()
+ * passes in.
+ */
+export async function estimateTransfer(walletCtx, messages) {
+  const { wallet, client, contract } = walletCtx;
+  const seqno = await contract.getSeqno();
+  const balance = await client.getBalance(wallet.address);
+  const outgoing = sumOutgoing(messages);
+
+  let fee = null;
+  let feeError = null;
+  try {
+    // Fees are estimated with ignoreSignature, so a blank signature will do.
+    const body = await wallet.createTransfer({
+      seqno,
+      signer: async () => Buffer.alloc(64),
+      sendMode: TRANSFER_SEND_MODE,
+      messages,
+    });
+    const needsInit = seqno === 0;
+    const est = await client.estimateExternalMessageFee(wallet.address, {
+      body,
+      initCode: needsInit ? wallet.init.code : null,
+      initData: needsInit ? wallet.init.data : null,
+      ignoreSignature: true,
+    });
+    const f = est.source_fees || {};
+    fee = BigInt(f.in_fwd_fee || 0) + BigInt(f.storage_fee || 0) + BigInt(f.gas_fee || 0) + BigInt(f.fwd_fee || 0);
+  } catch (err) {
+    feeError = String(err.message || err).slice(0, 200);
+  }
+
+  const required = outgoing + (fee ?? 0n);
+  return {
+    wallet_address: wallet.address.toString(),
+    seqno,
+    balance_ton: fromNano(balance),
+    total_outgoing_ton: fromNano(outgoing),
+    estimated_fee_ton: fee !== null ? fromNano(fee) : null,
+    fee_error: feeError,
+    total_required_ton: fromNano(required),
+    sufficient_balance: balance >= required,
+    shortfall_ton: balance >= required ? "0" : fromNano(required - balance),
+  };
+}
+
+export function messageHash(message) {
+  return beginCell().store(storeMessage(message)).endCell().hash().toString("hex");
+}
+
+// Wallet transaction whose external message is ours (by message or body hash).
+export function findTxByMessage(txs, msgHash, bodyHash) {
+  return txs.find((tx) => {
+    const msg = tx.inMessage;
+    if (!msg || msg.info.type !== "external-in") return false;
+    return messageHash(msg) === msgHash || msg.body.hash().toString("hex") === bodyHash;
+  });
+}
+
+export function txPhaseFailure(tx) {
+  const desc = tx.description;
+  if (!desc || desc.type !== "generic") return null;
+  if (desc.computePhase?.type === "vm" && !desc.computePhase.success) {
+    return `wallet compute phase failed (exit code ${desc.computePhase.exitCode})`;
+  }
+  if (desc.actionPhase && !desc.actionPhase.success) {
+    return `wallet action phase failed (result code ${desc.actionPhase.resultCode}), usually insufficient balance`;
+  }
+  return null;
+}
@@ -0,0 +1,461 @@
+/**
+ * Agent wallet, RPC access and signing for the trading plugins.
+ *
+ * - Wallet contract version (V3R2 / V4R2 / V5R1) comes from trading.wallet_version,
+ *   the wallet file's `version` field, or by matching the file's `address`
+ *   against each candidate contract. V5R1 is the fallback.
+ * - RPC endpoints come from trading.rpc_endpoints (or TON_RPC_ENDPOINTS) and are
+ *   tried in order; an endpoint that fails with a network/5xx error is skipped
+ *   for a minute.
+ * - Signing goes through a signer function. The default "mnemonic" signer reads
+ *   wallet.json once and keeps the key pair in memory; the "http" signer asks a
+ *   local signer process instead, so the mnemonic never has to be on this host.
+ * - Sends from one wallet go through a queue so two trades never use the same
+ *   seqno; each send waits until it has landed before the next one signs.
+ */
+
+import { createRequire } from "node:module";
+import { readFileSync, realpathSync, statSync } from "node:fs";
+import { randomBytes } from "node:crypto";
+import { join } from "node:path";
+import { homedir } from "node:os";
+
+import { getTradingConfig } from "./trading-config.js";
+import { TRANSFER_SEND_MODE, messageHash, findTxByMessage, txPhaseFailure } from "./ton-tx.js";
+
+const _require = createRequire(realpathSync(process.argv[1]));
+const { Address, external } = _require("@ton/core");
+const { TonClient, WalletContractV3R2, WalletContractV4, WalletContractV5R1 } = _require("@ton/ton");
+const { mnemonicToPrivateKey, sign, signVerify } = _require("@ton/crypto");
+
+const TELETON_DIR = process.env.TELETON_HOME || join(homedir(), ".teleton");
+const WALLET_FILE = join(TELETON_DIR, "wallet.json");
+
+const WALLET_CONTRACTS = {
+  v3r2: WalletContractV3R2,
+  v4r2: WalletContractV4,
+  v5r1: WalletContractV5R1,
+};
+const VERSION_ALIASES = { v3: "v3r2", v4: "v4r2", v4r1: "v4r2", v5: "v5r1", w5: "v5r1", w5r1: "v5r1" };
+
+const TON_ACCESS = "ton-access";
+const DEFAULT_ENDPOINTS = [TON_ACCESS, "https://toncenter.com/api/v2/jsonRPC"];
+const ENDPOINT_COOLDOWN_MS = 60_000;
+
+// Wallet transfers are valid for 60s, so a message whose seqno has not been
+// consumed after this long can no longer land and is safe to re-sign.
+const LAND_TIMEOUT_MS = 75_000;
+const SEQNO_POLL_MS = 2_000;
+const TX_LOOKUP_POLLS = 3;
+const TX_LOOKUP_LIMIT = 30;
+const MAX_SEND_ATTEMPTS = 3;
+
+// ---------------------------------------------------------------------------
+// Wallet file + version detection
+// ---------------------------------------------------------------------------
+
+// External signers don't need the mnemonic, so the file is optional for them.
+function readWalletFile(required) {
+  try {
+    return JSON.parse(readFileSync(WALLET_FILE, "utf-8"));
+  } catch {
+    if (!required) return {};
+    throw new Error("Agent wallet not found at " + WALLET_FILE);
+  }
+}
+
+function normalizeVersion(value) {
+  const v = String(value).toLowerCase().replace(/[^a-z0-9]/g, "");
+  return VERSION_ALIASES[v] ?? v;
+}
+
+function createWallet(version, publicKey) {
+  return WALLET_CONTRACTS[version].create({ workchain: 0, publicKey });
+}
+
+function detectVersion(walletData, publicKey, override) {
+  const explicit = override ?? walletData.version ?? walletData.wallet_version;
+  if (explicit) {
+    const version = normalizeVersion(explicit);
+    if (!WALLET_CONTRACTS[version]) {
+      throw new Error(`Unsupported wallet version "${explicit}" (supported: v3r2, v4r2, v5r1)`);
+    }
+    return version;
+  }
+  if (walletData.address) {
+    const target = Address.parse(walletData.address);
+    for (const version of Object.keys(WALLET_CONTRACTS)) {
+      if (createWallet(version, publicKey).address.equals(target)) return version;
+    }
+    throw new Error(`Wallet file address ${walletData.address} does not match a V3R2, V4R2 or V5R1 wallet for this key`);
+  }
+  return "v5r1";
+}
+
+function parsePublicKey(value) {
+  if (!value) return null;
+  const str = String(value).trim();
+  const buf = /^[0-9a-f]{64}$/i.test(str) ? Buffer.from(str, "hex") : Buffer.from(str, "base64");
+  if (buf.length !== 32) throw new Error("Signer public key must be 32 bytes (hex or base64)");
+  return buf;
+}
+
+// ---------------------------------------------------------------------------
+// Signers
+// ---------------------------------------------------------------------------
+
+// type -> async (signerConfig, walletData) => { publicKey, sign: async (Cell) => Buffer }
+const _signerTypes = new Map();
+
+export function registerSignerType(type, factory) {
+  _signerTypes.set(type, factory);
+}
+
+registerSignerType("mnemonic", async (_cfg, walletData) => {
+  if (!walletData.mnemonic || !Array.isArray(walletData.mnemonic)) {
+    throw new Error("Invalid wallet file: missing mnemonic array");
+  }
+  const keyPair = await mnemonicToPrivateKey(walletData.mnemonic);
+  return {
+    publicKey: keyPair.publicKey,
+    sign: async (cell) => sign(cell.hash(), keyPair.secretKey),
+  };
+});
+
+// POSTs { public_key, hash, boc } to a local signer process and expects
+// { signature } back (hex or base64). The signature is verified before use.
+registerSignerType("http", async (cfg, walletData) => {
+  if (!cfg.url) throw new Error("trading.signer.url is required for the http signer");
+  const publicKey = parsePublicKey(cfg.public_key ?? walletData.public_key ?? walletData.publicKey);
+  if (!publicKey) throw new Error("http signer needs trading.signer.public_key or public_key in the wallet file");
+
+  return {
+    publicKey,
+    sign: async (cell) => {
+      const hash = cell.hash();
+      const headers = { "Content-Type": "application/json" };
+      if (cfg.token) headers.Authorization = `Bearer ${cfg.token}`;
+      const res = await fetch(cfg.url, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({
+          public_key: publicKey.toString("hex"),
+          hash: hash.toString("hex"),
+          boc: cell.toBoc().toString("base64"),
+        }),
+        signal: AbortSignal.timeout(15000),
+      });
+      if (!res.ok) {
+        const text = await res.text().catch(() => "");
+        throw new Error(`Signer returned ${res.status}: ${text.slice(0, 200)}`);
+      }
+      const { signature } = await res.json();
+      const sig = /^[0-9a-f]{128}$/i.test(signature ?? "")
+        ? Buffer.from(signature, "hex")
+        : Buffer.from(String(signature ?? ""), "base64");
+      if (sig.length !== 64 || !signVerify(hash, sig, publicKey)) {
+        throw new Error("Signer returned an invalid signature");
+      }
+      return sig;
+    },
+  };
+});
+
+let _agent = null;
+let _agentKey = null;
+
+/**
+ * Resolve the agent wallet contract and its signer. Cached until the wallet
+ * file or the signer config changes, so the mnemonic is read once.
+ */
+export async function loadAgentWallet(context) {
+  const cfg = getTradingConfig(context);
+  let mtime = 0;
+  try {
+    mtime = statSync(WALLET_FILE).mtimeMs;
+  } catch {}
+  const key = JSON.stringify([mtime, cfg.walletVersion, cfg.signer]);
+  if (_agent && _agentKey === key) return _agent;
+
+  const signerType = cfg.signer.type ?? "mnemonic";
+  const factory = _signerTypes.get(signerType);
+  if (!factory) throw new Error(`Unknown signer type "${signerType}"`);
+
+  const walletData = readWalletFile(signerType === "mnemonic");
+  const signer = await factory(cfg.signer, walletData);
+  const version = detectVersion(walletData, signer.publicKey, cfg.walletVersion);
+  const wallet = createWallet(version, signer.publicKey);
+
+  _agent = { wallet, version, signer: signer.sign };
+  _agentKey = key;
+  return _agent;
+}
+
+// ---------------------------------------------------------------------------
+// RPC endpoints with failover
+// ---------------------------------------------------------------------------
+
+const _endpointDownUntil = new Map();
+
+function isNetworkError(err) {
+  const status = err?.response?.status ?? err?.status;
+  if (status === 429 || status >= 500) return true;
+  if (err?.isAxiosError && !err.response) return true;
+  return /timeout|ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|socket hang up|network/i.test(String(err?.message ?? ""));
+}
+
+async function resolveEndpoint(endpoint) {
+  if (endpoint !== TON_ACCESS) return endpoint;
+  const { getHttpEndpoint } = _require("@orbs-network/ton-access");
+  return getHttpEndpoint({ network: "mainnet" });
+}
+
+function orderedEndpoints(context) {
+  const { rpcEndpoints } = getTradingConfig(context);
+  const endpoints = rpcEndpoints.length > 0 ? rpcEndpoints : DEFAULT_ENDPOINTS;
+  const now = Date.now();
+  const up = endpoints.filter((e) => (_endpointDownUntil.get(e) ?? 0) <= now);
+  const down = endpoints.filter((e) => (_endpointDownUntil.get(e) ?? 0) > now);
+  return [...up, ...down];
+}
+
+/**
+ * Run `fn(client)` against the configured RPC endpoints, moving to the next
+ * one on network errors. Other errors are thrown straight away.
+ */
+export async function withTonClient(context, fn) {
+  const { rpcApiKey } = getTradingConfig(context);
+  let lastErr = null;
+  for (const endpoint of orderedEndpoints(context)) {
+    let client;
+    try {
+      client = new TonClient({ endpoint: await resolveEndpoint(endpoint), apiKey: rpcApiKey ?? undefined });
+    } catch (err) {
+      lastErr = err;
+      continue;
+    }
+    try {
+      const result = await fn(client);
+      _endpointDownUntil.delete(endpoint);
+      return result;
+    } catch (err) {
+      if (!isNetworkError(err)) throw err;
+      _endpointDownUntil.set(endpoint, Date.now() + ENDPOINT_COOLDOWN_MS);
+      lastErr = err;
+    }
+  }
+  const err = new Error(`All TON RPC endpoints failed: ${String(lastErr?.message || lastErr).slice(0, 200)}`);
+  err.rpcUnavailable = true;
+  throw err;
+}
+
+export function getTonClient(context) {
+  return withTonClient(context, async (client) => client);
+}
+
+/**
+ * Run `fn` with { wallet, version, signer, client, contract } for the agent
+ * wallet, with RPC failover.
+ */
+export async function withAgentWallet(context, fn) {
+  const agent = await loadAgentWallet(context);
+  return withTonClient(context, (client) => fn({ ...agent, client, contract: client.open(agent.wallet) }));
+}
+
+// ---------------------------------------------------------------------------
+// Sending
+// ---------------------------------------------------------------------------
+
+const _queues = new Map();
+
+function getQueue(address) {
+  let queue = _queues.get(address);
+  if (!queue) {
+    queue = { tail: Promise.resolve(), waiting: 0 };
+    _queues.set(address, queue);
+  }
+  return queue;
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Sign with the wallet's current seqno. The external message is built here
+// (instead of contract.sendTransfer) so we know its hash, and it is signed
+// exactly once: failover only ever re-sends this same message.
+async function signTransfer(context, agent, messages) {
+  const { wallet, signer } = agent;
+  const { seqno, deployed } = await withTonClient(context, async (client) => ({
+    seqno: await client.open(wallet).getSeqno(),
+    deployed: await client.isContractDeployed(wallet.address),
+  }));
+  const body = await wallet.createTransfer({
+    seqno,
+    signer,
+    sendMode: TRANSFER_SEND_MODE,
+    messages,
+  });
+  const message = external({
+    to: wallet.address,
+    init: deployed ? undefined : wallet.init,
+    body,
+  });
+
+  return {
+    message,
+    sent: {
+      wallet_address: wallet.address.toString(),
+      wallet_version: agent.version,
+      seqno,
+      msg_hash: messageHash(message),
+      body_hash: body.hash().toString("hex"),
+    },
+  };
+}
+
+async function readSeqno(context, wallet) {
+  try {
+    return await withTonClient(context, (client) => client.open(wallet).getSeqno());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Poll until the wallet seqno moves past `sent.seqno`, then look for the
+ * transaction carrying our message. Returns { status, tx, reason } where
+ * status is:
+ *  - "landed": our message is on-chain (tx is its wallet transaction)
+ *  - "expired": the seqno is still unused after the message's lifetime, so
+ *    nothing was spent and the transfer may be re-signed
+ *  - "unconfirmed": the seqno moved (or could not be read) but our message
+ *    was not found; it may well have landed, so it must not be re-sent
+ */
+async function waitForLanding(context, wallet, sent) {
+  const deadline = Date.now() + LAND_TIMEOUT_MS;
+  let seqno = null;
+  while (Date.now() < deadline) {
+    await sleep(SEQNO_POLL_MS);
+    seqno = await readSeqno(context, wallet);
+    if (seqno !== null && seqno > sent.seqno) break;
+  }
+  // The last poll may have failed; only a fresh reading past the deadline
+  // proves the message expired unused.
+  if (seqno === null || seqno <= sent.seqno) seqno = await readSeqno(context, wallet);
+  if (seqno === null) {
+    return { status: "unconfirmed", reason: `could not read the wallet seqno after sending with seqno ${sent.seqno}` };
+  }
+  if (seqno <= sent.seqno) {
+    return {
+      status: "expired",
+      reason: `seqno stayed at ${sent.seqno} for ${LAND_TIMEOUT_MS / 1000}s, the message expired`,
+    };
+  }
+
+  // The seqno moved; indexers can lag a little behind it, so give the
+  // transaction a few polls to show up.
+  for (let i = 0; i < TX_LOOKUP_POLLS; i++) {
+    try {
+      const txs = await withTonClient(context, (client) =>
+        client.getTransactions(wallet.address, { limit: TX_LOOKUP_LIMIT, archival: true })
+      );
+      const tx = findTxByMessage(txs, sent.msg_hash, sent.body_hash);
+      if (tx) return { status: "landed", tx };
+    } catch {}
+    await sleep(SEQNO_POLL_MS);
+  }
+  return {
+    status: "unconfirmed",
+    reason: `seqno ${sent.seqno} was consumed but the transaction was not found yet (indexer lag or another transfer)`,
+  };
+}
+
+async function runSendJob(context, agent, messages, job) {
+  const startedAt = Date.now();
+  let lastReason = null;
+
+  for (let attempt = 1; attempt <= MAX_SEND_ATTEMPTS; attempt++) {
+    let signed;
+    try {
+      signed = await signTransfer(context, agent, messages);
+    } catch (err) {
+      // Nothing was sent yet: only RPC outages are retried, signer or
+      // validation errors are final.
+      if (!err.rpcUnavailable) throw err;
+      lastReason = err.message;
+      await sleep(SEQNO_POLL_MS);
+      continue;
+    }
+    const { message, sent } = signed;
+
+    // A timeout, reset or 5xx can come back after a node already accepted
+    // the message, so a failed send is never re-signed here: waitForLanding
+    // decides whether it went out.
+    let sendError = null;
+    try {
+      await withTonClient(context, (client) => client.sendMessage(message));
+    } catch (err) {
+      sendError = err;
+    }
+
+    const outcome = await waitForLanding(context, agent.wallet, sent);
+    if (outcome.status === "expired") {
+      lastReason = sendError ? `${outcome.reason} (send failed: ${sendError.message})` : outcome.reason;
+      continue;
+    }
+
+    const report = {
+      job_id: job.id,
+      label: job.label,
+      queued_behind: job.ahead,
+      attempts: attempt,
+      landed: outcome.status === "landed",
+      tx_hash: null,
+      wait_ms: Date.now() - job.queuedAt,
+      send_ms: Date.now() - startedAt,
+    };
+
+    // Re-signing now could pay twice; the tracker settles what happened.
+    if (outcome.status === "unconfirmed") {
+      return { ...sent, queue: { ...report, unconfirmed: true, reason: outcome.reason } };
+    }
+
+    const failure = txPhaseFailure(outcome.tx);
+    if (failure) throw new Error(`Transfer landed with seqno ${sent.seqno} but ${failure}`);
+
+    return { ...sent, queue: { ...report, tx_hash: outcome.tx.hash().toString("hex") } };
+  }
+
+  throw new Error(`Transfer did not land after ${MAX_SEND_ATTEMPTS} attempts: ${lastReason}`);
+}
+
+/**
+ * Queue a transfer from the agent wallet. Jobs for one wallet run strictly one
+ * after another: each signs once with a fresh seqno, broadcasts that message
+ * (re-sending the same message through other endpoints on network errors),
+ * waits until the seqno is consumed, and checks that it was consumed by its own
+ * message. Only messages that expired with their seqno unused are re-signed,
+ * even when the broadcast itself reported an error. When the seqno moved but
+ * the message cannot be found yet, the job resolves with queue.unconfirmed set
+ * and the trade tracker decides whether it landed.
+ *
+ * `label` identifies the action in the queue report (e.g. "getgems:buy").
+ */
+export async function sendTransfer(context, messages, label = "transfer") {
+  const agent = await loadAgentWallet(context);
+  const queue = getQueue(agent.wallet.address.toRawString());
+  const job = {
+    id: `q_${randomBytes(4).toString("hex")}`,
+    label,
+    ahead: queue.waiting,
+    queuedAt: Date.now(),
+  };
+
+  queue.waiting++;
+  const run = queue.tail.then(() => runSendJob(context, agent, messages, job));
+  queue.tail = run.catch(() => {});
+  try {
+    return await run;
+  } finally {
+    queue.waiting--;
+  }
+}
@@ -0,0 +1,381 @@
+/**
+ * Human-in-the-loop approval queue for on-chain trading actions.
+ *
+ * Trades whose TON value reaches the configured threshold are parked in
+ * trade_pending_actions instead of being signed. Approvers get a Telegram
+ * message, and the trade only runs after an explicit approve call. The
+ * marketplace plugin re-validates the live price right before signing.
+ */
+
+import { randomBytes } from "node:crypto";
+
+import { getTradingConfig } from "./trading-config.js";
+import { checkSenderAllowed } from "./spending-policy.js";
+
+// ---------------------------------------------------------------------------
+// DB
+// ---------------------------------------------------------------------------
+
+// Statements are prepared per database: getgems and marketapp each pass their
+// own db, and an approval must be finished in the db it was claimed in even
+// when the other plugin runs while the executor is awaited.
+const _stmts = new WeakMap();
+
+/** Create the approval table in `db` and return its prepared statements. */
+export function initApprovalDb(db) {
+  const cached = _stmts.get(db);
+  if (cached) return cached;
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS trade_pending_actions (
+      action_id TEXT PRIMARY KEY,
+      marketplace TEXT NOT NULL,
+      action TEXT NOT NULL,
+      nft_address TEXT,
+      price_ton REAL,
+      params_json TEXT NOT NULL,
+      summary TEXT,
+      status TEXT NOT NULL,
+      requested_by INTEGER,
+      requested_chat TEXT,
+      created_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      decided_by INTEGER,
+      decided_at TEXT,
+      decision_note TEXT,
+      result_json TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS trade_pending_actions_status_idx
+      ON trade_pending_actions(marketplace, status, created_at DESC);
+  `);
+
+  const stmts = {};
+  stmts.insert = db.prepare(`
+    INSERT INTO trade_pending_actions (
+      action_id, marketplace, action, nft_address, price_ton, params_json, summary,
+      status, requested_by, requested_chat, created_at, expires_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?)
+  `);
+
+  stmts.get = db.prepare("SELECT * FROM trade_pending_actions WHERE action_id = ?");
+
+  stmts.list = db.prepare(`
+    SELECT * FROM trade_pending_actions
+    WHERE marketplace = ? AND (? IS NULL OR status = ?)
+    ORDER BY created_at DESC
+    LIMIT ?
+  `);
+
+  stmts.expire = db.prepare(`
+    UPDATE trade_pending_actions SET status = 'expired'
+    WHERE status = 'pending' AND expires_at < ?
+  `);
+
+  stmts.claim = db.prepare(`
+    UPDATE trade_pending_actions
+    SET status = 'approved', decided_by = ?, decided_at = ?
+    WHERE action_id = ? AND status = 'pending'
+  `);
+
+  stmts.decide = db.prepare(`
+    UPDATE trade_pending_actions
+    SET status = ?, decided_by = ?, decided_at = ?, decision_note = ?
+    WHERE action_id = ? AND status = 'pending'
+  `);
+
+  stmts.finish = db.prepare(
+    "UPDATE trade_pending_actions SET status = ?, result_json = ? WHERE action_id = ?"
+  );
+
+  _stmts.set(db, stmts);
+  return stmts;
+}
+
+function expireStale(stmts) {
+  stmts.expire.run(new Date().toISOString());
+}
+
+function formatAction(row) {
+  return {
+    action_id: row.action_id,
+    marketplace: row.marketplace,
+    action: row.action,
+    nft_address: row.nft_address,
+    price_ton: row.price_ton,
+    summary: row.summary,
+    status: row.status,
+    requested_by: row.requested_by,
+    created_at: row.created_at,
+    expires_at: row.expires_at,
+    decided_by: row.decided_by,
+    decided_at: row.decided_at,
+    decision_note: row.decision_note,
+    result: row.result_json ? JSON.parse(row.result_json) : null,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Gate
+// ---------------------------------------------------------------------------
+
+async function notifyApprovers(context, approverIds, text) {
+  let notified = 0;
+  let client;
+  try {
+    client = context.bridge.getClient().getClient();
+  } catch {
+    return 0;
+  }
+  for (const id of approverIds) {
+    try {
+      await client.sendMessage(id, { message: text });
+      notified++;
+    } catch {}
+  }
+  return notified;
+}
+
+export function priceWithinTolerance(currentTon, approvedTon, tolerancePct) {
+  if (approvedTon === null || approvedTon === undefined) return true;
+  return Number(currentTon) <= Number(approvedTon) * (1 + tolerancePct / 100) + 1e-9;
+}
+
+/**
+ * Decide whether a trade may be signed now.
+ *
+ * Returns null when the trade is below the approval threshold and the caller
+ * should go ahead. Otherwise returns the tool result to hand back: either the
+ * parked action or an error. Executors running an already-approved action
+ * must not call this again.
+ *
+ * `request` is { marketplace, action, nft_address, price_ton, value_ton,
+ * params, summary }. `value_ton` is what the NFT is worth for actions that
+ * give it up or reprice it (list, change_price, cancel): the gate uses the
+ * larger of the two, so listing a valuable NFT far below its floor still
+ * needs approval.
+ */
+export async function gateTradeAction(context, request) {
+  const denied = checkSenderAllowed(context, request.action);
+  if (denied) return { success: false, error: denied };
+
+  const cfg = getTradingConfig(context);
+  const value = Math.max(Number(request.price_ton) || 0, Number(request.value_ton) || 0);
+  if (value < cfg.approvalThresholdTon) return null;
+
+  if (cfg.approverIds.length === 0) {
+    return {
+      success: false,
+      error: `${request.action} for ${value} TON needs approval (threshold ${cfg.approvalThresholdTon} TON) but no approver is configured. Set trading.approver_ids or telegram.admin_ids.`,
+    };
+  }
+  if (!context.db) {
+    return { success: false, error: "Database not available in context — cannot queue trade for approval" };
+  }
+  const stmts = initApprovalDb(context.db);
+
+  const actionId = `act_${randomBytes(6).toString("hex")}`;
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + cfg.approvalTtlMinutes * 60000).toISOString();
+
+  stmts.insert.run(
+    actionId,
+    request.marketplace,
+    request.action,
+    request.nft_address ?? null,
+    value,
+    JSON.stringify(request.params ?? {}),
+    request.summary ?? null,
+    Number.isInteger(context.senderId) ? context.senderId : null,
+    context.chatId != null ? String(context.chatId) : null,
+    now.toISOString(),
+    expiresAt
+  );
+
+  const text =
+    `🔔 Trade approval needed\n` +
+    `${request.marketplace} · ${request.action} · ${value} TON\n` +
+    (request.summary ? `${request.summary}\n` : "") +
+    (request.nft_address ? `NFT: ${request.nft_address}\n` : "") +
+    `Requested by: ${context.senderId ?? "unknown"}\n` +
+    `Action: ${actionId} (expires ${expiresAt})\n` +
+    `Approve with ${request.marketplace}_approve_action, reject with ${request.marketplace}_reject_action.`;
+  const notified = await notifyApprovers(context, cfg.approverIds, text);
+
+  return {
+    success: true,
+    data: {
+      status: "pending_approval",
+      action_id: actionId,
+      marketplace: request.marketplace,
+      action: request.action,
+      nft_address: request.nft_address ?? null,
+      price_ton: value,
+      threshold_ton: cfg.approvalThresholdTon,
+      expires_at: expiresAt,
+      approvers_notified: notified,
+      message: `Trade parked for human approval (≥ ${cfg.approvalThresholdTon} TON). Nothing was signed.`,
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Tools factory
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the pending/approve/reject tools for one marketplace plugin.
+ *
+ * `executors` maps action name -> async (params, context, opts) returning a
+ * tool result. On approval the executor is called with
+ * opts = { approvedActionId, approvedPriceTon } so it can skip the gate and
+ * re-validate the price before signing.
+ */
+export function createApprovalTools(marketplace, executors) {
+  const pendingActions = {
+    name: `${marketplace}_pending_actions`,
+    category: "data-bearing",
+    description:
+      `List ${marketplace} trades waiting for human approval (and recently decided ones). ` +
+      "Trades at or above the approval threshold are parked here instead of being signed.",
+    parameters: {
+      type: "object",
+      properties: {
+        status: {
+          type: "string",
+          enum: ["pending", "executed", "failed", "rejected", "expired", "all"],
+          description: "Filter by status (default: pending)",
+        },
+        limit: {
+          type: "integer",
+          description: "Number of results (1-50, default: 20)",
+          minimum: 1,
+          maximum: 50,
+        },
+      },
+    },
+    execute: async (params, context) => {
+      try {
+        if (!context.db) throw new Error("Database not available in context");
+        const stmts = initApprovalDb(context.db);
+        expireStale(stmts);
+
+        const status = params.status === "all" ? null : (params.status ?? "pending");
+        const rows = stmts.list.all(marketplace, status, status, Math.min(params.limit ?? 20, 50));
+        return { success: true, data: { actions: rows.map(formatAction), count: rows.length } };
+      } catch (err) {
+        return { success: false, error: String(err.message || err).slice(0, 500) };
+      }
+    },
+  };
+
+  const approveAction = {
+    name: `${marketplace}_approve_action`,
+    category: "action",
+    description:
+      `Approve a parked ${marketplace} trade and execute it. Only configured approvers can call this. ` +
+      "The live price is re-checked before signing; if it moved above the approved price the trade is aborted.",
+    parameters: {
+      type: "object",
+      properties: {
+        action_id: { type: "string", description: "Pending action id (act_...)" },
+      },
+      required: ["action_id"],
+    },
+    execute: async (params, context) => {
+      try {
+        if (!context.db) throw new Error("Database not available in context");
+        const stmts = initApprovalDb(context.db);
+        expireStale(stmts);
+
+        const cfg = getTradingConfig(context);
+        if (!cfg.approverIds.includes(context.senderId)) {
+          return { success: false, error: "Only configured approvers can approve trades" };
+        }
+
+        const row = stmts.get.get(String(params.action_id ?? "").trim());
+        if (!row || row.marketplace !== marketplace) {
+          return { success: false, error: `action_id ${params.action_id} not found` };
+        }
+        if (row.status !== "pending") {
+          return { success: false, error: `action_id ${row.action_id} is ${row.status}, not pending` };
+        }
+
+        const executor = executors[row.action];
+        if (!executor) return { success: false, error: `Unknown action type: ${row.action}` };
+
+        const claimed = stmts.claim.run(context.senderId, new Date().toISOString(), row.action_id);
+        if (claimed.changes !== 1) {
+          return { success: false, error: `action_id ${row.action_id} was already decided` };
+        }
+
+        let result;
+        try {
+          result = await executor(JSON.parse(row.params_json), context, {
+            approvedActionId: row.action_id,
+            approvedPriceTon: row.price_ton,
+          });
+        } catch (err) {
+          result = { success: false, error: String(err.message || err).slice(0, 500) };
+        }
+
+        const finalStatus = result.success ? "executed" : "failed";
+        stmts.finish.run(finalStatus, JSON.stringify(result), row.action_id);
+
+        if (!result.success) {
+          return { success: false, error: result.error, data: { action_id: row.action_id, status: finalStatus } };
+        }
+        return { success: true, data: { action_id: row.action_id, status: finalStatus, result: result.data ?? null } };
+      } catch (err) {
+        return { success: false, error: String(err.message || err).slice(0, 500) };
+      }
+    },
+  };
+
+  const rejectAction = {
+    name: `${marketplace}_reject_action`,
+    category: "action",
+    description: `Reject a parked ${marketplace} trade so it can never be executed. Only configured approvers can call this.`,
+    parameters: {
+      type: "object",
+      properties: {
+        action_id: { type: "string", description: "Pending action id (act_...)" },
+        reason: { type: "string", description: "Optional note explaining the rejection" },
+      },
+      required: ["action_id"],
+    },
+    execute: async (params, context) => {
+      try {
+        if (!context.db) throw new Error("Database not available in context");
+        const stmts = initApprovalDb(context.db);
+        expireStale(stmts);
+
+        const cfg = getTradingConfig(context);
+        if (!cfg.approverIds.includes(context.senderId)) {
+          return { success: false, error: "Only configured approvers can reject trades" };
+        }
+
+        const row = stmts.get.get(String(params.action_id ?? "").trim());
+        if (!row || row.marketplace !== marketplace) {
+          return { success: false, error: `action_id ${params.action_id} not found` };
+        }
+
+        const res = stmts.decide.run(
+          "rejected",
+          context.senderId,
+          new Date().toISOString(),
+          params.reason ? String(params.reason).slice(0, 500) : null,
+          row.action_id
+        );
+        if (res.changes !== 1) {
+          return { success: false, error: `action_id ${row.action_id} is ${row.status}, not pending` };
+        }
+
+        return { success: true, data: { action_id: row.action_id, status: "rejected" } };
+      } catch (err) {
+        return { success: false, error: String(err.message || err).slice(0, 500) };
+      }
+    },
+  };
+
+  return [pendingActions, approveAction, rejectAction];
+}
@@ -0,0 +1,348 @@
+/**
+ * On-chain confirmation tracking for trades sent by getgems and marketapp.
+ *
+ * Every signed transfer is recorded in trade_tx_tracking with the hash of the
+ * external message we broadcast. The tracker looks for the wallet transaction
+ * carrying that message, checks its compute/action phases, watches for
+ * bounced replies from the destinations, and finally reads the NFT's current
+ * owner. Rows live in the plugin DB so status survives restarts; pending rows
+ * are re-checked on demand by the trade_status tools.
+ */
+
+import { createRequire } from "node:module";
+import { realpathSync } from "node:fs";
+import { randomBytes } from "node:crypto";
+
+import { findTxByMessage, txPhaseFailure } from "./ton-tx.js";
+import { withTonClient } from "./ton-wallet.js";
+
+const _require = createRequire(realpathSync(process.argv[1]));
+const { Address } = _require("@ton/core");
+
+const TX_SCAN_LIMIT = 30;
+// A missing message is only called "dropped" once the scan has paged back
+// past the trade's creation; this caps how far back one check pages.
+const TX_SCAN_MAX_PAGES = 10;
+// Slack for clock skew between this host and block times.
+const TX_SCAN_SLACK_MS = 60 * 1000;
+const PENDING_TIMEOUT_MS = 15 * 60 * 1000;
+// Bounces arrive a few blocks after the wallet transaction, so confirmed
+// rows keep being re-checked for this long.
+const BOUNCE_WINDOW_MS = 10 * 60 * 1000;
+const BACKGROUND_CHECKS_MS = [15000, 30000, 60000, 120000, 300000];
+
+// Where the NFT should end up once the action lands.
+const AGENT_OWNS_AFTER = { buy: true, cancel: true, list: false, change_price: false };
+
+// ---------------------------------------------------------------------------
+// DB
+// ---------------------------------------------------------------------------
+
+const _stmts = new WeakMap();
+
+/** Create the tracking table in `db` and return its prepared statements. */
+export function initTrackerDb(db) {
+  const cached = _stmts.get(db);
+  if (cached) return cached;
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS trade_tx_tracking (
+      tracking_id TEXT PRIMARY KEY,
+      marketplace TEXT NOT NULL,
+      action TEXT NOT NULL,
+      nft_address TEXT,
+      wallet_address TEXT NOT NULL,
+      seqno INTEGER NOT NULL,
+      msg_hash TEXT NOT NULL,
+      body_hash TEXT NOT NULL,
+      status TEXT NOT NULL,
+      tx_hash TEXT,
+      tx_lt TEXT,
+      detail_json TEXT,
+      nft_owner TEXT,
+      created_at TEXT NOT NULL,
+      confirmed_at TEXT,
+      checked_at TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS trade_tx_tracking_created_idx
+      ON trade_tx_tracking(marketplace, created_at DESC);
+  `);
+
+  const stmts = {};
+
+  stmts.insert = db.prepare(`
+    INSERT INTO trade_tx_tracking (
+      tracking_id, marketplace, action, nft_address, wallet_address, seqno,
+      msg_hash, body_hash, status, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?)
+  `);
+
+  stmts.get = db.prepare("SELECT * FROM trade_tx_tracking WHERE tracking_id = ?");
+
+  stmts.list = db.prepare(`
+    SELECT * FROM trade_tx_tracking
+    WHERE marketplace = ?
+    ORDER BY created_at DESC
+    LIMIT ?
+  `);
+
+  stmts.update = db.prepare(`
+    UPDATE trade_tx_tracking
+    SET status = ?, tx_hash = ?, tx_lt = ?, detail_json = ?, nft_owner = ?, confirmed_at = ?, checked_at = ?
+    WHERE tracking_id = ?
+  `);
+
+  _stmts.set(db, stmts);
+  return stmts;
+}
+
+function formatTracking(row) {
+  const detail = row.detail_json ? JSON.parse(row.detail_json) : {};
+  const expectAgentOwns = AGENT_OWNS_AFTER[row.action];
+  return {
+    tracking_id: row.tracking_id,
+    marketplace: row.marketplace,
+    action: row.action,
+    status: row.status,
+    nft_address: row.nft_address,
+    wallet_address: row.wallet_address,
+    seqno: row.seqno,
+    msg_hash: row.msg_hash,
+    tx_hash: row.tx_hash,
+    tx_lt: row.tx_lt,
+    nft_owner: row.nft_owner,
+    owned_by_agent: detail.owned_by_agent ?? null,
+    ownership_as_expected:
+      detail.owned_by_agent === undefined || expectAgentOwns === undefined
+        ? null
+        : detail.owned_by_agent === expectAgentOwns,
+    reason: detail.reason ?? null,
+    bounced_from: detail.bounced_from ?? null,
+    created_at: row.created_at,
+    confirmed_at: row.confirmed_at,
+    checked_at: row.checked_at,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Chain checks
+// ---------------------------------------------------------------------------
+
+function findBounces(txs, walletTx) {
+  const destinations = new Set();
+  for (const out of walletTx.outMessages.values()) {
+    if (out.info.type === "internal") destinations.add(out.info.dest.toRawString());
+  }
+  const bounced = [];
+  for (const tx of txs) {
+    if (tx.lt <= walletTx.lt) continue;
+    const info = tx.inMessage?.info;
+    if (info?.type === "internal" && info.bounced && destinations.has(info.src.toRawString())) {
+      bounced.push(info.src.toString());
+    }
+  }
+  return bounced;
+}
+
+/**
+ * Page back through the wallet's transactions (newest first) until the one
+ * carrying our message shows up or the history is older than the trade.
+ * Returns { walletTx, txs, complete }: `txs` is everything scanned (bounce
+ * replies are newer than walletTx) and `complete` says the scan reached
+ * past `createdAt`, so a missing message really is missing.
+ */
+async function scanWalletTxs(client, wallet, row) {
+  const createdAt = new Date(row.created_at).getTime() - TX_SCAN_SLACK_MS;
+  const txs = [];
+  let from = {};
+  for (let page = 0; page < TX_SCAN_MAX_PAGES; page++) {
+    const batch = await client.getTransactions(wallet, { limit: TX_SCAN_LIMIT, archival: true, ...from });
+    txs.push(...batch);
+    const walletTx = findTxByMessage(batch, row.msg_hash, row.body_hash);
+    if (walletTx) return { walletTx, txs, complete: true };
+
+    const oldest = batch[batch.length - 1];
+    if (batch.length < TX_SCAN_LIMIT || oldest.now * 1000 < createdAt) return { walletTx: null, txs, complete: true };
+    from = { lt: oldest.lt.toString(), hash: oldest.hash().toString("base64") };
+  }
+  return { walletTx: null, txs, complete: false };
+}
+
+async function readNftOwner(client, nftAddress) {
+  const res = await client.runMethod(Address.parse(nftAddress), "get_nft_data");
+  res.stack.readNumber(); // init?
+  res.stack.readBigNumber(); // index
+  res.stack.readAddressOpt(); // collection
+  return res.stack.readAddressOpt();
+}
+
+/**
+ * Re-check one tracked transfer against the chain and persist the result.
+ * Final states (bounced, failed, dropped, expired, and confirmed rows past the
+ * bounce window) are returned unchanged, and a confirmed row is never
+ * downgraded when its transaction cannot be found again.
+ */
+async function refreshTracking(stmts, row, client) {
+  const now = Date.now();
+  const age = now - new Date(row.created_at).getTime();
+  const settledConfirmed =
+    row.status === "confirmed" && now - new Date(row.confirmed_at).getTime() > BOUNCE_WINDOW_MS;
+  if (row.status !== "pending" && (row.status !== "confirmed" || settledConfirmed)) return row;
+
+  const wallet = Address.parse(row.wallet_address);
+  const detail = row.detail_json ? JSON.parse(row.detail_json) : {};
+  let status = row.status;
+  let txHash = row.tx_hash;
+  let txLt = row.tx_lt;
+  let confirmedAt = row.confirmed_at;
+  let nftOwner = row.nft_owner;
+
+  const { walletTx, txs, complete } = await scanWalletTxs(client, wallet, row);
+
+  if (!walletTx && row.status === "pending") {
+    const seqnoRes = await client.runMethod(wallet, "seqno");
+    const currentSeqno = seqnoRes.stack.readNumber();
+    if (currentSeqno > row.seqno && !complete) {
+      detail.reason = `message not found in the last ${txs.length} wallet transactions yet`;
+    } else if (currentSeqno > row.seqno && age > 60000) {
+      status = "dropped";
+      detail.reason = `wallet seqno moved to ${currentSeqno} without our message (another transfer used seqno ${row.seqno})`;
+    } else if (age > PENDING_TIMEOUT_MS) {
+      status = "expired";
+      detail.reason = "message never appeared on-chain";
+    }
+  } else if (walletTx) {
+    txHash = walletTx.hash().toString("hex");
+    txLt = walletTx.lt.toString();
+    const failure = txPhaseFailure(walletTx);
+    const bounces = failure ? [] : findBounces(txs, walletTx);
+    if (failure) {
+      status = "failed";
+      detail.reason = failure;
+    } else if (bounces.length > 0) {
+      status = "bounced";
+      detail.bounced_from = bounces;
+      detail.reason = "destination contract rejected the message and returned the funds";
+    } else {
+      status = "confirmed";
+      confirmedAt = confirmedAt ?? new Date(walletTx.now * 1000).toISOString();
+    }
+
+    if (row.nft_address) {
+      try {
+        const owner = await readNftOwner(client, row.nft_address);
+        nftOwner = owner ? owner.toString() : null;
+        detail.owned_by_agent = owner ? owner.equals(wallet) : false;
+      } catch (err) {
+        detail.owner_error = String(err.message || err).slice(0, 200);
+      }
+    }
+  }
+
+  stmts.update.run(
+    status,
+    txHash,
+    txLt,
+    JSON.stringify(detail),
+    nftOwner,
+    confirmedAt,
+    new Date().toISOString(),
+    row.tracking_id
+  );
+  return stmts.get.get(row.tracking_id);
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Record a just-broadcast transfer and poll it a few times in the background.
+ * `sent` is what sendTransfer() returned. Returns the tracking id.
+ */
+export function trackTransfer(context, info, sent) {
+  const stmts = initTrackerDb(context.db);
+
+  const trackingId = `trk_${randomBytes(6).toString("hex")}`;
+  stmts.insert.run(
+    trackingId,
+    info.marketplace,
+    info.action,
+    info.nft_address ?? null,
+    sent.wallet_address,
+    sent.seqno,
+    sent.msg_hash,
+    sent.body_hash,
+    new Date().toISOString()
+  );
+
+  for (const delay of BACKGROUND_CHECKS_MS) {
+    const timer = setTimeout(async () => {
+      try {
+        const row = stmts.get.get(trackingId);
+        if (row) await withTonClient(context, (client) => refreshTracking(stmts, row, client));
+      } catch {
+        // Background checks are best-effort; trade_status retries on demand.
+      }
+    }, delay);
+    timer.unref?.();
+  }
+
+  return trackingId;
+}
+
+export function createTradeStatusTool(marketplace) {
+  return {
+    name: `${marketplace}_trade_status`,
+    category: "data-bearing",
+    description:
+      `Check whether ${marketplace} trades sent by the agent landed on-chain. Returns confirmed, bounced, failed, dropped, expired or pending, ` +
+      "plus the NFT's current owner. Pass the tracking_id returned by a trade tool, or omit it to see the most recent trades.",
+    parameters: {
+      type: "object",
+      properties: {
+        tracking_id: { type: "string", description: "Tracking id (trk_...) returned by a buy/list/cancel tool" },
+        limit: {
+          type: "integer",
+          description: "Number of recent trades when tracking_id is omitted (1-20, default: 5)",
+          minimum: 1,
+          maximum: 20,
+        },
+      },
+    },
+    execute: async (params, context) => {
+      try {
+        if (!context.db) throw new Error("Database not available in context");
+        const stmts = initTrackerDb(context.db);
+
+        let rows;
+        if (params.tracking_id) {
+          const row = stmts.get.get(String(params.tracking_id).trim());
+          if (!row || row.marketplace !== marketplace) {
+            return { success: false, error: `tracking_id ${params.tracking_id} not found` };
+          }
+          rows = [row];
+        } else {
+          rows = stmts.list.all(marketplace, Math.min(params.limit ?? 5, 20));
+        }
+
+        const trades = [];
+        for (const row of rows) {
+          let current = row;
+          try {
+            if (row.status === "pending" || row.status === "confirmed") {
+              current = await withTonClient(context, (client) => refreshTracking(stmts, row, client));
+            }
+          } catch {
+            // Chain lookup failed; report the last stored state.
+          }
+          trades.push(formatTracking(current));
+        }
+
+        return { success: true, data: { trades, count: trades.length } };
+      } catch (err) {
+        return { success: false, error: String(err.message || err).slice(0, 500) };
+      }
+    },
+  };
+}
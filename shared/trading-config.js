@@ -0,0 +1,70 @@
+/**
+ * Trading policy config shared by the getgems and marketapp plugins.
+ *
+ * Values come from the `trading:` section of ~/.teleton/config.yaml
+ * (exposed to tools as context.config.trading) and fall back to safe
+ * defaults so a fresh install never signs large trades unattended.
+ */
+
+const DEFAULTS = {
+  approval_threshold_ton: 5,
+  approval_ttl_minutes: 30,
+  approval_price_tolerance_pct: 0,
+  max_trade_ton: 100,
+  max_daily_ton: 200,
+};
+
+function toNumber(value, fallback) {
+  const n = Number(value);
+  return value !== undefined && value !== null && value !== "" && Number.isFinite(n) ? n : fallback;
+}
+
+// A non-positive or explicit null limit disables that cap.
+function toLimit(value, fallback) {
+  if (value === null) return null;
+  const n = toNumber(value, fallback);
+  return n > 0 ? n : null;
+}
+
+function toCapMap(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return {};
+  const caps = {};
+  for (const [key, cap] of Object.entries(value)) {
+    const n = Number(cap);
+    if (Number.isFinite(n) && n >= 0) caps[key] = n;
+  }
+  return caps;
+}
+
+// Accepts a YAML list or a comma-separated string (env vars).
+function toStringList(value) {
+  const list = Array.isArray(value) ? value : typeof value === "string" ? value.split(",") : [];
+  return list.map((v) => String(v).trim()).filter(Boolean);
+}
+
+function toIdList(value) {
+  if (!Array.isArray(value)) return [];
+  return value.map((v) => Number(v)).filter((n) => Number.isInteger(n) && n > 0);
+}
+
+export function getTradingConfig(context) {
+  const cfg = context?.config?.trading ?? {};
+  const adminIds = toIdList(context?.config?.telegram?.admin_ids);
+  const approverIds = toIdList(cfg.approver_ids);
+  const allowedSenderIds = toIdList(cfg.allowed_sender_ids);
+
+  return {
+    approvalThresholdTon: Math.max(0, toNumber(cfg.approval_threshold_ton, DEFAULTS.approval_threshold_ton)),
+    approvalTtlMinutes: Math.max(1, toNumber(cfg.approval_ttl_minutes, DEFAULTS.approval_ttl_minutes)),
+    approvalPriceTolerancePct: Math.max(0, toNumber(cfg.approval_price_tolerance_pct, DEFAULTS.approval_price_tolerance_pct)),
+    approverIds: approverIds.length > 0 ? approverIds : adminIds,
+    maxTradeTon: toLimit(cfg.max_trade_ton, DEFAULTS.max_trade_ton),
+    maxDailyTon: toLimit(cfg.max_daily_ton, DEFAULTS.max_daily_ton),
+    collectionCapsTon: toCapMap(cfg.collection_caps_ton),
+    allowedSenderIds: allowedSenderIds.length > 0 ? allowedSenderIds : adminIds,
+    rpcEndpoints: toStringList(cfg.rpc_endpoints ?? process.env.TON_RPC_ENDPOINTS),
+    rpcApiKey: cfg.rpc_api_key || process.env.TONCENTER_API_KEY || null,
+    walletVersion: cfg.wallet_version ? String(cfg.wallet_version).toLowerCase() : null,
+    signer: cfg.signer && typeof cfg.signer === "object" ? cfg.signer : { type: "mnemonic" },
+  };
+}
@@ -0,0 +1,396 @@
+/**
+ * Wallet clustering: groups addresses that are probably one trader.
+ *
+ * Each wallet's recent TonAPI events are reduced to counterparty flows
+ * (TON in/out, NFT hand-offs in/out) in wallet_flows. Links between wallets
+ * are derived from those flows:
+ *  - funding:           TON sent directly from one known wallet to another
+ *  - nft_handoff:       an NFT transferred (not sold) between known wallets
+ *  - shared_withdrawal: both wallets send TON to the same private wallet
+ *  - shared_funder:     both wallets were funded by the same private wallet
+ * Shared counterparties only count when few known wallets use them and
+ * TonAPI does not name them (exchanges, marketplaces and other services are
+ * shared by everyone). Wallets whose link weights add up to LINK_THRESHOLD
+ * are unioned into one cluster; clusters are persisted in wallet_clusters
+ * with a stable id derived from their smallest member address.
+ */
+
+import { createRequire } from "node:module";
+import { realpathSync } from "node:fs";
+import { createHash } from "node:crypto";
+import { sourceFetch, isSourceAvailable } from "./source-health.js";
+
+const _require = createRequire(realpathSync(process.argv[1]));
+const { Address } = _require("@ton/core");
+
+const TONAPI_BASE = "https://tonapi.io";
+const EVENT_PAGE_LIMIT = 100;
+const EVENT_MAX_PAGES = 3;
+const SCAN_TTL_S = 24 * 60 * 60;
+const DEFAULT_MAX_SCANS = 20;
+
+const MIN_FUNDING_TON = 1;
+const MAX_SHARED_FANIN = 3;
+const LINK_WEIGHTS = { funding: 1, nft_handoff: 1, shared_withdrawal: 0.6, shared_funder: 0.5 };
+const LINK_THRESHOLD = 1;
+
+/** Raw 0:… form used as the key everywhere in this module. */
+export function toRawWallet(value) {
+  if (!value) return null;
+  try {
+    return Address.parse(value).toRawString();
+  } catch {
+    return String(value);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// DB
+// ---------------------------------------------------------------------------
+
+let _db = null;
+let stmtScanGet;
+let stmtScanUpsert;
+let stmtFlowsDelete;
+let stmtFlowInsert;
+let stmtClusterGet;
+
+export function initWalletClustersDb(db) {
+  if (_db === db) return;
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS wallet_scans (
+      wallet TEXT PRIMARY KEY,
+      scanned_at INTEGER NOT NULL,
+      events INTEGER NOT NULL DEFAULT 0,
+      error TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS wallet_flows (
+      wallet TEXT NOT NULL,
+      counterparty TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      total_ton REAL NOT NULL DEFAULT 0,
+      tx_count INTEGER NOT NULL DEFAULT 0,
+      last_time INTEGER,
+      counterparty_is_wallet INTEGER NOT NULL DEFAULT 1,
+      counterparty_name TEXT,
+      PRIMARY KEY (wallet, counterparty, kind)
+    );
+    CREATE INDEX IF NOT EXISTS wallet_flows_counterparty_idx ON wallet_flows(counterparty, kind);
+
+    CREATE TABLE IF NOT EXISTS wallet_links (
+      wallet_a TEXT NOT NULL,
+      wallet_b TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      weight REAL NOT NULL,
+      evidence_json TEXT,
+      PRIMARY KEY (wallet_a, wallet_b, kind)
+    );
+
+    CREATE TABLE IF NOT EXISTS wallet_clusters (
+      wallet TEXT PRIMARY KEY,
+      cluster_id TEXT NOT NULL,
+      cluster_size INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS wallet_clusters_cluster_idx ON wallet_clusters(cluster_id);
+  `);
+
+  stmtScanGet = db.prepare("SELECT * FROM wallet_scans WHERE wallet = ?");
+  stmtScanUpsert = db.prepare(`
+    INSERT INTO wallet_scans (wallet, scanned_at, events, error) VALUES (?, ?, ?, ?)
+    ON CONFLICT(wallet) DO UPDATE SET scanned_at = excluded.scanned_at, events = excluded.events, error = excluded.error
+  `);
+  stmtFlowsDelete = db.prepare("DELETE FROM wallet_flows WHERE wallet = ?");
+  stmtFlowInsert = db.prepare(`
+    INSERT INTO wallet_flows (wallet, counterparty, kind, total_ton, tx_count, last_time, counterparty_is_wallet, counterparty_name)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  stmtClusterGet = db.prepare("SELECT * FROM wallet_clusters WHERE wallet = ?");
+
+  _db = db;
+}
+
+// ---------------------------------------------------------------------------
+// TonAPI scan
+// ---------------------------------------------------------------------------
+
+let _lastTonapiCall = 0;
+
+async function tonapiEvents(wallet, apiKey, beforeLt) {
+  const minGap = apiKey ? 250 : 1100;
+  const wait = _lastTonapiCall + minGap - Date.now();
+  if (wait > 0) await new Promise((r) => setTimeout(r, wait));
+  _lastTonapiCall = Date.now();
+
+  const url = new URL(`/v2/accounts/${wallet}/events`, TONAPI_BASE);
+  url.searchParams.set("limit", String(EVENT_PAGE_LIMIT));
+  if (beforeLt) url.searchParams.set("before_lt", String(beforeLt));
+  const headers = { Accept: "application/json" };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const res = await sourceFetch(url, { headers });
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    throw new Error(`TONAPI error: ${res.status} ${text.slice(0, 200)}`);
+  }
+  return res.json();
+}
+
+/** Reduce events to per-counterparty flows from `wallet`'s point of view. */
+function collectFlows(wallet, events) {
+  const flows = new Map();
+  const add = (counterparty, kind, ton, time) => {
+    if (!counterparty?.address) return;
+    const cp = toRawWallet(counterparty.address);
+    if (cp === wallet) return;
+    const key = `${cp}|${kind}`;
+    const f = flows.get(key) ?? {
+      counterparty: cp,
+      kind,
+      total_ton: 0,
+      tx_count: 0,
+      last_time: 0,
+      is_wallet: counterparty.is_wallet === false ? 0 : 1,
+      name: counterparty.name || null,
+    };
+    f.total_ton += ton;
+    f.tx_count++;
+    f.last_time = Math.max(f.last_time, time);
+    flows.set(key, f);
+  };
+
+  for (const ev of events) {
+    for (const action of ev.actions || []) {
+      if (action.status && action.status !== "ok") continue;
+      if (action.type === "TonTransfer") {
+        const t = action.TonTransfer;
+        const ton = Number(t.amount || 0) / 1e9;
+        if (toRawWallet(t.sender?.address) === wallet) add(t.recipient, "ton_out", ton, ev.timestamp);
+        else if (toRawWallet(t.recipient?.address) === wallet) add(t.sender, "ton_in", ton, ev.timestamp);
+      } else if (action.type === "NftItemTransfer") {
+        const t = action.NftItemTransfer;
+        if (toRawWallet(t.sender?.address) === wallet) add(t.recipient, "nft_out", 0, ev.timestamp);
+        else if (toRawWallet(t.recipient?.address) === wallet) add(t.sender, "nft_in", 0, ev.timestamp);
+      }
+    }
+  }
+  return [...flows.values()];
+}
+
+async function scanWallet(db, wallet, apiKey) {
+  const events = [];
+  let error = null;
+  try {
+    let beforeLt = null;
+    for (let page = 0; page < EVENT_MAX_PAGES; page++) {
+      const data = await tonapiEvents(wallet, apiKey, beforeLt);
+      const batch = data.events ?? [];
+      events.push(...batch);
+      if (batch.length < EVENT_PAGE_LIMIT || !data.next_from) break;
+      beforeLt = data.next_from;
+    }
+  } catch (err) {
+    error = String(err.message || err).slice(0, 200);
+  }
+
+  const flows = collectFlows(wallet, events);
+  db.transaction(() => {
+    if (events.length > 0 || !error) {
+      stmtFlowsDelete.run(wallet);
+      for (const f of flows) {
+        stmtFlowInsert.run(wallet, f.counterparty, f.kind, f.total_ton, f.tx_count, f.last_time || null, f.is_wallet, f.name);
+      }
+    }
+    stmtScanUpsert.run(wallet, Math.floor(Date.now() / 1000), events.length, error);
+  })();
+  return { events: events.length, error };
+}
+
+// ---------------------------------------------------------------------------
+// Links and clusters
+// ---------------------------------------------------------------------------
+
+function deriveLinks(db) {
+  const known = new Set(db.prepare("SELECT wallet FROM wallet_scans").all().map((r) => r.wallet));
+  const links = new Map();
+  const link = (a, b, kind, evidence) => {
+    const [x, y] = a < b ? [a, b] : [b, a];
+    const key = `${x}|${y}|${kind}`;
+    const l = links.get(key) ?? { wallet_a: x, wallet_b: y, kind, weight: LINK_WEIGHTS[kind], evidence: [] };
+    if (l.evidence.length < 5) l.evidence.push(evidence);
+    links.set(key, l);
+  };
+
+  const direct = db.prepare(`
+    SELECT wallet, counterparty, kind, total_ton, tx_count, last_time FROM wallet_flows
+    WHERE kind IN ('ton_out', 'nft_out')
+  `).all();
+  for (const f of direct) {
+    if (!known.has(f.counterparty)) continue;
+    if (f.kind === "ton_out" && f.total_ton >= MIN_FUNDING_TON) {
+      link(f.wallet, f.counterparty, "funding", { from: f.wallet, to: f.counterparty, ton: +f.total_ton.toFixed(2), transfers: f.tx_count, last_time: f.last_time });
+    } else if (f.kind === "nft_out") {
+      link(f.wallet, f.counterparty, "nft_handoff", { from: f.wallet, to: f.counterparty, nfts: f.tx_count, last_time: f.last_time });
+    }
+  }
+
+  const shared = db.prepare(`
+    SELECT counterparty, kind, GROUP_CONCAT(wallet) AS wallets, COUNT(*) AS n
+    FROM wallet_flows
+    WHERE kind IN ('ton_out', 'ton_in') AND counterparty_is_wallet = 1 AND counterparty_name IS NULL
+    GROUP BY counterparty, kind
+    HAVING n BETWEEN 2 AND ?
+  `).all(MAX_SHARED_FANIN);
+  for (const s of shared) {
+    if (known.has(s.counterparty)) continue; // already a direct link
+    const wallets = s.wallets.split(",");
+    const kind = s.kind === "ton_out" ? "shared_withdrawal" : "shared_funder";
+    for (let i = 0; i < wallets.length; i++) {
+      for (let j = i + 1; j < wallets.length; j++) {
+        link(wallets[i], wallets[j], kind, { via: s.counterparty });
+      }
+    }
+  }
+  return [...links.values()];
+}
+
+function clusterIdFor(members) {
+  const anchor = [...members].sort()[0];
+  return `cl_${createHash("sha256").update(anchor).digest("hex").slice(0, 10)}`;
+}
+
+function recomputeClusters(db) {
+  const links = deriveLinks(db);
+
+  const pairWeight = new Map();
+  for (const l of links) {
+    const key = `${l.wallet_a}|${l.wallet_b}`;
+    pairWeight.set(key, (pairWeight.get(key) || 0) + l.weight);
+  }
+
+  const parent = new Map();
+  const find = (x) => {
+    if (!parent.has(x)) parent.set(x, x);
+    while (parent.get(x) !== x) {
+      parent.set(x, parent.get(parent.get(x)));
+      x = parent.get(x);
+    }
+    return x;
+  };
+  for (const [key, weight] of pairWeight) {
+    if (weight < LINK_THRESHOLD) continue;
+    const [a, b] = key.split("|");
+    parent.set(find(a), find(b));
+  }
+
+  const groups = new Map();
+  for (const w of parent.keys()) {
+    const root = find(w);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(w);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  let clusters = 0;
+  db.transaction(() => {
+    db.prepare("DELETE FROM wallet_links").run();
+    const insertLink = db.prepare("INSERT INTO wallet_links (wallet_a, wallet_b, kind, weight, evidence_json) VALUES (?, ?, ?, ?, ?)");
+    for (const l of links) insertLink.run(l.wallet_a, l.wallet_b, l.kind, l.weight, JSON.stringify(l.evidence));
+
+    db.prepare("DELETE FROM wallet_clusters").run();
+    const insertCluster = db.prepare("INSERT INTO wallet_clusters (wallet, cluster_id, cluster_size, updated_at) VALUES (?, ?, ?, ?)");
+    for (const members of groups.values()) {
+      if (members.length < 2) continue;
+      clusters++;
+      const id = clusterIdFor(members);
+      for (const m of members) insertCluster.run(m, id, members.length, now);
+    }
+  })();
+  return { links: links.length, clusters };
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Scan wallets that were never scanned or whose scan is older than a day
+ * (at most `maxScans` per call, in the given order), then rebuild links and
+ * clusters over every scanned wallet.
+ * `opts`: { tonapiKey, maxScans, log }.
+ */
+export async function updateWalletClusters(db, wallets, opts = {}) {
+  initWalletClustersDb(db);
+  const now = Math.floor(Date.now() / 1000);
+  const maxScans = opts.maxScans ?? DEFAULT_MAX_SCANS;
+
+  let scanned = 0;
+  let failed = 0;
+  for (const w of [...new Set(wallets.map(toRawWallet).filter(Boolean))]) {
+    if (scanned >= maxScans) break;
+    const last = stmtScanGet.get(w);
+    if (last && now - last.scanned_at < SCAN_TTL_S) continue;
+    // TonAPI circuit open: cluster from the flows already stored rather than
+    // recording a failed scan for every remaining wallet.
+    if (!isSourceAvailable("tonapi")) {
+      opts.log?.("Wallet scans: TonAPI unavailable, using stored flows only");
+      break;
+    }
+    const result = await scanWallet(db, w, opts.tonapiKey);
+    scanned++;
+    if (result.error) {
+      failed++;
+      opts.log?.(`Wallet scan ${w.slice(0, 12)}…: ${result.error}`);
+    }
+  }
+
+  const { links, clusters } = recomputeClusters(db);
+  return { scanned, failed, links, clusters };
+}
+
+/**
+ * Map each address to its entity: { entity_id, cluster_size }. Unclustered
+ * wallets are their own entity (entity_id = the address as given).
+ */
+export function getEntityMap(db, wallets) {
+  initWalletClustersDb(db);
+  const map = new Map();
+  for (const w of wallets) {
+    if (!w || map.has(w)) continue;
+    const row = stmtClusterGet.get(toRawWallet(w));
+    map.set(w, row ? { entity_id: row.cluster_id, cluster_size: row.cluster_size } : { entity_id: w, cluster_size: 1 });
+  }
+  return map;
+}
+
+/** A wallet's cluster with its members and the links that formed it, or null. */
+export function getWalletCluster(db, wallet) {
+  initWalletClustersDb(db);
+  const row = stmtClusterGet.get(toRawWallet(wallet));
+  if (!row) return null;
+  const members = db.prepare("SELECT wallet FROM wallet_clusters WHERE cluster_id = ? ORDER BY wallet").all(row.cluster_id).map((r) => r.wallet);
+  const memberSet = new Set(members);
+  const links = db.prepare("SELECT * FROM wallet_links").all()
+    .filter((l) => memberSet.has(l.wallet_a) && memberSet.has(l.wallet_b))
+    .map((l) => ({ wallet_a: l.wallet_a, wallet_b: l.wallet_b, kind: l.kind, weight: l.weight, evidence: JSON.parse(l.evidence_json || "[]") }));
+  return { cluster_id: row.cluster_id, members, links, updated_at: new Date(row.updated_at * 1000).toISOString() };
+}
+
+/** Members of a cluster id (empty when unknown). */
+export function getClusterMembers(db, clusterId) {
+  initWalletClustersDb(db);
+  return db.prepare("SELECT wallet FROM wallet_clusters WHERE cluster_id = ? ORDER BY wallet").all(clusterId).map((r) => r.wallet);
+}
+
+/** Links recorded directly between two wallets (any order), strongest first. */
+export function getLinksBetween(db, walletA, walletB) {
+  initWalletClustersDb(db);
+  const a = toRawWallet(walletA);
+  const b = toRawWallet(walletB);
+  if (!a || !b || a === b) return [];
+  const [x, y] = a < b ? [a, b] : [b, a];
+  return db.prepare("SELECT kind, weight, evidence_json FROM wallet_links WHERE wallet_a = ? AND wallet_b = ? ORDER BY weight DESC")
+    .all(x, y)
+    .map((l) => ({ kind: l.kind, weight: l.weight, evidence: JSON.parse(l.evidence_json || "[]") }));
+}
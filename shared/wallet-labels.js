@@ -0,0 +1,331 @@
+/**
+ * Wallet labels: names for addresses that show up in sales, histories and
+ * payments.
+ *
+ * Labels come from three places:
+ *  - team:     curated by hand through a tool (never overwritten)
+ *  - own:      the agent's wallet from ~/.teleton/wallet.json
+ *  - detected: TonAPI account data — NFT sale/auction contracts are
+ *              marketplace contracts, and named accounts are sorted into
+ *              Fragment, marketplaces and exchanges by name
+ * Categories marketplace, fragment and exchange are excluded from whale
+ * rankings by default; a team label can set the flag either way.
+ *
+ * Plugins may run on different databases (whale-analytics has its own, trade
+ * and invoice tools share the agent's), so every database passed to
+ * initWalletLabelsDb() is kept in sync: writes go to all of them and rows
+ * are merged by updated_at on attach. Removal is a tombstone for the same
+ * reason, and also keeps detection from bringing a removed label back.
+ */
+
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import { homedir } from "node:os";
+import { sourceFetch, isSourceAvailable } from "./source-health.js";
+import { toRawWallet as toRaw } from "./wallet-clusters.js";
+
+const TONAPI_BASE = "https://tonapi.io";
+const WALLET_FILE = join(homedir(), ".teleton", "wallet.json");
+const LOOKUP_TTL_S = 7 * 24 * 60 * 60;
+const BULK_LIMIT = 100;
+const DEFAULT_MAX_LOOKUPS = 100;
+
+export const LABEL_CATEGORIES = ["marketplace", "fragment", "exchange", "own_wallet", "team", "known"];
+const EXCLUDED_BY_DEFAULT = new Set(["marketplace", "fragment", "exchange"]);
+
+const SALE_INTERFACE = /nft_sale|nft_auction|_sale_|sale_v\d/i;
+const NAME_RULES = [
+  ["fragment", /fragment/i],
+  ["marketplace", /getgems|marketapp|tonnel|portals|mrkt|disintar|market ?place/i],
+  ["exchange", /binance|okx|bybit|bitget|kucoin|gate\.io|mexc|htx|huobi|bitfinex|crypto\.com|cryptobot|crypto bot|exmo|bingx|coinex|exchange/i],
+];
+
+// ---------------------------------------------------------------------------
+// DB
+// ---------------------------------------------------------------------------
+
+const _dbs = new Set();
+
+const UPSERT_SQL = `
+  INSERT INTO wallet_labels (wallet, address, label, category, exclude_from_rankings, source, note, added_by, removed, updated_at)
+  VALUES (@wallet, @address, @label, @category, @exclude_from_rankings, @source, @note, @added_by, @removed, @updated_at)
+  ON CONFLICT(wallet) DO UPDATE SET
+    address = excluded.address, label = excluded.label, category = excluded.category,
+    exclude_from_rankings = excluded.exclude_from_rankings, source = excluded.source,
+    note = excluded.note, added_by = excluded.added_by, removed = excluded.removed, updated_at = excluded.updated_at
+`;
+
+export function initWalletLabelsDb(db) {
+  if (_dbs.has(db)) return;
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS wallet_labels (
+      wallet TEXT PRIMARY KEY,
+      address TEXT NOT NULL,
+      label TEXT NOT NULL,
+      category TEXT NOT NULL,
+      exclude_from_rankings INTEGER NOT NULL DEFAULT 0,
+      source TEXT NOT NULL,
+      note TEXT,
+      added_by TEXT,
+      removed INTEGER NOT NULL DEFAULT 0,
+      updated_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS wallet_labels_category_idx ON wallet_labels(category);
+
+    CREATE TABLE IF NOT EXISTS wallet_label_lookups (
+      wallet TEXT PRIMARY KEY,
+      checked_at INTEGER NOT NULL,
+      name TEXT,
+      is_wallet INTEGER,
+      interfaces_json TEXT
+    );
+  `);
+
+  // Merge labels both ways with the databases attached earlier.
+  const mine = db.prepare("SELECT * FROM wallet_labels").all();
+  for (const other of _dbs) {
+    const theirs = other.prepare("SELECT * FROM wallet_labels").all();
+    mergeRows(db, theirs);
+    mergeRows(other, mine);
+  }
+  _dbs.add(db);
+  registerOwnWallet();
+}
+
+function mergeRows(db, rows) {
+  const upsert = db.prepare(`${UPSERT_SQL} WHERE excluded.updated_at > wallet_labels.updated_at`);
+  db.transaction(() => {
+    for (const r of rows) upsert.run(r);
+  })();
+}
+
+function writeAll(row, { keepCurated = false } = {}) {
+  const sql = keepCurated ? `${UPSERT_SQL} WHERE wallet_labels.source = 'detected' AND wallet_labels.removed = 0` : UPSERT_SQL;
+  for (const db of _dbs) db.prepare(sql).run(row);
+}
+
+function anyDb() {
+  const [db] = _dbs;
+  if (!db) throw new Error("wallet labels: no database attached");
+  return db;
+}
+
+function registerOwnWallet() {
+  let address;
+  try {
+    address = JSON.parse(readFileSync(WALLET_FILE, "utf-8")).address;
+  } catch {
+    return;
+  }
+  if (!address) return;
+  const raw = toRaw(String(address).trim());
+  const current = anyDb().prepare("SELECT wallet FROM wallet_labels WHERE source = 'own' AND removed = 0").all();
+  if (current.length === 1 && current[0].wallet === raw) return;
+  const now = Math.floor(Date.now() / 1000);
+  for (const old of current) {
+    if (old.wallet !== raw) for (const db of _dbs) db.prepare("UPDATE wallet_labels SET removed = 1, updated_at = ? WHERE wallet = ?").run(now, old.wallet);
+  }
+  writeAll(
+    { wallet: raw, address: String(address).trim(), label: "Agent wallet", category: "own_wallet", exclude_from_rankings: 0, source: "own", note: null, added_by: null, removed: 0, updated_at: now },
+    { keepCurated: true }
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Read / write
+// ---------------------------------------------------------------------------
+
+function publicLabel(row) {
+  return {
+    address: row.address,
+    label: row.label,
+    category: row.category,
+    exclude_from_rankings: !!row.exclude_from_rankings,
+    source: row.source,
+    note: row.note || null,
+  };
+}
+
+/**
+ * Team label (overrides detection). `exclude` defaults to the category's
+ * default: marketplace, fragment and exchange wallets are not ranked.
+ */
+export function setWalletLabel(db, address, { label, category = "team", exclude = null, note = null, addedBy = null } = {}) {
+  initWalletLabelsDb(db);
+  if (!LABEL_CATEGORIES.includes(category)) throw new Error(`Unknown category "${category}" (use ${LABEL_CATEGORIES.join(", ")})`);
+  const row = {
+    wallet: toRaw(address),
+    address,
+    label: String(label).slice(0, 80),
+    category,
+    exclude_from_rankings: (exclude ?? EXCLUDED_BY_DEFAULT.has(category)) ? 1 : 0,
+    source: "team",
+    note: note ? String(note).slice(0, 300) : null,
+    added_by: addedBy != null ? String(addedBy) : null,
+    removed: 0,
+    updated_at: Math.floor(Date.now() / 1000),
+  };
+  writeAll(row);
+  return publicLabel(row);
+}
+
+/** Remove a label. It stays removed until a team label is set for the address again. */
+export function removeWalletLabel(db, address) {
+  initWalletLabelsDb(db);
+  const raw = toRaw(address);
+  const row = db.prepare("SELECT * FROM wallet_labels WHERE wallet = ? AND removed = 0").get(raw);
+  if (!row) return null;
+  const now = Math.floor(Date.now() / 1000);
+  for (const d of _dbs) d.prepare("UPDATE wallet_labels SET removed = 1, updated_at = ? WHERE wallet = ?").run(now, raw);
+  return publicLabel(row);
+}
+
+export function listWalletLabels(db, { category = null, source = null, limit = 100 } = {}) {
+  initWalletLabelsDb(db);
+  const where = ["removed = 0"];
+  const args = [];
+  if (category) {
+    where.push("category = ?");
+    args.push(category);
+  }
+  if (source) {
+    where.push("source = ?");
+    args.push(source);
+  }
+  return db
+    .prepare(`SELECT * FROM wallet_labels WHERE ${where.join(" AND ")} ORDER BY source = 'detected', updated_at DESC LIMIT ?`)
+    .all(...args, limit)
+    .map(publicLabel);
+}
+
+/** Map of address (as given) → label for the labeled ones. */
+export function getWalletLabels(db, addresses) {
+  initWalletLabelsDb(db);
+  const stmt = db.prepare("SELECT * FROM wallet_labels WHERE wallet = ? AND removed = 0");
+  const out = new Map();
+  for (const a of new Set(addresses.filter(Boolean))) {
+    const row = stmt.get(toRaw(a));
+    if (row) out.set(a, publicLabel(row));
+  }
+  return out;
+}
+
+/** Plain { address: { label, category } } object for tool output. */
+export function labelsObject(labels) {
+  const out = {};
+  for (const [address, l] of labels) out[address] = { label: l.label, category: l.category };
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Detection
+// ---------------------------------------------------------------------------
+
+function classifyAccount(acc) {
+  const interfaces = acc.interfaces ?? [];
+  const name = acc.name ? String(acc.name) : null;
+  if (interfaces.some((i) => SALE_INTERFACE.test(i))) {
+    return { label: name || `Sale contract (${interfaces.find((i) => SALE_INTERFACE.test(i))})`, category: "marketplace" };
+  }
+  if (!name) return null;
+  for (const [category, re] of NAME_RULES) {
+    if (re.test(name)) return { label: name, category };
+  }
+  return { label: name, category: "known" };
+}
+
+async function tonapiBulkAccounts(raws, apiKey) {
+  const headers = { Accept: "application/json", "Content-Type": "application/json" };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+  const res = await sourceFetch(`${TONAPI_BASE}/v2/accounts/_bulk`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ account_ids: raws }),
+  });
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    throw new Error(`TONAPI error: ${res.status} ${text.slice(0, 200)}`);
+  }
+  const data = await res.json();
+  return data.accounts ?? [];
+}
+
+/**
+ * Look up addresses not checked within LOOKUP_TTL_S on TonAPI and store
+ * detected labels. `opts`: { tonapiKey, maxLookups, log }.
+ */
+export async function detectWalletLabels(db, addresses, opts = {}) {
+  initWalletLabelsDb(db);
+  const now = Math.floor(Date.now() / 1000);
+  const checked = db.prepare("SELECT checked_at FROM wallet_label_lookups WHERE wallet = ?");
+  const labeled = db.prepare("SELECT source FROM wallet_labels WHERE wallet = ? AND removed = 0");
+  const pending = [];
+  for (const raw of new Set(addresses.map(toRaw).filter(Boolean))) {
+    if (pending.length >= (opts.maxLookups ?? DEFAULT_MAX_LOOKUPS)) break;
+    const l = labeled.get(raw);
+    if (l && l.source !== "detected") continue;
+    const c = checked.get(raw);
+    if (c && now - c.checked_at < LOOKUP_TTL_S) continue;
+    pending.push(raw);
+  }
+  if (pending.length === 0 || !isSourceAvailable("tonapi")) return { looked_up: 0, labeled: 0 };
+
+  const saveLookup = db.prepare(`
+    INSERT INTO wallet_label_lookups (wallet, checked_at, name, is_wallet, interfaces_json) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(wallet) DO UPDATE SET checked_at = excluded.checked_at, name = excluded.name,
+      is_wallet = excluded.is_wallet, interfaces_json = excluded.interfaces_json
+  `);
+  let lookedUp = 0;
+  let found = 0;
+  for (let i = 0; i < pending.length; i += BULK_LIMIT) {
+    const batch = pending.slice(i, i + BULK_LIMIT);
+    let accounts;
+    try {
+      accounts = await tonapiBulkAccounts(batch, opts.tonapiKey);
+    } catch (err) {
+      opts.log?.(`Wallet labels: TonAPI lookup failed — ${err.message}`);
+      break;
+    }
+    const byRaw = new Map(accounts.map((a) => [toRaw(a.address), a]));
+    for (const raw of batch) {
+      const acc = byRaw.get(raw) ?? {};
+      saveLookup.run(raw, now, acc.name ?? null, acc.is_wallet == null ? null : acc.is_wallet ? 1 : 0, JSON.stringify(acc.interfaces ?? []));
+      lookedUp++;
+      const cls = classifyAccount(acc);
+      if (!cls) continue;
+      found++;
+      writeAll(
+        {
+          wallet: raw,
+          address: raw,
+          label: cls.label.slice(0, 80),
+          category: cls.category,
+          exclude_from_rankings: EXCLUDED_BY_DEFAULT.has(cls.category) ? 1 : 0,
+          source: "detected",
+          note: null,
+          added_by: null,
+          removed: 0,
+          updated_at: now,
+        },
+        { keepCurated: true }
+      );
+    }
+  }
+  return { looked_up: lookedUp, labeled: found };
+}
+
+/**
+ * Detect (up to `maxLookups`) and return labels for `addresses` in one call —
+ * what tools use to annotate their output.
+ */
+export async function labelAddresses(db, addresses, opts = {}) {
+  const list = addresses.filter(Boolean);
+  if (opts.detect !== false) {
+    await detectWalletLabels(db, list, {
+      tonapiKey: opts.tonapiKey ?? (process.env.TONAPI_KEY || process.env.TELETON_TONAPI_KEY),
+      maxLookups: opts.maxLookups,
+      log: opts.log,
+    });
+  }
+  return getWalletLabels(db, list);
+}